@@ -100,7 +100,9 @@ const albumPhotoRoutes = require('./modules/media/routes/albumPhoto.routes'); //
 const photoRoutes = require('./modules/media/routes/photo.routes');           // NEW - standalone
 const tagRoutes = require('./modules/media/routes/tag.routes');               // NEW
 const commentRoutes = require('./modules/media/routes/comment.routes');       // NEW
+const uploadRoutes = require('./modules/media/routes/upload.routes');
 app.use(`${API_PREFIX}/albums`, albumPhotoRoutes);  // /:albumId/photos
+app.use(`${API_PREFIX}/albums`, uploadRoutes);      // /:albumId/uploads (resumable), /:albumId/photos/presign|confirm
 app.use(`${API_PREFIX}/photos`, photoRoutes);       // /:photoId
 app.use(`${API_PREFIX}/tags`, tagRoutes);
 app.use(`${API_PREFIX}/comments`, commentRoutes);
@@ -117,6 +119,10 @@ app.use(`${API_PREFIX}/trash`, trashRoutes);
 const searchRoutes = require('./modules/search/search.routes');
 app.use(`${API_PREFIX}/search`, searchRoutes);
 
+// Admin Module (operations — system admins only)
+const adminRoutes = require('./modules/admin/admin.routes');
+app.use(`${API_PREFIX}/admin`, adminRoutes);
+
 // ── Terminal Middleware ────────────────────────────────────────────────────
 // Must be attached AFTER all routes
 attachTerminalMiddleware(app);
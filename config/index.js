@@ -37,6 +37,27 @@ const _bool = (key, defaultValue) => {
   throw new Error(`[CONFIG] Environment variable "${key}" must be true/false/1/0, got: ${val}`);
 };
 
+/**
+ * Parse a rendition list of the form "name:size,name:size".
+ * Size is the bounding box (longest edge) in pixels.
+ */
+const _renditions = (key, defaultValue) => {
+  const raw = _optional(key, defaultValue);
+  return raw
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, size] = entry.split(':').map((part) => part && part.trim());
+      const parsed = parseInt(size, 10);
+      if (!name || isNaN(parsed) || parsed <= 0) {
+        throw new Error(`[CONFIG] Environment variable "${key}" has invalid entry: ${entry}`);
+      }
+      return { name, size: parsed };
+    })
+    .sort((a, b) => a.size - b.size);
+};
+
 const config = {
   env: _optional('NODE_ENV', 'development'),
   isProduction: _optional('NODE_ENV', 'development') === 'production',
@@ -74,12 +95,71 @@ const config = {
     expiresIn: _optional('JWT_EXPIRES_IN', '15m'),
     refreshSecret: _optional('JWT_REFRESH_SECRET', 'dev-refresh-secret-change-in-production-64-chars'),
     refreshExpiresIn: _optional('JWT_REFRESH_EXPIRES_IN', '7d'),
+    // A just-rotated refresh token presented again within this window (e.g. two tabs
+    // refreshing at once) is rejected without revoking its session
+    refreshReuseGraceSeconds: _int('JWT_REFRESH_REUSE_GRACE_SECONDS', 10),
+    // How long authenticate may trust cached session / user token state when
+    // the cache could not be updated on change; also how long revoke markers last
+    sessionCacheSeconds: _int('AUTH_SESSION_CACHE_SECONDS', 60),
   },
 
   passwordReset: {
     tokenExpiresIn: _int('PASSWORD_RESET_TOKEN_EXPIRES_IN', 3600000), // ms
   },
 
+  twoFactor: {
+    // Shown in authenticator apps next to the account
+    issuer: _optional('TWO_FACTOR_ISSUER', 'Album Platform'),
+    // TOTP secrets are stored AES-256-GCM encrypted with a key derived from this
+    encryptionKey: _optional('TWO_FACTOR_ENCRYPTION_KEY', 'dev-2fa-key-change-in-production'),
+    challengeExpiresIn: _optional('TWO_FACTOR_CHALLENGE_EXPIRES_IN', '5m'),
+    // Codes that may be tried against one login challenge (a used challenge has none left)
+    challengeMaxAttempts: _int('TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS', 5),
+    // Wrong codes per account across challenges before /auth/2fa/verify answers 429
+    maxFailures: _int('TWO_FACTOR_MAX_FAILURES', 10),
+    failureWindowSeconds: _int('TWO_FACTOR_FAILURE_WINDOW_SECONDS', 900),
+    recoveryCodeCount: _int('TWO_FACTOR_RECOVERY_CODE_COUNT', 10),
+    // Owners of public albums must have 2FA enabled to publish / keep albums public
+    requiredForPublicAlbumOwners: _bool('TWO_FACTOR_REQUIRED_FOR_PUBLIC_ALBUM_OWNERS', false),
+  },
+
+  emailVerification: {
+    // When off, email registrations start active (no verification email)
+    enabled: _bool('EMAIL_VERIFICATION_ENABLED', true),
+    tokenExpiresIn: _int('EMAIL_VERIFICATION_TOKEN_EXPIRES_IN', 86400000), // ms
+    resendCooldownSeconds: _int('EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS', 60),
+    // VERIFIED_ACTION values unverified users may not perform
+    blockedActions: _optional(
+      'EMAIL_VERIFICATION_BLOCKED_ACTIONS',
+      'upload_photos,send_invitations,accept_invitations'
+    )
+      .split(',')
+      .map((action) => action.trim())
+      .filter(Boolean),
+  },
+
+  // Web client — base for links in emails (password reset, invitations)
+  app: {
+    webUrl: _optional('APP_WEB_URL', 'http://localhost:8084'),
+  },
+
+  mail: {
+    transport: _optional('MAIL_TRANSPORT', 'console'), // 'smtp' | 'file' | 'console'
+    from: _optional('MAIL_FROM', 'Album Platform <no-reply@localhost>'),
+    // Used when neither the job nor the recipient's preferences name a locale
+    defaultLocale: _optional('MAIL_DEFAULT_LOCALE', 'en'),
+    smtp: {
+      // Defaults match a local SMTP sink (Mailpit / MailHog)
+      host: _optional('SMTP_HOST', 'localhost'),
+      port: _int('SMTP_PORT', 1025),
+      secure: _bool('SMTP_SECURE', false), // true = implicit TLS (465); false = STARTTLS if offered
+      user: _optional('SMTP_USER', ''),
+      password: _optional('SMTP_PASSWORD', ''),
+    },
+    // 'file' transport — one .eml per message
+    fileDir: _optional('MAIL_FILE_DIR', './mail-outbox'),
+  },
+
   rateLimit: {
     global: {
       windowMs: _int('RATE_LIMIT_WINDOW_MS', 900000),
@@ -92,12 +172,28 @@ const config = {
   },
 
   upload: {
-    provider: _optional('STORAGE_PROVIDER', 'local'), // 'local' | 's3'
+    provider: _optional('STORAGE_PROVIDER', 'local'), // 'local' | 's3' | 'memory'
     maxFileSize: _int('UPLOAD_MAX_FILE_SIZE', 10 * 1024 * 1024), // 10MB
+    // Matched against the type sniffed from the file's bytes (shared/utils/imageFormat)
     allowedMimeTypes: _optional(
       'UPLOAD_ALLOWED_MIME_TYPES',
-      'image/jpeg,image/png,image/gif,image/webp'
+      'image/jpeg,image/png,image/gif,image/webp,image/avif,image/heic,image/heif,image/tiff,' +
+        'image/x-adobe-dng,image/x-canon-cr2,image/x-nikon-nef,image/x-sony-arw,' +
+        'video/mp4,video/quicktime'
     ).split(','),
+    // Resumable uploads (POST /albums/:albumId/uploads) — chunks staged via the storage provider
+    resumable: {
+      chunkSize: _int('UPLOAD_CHUNK_SIZE', 5 * 1024 * 1024), // Max bytes per append (5MB)
+      maxFileSize: _int('UPLOAD_RESUMABLE_MAX_FILE_SIZE', 100 * 1024 * 1024), // 100MB
+      sessionTtlHours: _int('UPLOAD_SESSION_TTL_HOURS', 24),
+      // Sweep of expired sessions and their staged chunks
+      expireCron: _optional('UPLOAD_SESSION_EXPIRE_CRON', '15 * * * *'), // hourly at :15
+    },
+    // Direct-to-storage uploads (POST /albums/:albumId/photos/presign) — S3 provider only
+    direct: {
+      maxFileSize: _int('UPLOAD_DIRECT_MAX_FILE_SIZE', 100 * 1024 * 1024), // 100MB
+      urlExpiresIn: _int('UPLOAD_DIRECT_URL_EXPIRES_IN', 900), // seconds
+    },
     local: {
       basePath: _optional('UPLOAD_LOCAL_BASE_PATH', './uploads'),
       baseUrl: _optional('UPLOAD_BASE_URL', 'http://localhost:3000/uploads'),
@@ -107,9 +203,65 @@ const config = {
       secretAccessKey: _optional('AWS_SECRET_ACCESS_KEY', ''),
       region: _optional('AWS_REGION', 'us-east-1'),
       bucket: _optional('AWS_S3_BUCKET', ''),
+      // Custom endpoint for S3-compatible stores (MinIO, R2, Spaces). Empty = AWS.
+      endpoint: _optional('AWS_S3_ENDPOINT', ''),
+      // MinIO and most self-hosted stores require path-style addressing
+      forcePathStyle: _bool('AWS_S3_FORCE_PATH_STYLE', false),
+      // Public/CDN base URL for stored objects. Empty = derive from endpoint/bucket.
+      publicBaseUrl: _optional('AWS_S3_PUBLIC_URL', ''),
+      signedUrlExpiresIn: _int('AWS_S3_SIGNED_URL_EXPIRES_IN', 3600), // seconds
+    },
+  },
+
+  media: {
+    // Named renditions generated by the photo worker (smallest first)
+    renditions: _renditions('PHOTO_RENDITIONS', 'thumb:300,medium:800,large:1600,xlarge:2560'),
+    // Output formats per rendition — order = client preference (best first)
+    renditionFormats: _optional('PHOTO_RENDITION_FORMATS', 'avif,webp,jpeg').split(','),
+    renditionQuality: _int('PHOTO_RENDITION_QUALITY', 80),
+    // Max dHash Hamming distance (0–16, see MAX_STORED_DISTANCE) for two photos to count as near-duplicates
+    similarityThreshold: _int('PHOTO_SIMILARITY_THRESHOLD', 10),
+    // Decompression-bomb guards — checked from the file header before any decode
+    maxInputPixels: _int('PHOTO_MAX_INPUT_PIXELS', 150000000), // 150MP
+    maxInputDimension: _int('PHOTO_MAX_INPUT_DIMENSION', 30000), // longest edge, px
+    // A photo in 'processing' with no update for this long is stuck (its worker died) — reprocessable
+    processingStaleMinutes: _int('PHOTO_PROCESSING_STALE_MINUTES', 30),
+    // Short clips (MP4/MOV) — poster frame + metadata-stripped remux via ffmpeg
+    video: {
+      maxDurationSeconds: _int('VIDEO_MAX_DURATION_SECONDS', 120),
+      ffmpegPath: _optional('FFMPEG_PATH', 'ffmpeg'),
+      ffmpegTimeoutMs: _int('FFMPEG_TIMEOUT_MS', 120000),
     },
   },
 
+  // Album ZIP exports (POST /albums/:albumId/export)
+  export: {
+    // Rendition packaged for variant=large; smaller ones are used for photos that never got it
+    rendition: _optional('EXPORT_RENDITION', 'large'),
+    maxPhotos: _int('EXPORT_MAX_PHOTOS', 5000),
+    retentionHours: _int('EXPORT_RETENTION_HOURS', 24), // ZIP kept in storage this long
+    linkExpiresIn: _int('EXPORT_LINK_EXPIRES_IN', 3600), // download link lifetime, seconds
+    expireCron: _optional('EXPORT_EXPIRE_CRON', '45 * * * *'), // sweep of ZIPs past retention, hourly at :45
+  },
+
+  // Trash retention — trashed albums/photos are purged after retentionDays (0 = keep forever)
+  trash: {
+    retentionDays: _int('TRASH_RETENTION_DAYS', 30),
+    purgeCron: _optional('TRASH_PURGE_CRON', '0 3 * * *'), // daily at 03:00 (server time)
+    purgeBatchSize: _int('TRASH_PURGE_BATCH_SIZE', 100),
+  },
+
+  // Storage reconciliation — orphaned blobs and dangling key columns (also POST /admin/storage/reconcile)
+  reconcile: {
+    cron: _optional('STORAGE_RECONCILE_CRON', '30 4 * * 0'), // weekly, Sunday 04:30 (server time)
+    // Scheduled runs only report unless these are enabled
+    deleteOrphans: _bool('STORAGE_RECONCILE_DELETE_ORPHANS', false),
+    repairDangling: _bool('STORAGE_RECONCILE_REPAIR_DANGLING', false),
+    // Objects younger than this are never orphans — their DB row may not exist yet
+    graceMinutes: _int('STORAGE_RECONCILE_GRACE_MINUTES', 24 * 60),
+    reportLimit: _int('STORAGE_RECONCILE_REPORT_LIMIT', 1000), // entries kept per report list
+  },
+
   logging: {
     level: _optional('LOG_LEVEL', 'debug'),
     dir: _optional('LOG_DIR', './logs'),
@@ -127,6 +279,11 @@ if (config.isProduction) {
   const insecureDefaults = [
     { key: 'jwt.secret', value: config.jwt.secret, check: (v) => v.length < 64 },
     { key: 'jwt.refreshSecret', value: config.jwt.refreshSecret, check: (v) => v.length < 64 },
+    {
+      key: 'twoFactor.encryptionKey',
+      value: config.twoFactor.encryptionKey,
+      check: (v) => v === 'dev-2fa-key-change-in-production' || v.length < 32,
+    },
   ];
   insecureDefaults.forEach(({ key, value, check }) => {
     if (check(value)) {
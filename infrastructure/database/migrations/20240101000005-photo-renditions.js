@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * Migration: Photo Renditions
+ *
+ * Adds photos.renditions (JSONB) — map of named, multi-format derivatives
+ * produced by the photo worker:
+ *
+ *   {
+ *     "medium": {
+ *       "width": 800, "height": 533,
+ *       "formats": { "webp": { "url", "key", "sizeBytes" }, "avif": {...}, "jpeg": {...} }
+ *     }
+ *   }
+ *
+ * thumbnail_url / thumbnail_key are kept and point at the smallest rendition.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('photos', 'renditions', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: '{}',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('photos', 'renditions');
+  },
+};
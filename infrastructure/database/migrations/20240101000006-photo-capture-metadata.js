@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Migration: Photo Capture Metadata
+ *
+ * Promotes the most-queried EXIF fields out of photos.metadata into real,
+ * indexed columns so albums can be sorted/filtered by capture time and camera:
+ *
+ *   taken_at      DateTimeOriginal (+ OffsetTimeOriginal when present)
+ *   camera_make   e.g. "Canon"
+ *   camera_model  e.g. "EOS R5"
+ *   lens_model    e.g. "RF50mm F1.8 STM"
+ *
+ * The full structured EXIF object (exposure, ISO, GPS…) stays in metadata.exif.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('photos', 'taken_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('photos', 'camera_make', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('photos', 'camera_model', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('photos', 'lens_model', {
+      type: Sequelize.STRING(150),
+      allowNull: true,
+    });
+
+    // Album timeline ordered by capture time
+    await queryInterface.addIndex('photos', ['album_id', 'taken_at'], {
+      name: 'idx_photos_album_taken_at',
+    });
+    await queryInterface.addIndex('photos', ['camera_make', 'camera_model'], {
+      name: 'idx_photos_camera',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('photos', 'idx_photos_camera');
+    await queryInterface.removeIndex('photos', 'idx_photos_album_taken_at');
+    await queryInterface.removeColumn('photos', 'lens_model');
+    await queryInterface.removeColumn('photos', 'camera_model');
+    await queryInterface.removeColumn('photos', 'camera_make');
+    await queryInterface.removeColumn('photos', 'taken_at');
+  },
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Migration: Album Photo Privacy
+ *
+ * Adds albums.photo_privacy — controls which EXIF metadata the photo worker
+ * embeds in served derivatives, and which extracted fields non-owners see:
+ *
+ *   keep       EXIF served as captured (including GPS)
+ *   strip_gps  camera / capture info only (default)
+ *   strip_all  no EXIF at all
+ *
+ * The extracted location stays in photos.metadata for the album owner.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "photo_privacy_enum" AS ENUM ('keep', 'strip_gps', 'strip_all')`
+    );
+
+    await queryInterface.addColumn('albums', 'photo_privacy', {
+      type: '"photo_privacy_enum"',
+      allowNull: false,
+      defaultValue: 'strip_gps',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('albums', 'photo_privacy');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "photo_privacy_enum"');
+  },
+};
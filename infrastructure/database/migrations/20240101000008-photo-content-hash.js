@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * Migration: Photo Content Hash + Album Duplicate Policy
+ *
+ * photos.content_hash    SHA-256 (hex) of the uploaded bytes, computed at upload.
+ *                        Rows created before this migration are backfilled by the
+ *                        photo worker the next time they are processed.
+ * albums.duplicate_policy What uploadPhoto does when a file's hash already exists
+ *                        in the album:
+ *                          reject — file fails with a 409-style DUPLICATE reason (default)
+ *                          link   — no new photo; the existing one is returned
+ *                          allow  — stored again, flagged as a duplicate in the response
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "duplicate_policy_enum" AS ENUM ('reject', 'link', 'allow')`
+    );
+
+    await queryInterface.addColumn('albums', 'duplicate_policy', {
+      type: '"duplicate_policy_enum"',
+      allowNull: false,
+      defaultValue: 'reject',
+    });
+
+    await queryInterface.addColumn('photos', 'content_hash', {
+      type: Sequelize.CHAR(64),
+      allowNull: true,
+    });
+
+    // Duplicate lookup at upload time: WHERE album_id = ? AND content_hash = ?
+    await queryInterface.addIndex('photos', ['album_id', 'content_hash'], {
+      name: 'idx_photos_album_content_hash',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('photos', 'idx_photos_album_content_hash');
+    await queryInterface.removeColumn('photos', 'content_hash');
+    await queryInterface.removeColumn('albums', 'duplicate_policy');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "duplicate_policy_enum"');
+  },
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Migration: Photo Perceptual Hash
+ *
+ * Adds photos.perceptual_hash — 64-bit dHash (16 hex chars) computed by the
+ * photo worker. Near-duplicate search compares hashes by Hamming distance in
+ * the application, scoped to a single album.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('photos', 'perceptual_hash', {
+      type: Sequelize.CHAR(16),
+      allowNull: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('photos', 'perceptual_hash');
+  },
+};
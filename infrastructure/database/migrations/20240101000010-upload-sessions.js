@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * Migration: Upload Sessions
+ *
+ * Resumable (chunked) uploads. Each session tracks one file being uploaded
+ * in pieces; chunks are staged through the storage provider and referenced
+ * from the `chunks` JSONB array until the session is completed or aborted:
+ *
+ *   [{ "index": 0, "offset": 0, "size": 5242880, "key": "uploads/staging/…" }, …]
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "upload_session_status_enum" AS ENUM ('active', 'completed', 'aborted')`
+    );
+
+    await queryInterface.createTable('upload_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      album_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'albums', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      filename: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      total_size: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+      },
+      received_bytes: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      checksum: {
+        type: Sequelize.CHAR(64),
+        allowNull: true,
+      },
+      chunks: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: '[]',
+      },
+      status: {
+        type: '"upload_session_status_enum"',
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: '{}',
+      },
+      photo_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'photos', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('upload_sessions', ['album_id', 'user_id'], {
+      name: 'idx_upload_sessions_album_user',
+    });
+    await queryInterface.addIndex('upload_sessions', ['status', 'expires_at'], {
+      name: 'idx_upload_sessions_expiry',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('upload_sessions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "upload_session_status_enum"');
+  },
+};
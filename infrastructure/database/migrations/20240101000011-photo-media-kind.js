@@ -0,0 +1,49 @@
+'use strict';
+
+/**
+ * Migration: Photo Media Kind
+ *
+ * Short video clips (MP4/MOV) are stored as photos rows so they share
+ * visibility, tags, comments and trash with photos:
+ *
+ *   kind         'photo' | 'video' (existing rows are photos)
+ *   duration_ms  clip length, from the moov atom
+ *   video_codec  e.g. h264, hevc — clients decide whether they can play it
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`CREATE TYPE "media_kind_enum" AS ENUM ('photo', 'video')`);
+
+    await queryInterface.addColumn('photos', 'kind', {
+      type: '"media_kind_enum"',
+      allowNull: false,
+      defaultValue: 'photo',
+    });
+
+    await queryInterface.addColumn('photos', 'duration_ms', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    await queryInterface.addColumn('photos', 'video_codec', {
+      type: Sequelize.STRING(50),
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex('photos', ['album_id', 'kind'], {
+      name: 'idx_photos_album_kind',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('photos', 'idx_photos_album_kind');
+    await queryInterface.removeColumn('photos', 'video_codec');
+    await queryInterface.removeColumn('photos', 'duration_ms');
+    await queryInterface.removeColumn('photos', 'kind');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "media_kind_enum"');
+  },
+};
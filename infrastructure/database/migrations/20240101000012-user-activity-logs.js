@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Migration: User Activity Logs
+ *
+ * Account-level events with no album (registration, login, password reset),
+ * written by the activity:log queue worker. album_activity_logs keeps album events.
+ *
+ * event_id is unique: it is assigned when the event is dispatched and doubles as
+ * the BullMQ job id, so a retried or redelivered job never writes a second row.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('user_activity_logs', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      event_id: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      type: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      metadata: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: '{}',
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('user_activity_logs', ['user_id', 'occurred_at'], {
+      name: 'idx_user_activity_logs_user_feed',
+    });
+    await queryInterface.addIndex('user_activity_logs', ['type'], {
+      name: 'idx_user_activity_logs_type',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_activity_logs');
+  },
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Migration: Email Deliveries
+ *
+ * One row per NOTIFICATION_EMAIL job, keyed by the BullMQ job id. Tracks the
+ * rendered template/locale, the transport's message id and the outcome of
+ * each attempt:
+ *
+ *   pending  not yet accepted (attempt running or retry scheduled)
+ *   sent     accepted by the transport — a redelivered job is not sent again
+ *   failed   out of attempts, or not retryable (unknown template, bad data)
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "email_delivery_status_enum" AS ENUM ('pending', 'sent', 'failed')`
+    );
+
+    await queryInterface.createTable('email_deliveries', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      job_id: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      job_name: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      template: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      locale: {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+      },
+      recipient: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      status: {
+        type: '"email_delivery_status_enum"',
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      transport: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      message_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('email_deliveries', ['status', 'created_at'], {
+      name: 'idx_email_deliveries_status',
+    });
+    await queryInterface.addIndex('email_deliveries', ['user_id'], {
+      name: 'idx_email_deliveries_user',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_deliveries');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "email_delivery_status_enum"');
+  },
+};
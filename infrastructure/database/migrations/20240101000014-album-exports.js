@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Migration: Album Exports
+ *
+ * One row per ZIP export request (POST /albums/:albumId/export). The
+ * ZIP_EXPORT worker packages the photos the requester could see at the time
+ * into a single archive in storage:
+ *
+ *   pending → processing → ready → expired   (ZIP deleted after retention)
+ *                        ↘ failed
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "export_status_enum" AS ENUM ('pending', 'processing', 'ready', 'failed', 'expired')`
+    );
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "export_variant_enum" AS ENUM ('original', 'large')`
+    );
+
+    await queryInterface.createTable('album_exports', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      album_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'albums', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      requested_by_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      status: {
+        type: '"export_status_enum"',
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      variant: {
+        type: '"export_variant_enum"',
+        allowNull: false,
+        defaultValue: 'original',
+      },
+      include_manifest: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      photo_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      skipped_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      size_bytes: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      storage_key: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('album_exports', ['album_id', 'requested_by_id', 'created_at'], {
+      name: 'idx_album_exports_album_requester',
+    });
+    await queryInterface.addIndex('album_exports', ['status', 'expires_at'], {
+      name: 'idx_album_exports_status_expires',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('album_exports');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "export_variant_enum"');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "export_status_enum"');
+  },
+};
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * Migration: Storage Deletion Failures
+ *
+ * Blobs of permanently deleted photos and albums are removed asynchronously
+ * by the STORAGE_CLEANUP worker. A key that still cannot be deleted after the
+ * job's last retry (or whose job could not be queued) is recorded here, so it
+ * can be retried later instead of silently leaking disk space.
+ *
+ * resource_id has no foreign key — the photo/album row is already gone.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('storage_deletion_failures', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      storage_key: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+      },
+      resource_type: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+      },
+      resource_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      job_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      resolved_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('storage_deletion_failures', ['resolved_at', 'created_at'], {
+      name: 'idx_storage_deletion_failures_open',
+    });
+    await queryInterface.addIndex('storage_deletion_failures', ['storage_key'], {
+      name: 'idx_storage_deletion_failures_key',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('storage_deletion_failures');
+  },
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Migration: Trash Retention
+ *
+ * Adds trash_pinned_at to albums and photos. Trashed rows are permanently
+ * deleted by the scheduled trash purge once deleted_at is older than
+ * TRASH_RETENTION_DAYS — unless the album owner pinned them.
+ *
+ * The partial indexes cover exactly the rows the purge scans for.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('albums', 'trash_pinned_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('photos', 'trash_pinned_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.sequelize.query(`
+      CREATE INDEX "idx_albums_trash_purge"
+      ON albums (deleted_at)
+      WHERE deleted_at IS NOT NULL AND trash_pinned_at IS NULL;
+    `);
+    await queryInterface.sequelize.query(`
+      CREATE INDEX "idx_photos_trash_purge"
+      ON photos (deleted_at)
+      WHERE deleted_at IS NOT NULL AND trash_pinned_at IS NULL;
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "idx_photos_trash_purge"');
+    await queryInterface.sequelize.query('DROP INDEX IF EXISTS "idx_albums_trash_purge"');
+    await queryInterface.removeColumn('photos', 'trash_pinned_at');
+    await queryInterface.removeColumn('albums', 'trash_pinned_at');
+  },
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * Migration: Storage Reconciliations
+ *
+ * One row per reconciliation run — scheduled, or requested by an admin via
+ * POST /admin/storage/reconcile. A run walks the storage provider and the
+ * key columns of photos / albums / users / album_exports / upload_sessions
+ * and records:
+ *
+ *   orphans   objects in storage no row points at
+ *   dangling  key columns pointing at objects that do not exist
+ *
+ *   pending → running → completed
+ *                     ↘ failed
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(
+      `CREATE TYPE "reconciliation_status_enum" AS ENUM ('pending', 'running', 'completed', 'failed')`
+    );
+
+    await queryInterface.createTable('storage_reconciliations', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      // Null for scheduled runs
+      requested_by_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+      },
+      status: {
+        type: '"reconciliation_status_enum"',
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      delete_orphans: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      repair_dangling: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      scanned_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      orphan_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      orphan_bytes: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      dangling_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      deleted_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      repaired_count: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      report: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('storage_reconciliations', ['status', 'created_at'], {
+      name: 'idx_storage_reconciliations_status',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('storage_reconciliations');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "reconciliation_status_enum"');
+  },
+};
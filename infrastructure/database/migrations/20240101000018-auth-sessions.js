@@ -0,0 +1,83 @@
+'use strict';
+
+/**
+ * Migration: Auth Sessions
+ *
+ * One row per login — the family of refresh tokens descending from it.
+ * Refresh tokens carry the session id (sid) and their own jti; only the
+ * current jti may be exchanged. /auth/refresh rotates it, and presenting a
+ * rotated-out jti again (a stolen token) revokes the whole session.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('auth_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      current_jti: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      previous_jti: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      rotated_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      revoked_reason: {
+        type: Sequelize.STRING(32),
+        allowNull: true,
+      },
+      ip_address: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      user_agent: {
+        type: Sequelize.STRING(500),
+        allowNull: true,
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      last_used_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+      updated_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('auth_sessions', ['user_id', 'revoked_at', 'expires_at'], {
+      name: 'idx_auth_sessions_user_active',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('auth_sessions');
+  },
+};
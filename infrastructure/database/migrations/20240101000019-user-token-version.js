@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Migration: User Token Version
+ *
+ * Adds token_version to users. Access tokens carry the version they were
+ * issued with (ver claim); the User model bumps it whenever the password,
+ * status or system role changes, and the authenticate middleware rejects
+ * tokens whose ver no longer matches.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'token_version', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'token_version');
+  },
+};
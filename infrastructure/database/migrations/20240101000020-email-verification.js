@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Migration: Email Verification
+ *
+ * Creates email_verification_tokens.
+ *
+ * Email registrations start as pending_verification; the emailed token moves
+ * the user to active and sets users.email_verified_at (POST /auth/verify-email).
+ * Like password reset tokens, only the SHA256 hash is stored. email records the
+ * address the token was sent to — a token does not verify an address the user
+ * has since changed.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('email_verification_tokens', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      requested_from_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('email_verification_tokens', ['user_id', 'used_at', 'expires_at'], {
+      name: 'idx_evt_user_validity',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('email_verification_tokens');
+  },
+};
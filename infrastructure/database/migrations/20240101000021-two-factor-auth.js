@@ -0,0 +1,72 @@
+'use strict';
+
+/**
+ * Migration: Two-Factor Authentication
+ *
+ * users:
+ *   two_factor_secret      TOTP secret, AES-256-GCM encrypted (set by setup,
+ *                          kept while enabled)
+ *   two_factor_enabled_at  set once the first code is confirmed
+ *   two_factor_last_step   time step of the last accepted code — a code is
+ *                          never accepted twice
+ *
+ * two_factor_recovery_codes: single-use codes (SHA256 hashes only), issued
+ * when 2FA is enabled.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('users', 'two_factor_last_step', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable('two_factor_recovery_codes', {
+      id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        defaultValue: Sequelize.UUIDV4,
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      code_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+      },
+      used_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    await queryInterface.addIndex('two_factor_recovery_codes', ['user_id', 'code_hash'], {
+      name: 'idx_2fa_recovery_codes_user_hash',
+      unique: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('two_factor_recovery_codes');
+    await queryInterface.removeColumn('users', 'two_factor_last_step');
+    await queryInterface.removeColumn('users', 'two_factor_enabled_at');
+    await queryInterface.removeColumn('users', 'two_factor_secret');
+  },
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Migration: Photo Similarities
+ *
+ * Creates photo_similarities — one row per pair of photos in the same album
+ * whose perceptual hashes are within Hamming distance 16 (MAX_STORED_DISTANCE
+ * in shared/utils/perceptualHash). The photo worker maintains the rows when it
+ * writes a hash, so near-duplicate queries read stored links instead of
+ * comparing every pair of photos per request.
+ *
+ * Each pair is stored once: photo_id < similar_photo_id.
+ *
+ * Existing hashes are backfilled here. The distance is counted on bit(64)
+ * values (no bit_count(), which needs PostgreSQL 14).
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+const MAX_STORED_DISTANCE = 16;
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('photo_similarities', {
+      photo_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'photos', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      similar_photo_id: {
+        type: Sequelize.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'photos', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      album_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: { model: 'albums', key: 'id' },
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE',
+      },
+      distance: {
+        type: Sequelize.SMALLINT,
+        allowNull: false,
+      },
+      created_at: { type: Sequelize.DATE, allowNull: false, defaultValue: Sequelize.NOW },
+    });
+
+    // Album duplicate groups: WHERE album_id = ? AND distance <= ?
+    await queryInterface.addIndex('photo_similarities', ['album_id', 'distance'], {
+      name: 'idx_photo_similarities_album_distance',
+    });
+    // Similar photos / re-indexing: WHERE photo_id = ? OR similar_photo_id = ?
+    await queryInterface.addIndex('photo_similarities', ['similar_photo_id'], {
+      name: 'idx_photo_similarities_similar_photo',
+    });
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO photo_similarities (photo_id, similar_photo_id, album_id, distance, created_at)
+      SELECT a.id, b.id, a.album_id, d.distance, NOW()
+      FROM photos a
+      JOIN photos b ON b.album_id = a.album_id AND a.id < b.id
+      CROSS JOIN LATERAL (
+        SELECT length(replace(
+          (('x' || a.perceptual_hash)::bit(64) # ('x' || b.perceptual_hash)::bit(64))::text, '0', ''
+        )) AS distance
+      ) d
+      WHERE a.perceptual_hash IS NOT NULL
+        AND b.perceptual_hash IS NOT NULL
+        AND d.distance <= ${MAX_STORED_DISTANCE}
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('photo_similarities');
+  },
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Migration: Upload Session Completing / Expired
+ *
+ * Adds two upload_session_status_enum values:
+ *  - completing : a complete request has claimed the session (only one can)
+ *  - expired    : past expires_at; staged chunks removed by the
+ *                 EXPIRE_UPLOAD_SESSIONS maintenance job
+ *
+ * Postgres cannot drop enum values, so Undo recreates the type; completing
+ * sessions go back to active and expired ones become aborted.
+ *
+ * Run:  npx sequelize-cli db:migrate
+ * Undo: npx sequelize-cli db:migrate:undo
+ */
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "upload_session_status_enum" ADD VALUE IF NOT EXISTS 'completing'`
+    );
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "upload_session_status_enum" ADD VALUE IF NOT EXISTS 'expired'`
+    );
+  },
+
+  async down(queryInterface) {
+    const { sequelize } = queryInterface;
+    await sequelize.transaction(async (transaction) => {
+      const run = (sql) => sequelize.query(sql, { transaction });
+
+      await run(`UPDATE upload_sessions SET status = 'active' WHERE status = 'completing'`);
+      await run(`UPDATE upload_sessions SET status = 'aborted' WHERE status = 'expired'`);
+      await run(`ALTER TABLE upload_sessions ALTER COLUMN status DROP DEFAULT`);
+      await run(`ALTER TYPE "upload_session_status_enum" RENAME TO "upload_session_status_enum_old"`);
+      await run(`CREATE TYPE "upload_session_status_enum" AS ENUM ('active', 'completed', 'aborted')`);
+      await run(
+        `ALTER TABLE upload_sessions ALTER COLUMN status TYPE "upload_session_status_enum" ` +
+          `USING status::text::"upload_session_status_enum"`
+      );
+      await run(`ALTER TABLE upload_sessions ALTER COLUMN status SET DEFAULT 'active'`);
+      await run(`DROP TYPE "upload_session_status_enum_old"`);
+    });
+  },
+};
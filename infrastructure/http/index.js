@@ -63,8 +63,8 @@ const createExpressApp = () => {
         callback(new Error(`CORS: Origin "${origin}" not allowed`));
       },
       methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-      exposedHeaders: ['X-Request-ID', 'X-RateLimit-Remaining'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'Upload-Offset'],
+      exposedHeaders: ['X-Request-ID', 'X-RateLimit-Remaining', 'Upload-Offset'],
       credentials: true,
       maxAge: 86400, // Pre-flight cache: 24h
     })
@@ -115,6 +115,12 @@ const createExpressApp = () => {
     );
   }
 
+  // ── In-memory uploads (tests / ephemeral environments) ───────────────────
+  if (config.upload.provider === 'memory') {
+    const { storageProvider } = require('../upload');
+    app.use('/uploads', storageProvider.createRequestHandler());
+  }
+
   return app;
 };
 
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Mail Infrastructure — Transport Abstraction Layer
+ *
+ * Architecture:
+ *  MailTransport (abstract interface)
+ *    └── SmtpMailTransport    (any SMTP server — provider relay, or a local sink
+ *                              such as Mailpit/MailHog in development)
+ *    └── FileMailTransport    (writes each message as an .eml file — dev and tests)
+ *    └── ConsoleMailTransport (logs the message — default for development)
+ *
+ * Every transport builds the same RFC 5322 message through nodemailer, so what
+ * the file/console transports show is exactly what SMTP would deliver.
+ * Templates, localisation and delivery tracking live in modules/notification.
+ *
+ * Transport is selected at startup via config.mail.transport.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+const logger = require('../logger');
+
+// ── MailTransport Interface ────────────────────────────────────────────────
+class MailTransport {
+  /**
+   * Send one message.
+   * @param {object} message
+   * @param {string} message.to
+   * @param {string} message.subject
+   * @param {string} message.text
+   * @param {string} message.html
+   * @param {string} [message.from] - Defaults to config.mail.from
+   * @param {object} [message.headers]
+   * @returns {Promise<{ messageId: string, accepted: string[], rejected: string[], location?: string }>}
+   */
+  async send(message) {
+    throw new Error('MailTransport.send() must be implemented by subclass');
+  }
+
+  /**
+   * Name recorded with each delivery (e.g. 'smtp').
+   */
+  get name() {
+    throw new Error('MailTransport.name must be implemented by subclass');
+  }
+
+  _withDefaults(message) {
+    return { from: config.mail.from, ...message };
+  }
+}
+
+// ── SMTP Transport ─────────────────────────────────────────────────────────
+class SmtpMailTransport extends MailTransport {
+  constructor() {
+    super();
+    const { host, port, secure, user, password } = config.mail.smtp;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass: password } }),
+    });
+    logger.info('[Mail] SMTP transport initialized', { host, port, secure });
+  }
+
+  get name() {
+    return 'smtp';
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(this._withDefaults(message));
+    // Servers may accept the envelope while refusing some recipients
+    if (info.accepted.length === 0) {
+      throw new Error(`SMTP server rejected all recipients: ${info.rejected.join(', ')}`);
+    }
+    return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+  }
+}
+
+// ── Stream-based transports (file / console) ───────────────────────────────
+/**
+ * Builds the raw message without sending it anywhere.
+ */
+class BufferedMailTransport extends MailTransport {
+  constructor() {
+    super();
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async _build(message) {
+    const info = await this.transporter.sendMail(this._withDefaults(message));
+    const recipients = info.envelope.to;
+    return { info, raw: info.message, recipients };
+  }
+}
+
+class FileMailTransport extends BufferedMailTransport {
+  constructor() {
+    super();
+    this.dir = path.resolve(config.mail.fileDir);
+    fs.ensureDirSync(this.dir);
+    logger.info('[Mail] File transport initialized', { dir: this.dir });
+  }
+
+  get name() {
+    return 'file';
+  }
+
+  async send(message) {
+    const { info, raw, recipients } = await this._build(message);
+    const location = path.join(this.dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+    await fs.writeFile(location, raw);
+    logger.debug('[Mail] Message written', { location, to: recipients });
+    return { messageId: info.messageId, accepted: recipients, rejected: [], location };
+  }
+}
+
+class ConsoleMailTransport extends BufferedMailTransport {
+  constructor() {
+    super();
+    logger.info('[Mail] Console transport initialized — emails are logged, not sent');
+  }
+
+  get name() {
+    return 'console';
+  }
+
+  async send(message) {
+    const { info, recipients } = await this._build(message);
+    logger.info('[Mail] Email (console transport)', {
+      messageId: info.messageId,
+      to: recipients,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { messageId: info.messageId, accepted: recipients, rejected: [] };
+  }
+}
+
+// ── Transport Factory ──────────────────────────────────────────────────────
+const createMailTransport = () => {
+  const transport = config.mail.transport;
+  switch (transport) {
+    case 'smtp':
+      return new SmtpMailTransport();
+    case 'file':
+      return new FileMailTransport();
+    case 'console':
+      return new ConsoleMailTransport();
+    default:
+      throw new Error(`[Mail] Unknown mail transport: "${transport}". Use 'smtp', 'file' or 'console'.`);
+  }
+};
+
+const mailTransport = createMailTransport();
+
+module.exports = {
+  mailTransport,
+  MailTransport,
+  SmtpMailTransport,
+  FileMailTransport,
+  ConsoleMailTransport,
+  createMailTransport,
+};
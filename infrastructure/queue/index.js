@@ -18,7 +18,10 @@ const config = require('../../config');
  *  - photo:processing   → Resize, compress, generate thumbnails
  *  - notification:email → Send transactional emails
  *  - activity:log       → Persist domain event activity records
- *  - zip:export         → Album ZIP download packaging (future)
+ *  - zip:export         → Album ZIP download packaging
+ *  - storage:cleanup    → Delete blobs of permanently deleted photos/albums
+ *  - system:maintenance → Housekeeping: trash purge, storage reconciliation,
+ *                         bulk photo reprocessing
  */
 
 // ── Queue Name Constants ───────────────────────────────────────────────────
@@ -27,6 +30,8 @@ const QUEUE_NAMES = Object.freeze({
   NOTIFICATION_EMAIL: 'notification:email',
   ACTIVITY_LOG: 'activity:log',
   ZIP_EXPORT: 'zip:export',
+  STORAGE_CLEANUP: 'storage:cleanup',
+  MAINTENANCE: 'system:maintenance',
 });
 
 // ── Default Job Options ────────────────────────────────────────────────────
@@ -169,6 +174,33 @@ const dispatch = async (queueName, jobName, data, options = {}) => {
   return job;
 };
 
+/**
+ * Register a repeatable job on a cron pattern. Safe to call on every boot:
+ * BullMQ dedupes identical schedules, and schedules of the same job with a
+ * different pattern (left over from a config change) are removed first.
+ *
+ * Usage:
+ *   await schedule(QUEUE_NAMES.MAINTENANCE, JOB_NAMES.PURGE_TRASH, {}, '0 3 * * *');
+ */
+const schedule = async (queueName, jobName, data, pattern, options = {}) => {
+  const queue = getQueue(queueName);
+
+  const existing = await queue.getRepeatableJobs();
+  for (const repeatable of existing) {
+    if (repeatable.name === jobName && repeatable.pattern !== pattern) {
+      await queue.removeRepeatableByKey(repeatable.key);
+    }
+  }
+
+  const job = await queue.add(jobName, data, {
+    ...defaultJobOptions,
+    ...options,
+    repeat: { pattern },
+  });
+  logger.info(`[Queue] Job scheduled`, { queue: queueName, jobName, pattern });
+  return job;
+};
+
 // ── Graceful Shutdown ──────────────────────────────────────────────────────
 const shutdown = async () => {
   logger.info('[Queue] Shutting down workers...');
@@ -207,6 +239,7 @@ module.exports = {
   registerWorker,
   observeQueue,
   dispatch,
+  schedule,
   shutdown,
   getHealthStatus,
   initQueues,
@@ -5,8 +5,9 @@
  *
  * Architecture:
  *  StorageProvider (abstract interface)
- *    └── LocalStorageStrategy  (current implementation)
- *    └── S3StorageStrategy     (future — drop-in replacement)
+ *    └── LocalStorageStrategy  (filesystem, served via express.static)
+ *    └── S3StorageStrategy     (AWS S3 or any S3-compatible endpoint, e.g. MinIO)
+ *    └── MemoryStorageStrategy (process-local Map — tests and ephemeral environments)
  *
  * The rest of the system interacts only with the StorageProvider interface.
  * Switching from local to S3 requires zero changes outside this file.
@@ -15,6 +16,7 @@
  */
 
 const path = require('path');
+const { Readable } = require('stream');
 const fs = require('fs-extra');
 const crypto = require('crypto');
 const multer = require('multer');
@@ -39,6 +41,19 @@ class StorageProvider {
     throw new Error('StorageProvider.save() must be implemented by subclass');
   }
 
+  /**
+   * Save a file from local disk without loading it into memory
+   * (e.g. a generated archive).
+   * @param {string} filePath - Absolute path of the source file
+   * @param {string} filename - Desired storage filename (already sanitized)
+   * @param {string} mimeType
+   * @param {string} folder
+   * @returns {Promise<{url: string, key: string, size: number}>}
+   */
+  async saveFile(filePath, filename, mimeType, folder) {
+    throw new Error('StorageProvider.saveFile() must be implemented by subclass');
+  }
+
   /**
    * Delete a file from storage by its storage key.
    * @param {string} key - Storage key returned from save()
@@ -58,6 +73,37 @@ class StorageProvider {
     throw new Error('StorageProvider.getUrl() must be implemented by subclass');
   }
 
+  /**
+   * Stable (unsigned) URL for a key — what save() returns as `url`.
+   * Used when an object was written without going through save()
+   * (e.g. direct client uploads).
+   * @param {string} key
+   * @returns {string}
+   */
+  getPublicUrl(key) {
+    throw new Error('StorageProvider.getPublicUrl() must be implemented by subclass');
+  }
+
+  /**
+   * Whether clients can upload straight to storage via createUploadUrl().
+   */
+  get supportsDirectUpload() {
+    return false;
+  }
+
+  /**
+   * Reserve a key and return a time-limited URL the client can PUT the file to.
+   * Only providers with supportsDirectUpload implement this.
+   * @param {string} folder
+   * @param {string} filename
+   * @param {string} mimeType
+   * @param {object} options - { size (bytes, signed into the request), expiresInSeconds }
+   * @returns {Promise<{ url: string, key: string, method: string, headers: object, expiresAt: Date }>}
+   */
+  async createUploadUrl(folder, filename, mimeType, options = {}) {
+    throw new Error(`${this.constructor.name} does not support direct uploads`);
+  }
+
   /**
    * Check if a file exists.
    * @param {string} key
@@ -66,8 +112,78 @@ class StorageProvider {
   async exists(key) {
     throw new Error('StorageProvider.exists() must be implemented by subclass');
   }
+
+  /**
+   * Size of a stored file.
+   * Rejects with code STORAGE_NOT_FOUND if the key does not exist.
+   * @param {string} key
+   * @returns {Promise<number>} Bytes
+   */
+  async getSize(key) {
+    throw new Error('StorageProvider.getSize() must be implemented by subclass');
+  }
+
+  /**
+   * Open a readable stream for a stored file.
+   * Rejects with code STORAGE_NOT_FOUND if the key does not exist.
+   * @param {string} key
+   * @param {{ start: number, end: number }} [range] - Inclusive byte range (HTTP Range semantics)
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async getStream(key, range) {
+    throw new Error('StorageProvider.getStream() must be implemented by subclass');
+  }
+
+  /**
+   * Enumerate stored objects whose key starts with prefix.
+   * Order is provider-defined; callers must not rely on it.
+   * @param {string} prefix - e.g. 'photos/'
+   * @returns {AsyncIterable<{ key: string, size: number, lastModified: Date }>}
+   */
+  list(prefix) {
+    throw new Error('StorageProvider.list() must be implemented by subclass');
+  }
+
+  /**
+   * Read a stored file fully into memory.
+   * Default implementation drains getStream(); strategies may override
+   * with a cheaper native read.
+   * @param {string} key
+   * @returns {Promise<Buffer>}
+   */
+  async getBuffer(key) {
+    const stream = await this.getStream(key);
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Generate a unique, safe storage key.
+   * Format: <folder>/<timestamp>-<randomhex>.<ext>
+   * Always uses forward slashes so keys are portable across providers.
+   */
+  _generateStorageKey(folder, originalFilename) {
+    const ext = path.extname(originalFilename).toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const randomPart = crypto.randomBytes(12).toString('hex');
+    const timestamp = Date.now();
+    return path.posix.join(folder, `${timestamp}-${randomPart}${ext}`);
+  }
 }
 
+/**
+ * Error thrown by read methods when the requested key does not exist.
+ * Shaped like the multer errors below (code + status) so the global
+ * error handler can translate it without importing this module.
+ */
+const storageNotFoundError = (key) =>
+  Object.assign(new Error(`Storage object not found: "${key}"`), {
+    code: 'STORAGE_NOT_FOUND',
+    status: 404,
+  });
+
 // ── Local Storage Strategy ─────────────────────────────────────────────────
 class LocalStorageStrategy extends StorageProvider {
   constructor() {
@@ -82,17 +198,6 @@ class LocalStorageStrategy extends StorageProvider {
     logger.info('[Upload] Local storage initialized', { basePath: this.basePath });
   }
 
-  /**
-   * Generate a unique, safe filename.
-   * Format: <timestamp>-<randomhex>.<ext>
-   */
-  _generateStorageKey(folder, originalFilename) {
-    const ext = path.extname(originalFilename).toLowerCase().replace(/[^a-z0-9.]/g, '');
-    const randomPart = crypto.randomBytes(12).toString('hex');
-    const timestamp = Date.now();
-    return path.join(folder, `${timestamp}-${randomPart}${ext}`);
-  }
-
   async save(buffer, filename, mimeType, folder = 'uploads') {
     const key = this._generateStorageKey(folder, filename);
     const fullPath = path.join(this.basePath, key);
@@ -112,6 +217,24 @@ class LocalStorageStrategy extends StorageProvider {
     };
   }
 
+  async saveFile(filePath, filename, mimeType, folder = 'uploads') {
+    const key = this._generateStorageKey(folder, filename);
+    const fullPath = path.join(this.basePath, key);
+
+    await fs.ensureDir(path.dirname(fullPath));
+    await fs.copy(filePath, fullPath);
+    const { size } = await fs.stat(fullPath);
+
+    logger.debug('[Upload] File copied to local storage', { key, size });
+
+    return {
+      url: this.getPublicUrl(key),
+      key,
+      size,
+      mimeType,
+    };
+  }
+
   async delete(key) {
     const fullPath = path.join(this.basePath, key);
     try {
@@ -119,12 +242,15 @@ class LocalStorageStrategy extends StorageProvider {
       logger.debug('[Upload] File deleted locally', { key });
     } catch (err) {
       if (err.code !== 'ENOENT') throw err;
-      
     }
   }
 
   async getUrl(key) {
     // Local files are served as static assets — URL is fixed, no signing needed
+    return this.getPublicUrl(key);
+  }
+
+  getPublicUrl(key) {
     return `${this.baseUrl}/${key.replace(/\\/g, '/')}`;
   }
 
@@ -132,40 +258,462 @@ class LocalStorageStrategy extends StorageProvider {
     const fullPath = path.join(this.basePath, key);
     return fs.pathExists(fullPath);
   }
+
+  async getSize(key) {
+    try {
+      const { size } = await fs.stat(path.join(this.basePath, key));
+      return size;
+    } catch (err) {
+      if (err.code === 'ENOENT') throw storageNotFoundError(key);
+      throw err;
+    }
+  }
+
+  /**
+   * Walk the directory tree under basePath. A prefix that is not a whole
+   * directory ('photos/17') is matched against the keys found under its
+   * parent directory.
+   */
+  async *list(prefix = '') {
+    const startDir = path.join(this.basePath, prefix.endsWith('/') ? prefix : path.posix.dirname(prefix));
+    const pending = [startDir];
+
+    while (pending.length > 0) {
+      const dir = pending.pop();
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+
+      for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          pending.push(fullPath);
+          continue;
+        }
+        if (!entry.isFile()) continue;
+
+        const key = path.relative(this.basePath, fullPath).split(path.sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const { size, mtime } = await fs.stat(fullPath);
+        yield { key, size, lastModified: mtime };
+      }
+    }
+  }
+
+  /**
+   * Open a readable stream for a stored file.
+   * @param {string} key
+   * @param {{ start: number, end: number }} [range] - Inclusive byte range
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async getStream(key, range) {
+    const fullPath = path.join(this.basePath, key);
+    if (!(await fs.pathExists(fullPath))) throw storageNotFoundError(key);
+    return fs.createReadStream(fullPath, range ? { start: range.start, end: range.end } : undefined);
+  }
+
+  /**
+   * Read a stored file fully into memory.
+   * @param {string} key
+   * @returns {Promise<Buffer>}
+   */
+  async getBuffer(key) {
+    const fullPath = path.join(this.basePath, key);
+    try {
+      return await fs.readFile(fullPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') throw storageNotFoundError(key);
+      throw err;
+    }
+  }
 }
 
-// ── S3 Storage Strategy (Scaffold — future implementation) ─────────────────
+// ── S3 Storage Strategy ────────────────────────────────────────────────────
+/**
+ * Works against AWS S3 and any S3-compatible endpoint (MinIO, R2, Spaces).
+ *
+ * Local MinIO example:
+ *   STORAGE_PROVIDER=s3
+ *   AWS_S3_ENDPOINT=http://localhost:9000
+ *   AWS_S3_FORCE_PATH_STYLE=true
+ *   AWS_S3_BUCKET=album-dev
+ *   AWS_ACCESS_KEY_ID=minioadmin
+ *   AWS_SECRET_ACCESS_KEY=minioadmin
+ *
+ * Object URLs:
+ *  - save() returns a stable URL (AWS_S3_PUBLIC_URL if set, else endpoint/bucket)
+ *  - getUrl() always returns a pre-signed GET URL (works for private buckets)
+ *  - createUploadUrl() returns a pre-signed PUT URL for direct client uploads;
+ *    the bucket needs a CORS rule allowing PUT from the web app's origin
+ */
 class S3StorageStrategy extends StorageProvider {
   constructor() {
     super();
-    // AWS SDK v3 will be initialized here when needed
-    // const { S3Client } = require('@aws-sdk/client-s3');
-    // this.client = new S3Client({ region: config.upload.s3.region, ... });
-    // this.bucket = config.upload.s3.bucket;
-    logger.info('[Upload] S3 storage strategy selected (scaffold)');
+    const { S3Client } = require('@aws-sdk/client-s3');
+    const s3Config = config.upload.s3;
+
+    if (!s3Config.bucket) {
+      throw new Error('[Upload] AWS_S3_BUCKET is required when STORAGE_PROVIDER=s3');
+    }
+
+    this.bucket = s3Config.bucket;
+    this.region = s3Config.region;
+    this.endpoint = s3Config.endpoint ? s3Config.endpoint.replace(/\/+$/, '') : null;
+    this.forcePathStyle = s3Config.forcePathStyle;
+    this.publicBaseUrl = s3Config.publicBaseUrl ? s3Config.publicBaseUrl.replace(/\/+$/, '') : null;
+    this.defaultExpiresIn = s3Config.signedUrlExpiresIn;
+
+    this.client = new S3Client({
+      region: this.region,
+      ...(this.endpoint && { endpoint: this.endpoint }),
+      forcePathStyle: this.forcePathStyle,
+      // Otherwise pre-signed PUTs embed a checksum of the (empty) request body
+      requestChecksumCalculation: 'WHEN_REQUIRED',
+      // Fall back to the SDK default credential chain (IAM role, env, profile)
+      ...(s3Config.accessKeyId && {
+        credentials: {
+          accessKeyId: s3Config.accessKeyId,
+          secretAccessKey: s3Config.secretAccessKey,
+        },
+      }),
+    });
+
+    logger.info('[Upload] S3 storage initialized', {
+      bucket: this.bucket,
+      region: this.region,
+      endpoint: this.endpoint || 'aws',
+      forcePathStyle: this.forcePathStyle,
+    });
+  }
+
+  /**
+   * Stable (unsigned) URL for an object. Only publicly readable if the
+   * bucket/CDN allows it — use getUrl() for time-limited private access.
+   */
+  _objectUrl(key) {
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    if (this.publicBaseUrl) return `${this.publicBaseUrl}/${encodedKey}`;
+    if (this.endpoint) {
+      if (this.forcePathStyle) return `${this.endpoint}/${this.bucket}/${encodedKey}`;
+      const { protocol, host } = new URL(this.endpoint);
+      return `${protocol}//${this.bucket}.${host}/${encodedKey}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${encodedKey}`;
+  }
+
+  getPublicUrl(key) {
+    return this._objectUrl(key);
+  }
+
+  get supportsDirectUpload() {
+    return true;
+  }
+
+  /**
+   * Pre-signed PUT. Content-Type and Content-Length are part of the signature,
+   * so the client must send exactly the declared type and size.
+   */
+  async createUploadUrl(folder, filename, mimeType, { size, expiresInSeconds = this.defaultExpiresIn } = {}) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    const key = this._generateStorageKey(folder, filename);
+
+    const url = await getSignedUrl(
+      this.client,
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ContentType: mimeType,
+        ...(size && { ContentLength: size }),
+      }),
+      { expiresIn: expiresInSeconds, signableHeaders: new Set(['content-type', 'content-length']) }
+    );
+
+    return {
+      url,
+      key,
+      method: 'PUT',
+      headers: { 'Content-Type': mimeType },
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    };
+  }
+
+  _isNotFound(err) {
+    return (
+      err.name === 'NotFound' ||
+      err.name === 'NoSuchKey' ||
+      err.$metadata?.httpStatusCode === 404
+    );
+  }
+
+  async save(buffer, filename, mimeType, folder = 'uploads') {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    const key = this._generateStorageKey(folder, filename);
+
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType,
+        ContentLength: buffer.length,
+      })
+    );
+
+    logger.debug('[Upload] File saved to S3', { key, size: buffer.length });
+
+    return {
+      url: this._objectUrl(key),
+      key,
+      size: buffer.length,
+      mimeType,
+    };
+  }
+
+  /**
+   * Streams the file in a single PUT (S3 caps single PUTs at 5 GB).
+   */
+  async saveFile(filePath, filename, mimeType, folder = 'uploads') {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    const key = this._generateStorageKey(folder, filename);
+    const { size } = await fs.stat(filePath);
+
+    await this.client.send(
+      new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentType: mimeType,
+        ContentLength: size,
+      })
+    );
+
+    logger.debug('[Upload] File streamed to S3', { key, size });
+
+    return {
+      url: this._objectUrl(key),
+      key,
+      size,
+      mimeType,
+    };
+  }
+
+  async delete(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    // S3 DELETE is idempotent — missing keys do not error
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+    logger.debug('[Upload] File deleted from S3', { key });
+  }
+
+  async getUrl(key, expiresInSeconds = this.defaultExpiresIn) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn: expiresInSeconds }
+    );
+  }
+
+  async exists(key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+      await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return true;
+    } catch (err) {
+      if (this._isNotFound(err)) return false;
+      throw err;
+    }
+  }
+
+  async getSize(key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+      const response = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: key }));
+      return response.ContentLength;
+    } catch (err) {
+      if (this._isNotFound(err)) throw storageNotFoundError(key);
+      throw err;
+    }
+  }
+
+  /**
+   * Open a readable stream for a stored object.
+   * @param {string} key
+   * @param {{ start: number, end: number }} [range] - Inclusive byte range, sent as an S3 Range header
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async getStream(key, range) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    try {
+      const response = await this.client.send(
+        new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+          ...(range && { Range: `bytes=${range.start}-${range.end}` }),
+        })
+      );
+      return response.Body;
+    } catch (err) {
+      if (this._isNotFound(err)) throw storageNotFoundError(key);
+      throw err;
+    }
+  }
+
+  /**
+   * ListObjectsV2, following continuation tokens (1000 keys per page).
+   */
+  async *list(prefix = '') {
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+      for (const object of response.Contents || []) {
+        yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+      }
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  /**
+   * Download a stored object fully into memory.
+   * @param {string} key
+   * @returns {Promise<Buffer>}
+   */
+  async getBuffer(key) {
+    const body = await this.getStream(key);
+    return Buffer.from(await body.transformToByteArray());
+  }
+}
+
+// ── Memory Storage Strategy ────────────────────────────────────────────────
+/**
+ * Keeps blobs in a process-local Map. Nothing touches disk or the network,
+ * so upload → processing → purge flows can be exercised in integration tests.
+ *
+ * Contents are lost on restart and are NOT shared between processes —
+ * never use this where API nodes and workers run separately.
+ *
+ * Files are served under the same base URL as local storage via
+ * createRequestHandler(), mounted in infrastructure/http.
+ */
+class MemoryStorageStrategy extends StorageProvider {
+  constructor() {
+    super();
+    this.baseUrl = config.upload.local.baseUrl;
+    this.objects = new Map(); // key → { buffer, mimeType, createdAt }
+    logger.info('[Upload] In-memory storage initialized (non-persistent)');
   }
 
   async save(buffer, filename, mimeType, folder = 'uploads') {
-    // const { PutObjectCommand } = require('@aws-sdk/client-s3');
-    // const key = `${folder}/${Date.now()}-${crypto.randomBytes(12).toString('hex')}`;
-    // await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: key, Body: buffer, ContentType: mimeType }));
-    // return { url: `https://${this.bucket}.s3.amazonaws.com/${key}`, key, size: buffer.length, mimeType };
-    throw new Error('S3StorageStrategy.save() not yet implemented. Set STORAGE_PROVIDER=local.');
+    const key = this._generateStorageKey(folder, filename);
+    // Copy so later mutation of the caller's buffer cannot change stored data
+    this.objects.set(key, { buffer: Buffer.from(buffer), mimeType, createdAt: new Date() });
+
+    logger.debug('[Upload] File saved in memory', { key, size: buffer.length });
+
+    return {
+      url: `${this.baseUrl}/${key}`,
+      key,
+      size: buffer.length,
+      mimeType,
+    };
+  }
+
+  async saveFile(filePath, filename, mimeType, folder = 'uploads') {
+    return this.save(await fs.readFile(filePath), filename, mimeType, folder);
   }
 
   async delete(key) {
-    throw new Error('S3StorageStrategy.delete() not yet implemented.');
+    this.objects.delete(key);
+    logger.debug('[Upload] File deleted from memory', { key });
   }
 
-  async getUrl(key, expiresInSeconds = 3600) {
-    // const { GetObjectCommand } = require('@aws-sdk/client-s3');
-    // const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-    // return await getSignedUrl(this.client, new GetObjectCommand({ Bucket: this.bucket, Key: key }), { expiresIn: expiresInSeconds });
-    throw new Error('S3StorageStrategy.getUrl() not yet implemented.');
+  async getUrl(key) {
+    return this.getPublicUrl(key);
+  }
+
+  getPublicUrl(key) {
+    return `${this.baseUrl}/${key}`;
   }
 
   async exists(key) {
-    throw new Error('S3StorageStrategy.exists() not yet implemented.');
+    return this.objects.has(key);
+  }
+
+  async getSize(key) {
+    const entry = this.objects.get(key);
+    if (!entry) throw storageNotFoundError(key);
+    return entry.buffer.length;
+  }
+
+  async *list(prefix = '') {
+    // Snapshot first — callers may delete while iterating
+    const entries = [...this.objects.entries()].filter(([key]) => key.startsWith(prefix));
+    for (const [key, entry] of entries) {
+      yield { key, size: entry.buffer.length, lastModified: entry.createdAt };
+    }
+  }
+
+  async getStream(key, range) {
+    const entry = this.objects.get(key);
+    if (!entry) throw storageNotFoundError(key);
+    return Readable.from(range ? entry.buffer.subarray(range.start, range.end + 1) : entry.buffer);
+  }
+
+  async getBuffer(key) {
+    const entry = this.objects.get(key);
+    if (!entry) throw storageNotFoundError(key);
+    return Buffer.from(entry.buffer);
+  }
+
+  /**
+   * Remove every stored object. Intended for test teardown.
+   */
+  clear() {
+    this.objects.clear();
+  }
+
+  /**
+   * Express handler that serves stored objects by key.
+   * Unknown keys fall through to the next handler (404).
+   *
+   * Usage:
+   *   app.use('/uploads', storageProvider.createRequestHandler());
+   */
+  createRequestHandler() {
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+      let key;
+      try {
+        key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+      } catch {
+        return next();
+      }
+
+      const entry = this.objects.get(key);
+      if (!entry) return next();
+
+      res.set({
+        'Content-Type': entry.mimeType || 'application/octet-stream',
+        'Content-Length': entry.buffer.length,
+        'Last-Modified': entry.createdAt.toUTCString(),
+        'Cache-Control': 'no-store',
+      });
+      return req.method === 'HEAD' ? res.end() : res.end(entry.buffer);
+    };
   }
 }
 
@@ -177,8 +725,12 @@ const createStorageProvider = () => {
       return new LocalStorageStrategy();
     case 's3':
       return new S3StorageStrategy();
+    case 'memory':
+      return new MemoryStorageStrategy();
     default:
-      throw new Error(`[Upload] Unknown storage provider: "${provider}". Use 'local' or 's3'.`);
+      throw new Error(
+        `[Upload] Unknown storage provider: "${provider}". Use 'local', 's3' or 'memory'.`
+      );
   }
 };
 
@@ -200,8 +752,10 @@ const createUploadMiddleware = (options = {}) => {
 
   const storage = multer.memoryStorage();
 
+  // allowedTypes: null accepts any declared type — for routes that validate
+  // file contents themselves (photo uploads sniff magic bytes per file)
   const fileFilter = (req, file, cb) => {
-    if (!allowedTypes.includes(file.mimetype)) {
+    if (allowedTypes && !allowedTypes.includes(file.mimetype)) {
       return cb(
         Object.assign(new Error(`File type "${file.mimetype}" is not allowed.`), {
           code: 'INVALID_FILE_TYPE',
@@ -228,5 +782,7 @@ module.exports = {
   StorageProvider,
   LocalStorageStrategy,
   S3StorageStrategy,
+  MemoryStorageStrategy,
+  createStorageProvider,
   createUploadMiddleware,
 };
\ No newline at end of file
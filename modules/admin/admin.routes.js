@@ -0,0 +1,97 @@
+'use strict';
+
+const { Router } = require('express');
+const adminController = require('./controller/admin.controller');
+const { authenticate, requireRole } = require('../../shared/middleware/authenticate');
+const { validate } = require('../../shared/middleware/validate');
+const Joi = require('joi');
+
+/**
+ * Admin Routes
+ * Base path: /api/v1/admin
+ *
+ * Operational endpoints. Every route requires the system 'admin' role.
+ */
+
+const router = Router();
+
+router.use(authenticate, requireRole('admin'));
+
+const reconcileBody = Joi.object({
+  deleteOrphans: Joi.boolean().default(false),
+  repairDangling: Joi.boolean().default(false),
+});
+const listQuery = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+const reconciliationParam = Joi.object({
+  reconciliationId: Joi.string().uuid().required(),
+});
+const userParam = Joi.object({
+  userId: Joi.string().uuid().required(),
+});
+const reprocessQuery = Joi.object({
+  status: Joi.string().valid('failed', 'ready', 'all').default('failed'),
+  albumId: Joi.string().uuid().optional(),
+});
+
+/**
+ * @route   POST /api/v1/admin/storage/reconcile
+ * @desc    Queue a storage reconciliation run (orphaned objects / dangling keys)
+ * @access  Admin
+ */
+router.post(
+  '/storage/reconcile',
+  validate(reconcileBody, 'body'),
+  adminController.requestReconciliation
+);
+
+/**
+ * @route   GET /api/v1/admin/storage/reconciliations
+ * @desc    List reconciliation runs, newest first (without reports)
+ * @access  Admin
+ */
+router.get(
+  '/storage/reconciliations',
+  validate(listQuery, 'query'),
+  adminController.listReconciliations
+);
+
+/**
+ * @route   GET /api/v1/admin/storage/reconciliations/:reconciliationId
+ * @desc    Get a reconciliation run with its report
+ * @access  Admin
+ */
+router.get(
+  '/storage/reconciliations/:reconciliationId',
+  validate(reconciliationParam, 'params'),
+  adminController.getReconciliation
+);
+
+/**
+ * @route   POST /api/v1/admin/photos/reprocess
+ * @desc    Re-dispatch processing for failed or stuck photos, or regenerate renditions (status=ready|all)
+ * @access  Admin
+ * @query   status - 'failed' (default) | 'ready' | 'all'; albumId - optional
+ */
+router.post(
+  '/photos/reprocess',
+  validate(reprocessQuery, 'query'),
+  adminController.reprocessPhotos
+);
+
+/**
+ * @route   PATCH /api/v1/admin/users/:userId
+ * @desc    Change a user's status (suspend / reactivate) and/or system role.
+ *          Existing access tokens stop working immediately.
+ * @access  Admin
+ * @body    { status?, role? }
+ */
+router.patch(
+  '/users/:userId',
+  validate(userParam, 'params'),
+  adminController.updateUserAccess
+);
+
+module.exports = router;
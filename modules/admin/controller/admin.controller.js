@@ -0,0 +1,66 @@
+'use strict';
+
+const storageReconciliationService = require('../../storage/service/storageReconciliation.service');
+const photoService = require('../../media/service/photo.service');
+const userService = require('../../user/service/user.service');
+const ResponseFormatter = require('../../../shared/utils/ResponseFormatter');
+const { parsePagination, buildMeta } = require('../../../shared/utils/pagination');
+
+/**
+ * Admin Controller
+ * Operational endpoints — role checks happen in the router.
+ */
+
+const requestReconciliation = async (req, res, next) => {
+  try {
+    const reconciliation = await storageReconciliationService.requestReconciliation(req.user.id, req.body);
+    return ResponseFormatter.success(res, { reconciliation }, 202, 'Storage reconciliation queued');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const listReconciliations = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const result = await storageReconciliationService.listReconciliations({ page, limit });
+    return ResponseFormatter.paginated(res, result.reconciliations, buildMeta(result.total, page, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+const getReconciliation = async (req, res, next) => {
+  try {
+    const reconciliation = await storageReconciliationService.getReconciliation(req.params.reconciliationId);
+    return ResponseFormatter.success(res, { reconciliation });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const reprocessPhotos = async (req, res, next) => {
+  try {
+    const result = await photoService.requestBulkReprocess(req.query, req.user.id);
+    return ResponseFormatter.success(res, result, 202, `${result.photoCount} photos queued for reprocessing`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+const updateUserAccess = async (req, res, next) => {
+  try {
+    const user = await userService.updateUserAccess(req.params.userId, req.body, req.user, req.ip);
+    return ResponseFormatter.success(res, { user }, 200, 'User updated');
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  requestReconciliation,
+  listReconciliations,
+  getReconciliation,
+  reprocessPhotos,
+  updateUserAccess,
+};
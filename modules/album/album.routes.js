@@ -5,13 +5,20 @@ const { Router } = require('express');
 const albumController = require('./controller/album.controller');
 const memberController = require('./controller/member.controller');
 const invitationController = require('./controller/invitation.controller');
+const exportController = require('./controller/export.controller');
 
-const { authenticate, optionalAuth } = require('../../shared/middleware/authenticate');
+const {
+  authenticate,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require('../../shared/middleware/authenticate');
+const { VERIFIED_ACTION } = require('../../shared/constants');
 const { validate } = require('../../shared/middleware/validate');
 
 const albumValidator = require('./validators/album.validator');
 const memberValidator = require('./validators/member.validator');
 const invitationValidator = require('./validators/invitation.validator');
+const exportValidator = require('./validators/export.validator');
 
 /**
  * Album Routes
@@ -37,6 +44,7 @@ router.get(
 router.post(
   '/',
   authenticate,
+  requireVerifiedEmail(VERIFIED_ACTION.CREATE_ALBUMS),
   validate(albumValidator.createAlbum, 'body'),
   albumController.create
 );
@@ -86,6 +94,33 @@ router.get(
   invitationController.getActivityLog   // moved from invitationController
 );
 
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS (ZIP download)
+// ═══════════════════════════════════════════════════════════════════════════
+
+router.post(
+  '/:albumId/export',
+  authenticate,
+  validate(albumValidator.albumIdParam, 'params'),
+  validate(exportValidator.requestExport, 'body'),
+  exportController.requestExport
+);
+
+router.get(
+  '/:albumId/exports/:exportId',
+  authenticate,
+  validate(exportValidator.exportIdParam, 'params'),
+  exportController.getExport
+);
+
+// No authenticate: the link's signed token stands in for it (browser downloads)
+router.get(
+  '/:albumId/exports/:exportId/download',
+  validate(exportValidator.exportIdParam, 'params'),
+  validate(exportValidator.downloadQuery, 'query'),
+  exportController.download
+);
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MEMBERS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -166,6 +201,7 @@ router.get(
 router.post(
   '/:albumId/invitations',
   authenticate,
+  requireVerifiedEmail(VERIFIED_ACTION.SEND_INVITATIONS),
   validate(albumValidator.albumIdParam, 'params'),
   validate(invitationValidator.createInvitation, 'body'),
   invitationController.create
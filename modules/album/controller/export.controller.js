@@ -0,0 +1,64 @@
+'use strict';
+
+const { pipeline } = require('stream');
+const albumExportService = require('../service/albumExport.service');
+const ResponseFormatter = require('../../../shared/utils/ResponseFormatter');
+
+/**
+ * Album Export Controller
+ * HTTP layer only. Extract from req → call service → format response.
+ */
+
+const requestExport = async (req, res, next) => {
+  try {
+    const albumExport = await albumExportService.requestExport(
+      req.params.albumId,
+      req.user.id,
+      req.user.role,
+      req.body,
+      req.ip
+    );
+    return ResponseFormatter.success(res, { export: albumExport }, 202, 'Export queued');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const getExport = async (req, res, next) => {
+  try {
+    const albumExport = await albumExportService.getExport(
+      req.params.albumId,
+      req.params.exportId,
+      req.user.id
+    );
+    return ResponseFormatter.success(res, { export: albumExport });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const download = async (req, res, next) => {
+  try {
+    const file = await albumExportService.openDownload(
+      req.params.albumId,
+      req.params.exportId,
+      req.query.token
+    );
+
+    res.attachment(file.filename);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Length': String(file.size),
+      'Cache-Control': 'private, no-store',
+    });
+
+    if (req.method === 'HEAD') return res.end();
+
+    const body = await file.open();
+    pipeline(body, res, () => {}); // Aborted downloads need no handling
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = { requestExport, getExport, download };
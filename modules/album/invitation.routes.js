@@ -3,7 +3,8 @@
 const { Router } = require('express');
 const invitationController = require('./controller/invitation.controller');
 
-const { authenticate } = require('../../shared/middleware/authenticate');
+const { authenticate, requireVerifiedEmail } = require('../../shared/middleware/authenticate');
+const { VERIFIED_ACTION } = require('../../shared/constants');
 const { validate } = require('../../shared/middleware/validate');
 const invitationValidator = require('./validators/invitation.validator');
 
@@ -43,6 +44,7 @@ router.get(
 router.post(
   '/:token/accept',
   authenticate,
+  requireVerifiedEmail(VERIFIED_ACTION.ACCEPT_INVITATIONS),
   validate(invitationValidator.tokenParam, 'params'),
   invitationController.accept
 );
@@ -2,7 +2,7 @@
 
 const { Model, DataTypes } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
-const { ALBUM_VISIBILITY } = require('../../../shared/constants');
+const { ALBUM_VISIBILITY, PHOTO_PRIVACY, DUPLICATE_POLICY } = require('../../../shared/constants');
 
 /**
  * Album Model — Aggregate Root of the Album Context
@@ -16,13 +16,23 @@ const { ALBUM_VISIBILITY } = require('../../../shared/constants');
  *  - HasMany AlbumPermissionOverride
  *  - HasMany Invitation
  *  - HasMany AlbumActivityLog
+ *  - HasMany AlbumExport
  *
  * Soft delete: paranoid: true — deletedAt set on soft delete.
+ * Trashed albums are purged after config.trash.retentionDays unless the
+ * owner pinned them (trashPinnedAt).
  *
  * Public URL behavior:
  *  - isPublic=true  → publicToken is set, album viewable by anyone with URL
  *  - isPublic=false → publicToken is nullified, public URL stops working
  *  This is enforced in AlbumService, not here.
+ *
+ * Photo privacy (photoPrivacy):
+ *  - Controls EXIF embedded in served derivatives (keep / strip_gps / strip_all)
+ *  - Applied by the photo worker; non-owners get the same redaction in API responses
+ *
+ * Duplicate policy (duplicatePolicy):
+ *  - Uploads whose SHA-256 already exists in the album are rejected, linked, or allowed
  */
 
 module.exports = (sequelize) => {
@@ -31,7 +41,7 @@ module.exports = (sequelize) => {
      * Safe serialization — never exposes internal fields.
      */
     toSafeJSON() {
-      const { deletedAt, ...safe } = this.get({ plain: true });
+      const { deletedAt, trashPinnedAt, ...safe } = this.get({ plain: true });
       return safe;
     }
 
@@ -71,6 +81,12 @@ module.exports = (sequelize) => {
         as: 'activityLogs',
         onDelete: 'CASCADE',
       });
+
+      Album.hasMany(models.AlbumExport, {
+        foreignKey: 'albumId',
+        as: 'exports',
+        onDelete: 'CASCADE',
+      });
     }
   }
 
@@ -126,12 +142,27 @@ module.exports = (sequelize) => {
         allowNull: true,
         comment: 'FK to Photo — set after photos are uploaded (Phase 3)',
       },
+      photoPrivacy: {
+        type: DataTypes.ENUM(...Object.values(PHOTO_PRIVACY)),
+        allowNull: false,
+        defaultValue: PHOTO_PRIVACY.STRIP_GPS,
+      },
+      duplicatePolicy: {
+        type: DataTypes.ENUM(...Object.values(DUPLICATE_POLICY)),
+        allowNull: false,
+        defaultValue: DUPLICATE_POLICY.REJECT,
+      },
       metadata: {
         type: DataTypes.JSONB,
         allowNull: false,
         defaultValue: {},
         comment: 'Extensible key-value store for future album attributes',
       },
+      // Set by the owner to keep a trashed album from the retention purge
+      trashPinnedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
     },
     {
       sequelize,
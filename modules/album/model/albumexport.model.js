@@ -0,0 +1,149 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { EXPORT_STATUS, EXPORT_VARIANT } = require('../../../shared/constants');
+
+/**
+ * AlbumExport Model
+ *
+ * One ZIP export of an album, packaged by the ZIP_EXPORT worker for the user
+ * who requested it. The ZIP contains only what that user could see when the
+ * worker ran (photo visibility + album privacy), so exports are never shared
+ * between users.
+ *
+ * Lifecycle:
+ *  1. request  → status=pending, job queued
+ *  2. worker   → status=processing, then ready (storageKey, sizeBytes,
+ *                photoCount, expiresAt set) or failed (error set)
+ *  3. expiry   → past expiresAt the ZIP is deleted and status=expired
+ *                (EXPIRE_EXPORTS job, or on the next access)
+ *
+ * Associations:
+ *  - BelongsTo Album
+ *  - BelongsTo User (requestedBy)
+ */
+
+module.exports = (sequelize) => {
+  class AlbumExport extends Model {
+    isReady() {
+      return this.status === EXPORT_STATUS.READY;
+    }
+
+    /**
+     * Still queued or being packaged.
+     */
+    isInProgress() {
+      return this.status === EXPORT_STATUS.PENDING || this.status === EXPORT_STATUS.PROCESSING;
+    }
+
+    isExpired() {
+      return this.status === EXPORT_STATUS.EXPIRED || (!!this.expiresAt && this.expiresAt < new Date());
+    }
+
+    /**
+     * Safe JSON — the storage key is internal.
+     */
+    toSafeJSON() {
+      const { storageKey, sizeBytes, ...safe } = this.get({ plain: true });
+      return {
+        ...safe,
+        sizeBytes: sizeBytes === null ? null : Number(sizeBytes),
+      };
+    }
+
+    static associate(models) {
+      AlbumExport.belongsTo(models.Album, {
+        foreignKey: 'albumId',
+        as: 'album',
+      });
+
+      AlbumExport.belongsTo(models.User, {
+        foreignKey: 'requestedById',
+        as: 'requestedBy',
+      });
+    }
+  }
+
+  AlbumExport.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      albumId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'albums', key: 'id' },
+      },
+      requestedById: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(EXPORT_STATUS)),
+        allowNull: false,
+        defaultValue: EXPORT_STATUS.PENDING,
+      },
+      variant: {
+        type: DataTypes.ENUM(...Object.values(EXPORT_VARIANT)),
+        allowNull: false,
+        defaultValue: EXPORT_VARIANT.ORIGINAL,
+      },
+      // manifest.json with tags and comments per photo
+      includeManifest: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      photoCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // Visible photos left out because no file of the requested variant exists yet
+      skippedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      sizeBytes: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      storageKey: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // ZIP is deleted from storage after this
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AlbumExport',
+      tableName: 'album_exports',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+
+      indexes: [
+        { fields: ['album_id', 'requested_by_id', 'created_at'], name: 'idx_album_exports_album_requester' },
+        { fields: ['status', 'expires_at'], name: 'idx_album_exports_status_expires' },
+      ],
+    }
+  );
+
+  return AlbumExport;
+};
@@ -5,6 +5,8 @@ const { Op } = require('sequelize');
 const db = require('../../../infrastructure/database');
 const permissionService = require('./albumPermission.service');
 const activityLogService = require('./albumActivityLog.service');
+const twoFactorService = require('../../auth/service/twoFactor.service');
+const photoService = require('../../media/service/photo.service');
 const {
   NotFoundError,
   ForbiddenError,
@@ -43,6 +45,10 @@ const logger = require('../../../infrastructure/logger');
 const createAlbum = async (data, userId, ipAddress) => {
   const { Album, AlbumMember } = db;
 
+  if (data.isPublic) {
+    await twoFactorService.assertCanOwnPublicAlbum(userId);
+  }
+
   const t = await db.sequelize.transaction();
   try {
     // Generate publicToken immediately if album is public
@@ -56,6 +62,8 @@ const createAlbum = async (data, userId, ipAddress) => {
         date: data.date || null,
         isPublic: data.isPublic || false,
         publicToken,
+        ...(data.photoPrivacy && { photoPrivacy: data.photoPrivacy }),
+        ...(data.duplicatePolicy && { duplicatePolicy: data.duplicatePolicy }),
         metadata: data.metadata || {},
       },
       { transaction: t }
@@ -180,6 +188,9 @@ const listAlbums = async (userId, { page = 1, limit = 20, ownerId } = {}) => {
  * Visibility transition rules:
  *  - Private → Public  : generate publicToken
  *  - Public  → Private : nullify publicToken (disables public URL immediately)
+ *
+ * Photo privacy changes re-queue the album's photos so served derivatives
+ * are regenerated under the new policy.
  */
 const updateAlbum = async (albumId, data, userId, systemRole, ipAddress) => {
   await permissionService.assertPermission(albumId, userId, 'album:edit', systemRole);
@@ -203,6 +214,10 @@ const updateAlbum = async (albumId, data, userId, systemRole, ipAddress) => {
     before.date = album.date;
     updates.date = data.date;
   }
+  if (data.duplicatePolicy !== undefined) {
+    before.duplicatePolicy = album.duplicatePolicy;
+    updates.duplicatePolicy = data.duplicatePolicy;
+  }
 
   // ── Cover photo validation ────────────────────────────────────────────
   if (data.coverPhotoId !== undefined) {
@@ -234,7 +249,9 @@ const updateAlbum = async (albumId, data, userId, systemRole, ipAddress) => {
     updates.isPublic = data.isPublic;
 
     if (data.isPublic === true) {
-      // Becoming public — generate public token
+      // Becoming public — owner may need 2FA (config.twoFactor)
+      await twoFactorService.assertCanOwnPublicAlbum(album.ownerId);
+      // Generate public token
       updates.publicToken = crypto.randomBytes(32).toString('hex');
       activityMeta.visibilityChange = 'private_to_public';
     } else {
@@ -244,8 +261,24 @@ const updateAlbum = async (albumId, data, userId, systemRole, ipAddress) => {
     }
   }
 
+  // ── Photo privacy (owner only — governs exposure of location data) ──
+  if (data.photoPrivacy !== undefined && data.photoPrivacy !== album.photoPrivacy) {
+    if (album.ownerId !== userId && systemRole !== 'admin') {
+      throw new ForbiddenError('Only the album owner can change photo privacy');
+    }
+    before.photoPrivacy = album.photoPrivacy;
+    updates.photoPrivacy = data.photoPrivacy;
+  }
+
   await album.update(updates);
 
+  // Served derivatives embed metadata per policy — regenerate them in one
+  // MAINTENANCE job rather than a dispatch per photo inside this request
+  if (updates.photoPrivacy) {
+    const { photoCount } = await photoService.requestBulkReprocess({ status: 'ready', albumId }, userId);
+    activityMeta.reprocessedPhotos = photoCount;
+  }
+
   const activityType =
     activityMeta.visibilityChange
       ? ACTIVITY_TYPE.ALBUM_VISIBILITY_CHANGED
@@ -312,6 +345,7 @@ const restoreAlbum = async (albumId, userId, systemRole, ipAddress) => {
   }
 
   await album.restore();
+  if (album.trashPinnedAt) await album.update({ trashPinnedAt: null }); // pins only apply while in trash
 
   await activityLogService.logActivity({
     albumId,
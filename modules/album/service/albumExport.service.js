@@ -0,0 +1,288 @@
+'use strict';
+
+const db = require('../../../infrastructure/database');
+const { storageProvider } = require('../../../infrastructure/upload');
+const { Op } = require('sequelize');
+const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
+const config = require('../../../config');
+const permissionService = require('./albumPermission.service');
+const activityLogService = require('./albumActivityLog.service');
+const photoVisibilityService = require('../../media/service/photoVisibility.service');
+const {
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  UnprocessableError,
+  InvalidTokenError,
+} = require('../../../shared/utils/AppError');
+const { signDownloadToken, verifyDownloadToken } = require('../../../shared/utils/jwt');
+const {
+  ACTIVITY_TYPE,
+  EXPORT_STATUS,
+  JOB_NAMES,
+  PHOTO_STATUS,
+} = require('../../../shared/constants');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * AlbumExportService
+ *
+ * Album ZIP downloads. Packaging is asynchronous:
+ *
+ *  1. requestExport  — album:view permission, export row created, job queued
+ *                      on ZIP_EXPORT (see workers/zipExportWorker.js)
+ *  2. getExport      — requester polls status; once ready the response carries
+ *                      a download link valid for config.export.linkExpiresIn
+ *  3. openDownload   — link token verified, ZIP streamed from storage
+ *
+ * Exports belong to the requester — the ZIP holds what *they* can see — so
+ * other users (album owner included) get 404. Finished ZIPs are kept for
+ * config.export.retentionHours, then deleted by the scheduled EXPIRE_EXPORTS
+ * job (purgeExpiredExports) — or on the first access after that, whichever
+ * comes first.
+ */
+
+const API_PREFIX = `/api/${config.server.apiVersion}`;
+
+// Exports expired per query by purgeExpiredExports()
+const EXPIRE_BATCH_SIZE = 100;
+
+/**
+ * Visible, processed photos of an album for a user — the export's contents.
+ * Shared with the worker so the request-time count matches what is packaged.
+ */
+const buildExportPhotoQuery = (albumId, userId, albumOwnerId) => ({
+  where: {
+    albumId,
+    status: PHOTO_STATUS.READY,
+    ...photoVisibilityService.buildVisibilityFilter(userId, albumOwnerId),
+  },
+  include: [photoVisibilityService.buildVisibilityInclude(userId)],
+});
+
+/**
+ * Delete the ZIP of an export past its retention and mark it expired.
+ * Storage failures are logged — the row is expired regardless.
+ */
+const expireExport = async (albumExport) => {
+  if (albumExport.storageKey) {
+    try {
+      await storageProvider.delete(albumExport.storageKey);
+    } catch (err) {
+      logger.warn('[AlbumExport] Failed to delete expired ZIP', {
+        exportId: albumExport.id,
+        key: albumExport.storageKey,
+        error: err.message,
+      });
+    }
+  }
+  await albumExport.update({ status: EXPORT_STATUS.EXPIRED, storageKey: null });
+};
+
+const findOwnExport = async (albumId, exportId, userId) => {
+  const albumExport = await db.AlbumExport.findOne({
+    where: { id: exportId, albumId, requestedById: userId },
+  });
+  if (!albumExport) throw new NotFoundError('Export');
+
+  if (albumExport.isReady() && albumExport.isExpired()) {
+    await expireExport(albumExport);
+  }
+  return albumExport;
+};
+
+/**
+ * Safe JSON plus a fresh download link for ready exports.
+ */
+const withDownloadLink = (albumExport) => {
+  const payload = albumExport.toSafeJSON();
+  if (!albumExport.isReady()) return payload;
+
+  // The link never outlives the ZIP itself
+  const expiresInSeconds = Math.max(
+    1,
+    Math.min(config.export.linkExpiresIn, Math.floor((albumExport.expiresAt - Date.now()) / 1000))
+  );
+  const token = signDownloadToken(
+    albumExport.requestedById,
+    { albumId: albumExport.albumId, exportId: albumExport.id },
+    expiresInSeconds
+  );
+
+  return {
+    ...payload,
+    download: {
+      url: `${API_PREFIX}/albums/${albumExport.albumId}/exports/${albumExport.id}/download?token=${encodeURIComponent(token)}`,
+      expiresAt: new Date(Date.now() + expiresInSeconds * 1000),
+    },
+  };
+};
+
+// ── Request Export ─────────────────────────────────────────────────────────
+/**
+ * Queue a ZIP export of an album.
+ * An identical export already queued or running for the same user is
+ * returned instead of starting another.
+ *
+ * @param {string} albumId
+ * @param {string} userId
+ * @param {string} systemRole
+ * @param {{ variant: string, includeManifest: boolean }} options
+ * @param {string} ipAddress
+ * @returns {Promise<object>} Export JSON
+ * @throws {UnprocessableError} No visible photos, or more than config.export.maxPhotos
+ */
+const requestExport = async (albumId, userId, systemRole, { variant, includeManifest }, ipAddress) => {
+  const { AlbumExport, Photo } = db;
+
+  const { album } = await permissionService.assertPermission(albumId, userId, 'album:view', systemRole);
+
+  const existing = await AlbumExport.findOne({
+    where: {
+      albumId,
+      requestedById: userId,
+      variant,
+      includeManifest,
+      status: [EXPORT_STATUS.PENDING, EXPORT_STATUS.PROCESSING],
+    },
+    order: [['createdAt', 'DESC']],
+  });
+  if (existing) return existing.toSafeJSON();
+
+  const photoCount = await Photo.count({
+    ...buildExportPhotoQuery(albumId, userId, album.ownerId),
+    distinct: true,
+    col: 'id',
+  });
+  if (photoCount === 0) {
+    throw new UnprocessableError('This album has no photos you can export');
+  }
+  if (photoCount > config.export.maxPhotos) {
+    throw new UnprocessableError(
+      `Albums with more than ${config.export.maxPhotos} photos cannot be exported in one ZIP`
+    );
+  }
+
+  const albumExport = await AlbumExport.create({
+    albumId,
+    requestedById: userId,
+    variant,
+    includeManifest,
+  });
+
+  try {
+    await dispatch(
+      QUEUE_NAMES.ZIP_EXPORT,
+      JOB_NAMES.PACKAGE_ZIP,
+      { exportId: albumExport.id },
+      { jobId: albumExport.id }
+    );
+  } catch (err) {
+    await albumExport.update({ status: EXPORT_STATUS.FAILED, error: 'Could not be queued' });
+    throw err;
+  }
+
+  await activityLogService.logActivity({
+    albumId,
+    actorId: userId,
+    type: ACTIVITY_TYPE.ALBUM_EXPORT_REQUESTED,
+    targetId: albumExport.id,
+    targetType: 'export',
+    metadata: { variant, includeManifest, photoCount },
+    ipAddress,
+  });
+
+  logger.info('[AlbumExport] Export requested', { exportId: albumExport.id, albumId, userId, variant });
+  return albumExport.toSafeJSON();
+};
+
+// ── Export Status ──────────────────────────────────────────────────────────
+/**
+ * @returns {Promise<object>} Export JSON; `download: { url, expiresAt }` once ready
+ */
+const getExport = async (albumId, exportId, userId) => {
+  const albumExport = await findOwnExport(albumId, exportId, userId);
+  return withDownloadLink(albumExport);
+};
+
+// ── Download ───────────────────────────────────────────────────────────────
+/**
+ * Resolve a download link. Album access is re-checked: a requester removed
+ * from the album cannot use a link issued before.
+ *
+ * @param {string} albumId
+ * @param {string} exportId
+ * @param {string} token - From the link's query string
+ * @returns {Promise<{ size: number, filename: string, open: Function }>}
+ * @throws {InvalidTokenError|TokenExpiredError} Bad or expired link
+ * @throws {GoneError} ZIP past retention
+ */
+const openDownload = async (albumId, exportId, token) => {
+  const payload = verifyDownloadToken(token);
+  if (payload.exportId !== exportId || payload.albumId !== albumId) {
+    throw new InvalidTokenError('Download link does not match this export');
+  }
+
+  const user = await db.User.findByPk(payload.sub, { attributes: ['id', 'role'] });
+  if (!user) throw new InvalidTokenError('Download link is no longer valid');
+
+  const { album } = await permissionService.assertPermission(albumId, user.id, 'album:view', user.role);
+  const albumExport = await findOwnExport(albumId, exportId, user.id);
+
+  if (albumExport.status === EXPORT_STATUS.EXPIRED) {
+    throw new GoneError('This export has expired. Request a new one.');
+  }
+  if (!albumExport.isReady()) {
+    throw new ConflictError(`Export is ${albumExport.status}`);
+  }
+
+  const key = albumExport.storageKey;
+  const date = albumExport.completedAt.toISOString().slice(0, 10);
+
+  return {
+    size: Number(albumExport.sizeBytes),
+    filename: `${album.name}-${date}.zip`,
+    open: () => storageProvider.getStream(key),
+  };
+};
+
+// ── Retention (maintenance) ────────────────────────────────────────────────
+/**
+ * Delete the ZIPs of ready exports past expiresAt. Run by the scheduled
+ * EXPIRE_EXPORTS job; expireExport() marks each row expired even when the
+ * storage delete fails, so every batch makes progress.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ expired: number }>}
+ */
+const purgeExpiredExports = async (now = new Date()) => {
+  let expired = 0;
+
+  for (;;) {
+    const batch = await db.AlbumExport.findAll({
+      where: { status: EXPORT_STATUS.READY, expiresAt: { [Op.lt]: now } },
+      order: [['expiresAt', 'ASC']],
+      limit: EXPIRE_BATCH_SIZE,
+    });
+
+    for (const albumExport of batch) {
+      await expireExport(albumExport);
+      expired++;
+    }
+    if (batch.length < EXPIRE_BATCH_SIZE) break;
+  }
+
+  if (expired > 0) {
+    logger.info('[AlbumExport] Expired exports purged', { expired });
+  }
+  return { expired };
+};
+
+module.exports = {
+  requestExport,
+  getExport,
+  openDownload,
+  buildExportPhotoQuery,
+  expireExport,
+  purgeExpiredExports,
+};
@@ -1,5 +1,6 @@
 'use strict';
 
+const { v4: uuidv4 } = require('uuid');
 const db = require('../../../infrastructure/database');
 const permissionService = require('./albumPermission.service');
 const activityLogService = require('./albumActivityLog.service');
@@ -99,16 +100,17 @@ const createInvitation = async (data, albumId, requesterId, systemRole, ipAddres
     note: data.note || null,
   });
 
-  // Dispatch email if email was provided
+  // Dispatch email if email was provided (UUID jobId — see EmailDeliveryService)
   if (data.invitedEmail) {
     await dispatch(QUEUE_NAMES.NOTIFICATION_EMAIL, JOB_NAMES.SEND_INVITATION_EMAIL, {
       albumId,
       albumName: album.name,
+      invitedById: requesterId,
       invitedEmail: data.invitedEmail,
-      invitedRole: data.invitedRole,
+      invitedRole: invitation.invitedRole,
       rawToken,
       expiresAt,
-    }).catch((err) =>
+    }, { jobId: uuidv4() }).catch((err) =>
       logger.error('[InvitationService] Failed to dispatch invitation email', { error: err.message })
     );
   }
@@ -1,7 +1,7 @@
 'use strict';
 
 const Joi = require('joi');
-const { ALBUM_VISIBILITY } = require('../../../shared/constants');
+const { ALBUM_VISIBILITY, PHOTO_PRIVACY, DUPLICATE_POLICY } = require('../../../shared/constants');
 
 /**
  * Album Validators
@@ -25,6 +25,12 @@ const createAlbum = Joi.object({
 
   isPublic: Joi.boolean().default(false),
 
+  photoPrivacy: Joi.string().valid(...Object.values(PHOTO_PRIVACY)).default(PHOTO_PRIVACY.STRIP_GPS)
+    .messages({ 'any.only': `photoPrivacy must be one of: ${Object.values(PHOTO_PRIVACY).join(', ')}` }),
+
+  duplicatePolicy: Joi.string().valid(...Object.values(DUPLICATE_POLICY)).default(DUPLICATE_POLICY.REJECT)
+    .messages({ 'any.only': `duplicatePolicy must be one of: ${Object.values(DUPLICATE_POLICY).join(', ')}` }),
+
   metadata: Joi.object().max(20).default({}),
 });
 
@@ -33,6 +39,10 @@ const updateAlbum = Joi.object({
   description: Joi.string().trim().max(2000).allow('', null).optional(),
   date: Joi.date().iso().max('now').allow(null).optional(),
   isPublic: Joi.boolean().optional(),
+  photoPrivacy: Joi.string().valid(...Object.values(PHOTO_PRIVACY)).optional()
+    .messages({ 'any.only': `photoPrivacy must be one of: ${Object.values(PHOTO_PRIVACY).join(', ')}` }),
+  duplicatePolicy: Joi.string().valid(...Object.values(DUPLICATE_POLICY)).optional()
+    .messages({ 'any.only': `duplicatePolicy must be one of: ${Object.values(DUPLICATE_POLICY).join(', ')}` }),
   metadata: Joi.object().max(20).optional(),
   coverPhotoId: Joi.string().uuid().allow(null).optional()
     .messages({ 'string.guid': 'coverPhotoId must be a valid UUID' }),
@@ -0,0 +1,32 @@
+'use strict';
+
+const Joi = require('joi');
+const { EXPORT_VARIANT } = require('../../../shared/constants');
+
+/**
+ * Export Validators
+ * Covers: request export, export status, download link
+ */
+
+const requestExport = Joi.object({
+  variant: Joi.string()
+    .valid(...Object.values(EXPORT_VARIANT))
+    .default(EXPORT_VARIANT.ORIGINAL)
+    .messages({ 'any.only': `variant must be one of: ${Object.values(EXPORT_VARIANT).join(', ')}` }),
+
+  includeManifest: Joi.boolean().default(true),
+});
+
+const exportIdParam = Joi.object({
+  albumId: Joi.string().uuid().required()
+    .messages({ 'string.guid': 'albumId must be a valid UUID' }),
+  exportId: Joi.string().uuid().required()
+    .messages({ 'string.guid': 'exportId must be a valid UUID' }),
+});
+
+const downloadQuery = Joi.object({
+  token: Joi.string().required()
+    .messages({ 'any.required': 'Download token is required' }),
+});
+
+module.exports = { requestExport, exportIdParam, downloadQuery };
@@ -0,0 +1,71 @@
+'use strict';
+
+const { UnrecoverableError } = require('bullmq');
+const { ForeignKeyConstraintError } = require('sequelize');
+const { ACTIVITY_TYPE } = require('../../../shared/constants');
+const userActivityLogService = require('../../user/service/userActivityLog.service');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * Activity Log Worker
+ *
+ * Consumes jobs from QUEUE_NAMES.ACTIVITY_LOG — account-level events
+ * (auth.*) dispatched via UserActivityLogService.recordUserActivity().
+ * Album events are written synchronously by AlbumActivityLogService.
+ *
+ * Job data: { eventId, type, actorId, metadata?, ipAddress?, occurredAt? }
+ *
+ * Idempotency:
+ *  - Each row is keyed by eventId (unique), so a retry after a partial
+ *    failure, or a stalled job run twice, writes nothing the second time
+ *  - Jobs queued before eventId existed fall back to the BullMQ job id
+ *
+ * Error Handling:
+ *  - Malformed jobs and events for users that no longer exist are not
+ *    retried (UnrecoverableError)
+ *  - Anything else (database unavailable…) is re-thrown so BullMQ retries
+ *
+ * This worker is registered in server.js via registerWorker().
+ */
+
+const KNOWN_TYPES = new Set(Object.values(ACTIVITY_TYPE));
+
+/**
+ * Persist one activity event.
+ *
+ * @param {object} job - BullMQ job
+ * @returns {Promise<{ success: boolean, eventId: string, duplicate: boolean }>}
+ */
+const processActivityLog = async (job) => {
+  const { type, actorId, metadata = {} } = job.data;
+  const eventId = job.data.eventId || `job:${job.id}`;
+
+  if (!KNOWN_TYPES.has(type) || !actorId) {
+    throw new UnrecoverableError(`Invalid activity event (type: ${type}, actorId: ${actorId})`);
+  }
+
+  try {
+    const { created } = await userActivityLogService.writeUserActivity({
+      eventId,
+      userId: actorId,
+      type,
+      metadata,
+      // Older payloads carried the IP inside metadata
+      ipAddress: job.data.ipAddress ?? metadata.ip ?? null,
+      occurredAt: job.data.occurredAt ? new Date(job.data.occurredAt) : new Date(job.timestamp),
+    });
+
+    if (!created) {
+      logger.debug('[ActivityLogWorker] Event already recorded', { eventId, type, jobId: job.id });
+    }
+
+    return { success: true, eventId, duplicate: !created };
+  } catch (err) {
+    if (err instanceof ForeignKeyConstraintError) {
+      throw new UnrecoverableError(`User ${actorId} no longer exists`);
+    }
+    throw err;
+  }
+};
+
+module.exports = { processActivityLog };
@@ -0,0 +1,20 @@
+'use strict';
+
+const albumExportService = require('../service/albumExport.service');
+
+/**
+ * Export Expiry Worker
+ *
+ * Consumes the repeatable JOB_NAMES.EXPIRE_EXPORTS job on
+ * QUEUE_NAMES.MAINTENANCE, scheduled from server.js on config.export.expireCron.
+ *
+ * Deletes the ZIPs of exports older than config.export.retentionHours and
+ * marks them expired, whether or not anyone looks at them again.
+ */
+
+/**
+ * @returns {Promise<{ expired: number }>}
+ */
+const processExportExpiry = async () => albumExportService.purgeExpiredExports();
+
+module.exports = { processExportExpiry };
@@ -0,0 +1,342 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { finished } = require('stream/promises');
+const archiver = require('archiver');
+const { UnrecoverableError } = require('bullmq');
+const db = require('../../../infrastructure/database');
+const { storageProvider } = require('../../../infrastructure/upload');
+const config = require('../../../config');
+const permissionService = require('../service/albumPermission.service');
+const { buildExportPhotoQuery } = require('../service/albumExport.service');
+const {
+  EXPORT_STATUS,
+  EXPORT_VARIANT,
+  MEDIA_KIND,
+  PHOTO_PRIVACY,
+} = require('../../../shared/constants');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * ZIP Export Worker
+ *
+ * Consumes jobs from QUEUE_NAMES.ZIP_EXPORT (JOB_NAMES.PACKAGE_ZIP).
+ * Job data: { exportId }
+ *
+ * Processing Steps:
+ *  1. Load the export; re-check that the requester can still view the album
+ *  2. Select the photos they can see (same query as the request-time count)
+ *  3. Stream each file from storage into a ZIP in a temp dir, one at a time:
+ *       original → the upload itself for the album owner (or privacy 'keep'),
+ *                  otherwise the sanitized 'full' copy — as GET /photos/:id shows
+ *       large    → config.export.rendition (JPEG preferred); photos too small to
+ *                  have it, and clips, fall back to the 'original' choice
+ *     Media is stored uncompressed (already compressed); manifest.json is deflated
+ *  4. Upload the ZIP via storageProvider.saveFile(), status=ready, expiresAt set
+ *
+ * Photos with no file for the requested variant yet (e.g. 'full' still being
+ * generated) or whose blob is missing are listed under `skipped` in the manifest.
+ *
+ * Error Handling:
+ *  - Missing export / lost album access → status=failed, not retried
+ *  - Anything else is re-thrown for BullMQ retries; status=failed once the
+ *    last attempt fails
+ *
+ * This worker is registered in server.js via registerWorker().
+ */
+
+const MANIFEST_NAME = 'manifest.json';
+
+// Characters not allowed in file names on common desktop file systems
+const UNSAFE_FILENAME_CHARS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+const isLastAttempt = (job) => job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+
+const displayName = (user) => (user ? [user.firstName, user.lastName].filter(Boolean).join(' ') : null);
+
+// ── File selection ─────────────────────────────────────────────────────────
+/**
+ * First stored format of a rendition, preferring the most portable ones.
+ */
+const pickRenditionFile = (rendition) => {
+  const formats = rendition?.formats || {};
+  return formats.jpeg || formats.png || Object.values(formats)[0] || null;
+};
+
+/**
+ * Storage key + file extension to package for one photo, or null if no
+ * suitable file exists yet.
+ */
+const selectSource = (photo, variant, { requesterId, album }) => {
+  const renditions = photo.renditions || {};
+
+  if (variant === EXPORT_VARIANT.LARGE && photo.kind !== MEDIA_KIND.VIDEO) {
+    const file = pickRenditionFile(renditions[config.export.rendition]);
+    if (file) return { key: file.key, ext: path.extname(file.key) };
+  }
+
+  const privacy = album.photoPrivacy || PHOTO_PRIVACY.STRIP_GPS;
+  if (album.ownerId === requesterId || privacy === PHOTO_PRIVACY.KEEP) {
+    return {
+      key: photo.storageKey,
+      ext: path.extname(photo.originalFilename) || path.extname(photo.storageKey),
+    };
+  }
+
+  const full = renditions.full && Object.values(renditions.full.formats || {})[0];
+  return full ? { key: full.key, ext: path.extname(full.key) } : null;
+};
+
+/**
+ * Unique, file-system-safe entry name derived from the original filename.
+ * `taken` holds lower-cased names already used in this archive.
+ */
+const entryName = (photo, ext, taken) => {
+  const parsed = path.parse(photo.originalFilename || '');
+  const stem = (parsed.name || photo.id).replace(UNSAFE_FILENAME_CHARS, '_').slice(0, 150);
+
+  let name = `${stem}${ext.toLowerCase()}`;
+  for (let n = 2; taken.has(name.toLowerCase()); n += 1) {
+    name = `${stem} (${n})${ext.toLowerCase()}`;
+  }
+  taken.add(name.toLowerCase());
+  return name;
+};
+
+// ── Archive helpers ────────────────────────────────────────────────────────
+/**
+ * Append one entry and wait until archiver has consumed it, so only one
+ * storage stream is open at a time.
+ */
+const appendEntry = (archive, source, data) =>
+  new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+    };
+    const onEntry = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = (err) => {
+      cleanup();
+      reject(err);
+    };
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    archive.append(source, data);
+  });
+
+/**
+ * Tags and comments per photo id, for the manifest.
+ */
+const loadManifestDetails = async (photoIds) => {
+  const { Photo, Tag, Comment, User } = db;
+
+  const [tagged, comments] = await Promise.all([
+    Photo.findAll({
+      where: { id: photoIds },
+      attributes: ['id'],
+      include: [{ model: Tag, as: 'tags', attributes: ['name'], through: { attributes: [] } }],
+    }),
+    Comment.findAll({
+      where: { photoId: photoIds },
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'], required: false }],
+      order: [['createdAt', 'ASC']],
+    }),
+  ]);
+
+  const tagsByPhoto = new Map(tagged.map((p) => [p.id, p.tags.map((t) => t.name)]));
+  const commentsByPhoto = new Map();
+  for (const comment of comments) {
+    if (!commentsByPhoto.has(comment.photoId)) commentsByPhoto.set(comment.photoId, []);
+    commentsByPhoto.get(comment.photoId).push({
+      id: comment.id,
+      parentId: comment.parentId,
+      author: comment.user ? { id: comment.user.id, name: displayName(comment.user) } : null,
+      content: comment.content,
+      createdAt: comment.createdAt,
+      editedAt: comment.editedAt,
+    });
+  }
+
+  return { tagsByPhoto, commentsByPhoto };
+};
+
+const markFailed = (albumExport, message) =>
+  albumExport.update({ status: EXPORT_STATUS.FAILED, error: String(message).slice(0, 2000) });
+
+// ── Packaging ──────────────────────────────────────────────────────────────
+/**
+ * Write the ZIP to `zipPath`.
+ * @returns {Promise<{ photoCount: number, skippedCount: number }>}
+ */
+const writeArchive = async (zipPath, albumExport, album, photos) => {
+  const requesterId = albumExport.requestedById;
+  const output = fs.createWriteStream(zipPath);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.pipe(output);
+
+  const taken = new Set([MANIFEST_NAME]);
+  const included = [];
+  const skipped = [];
+
+  try {
+    for (const photo of photos) {
+      const source = selectSource(photo, albumExport.variant, { requesterId, album });
+      if (!source) {
+        skipped.push({ id: photo.id, originalFilename: photo.originalFilename, reason: 'not_ready' });
+        continue;
+      }
+
+      let stream;
+      try {
+        stream = await storageProvider.getStream(source.key);
+      } catch (err) {
+        if (err.code !== 'STORAGE_NOT_FOUND') throw err;
+        logger.warn('[ZipExportWorker] Photo file missing from storage', { photoId: photo.id, key: source.key });
+        skipped.push({ id: photo.id, originalFilename: photo.originalFilename, reason: 'missing_file' });
+        continue;
+      }
+
+      const safe = photo.toSafeJSON({ userId: requesterId, album });
+      const name = entryName(photo, source.ext, taken);
+      await appendEntry(archive, stream, { name, date: safe.takenAt || photo.createdAt, store: true });
+      included.push({ photo, safe, file: name });
+    }
+
+    if (albumExport.includeManifest) {
+      const { tagsByPhoto, commentsByPhoto } = await loadManifestDetails(included.map((i) => i.photo.id));
+      const manifest = {
+        exportId: albumExport.id,
+        exportedAt: new Date(),
+        variant: albumExport.variant,
+        album: { id: album.id, name: album.name, description: album.description, date: album.date },
+        photos: included.map(({ photo, safe, file }) => ({
+          file,
+          id: photo.id,
+          kind: safe.kind,
+          originalFilename: safe.originalFilename,
+          width: safe.width,
+          height: safe.height,
+          durationMs: safe.durationMs,
+          takenAt: safe.takenAt,
+          cameraMake: safe.cameraMake,
+          cameraModel: safe.cameraModel,
+          uploadedAt: safe.createdAt,
+          uploadedBy: photo.uploadedBy ? { id: photo.uploadedBy.id, name: displayName(photo.uploadedBy) } : null,
+          tags: tagsByPhoto.get(photo.id) || [],
+          comments: commentsByPhoto.get(photo.id) || [],
+        })),
+        skipped,
+      };
+      await appendEntry(archive, Buffer.from(JSON.stringify(manifest, null, 2)), { name: MANIFEST_NAME });
+    }
+
+    await archive.finalize();
+    await finished(output);
+  } catch (err) {
+    archive.abort();
+    output.destroy();
+    throw err;
+  }
+
+  return { photoCount: included.length, skippedCount: skipped.length };
+};
+
+/**
+ * Package one album export.
+ *
+ * @param {object} job - BullMQ job
+ * @returns {Promise<{ success: boolean, exportId: string, photoCount?: number, sizeBytes?: number }>}
+ */
+const processZipExport = async (job) => {
+  const { exportId } = job.data;
+  const { AlbumExport, Album, Photo, User } = db;
+
+  // ── Step 1: Load export + re-check access ──────────────────────────────
+  const albumExport = await AlbumExport.findByPk(exportId);
+  if (!albumExport) {
+    throw new UnrecoverableError(`Export ${exportId} not found`);
+  }
+  if (albumExport.isReady()) {
+    logger.info('[ZipExportWorker] Export already packaged, skipping', { exportId });
+    return { success: true, exportId };
+  }
+
+  const requester = await User.findByPk(albumExport.requestedById, { attributes: ['id', 'role'] });
+  const access = requester
+    ? await permissionService.resolvePermission(albumExport.albumId, requester.id, 'album:view', requester.role)
+    : { allowed: false, reason: 'Requester no longer exists' };
+  if (!access.allowed) {
+    await markFailed(albumExport, access.reason);
+    throw new UnrecoverableError(`Export ${exportId}: ${access.reason}`);
+  }
+
+  await albumExport.update({ status: EXPORT_STATUS.PROCESSING, error: null });
+
+  const album = await Album.findByPk(albumExport.albumId, {
+    attributes: ['id', 'name', 'description', 'date', 'ownerId', 'photoPrivacy'],
+  });
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'album-export-'));
+  let saved = null;
+
+  try {
+    // ── Step 2: Select photos ────────────────────────────────────────────
+    const query = buildExportPhotoQuery(album.id, requester.id, album.ownerId);
+    const photos = await Photo.findAll({
+      ...query,
+      include: [
+        ...query.include,
+        { model: User, as: 'uploadedBy', attributes: ['id', 'firstName', 'lastName'], required: false },
+      ],
+      order: [['createdAt', 'ASC']],
+      limit: config.export.maxPhotos,
+      subQuery: false, // visibility include matches at most one row per photo
+    });
+
+    // ── Step 3: Build the ZIP ─────────────────────────────────────────────
+    const zipPath = path.join(dir, 'export.zip');
+    const { photoCount, skippedCount } = await writeArchive(zipPath, albumExport, album, photos);
+
+    // ── Step 4: Store + mark ready ────────────────────────────────────────
+    saved = await storageProvider.saveFile(zipPath, `${albumExport.id}.zip`, 'application/zip', 'exports');
+
+    const completedAt = new Date();
+    await albumExport.update({
+      status: EXPORT_STATUS.READY,
+      storageKey: saved.key,
+      sizeBytes: saved.size,
+      photoCount,
+      skippedCount,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + config.export.retentionHours * 3600 * 1000),
+    });
+
+    logger.info('[ZipExportWorker] Export ready', {
+      exportId,
+      albumId: album.id,
+      photoCount,
+      skippedCount,
+      sizeBytes: saved.size,
+    });
+
+    return { success: true, exportId, photoCount, sizeBytes: saved.size };
+  } catch (err) {
+    if (saved) await storageProvider.delete(saved.key).catch(() => {});
+
+    logger.error('[ZipExportWorker] Export failed', { exportId, attempt: job.attemptsMade + 1, error: err.message });
+    if (isLastAttempt(job)) {
+      await markFailed(albumExport, err.message);
+    }
+    // Re-throw so BullMQ retries
+    throw err;
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+module.exports = { processZipExport };
@@ -1,6 +1,8 @@
 'use strict';
 
 const authService = require('./service/auth.service');
+const emailVerificationService = require('./service/emailVerification.service');
+const twoFactorService = require('./service/twoFactor.service');
 const ResponseFormatter = require('../../shared/utils/ResponseFormatter');
 
 /**
@@ -22,7 +24,7 @@ const ResponseFormatter = require('../../shared/utils/ResponseFormatter');
  */
 const register = async (req, res, next) => {
   try {
-    const result = await authService.register(req.body, req.ip);
+    const result = await authService.register(req.body, req.ip, req.get('user-agent'));
     return ResponseFormatter.created(res, result, 'Account created successfully');
   } catch (err) {
     next(err);
@@ -34,7 +36,21 @@ const register = async (req, res, next) => {
  */
 const login = async (req, res, next) => {
   try {
-    const result = await authService.login(req.body, req.ip);
+    const result = await authService.login(req.body, req.ip, req.get('user-agent'));
+    const message = result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful';
+    return ResponseFormatter.success(res, result, 200, message);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/2fa/verify
+ * Body: { challengeToken: string, code: string }
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const result = await authService.completeTwoFactorLogin(req.body, req.ip, req.get('user-agent'));
     return ResponseFormatter.success(res, result, 200, 'Login successful');
   } catch (err) {
     next(err);
@@ -48,13 +64,102 @@ const login = async (req, res, next) => {
 const refresh = async (req, res, next) => {
   try {
     const { refreshToken } = req.body;
-    const tokens = await authService.refreshTokens(refreshToken);
+    const tokens = await authService.refreshTokens(refreshToken, req.ip);
     return ResponseFormatter.success(res, tokens, 200, 'Tokens refreshed');
   } catch (err) {
     next(err);
   }
 };
 
+/**
+ * POST /api/v1/auth/logout
+ * Body: { refreshToken: string }
+ */
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    await authService.logout(refreshToken, req.ip);
+    return ResponseFormatter.success(res, null, 200, 'Logged out');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/logout-all
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const result = await authService.logoutAll(req.user.id, req.ip);
+    return ResponseFormatter.success(res, result, 200, 'Logged out of all sessions');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/verify-email
+ * Body: { token: string }
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await emailVerificationService.verifyEmail(req.body, { ip: req.ip });
+    return ResponseFormatter.success(res, { user }, 200, 'Email address verified');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/verify-email/resend
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    await emailVerificationService.resendVerification(req.user.id, { ip: req.ip });
+    return ResponseFormatter.success(res, null, 200, 'Verification email sent');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/2fa/setup
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.setup(req.user.id);
+    return ResponseFormatter.success(res, result, 200, 'Scan the code with your authenticator app');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/2fa/enable
+ * Body: { code: string }
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.enable(req.user.id, req.body, { ip: req.ip });
+    return ResponseFormatter.success(res, result, 200, 'Two-factor authentication enabled');
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/auth/2fa/disable
+ * Body: { password: string, code: string }
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    await twoFactorService.disable(req.user.id, req.body, { ip: req.ip });
+    return ResponseFormatter.success(res, null, 200, 'Two-factor authentication disabled');
+  } catch (err) {
+    next(err);
+  }
+};
+
 /**
  * POST /api/v1/auth/password-reset/request
  * Body: { email: string }
@@ -94,7 +199,15 @@ const resetPassword = async (req, res, next) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactor,
   refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
   requestPasswordReset,
   resetPassword,
 };
\ No newline at end of file
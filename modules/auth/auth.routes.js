@@ -2,6 +2,7 @@
 
 const { Router } = require('express');
 const authController = require('./auth.controller');
+const { authenticate } = require('../../shared/middleware/authenticate');
 const { authRateLimiter, passwordResetLimiter } = require('../../shared/middleware/rateLimiter');
 
 /**
@@ -11,7 +12,8 @@ const { authRateLimiter, passwordResetLimiter } = require('../../shared/middlewa
  * All auth routes use the strict authRateLimiter.
  * Password reset routes use an even stricter passwordResetLimiter.
  *
- * No authenticate middleware here — these are public endpoints.
+ * Public endpoints, except logout-all, verify-email/resend and the 2FA
+ * setup/enable/disable routes, which need an access token.
  */
 
 const router = Router();
@@ -31,21 +33,87 @@ router.post('/register', authController.register);
 // ── Login ──────────────────────────────────────────────────────────────────
 /**
  * @route   POST /api/v1/auth/login
- * @desc    Login and receive access + refresh tokens
+ * @desc    Login and receive access + refresh tokens, or a 2FA challenge
+ *          token when the account has two-factor authentication enabled
  * @access  Public
  * @body    { email?, mobile?, password }
  */
 router.post('/login', authController.login);
 
+/**
+ * @route   POST /api/v1/auth/2fa/verify
+ * @desc    Complete a 2FA login with a TOTP or recovery code
+ * @access  Public (requires challenge token in body)
+ * @body    { challengeToken, code }
+ */
+router.post('/2fa/verify', authController.verifyTwoFactor);
+
 // ── Token Refresh ──────────────────────────────────────────────────────────
 /**
  * @route   POST /api/v1/auth/refresh
- * @desc    Exchange refresh token for new access + refresh token pair
+ * @desc    Exchange refresh token for new access + refresh token pair.
+ *          The presented token is spent; replaying it revokes the session.
  * @access  Public (requires valid refresh token in body)
  * @body    { refreshToken }
  */
 router.post('/refresh', authController.refresh);
 
+// ── Logout ─────────────────────────────────────────────────────────────────
+/**
+ * @route   POST /api/v1/auth/logout
+ * @desc    Revoke the session the refresh token belongs to (idempotent)
+ * @access  Public (requires refresh token in body)
+ * @body    { refreshToken }
+ */
+router.post('/logout', authController.logout);
+
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Revoke every session of the current user
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+// ── Email Verification ─────────────────────────────────────────────────────
+/**
+ * @route   POST /api/v1/auth/verify-email
+ * @desc    Verify the email address with the emailed token
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @route   POST /api/v1/auth/verify-email/resend
+ * @desc    Send a new verification email to the current user
+ * @access  Private
+ */
+router.post('/verify-email/resend', authenticate, authController.resendVerification);
+
+// ── Two-Factor Authentication ──────────────────────────────────────────────
+/**
+ * @route   POST /api/v1/auth/2fa/setup
+ * @desc    Generate a TOTP secret for the current user (not enforced until enabled)
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/enable
+ * @desc    Confirm the authenticator with a code; returns recovery codes once
+ * @access  Private
+ * @body    { code }
+ */
+router.post('/2fa/enable', authenticate, authController.enableTwoFactor);
+
+/**
+ * @route   POST /api/v1/auth/2fa/disable
+ * @desc    Turn off 2FA with the password and a TOTP or recovery code
+ * @access  Private
+ * @body    { password, code }
+ */
+router.post('/2fa/disable', authenticate, authController.disableTwoFactor);
+
 // ── Password Reset ─────────────────────────────────────────────────────────
 /**
  * @route   POST /api/v1/auth/password-reset/request
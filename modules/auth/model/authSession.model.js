@@ -0,0 +1,126 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * AuthSession Model
+ *
+ * A login and the family of refresh tokens issued from it.
+ * Flow:
+ *  1. Login/register creates the session; the refresh token carries
+ *     sid = session id and jti = currentJti
+ *  2. /auth/refresh accepts only the current jti, then rotates it
+ *     (previousJti / rotatedAt keep the one just replaced)
+ *  3. Any older jti presented again means the token was copied — the
+ *     session is revoked, ending every token in the family
+ *
+ * Security principles:
+ *  - jti values are never exposed in API responses
+ *  - expiresAt follows the latest refresh token's exp (sliding)
+ *  - Revoked sessions are kept for audit (revokedReason)
+ */
+
+module.exports = (sequelize) => {
+  class AuthSession extends Model {
+    /**
+     * Not revoked and not past its refresh token's expiry.
+     */
+    isActive() {
+      return !this.revokedAt && new Date() < new Date(this.expiresAt);
+    }
+
+    /**
+     * Safe JSON — token identifiers stay internal.
+     */
+    toSafeJSON() {
+      const { currentJti, previousJti, ...safe } = this.get({ plain: true });
+      return safe;
+    }
+
+    static associate(models) {
+      AuthSession.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE',
+      });
+    }
+  }
+
+  AuthSession.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+      },
+      // jti of the only refresh token that may still be exchanged
+      currentJti: {
+        type: DataTypes.UUID,
+        allowNull: false,
+      },
+      previousJti: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      rotatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      revokedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // SESSION_REVOKE_REASON
+      revokedReason: {
+        type: DataTypes.STRING(32),
+        allowNull: true,
+      },
+      // Where the session started
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      userAgent: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+      },
+      // Last refresh
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      lastUsedIp: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'AuthSession',
+      tableName: 'auth_sessions',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+
+      indexes: [
+        { fields: ['user_id', 'revoked_at', 'expires_at'], name: 'idx_auth_sessions_user_active' },
+      ],
+    }
+  );
+
+  return AuthSession;
+};
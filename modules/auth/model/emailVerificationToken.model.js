@@ -0,0 +1,117 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+
+/**
+ * EmailVerificationToken Model
+ *
+ * One-time token proving the user controls their email address.
+ * Flow:
+ *  1. Registration (or POST /auth/verify-email/resend) creates a record with
+ *     the hashed token; earlier unused tokens of the user are invalidated
+ *  2. Raw token is emailed to the user (never stored in DB)
+ *  3. User submits raw token → EmailVerificationService hashes + compares →
+ *     user becomes active, emailVerifiedAt is set
+ *
+ * Security principles:
+ *  - Token stored as SHA256 hash (raw token only travels via email)
+ *  - Tokens expire after config.emailVerification.tokenExpiresIn ms
+ *  - email pins the address the token was sent to
+ */
+
+module.exports = (sequelize) => {
+  class EmailVerificationToken extends Model {
+    /**
+     * Generate a cryptographically secure raw token.
+     * Returns { rawToken, hashedToken } pair.
+     */
+    static generateToken() {
+      const rawToken = crypto.randomBytes(32).toString('hex');
+      return { rawToken, hashedToken: EmailVerificationToken.hashToken(rawToken) };
+    }
+
+    /**
+     * Hash a raw token for DB comparison.
+     */
+    static hashToken(rawToken) {
+      return crypto.createHash('sha256').update(rawToken).digest('hex');
+    }
+
+    /**
+     * Not expired and not used.
+     */
+    isValid() {
+      return !this.usedAt && new Date() < new Date(this.expiresAt);
+    }
+
+    static associate(models) {
+      EmailVerificationToken.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE',
+      });
+    }
+  }
+
+  EmailVerificationToken.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+      },
+      // Address the token was sent to
+      email: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null,
+      },
+      requestedFromIp: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'EmailVerificationToken',
+      tableName: 'email_verification_tokens',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+      updatedAt: false,
+
+      indexes: [
+        {
+          fields: ['user_id', 'used_at', 'expires_at'],
+          name: 'idx_evt_user_validity',
+        },
+      ],
+    }
+  );
+
+  return EmailVerificationToken;
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+
+/**
+ * TwoFactorRecoveryCode Model
+ *
+ * Single-use codes that stand in for a TOTP code when the authenticator is
+ * lost. A fresh set is issued when 2FA is enabled (shown once); disabling
+ * 2FA deletes them.
+ *
+ * Codes look like "k7d2m-q9xfa"; only the SHA256 of the normalized code
+ * (lowercase, no separator) is stored.
+ */
+
+module.exports = (sequelize) => {
+  class TwoFactorRecoveryCode extends Model {
+    /**
+     * Generate a raw code + its hash.
+     * @returns {{ rawCode: string, hashedCode: string }}
+     */
+    static generateCode() {
+      const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789'; // no look-alikes (0/o, 1/l/i)
+      const chars = Array.from({ length: 10 }, () => alphabet[crypto.randomInt(alphabet.length)]);
+      const rawCode = `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+      return { rawCode, hashedCode: TwoFactorRecoveryCode.hashCode(rawCode) };
+    }
+
+    /**
+     * Hash a code as typed by the user (case and separators ignored).
+     */
+    static hashCode(rawCode) {
+      const normalized = rawCode.toLowerCase().replace(/[^a-z0-9]/g, '');
+      return crypto.createHash('sha256').update(normalized).digest('hex');
+    }
+
+    static associate(models) {
+      TwoFactorRecoveryCode.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE',
+      });
+    }
+  }
+
+  TwoFactorRecoveryCode.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+      },
+      codeHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      usedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        defaultValue: null,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'TwoFactorRecoveryCode',
+      tableName: 'two_factor_recovery_codes',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+      updatedAt: false,
+
+      indexes: [
+        { fields: ['user_id', 'code_hash'], unique: true, name: 'idx_2fa_recovery_codes_user_hash' },
+      ],
+    }
+  );
+
+  return TwoFactorRecoveryCode;
+};
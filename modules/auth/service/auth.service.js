@@ -1,7 +1,7 @@
 'use strict';
 
+const { v4: uuidv4 } = require('uuid');
 const db = require('../../../infrastructure/database');
-const { issueTokenPair, verifyRefreshToken } = require('../../../shared/utils/jwt');
 const { validateOrThrow, commonSchemas, Joi } = require('../../../shared/utils/validation');
 const {
   ConflictError,
@@ -10,9 +10,14 @@ const {
   InvalidTokenError,
   ValidationError,
 } = require('../../../shared/utils/AppError');
-const { USER_STATUS, ACTIVITY_TYPE } = require('../../../shared/constants');
+const { USER_STATUS, ACTIVITY_TYPE, SESSION_REVOKE_REASON } = require('../../../shared/constants');
 const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
 const { JOB_NAMES } = require('../../../shared/constants');
+const userActivityLogService = require('../../user/service/userActivityLog.service');
+const authSessionService = require('./authSession.service');
+const emailVerificationService = require('./emailVerification.service');
+const twoFactorService = require('./twoFactor.service');
+const { signTwoFactorChallenge, verifyTwoFactorChallenge, getTokenExpiry } = require('../../../shared/utils/jwt');
 const logger = require('../../../infrastructure/logger');
 const config = require('../../../config');
 
@@ -20,9 +25,11 @@ const config = require('../../../config');
  * Auth Service
  *
  * Owns all authentication business logic:
- *  - User registration (email or mobile)
- *  - Login with credential verification
- *  - Access token refresh
+ *  - User registration (email or mobile; email addresses are verified —
+ *    see EmailVerificationService)
+ *  - Login with credential verification (+ TOTP step when 2FA is enabled)
+ *  - Access token refresh (rotating refresh tokens — see AuthSessionService)
+ *  - Logout (one session / all sessions)
  *  - Password reset (token issuance + consumption)
  *
  * Rules:
@@ -47,6 +54,11 @@ const loginSchema = Joi.object({
   password: Joi.string().required(),
 }).or('email', 'mobile');
 
+const twoFactorLoginSchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().trim().min(6).max(20).required(), // TOTP or recovery code
+});
+
 const resetRequestSchema = Joi.object({
   email: commonSchemas.email.required(),
 });
@@ -64,9 +76,10 @@ const resetPasswordSchema = Joi.object({
  *
  * @param {object} input - { email?, mobile?, password, firstName, lastName }
  * @param {string} ipAddress - Caller's IP for audit
+ * @param {string} [userAgent] - Recorded on the session
  * @returns {{ user: object, accessToken: string, refreshToken: string }}
  */
-const register = async (input, ipAddress) => {
+const register = async (input, ipAddress, userAgent = null) => {
   const data = validateOrThrow(registerSchema, input);
 
   const { User } = db;
@@ -87,6 +100,9 @@ const register = async (input, ipAddress) => {
   }
 
   // ── Create user ──────────────────────────────────────────────────────
+  // Email addresses must be verified; there is no SMS flow for mobile numbers
+  const needsVerification = config.emailVerification.enabled && !!data.email;
+
   // passwordHash field triggers bcrypt hashing in the beforeCreate hook
   const user = await User.create({
     email: data.email || null,
@@ -94,12 +110,12 @@ const register = async (input, ipAddress) => {
     passwordHash: data.password,
     firstName: data.firstName,
     lastName: data.lastName,
-    status: USER_STATUS.ACTIVE,
+    status: needsVerification ? USER_STATUS.PENDING_VERIFICATION : USER_STATUS.ACTIVE,
     lastLoginAt: new Date(),
     lastLoginIp: ipAddress,
   });
 
-  const tokens = issueTokenPair(user.id, user.role);
+  const tokens = await authSessionService.createSession(user, { ip: ipAddress, userAgent });
 
   logger.info('[AuthService] User registered', {
     userId: user.id,
@@ -108,11 +124,48 @@ const register = async (input, ipAddress) => {
   });
 
   // Fire-and-forget: log domain event
-  await dispatch(QUEUE_NAMES.ACTIVITY_LOG, JOB_NAMES.LOG_ACTIVITY, {
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
     type: ACTIVITY_TYPE.USER_REGISTERED,
-    actorId: user.id,
     metadata: { email: data.email, mobile: data.mobile },
-  }).catch((err) => logger.error('[AuthService] Failed to dispatch activity log', { error: err.message }));
+    ipAddress,
+  });
+
+  if (needsVerification) {
+    // The account exists either way — a queue outage is recoverable via resend
+    try {
+      await emailVerificationService.sendVerification(user, { ip: ipAddress });
+    } catch (err) {
+      logger.error('[AuthService] Failed to send verification email', {
+        userId: user.id,
+        error: err.message,
+      });
+    }
+  }
+
+  return {
+    user: user.toSafeJSON(),
+    ...tokens,
+  };
+};
+
+/**
+ * Start a session for a user who passed every login step.
+ */
+const completeLogin = async (user, ipAddress, userAgent, metadata = {}) => {
+  // Update last login metadata
+  await user.update({ lastLoginAt: new Date(), lastLoginIp: ipAddress });
+
+  const tokens = await authSessionService.createSession(user, { ip: ipAddress, userAgent });
+
+  logger.info('[AuthService] User logged in', { userId: user.id, ip: ipAddress });
+
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
+    type: ACTIVITY_TYPE.USER_LOGIN,
+    metadata,
+    ipAddress,
+  });
 
   return {
     user: user.toSafeJSON(),
@@ -124,11 +177,16 @@ const register = async (input, ipAddress) => {
  * Login with email or mobile + password.
  * Rate limiting is applied at the route level (authRateLimiter).
  *
+ * With 2FA enabled no tokens are issued yet: the result is a short-lived
+ * challenge token for completeTwoFactorLogin().
+ *
  * @param {object} input - { email?, mobile?, password }
  * @param {string} ipAddress
- * @returns {{ user: object, accessToken: string, refreshToken: string }}
+ * @param {string} [userAgent] - Recorded on the session
+ * @returns {{ user: object, accessToken: string, refreshToken: string }
+ *   | { twoFactorRequired: true, challengeToken: string, expiresAt: Date }}
  */
-const login = async (input, ipAddress) => {
+const login = async (input, ipAddress, userAgent = null) => {
   const data = validateOrThrow(loginSchema, input);
 
   const { User } = db;
@@ -148,7 +206,7 @@ const login = async (input, ipAddress) => {
     throw authError;
   }
 
-  if (!user.isActive()) {
+  if (!user.canSignIn()) {
     logger.warn('[AuthService] Login failed: account inactive', {
       userId: user.id,
       status: user.status,
@@ -166,52 +224,85 @@ const login = async (input, ipAddress) => {
     throw authError;
   }
 
-  // Update last login metadata
-  await user.update({ lastLoginAt: new Date(), lastLoginIp: ipAddress });
+  if (user.hasTwoFactor()) {
+    const challengeToken = signTwoFactorChallenge(user.id);
+    logger.info('[AuthService] Password accepted, awaiting second factor', { userId: user.id, ip: ipAddress });
+    return {
+      twoFactorRequired: true,
+      challengeToken,
+      expiresAt: getTokenExpiry(challengeToken),
+    };
+  }
 
-  const tokens = issueTokenPair(user.id, user.role);
+  return completeLogin(user, ipAddress, userAgent);
+};
 
-  logger.info('[AuthService] User logged in', { userId: user.id, ip: ipAddress });
+/**
+ * Second login step: exchange the challenge token and a TOTP or recovery code
+ * for a session.
+ *
+ * @param {object} input - { challengeToken, code }
+ * @param {string} ipAddress
+ * @param {string} [userAgent]
+ * @returns {{ user: object, accessToken: string, refreshToken: string }}
+ */
+const completeTwoFactorLogin = async (input, ipAddress, userAgent = null) => {
+  const data = validateOrThrow(twoFactorLoginSchema, input);
+  const payload = verifyTwoFactorChallenge(data.challengeToken); // throws on invalid/expired
+  await twoFactorService.registerChallengeAttempt(payload); // throws when out of attempts
 
-  await dispatch(QUEUE_NAMES.ACTIVITY_LOG, JOB_NAMES.LOG_ACTIVITY, {
-    type: ACTIVITY_TYPE.USER_LOGIN,
-    actorId: user.id,
-    metadata: { ip: ipAddress },
-  }).catch((err) => logger.error('[AuthService] Activity log dispatch failed', { error: err.message }));
+  const user = await db.User.scope('withTwoFactor').findByPk(payload.sub);
+  if (!user || !user.canSignIn()) {
+    throw new InvalidTokenError('User no longer exists or is inactive');
+  }
+  if (!user.hasTwoFactor()) {
+    // Disabled between the two steps — the password step alone is not a login
+    throw new InvalidTokenError('Two-factor challenge is no longer valid. Please log in again.');
+  }
 
-  return {
-    user: user.toSafeJSON(),
-    ...tokens,
-  };
+  const method = await twoFactorService.checkSecondFactor(user, data.code, { ip: ipAddress });
+  if (!method) {
+    await twoFactorService.recordChallengeFailure(payload);
+    logger.warn('[AuthService] Login failed: wrong second factor', { userId: user.id, ip: ipAddress });
+    throw new InvalidCredentialsError('Invalid authentication code');
+  }
+  await twoFactorService.completeChallenge(payload);
+
+  return completeLogin(user, ipAddress, userAgent, { twoFactor: method });
 };
 
 /**
- * Issue new access token using a valid refresh token.
+ * Exchange a refresh token for a new access + refresh token pair.
+ * The presented refresh token is spent; replaying it revokes the session.
  *
  * @param {string} refreshToken - The refresh JWT
+ * @param {string} [ipAddress]
  * @returns {{ accessToken: string, refreshToken: string }}
  */
-const refreshTokens = async (refreshToken) => {
-  if (!refreshToken) {
-    throw new InvalidTokenError('Refresh token is required');
-  }
-
-  const payload = verifyRefreshToken(refreshToken); // throws on invalid/expired
-  const { User } = db;
-
-  const user = await User.findOne({
-    where: { id: payload.sub, status: USER_STATUS.ACTIVE },
-  });
-
-  if (!user) {
-    throw new InvalidTokenError('User no longer exists or is inactive');
-  }
-
-  const tokens = issueTokenPair(user.id, user.role);
+const refreshTokens = async (refreshToken, ipAddress = null) => {
+  return authSessionService.rotateSession(refreshToken, { ip: ipAddress });
+};
 
-  logger.debug('[AuthService] Tokens refreshed', { userId: user.id });
+/**
+ * End the session the refresh token belongs to.
+ *
+ * @param {string} refreshToken
+ * @param {string} [ipAddress]
+ * @returns {void}
+ */
+const logout = async (refreshToken, ipAddress = null) => {
+  await authSessionService.logout(refreshToken, { ip: ipAddress });
+};
 
-  return tokens;
+/**
+ * End every session of the user.
+ *
+ * @param {string} userId
+ * @param {string} [ipAddress]
+ * @returns {{ revokedCount: number }}
+ */
+const logoutAll = async (userId, ipAddress = null) => {
+  return authSessionService.logoutAll(userId, { ip: ipAddress });
 };
 
 /**
@@ -257,20 +348,20 @@ const requestPasswordReset = async (input, meta = {}) => {
 
   logger.info('[AuthService] Password reset token created', { userId: user.id, ip: meta.ip });
 
-  // Dispatch email job — token delivery is async
+  // Dispatch email job — token delivery is async (UUID jobId — see EmailDeliveryService)
   await dispatch(QUEUE_NAMES.NOTIFICATION_EMAIL, JOB_NAMES.SEND_PASSWORD_RESET_EMAIL, {
     userId: user.id,
     email: user.email,
     firstName: user.firstName,
     rawToken, // Worker will construct the reset URL
     expiresAt: new Date(Date.now() + config.passwordReset.tokenExpiresIn),
-  });
+  }, { jobId: uuidv4() });
 
-  await dispatch(QUEUE_NAMES.ACTIVITY_LOG, JOB_NAMES.LOG_ACTIVITY, {
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
     type: ACTIVITY_TYPE.PASSWORD_RESET_REQUESTED,
-    actorId: user.id,
-    metadata: { ip: meta.ip },
-  }).catch(() => {});
+    ipAddress: meta.ip || null,
+  });
 };
 
 /**
@@ -297,7 +388,7 @@ const resetPassword = async (input) => {
 
   const user = tokenRecord.user;
 
-  if (!user || !user.isActive()) {
+  if (!user || !user.canSignIn()) {
     throw new InvalidTokenError('Associated account is not active');
   }
 
@@ -307,19 +398,25 @@ const resetPassword = async (input) => {
   // Mark token as used (prevents replay)
   await tokenRecord.update({ usedAt: new Date() });
 
+  // Whoever knew the old password may still hold a session
+  await authSessionService.revokeAllSessions(user.id, SESSION_REVOKE_REASON.PASSWORD_RESET);
+  await authSessionService.forgetUserTokenState(user.id);
+
   logger.info('[AuthService] Password reset completed', { userId: user.id });
 
-  await dispatch(QUEUE_NAMES.ACTIVITY_LOG, JOB_NAMES.LOG_ACTIVITY, {
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
     type: ACTIVITY_TYPE.PASSWORD_RESET_COMPLETED,
-    actorId: user.id,
-    metadata: {},
-  }).catch(() => {});
+  });
 };
 
 module.exports = {
   register,
   login,
+  completeTwoFactorLogin,
   refreshTokens,
+  logout,
+  logoutAll,
   requestPasswordReset,
   resetPassword,
 };
\ No newline at end of file
@@ -0,0 +1,441 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../../infrastructure/database');
+const { issueTokenPair, verifyRefreshToken, getTokenExpiry } = require('../../../shared/utils/jwt');
+const { InvalidTokenError, TokenExpiredError, NotFoundError } = require('../../../shared/utils/AppError');
+const { USER_SIGN_IN_STATUSES, ACTIVITY_TYPE, SESSION_REVOKE_REASON } = require('../../../shared/constants');
+const userActivityLogService = require('../../user/service/userActivityLog.service');
+const { redisClient, redisKey, cacheGet, cacheSet } = require('../../../infrastructure/redis');
+const logger = require('../../../infrastructure/logger');
+const config = require('../../../config');
+
+/**
+ * AuthSessionService
+ *
+ * Refresh-token families. Every login starts an AuthSession; its refresh
+ * tokens carry sid + jti, and only the session's currentJti is accepted:
+ *
+ *   login    → session { currentJti: A }          client holds A
+ *   refresh A → session { currentJti: B, previousJti: A }
+ *   refresh A → reuse: A was already exchanged — whoever holds it is not
+ *               (only) the client, so the session is revoked and B dies too
+ *
+ * The immediately previous jti is tolerated for
+ * config.jwt.refreshReuseGraceSeconds after rotation (rejected, but the
+ * session survives) so two tabs refreshing at once do not log the user out.
+ *
+ * Rotation is a compare-and-swap on currentJti — of two concurrent refreshes
+ * with the same token, exactly one wins.
+ *
+ * Access tokens carry the sid too. authenticate asks isSessionActive() on
+ * every request; the answer is cached in Redis and overwritten with a revoked
+ * tombstone whenever a session is revoked, so revocation takes effect
+ * immediately.
+ *
+ * authenticate also checks the user's status and tokenVersion via
+ * getUserTokenState() (cached the same way). Whoever changes a user's
+ * password, status or role calls forgetUserTokenState() afterwards, which
+ * leaves a stale marker: the DB is read, and nothing cached, until it expires.
+ *
+ * Cache fills only write to an empty key (SET NX), so a request that read the
+ * DB just before a revoke or change cannot put the old state back.
+ */
+
+// ── Session State Cache ────────────────────────────────────────────────────
+// A Redis outage must not lock everyone out: cache errors fall back to the DB.
+const sessionCacheKey = (sessionId) => redisKey('auth:session', sessionId);
+const userCacheKey = (userId) => redisKey('auth:user', userId);
+
+// Left by revokes/changes in place of the cached state (see markCachedState)
+const REVOKED_SESSION_STATE = Object.freeze({ revoked: true });
+const STALE_USER_STATE = Object.freeze({ stale: true });
+
+const readCachedState = async (key) => {
+  try {
+    return await cacheGet(key);
+  } catch (err) {
+    logger.warn('[AuthSession] State cache read failed', { key, error: err.message });
+    return null;
+  }
+};
+
+/**
+ * Cache state read from the DB — only if the key is empty, so it never
+ * replaces a marker written by a revoke/change that happened after the read.
+ */
+const writeCachedState = async (key, state) => {
+  try {
+    await redisClient.set(key, JSON.stringify(state), { EX: config.jwt.sessionCacheSeconds, NX: true });
+  } catch (err) {
+    logger.warn('[AuthSession] State cache write failed', { key, error: err.message });
+  }
+};
+
+/**
+ * Overwrite cached state after a revoke/change. The marker outlives any cache
+ * fill that read the DB before the change.
+ */
+const markCachedState = async (keys, marker) => {
+  try {
+    await Promise.all(keys.map((key) => cacheSet(key, marker, config.jwt.sessionCacheSeconds)));
+  } catch (err) {
+    logger.warn('[AuthSession] State cache update failed', { keys, error: err.message });
+  }
+};
+
+/**
+ * @param {object} user - User instance (id, role, tokenVersion)
+ * @param {string} sessionId
+ * @returns {{ tokens: { accessToken, refreshToken }, jti: string, expiresAt: Date }}
+ */
+const issueForSession = (user, sessionId) => {
+  const jti = uuidv4();
+  const tokens = issueTokenPair(user.id, user.role, { sessionId, jti }, user.tokenVersion);
+  return { tokens, jti, expiresAt: getTokenExpiry(tokens.refreshToken) };
+};
+
+// ── Create ─────────────────────────────────────────────────────────────────
+/**
+ * Start a session for a freshly authenticated user.
+ *
+ * @param {object} user - User instance
+ * @param {object} [meta] - { ip, userAgent }
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ */
+const createSession = async (user, { ip = null, userAgent = null } = {}) => {
+  const sessionId = uuidv4();
+  const { tokens, jti, expiresAt } = issueForSession(user, sessionId);
+
+  await db.AuthSession.create({
+    id: sessionId,
+    userId: user.id,
+    currentJti: jti,
+    expiresAt,
+    ipAddress: ip,
+    userAgent: userAgent ? userAgent.slice(0, 500) : null,
+    lastUsedAt: new Date(),
+    lastUsedIp: ip,
+  });
+
+  return tokens;
+};
+
+// ── Revoke ─────────────────────────────────────────────────────────────────
+/**
+ * @param {string} sessionId
+ * @param {string} reason - SESSION_REVOKE_REASON
+ * @returns {Promise<boolean>} false if it was already revoked
+ */
+const revokeSession = async (sessionId, reason) => {
+  const [count] = await db.AuthSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+  await markCachedState([sessionCacheKey(sessionId)], REVOKED_SESSION_STATE);
+  return count > 0;
+};
+
+/**
+ * Revoke every open session of a user.
+ * @param {string} userId
+ * @param {string} reason - SESSION_REVOKE_REASON
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - Keep this session (the caller's)
+ * @returns {Promise<number>} Sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId = null } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) where.id = { [Op.ne]: exceptSessionId };
+
+  const [count, revoked] = await db.AuthSession.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where, returning: ['id'] }
+  );
+  await markCachedState(
+    revoked.map((session) => sessionCacheKey(session.id)),
+    REVOKED_SESSION_STATE
+  );
+  return count;
+};
+
+// ── Access Check ───────────────────────────────────────────────────────────
+/**
+ * Whether access tokens issued for this session may still be used.
+ * Called by the authenticate middleware on every request.
+ *
+ * @param {string} sessionId - sid claim
+ * @param {string} userId - sub claim
+ * @returns {Promise<boolean>}
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const key = sessionCacheKey(sessionId);
+  let state = await readCachedState(key);
+
+  if (!state) {
+    const session = await db.AuthSession.findByPk(sessionId, {
+      attributes: ['id', 'userId', 'revokedAt'],
+    });
+    state = { userId: session ? session.userId : null, revoked: !session || !!session.revokedAt };
+    await writeCachedState(key, state);
+  }
+
+  return !state.revoked && state.userId === userId;
+};
+
+/**
+ * Status and tokenVersion of a user, as authenticate needs them.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ status: string, tokenVersion: number }|null>} null if the user is gone
+ */
+const getUserTokenState = async (userId) => {
+  const key = userCacheKey(userId);
+  let state = await readCachedState(key);
+
+  // Stale marker: just changed — read the DB; the write below is a no-op
+  if (!state || state.stale) {
+    const user = await db.User.findByPk(userId, { attributes: ['id', 'status', 'tokenVersion'] });
+    state = user ? { status: user.status, tokenVersion: user.tokenVersion } : { deleted: true };
+    await writeCachedState(key, state);
+  }
+
+  return state.deleted ? null : state;
+};
+
+/**
+ * Invalidate the cached token state of a user after changing their password,
+ * status or role, so authenticate sees the change on the next request.
+ * @param {string} userId
+ */
+const forgetUserTokenState = async (userId) => {
+  await markCachedState([userCacheKey(userId)], STALE_USER_STATE);
+};
+
+/**
+ * A refresh token that is not the session's current one was presented.
+ * Always throws.
+ */
+const handleReuse = async (session, payload, ip) => {
+  const graceMs = config.jwt.refreshReuseGraceSeconds * 1000;
+  const justRotated =
+    session.previousJti === payload.jti &&
+    session.rotatedAt &&
+    Date.now() - new Date(session.rotatedAt).getTime() < graceMs;
+
+  if (justRotated) {
+    throw new InvalidTokenError('Refresh token has already been used');
+  }
+
+  await revokeSession(session.id, SESSION_REVOKE_REASON.TOKEN_REUSE);
+
+  logger.warn('[AuthSession] Refresh token reuse detected — session revoked', {
+    userId: session.userId,
+    sessionId: session.id,
+    ip,
+  });
+
+  await userActivityLogService.recordUserActivity({
+    userId: session.userId,
+    type: ACTIVITY_TYPE.REFRESH_TOKEN_REUSED,
+    metadata: { sessionId: session.id },
+    ipAddress: ip,
+  });
+
+  throw new InvalidTokenError('Refresh token reuse detected. Please log in again.');
+};
+
+// ── Rotate ─────────────────────────────────────────────────────────────────
+/**
+ * Exchange a refresh token for a new pair, rotating the session's jti.
+ *
+ * @param {string} refreshToken
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ */
+const rotateSession = async (refreshToken, { ip = null } = {}) => {
+  if (!refreshToken) {
+    throw new InvalidTokenError('Refresh token is required');
+  }
+
+  const payload = verifyRefreshToken(refreshToken); // throws on invalid/expired
+  if (!payload.sid || !payload.jti) {
+    // Issued before sessions existed — cannot be rotated safely
+    throw new InvalidTokenError('Refresh token is no longer supported. Please log in again.');
+  }
+
+  const { AuthSession, User } = db;
+
+  const session = await AuthSession.findByPk(payload.sid);
+  if (!session || session.userId !== payload.sub) {
+    throw new InvalidTokenError('Session not found');
+  }
+  if (session.revokedAt) {
+    throw new InvalidTokenError('Session has been revoked. Please log in again.');
+  }
+  if (session.currentJti !== payload.jti) {
+    return handleReuse(session, payload, ip);
+  }
+
+  const user = await User.findOne({
+    where: { id: payload.sub, status: USER_SIGN_IN_STATUSES },
+  });
+  if (!user) {
+    throw new InvalidTokenError('User no longer exists or is inactive');
+  }
+
+  const { tokens, jti, expiresAt } = issueForSession(user, session.id);
+  const now = new Date();
+
+  const [count] = await AuthSession.update(
+    {
+      currentJti: jti,
+      previousJti: payload.jti,
+      rotatedAt: now,
+      expiresAt,
+      lastUsedAt: now,
+      lastUsedIp: ip,
+    },
+    { where: { id: session.id, currentJti: payload.jti, revokedAt: null } }
+  );
+
+  if (count === 0) {
+    // Lost a race: rotated (or revoked) since we read it
+    const latest = await AuthSession.findByPk(session.id);
+    if (!latest || latest.revokedAt) {
+      throw new InvalidTokenError('Session has been revoked. Please log in again.');
+    }
+    return handleReuse(latest, payload, ip);
+  }
+
+  logger.debug('[AuthSession] Tokens refreshed', { userId: user.id, sessionId: session.id });
+  return tokens;
+};
+
+// ── Logout ─────────────────────────────────────────────────────────────────
+/**
+ * End the session a refresh token belongs to. Idempotent: an expired token
+ * or an already revoked session is not an error.
+ *
+ * @param {string} refreshToken
+ * @param {object} [meta] - { ip }
+ */
+const logout = async (refreshToken, { ip = null } = {}) => {
+  if (!refreshToken) {
+    throw new InvalidTokenError('Refresh token is required');
+  }
+
+  let payload;
+  try {
+    payload = verifyRefreshToken(refreshToken);
+  } catch (err) {
+    if (err instanceof TokenExpiredError) return; // session expired with it
+    throw err;
+  }
+  if (!payload.sid) return;
+
+  const session = await db.AuthSession.findByPk(payload.sid);
+  if (!session || session.userId !== payload.sub) return;
+
+  const revoked = await revokeSession(session.id, SESSION_REVOKE_REASON.LOGOUT);
+  if (!revoked) return;
+
+  logger.info('[AuthSession] Logged out', { userId: session.userId, sessionId: session.id });
+
+  await userActivityLogService.recordUserActivity({
+    userId: session.userId,
+    type: ACTIVITY_TYPE.USER_LOGOUT,
+    metadata: { sessionId: session.id },
+    ipAddress: ip,
+  });
+};
+
+/**
+ * End every session of the user (all devices).
+ *
+ * @param {string} userId
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<{ revokedCount: number }>}
+ */
+const logoutAll = async (userId, { ip = null } = {}) => {
+  const revokedCount = await revokeAllSessions(userId, SESSION_REVOKE_REASON.LOGOUT_ALL);
+
+  logger.info('[AuthSession] Logged out everywhere', { userId, revokedCount });
+
+  await userActivityLogService.recordUserActivity({
+    userId,
+    type: ACTIVITY_TYPE.USER_LOGOUT_ALL,
+    metadata: { revokedCount },
+    ipAddress: ip,
+  });
+
+  return { revokedCount };
+};
+
+// ── Device Management ──────────────────────────────────────────────────────
+/**
+ * Active sessions of a user, most recently used first.
+ *
+ * @param {string} userId
+ * @param {string} [currentSessionId] - sid of the caller's access token
+ * @returns {Promise<object[]>} Safe session objects with a `current` flag
+ */
+const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await db.AuthSession.findAll({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() },
+    },
+    order: [['lastUsedAt', 'DESC']],
+  });
+
+  return sessions.map((session) => ({
+    ...session.toSafeJSON(),
+    current: session.id === currentSessionId,
+  }));
+};
+
+/**
+ * Revoke one of the user's own sessions (sign a device out).
+ * Its refresh token stops working and so do access tokens issued for it.
+ *
+ * @param {string} userId
+ * @param {string} sessionId
+ * @param {object} [meta] - { ip }
+ */
+const revokeUserSession = async (userId, sessionId, { ip = null } = {}) => {
+  const session = await db.AuthSession.findOne({ where: { id: sessionId, userId } });
+  if (!session || !session.isActive()) {
+    throw new NotFoundError('Session');
+  }
+
+  const revoked = await revokeSession(session.id, SESSION_REVOKE_REASON.USER_REVOKED);
+  if (!revoked) {
+    throw new NotFoundError('Session');
+  }
+
+  logger.info('[AuthSession] Session revoked by user', { userId, sessionId });
+
+  await userActivityLogService.recordUserActivity({
+    userId,
+    type: ACTIVITY_TYPE.SESSION_REVOKED,
+    metadata: { sessionId },
+    ipAddress: ip,
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  getUserTokenState,
+  forgetUserTokenState,
+  logout,
+  logoutAll,
+  listSessions,
+  revokeUserSession,
+};
@@ -0,0 +1,173 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../../infrastructure/database');
+const { validateOrThrow, Joi } = require('../../../shared/utils/validation');
+const {
+  ConflictError,
+  InvalidTokenError,
+  NotFoundError,
+  RateLimitError,
+  UnprocessableError,
+} = require('../../../shared/utils/AppError');
+const { USER_STATUS, ACTIVITY_TYPE, JOB_NAMES } = require('../../../shared/constants');
+const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
+const userActivityLogService = require('../../user/service/userActivityLog.service');
+const authSessionService = require('./authSession.service');
+const logger = require('../../../infrastructure/logger');
+const config = require('../../../config');
+
+/**
+ * EmailVerificationService
+ *
+ * Email registrations start as USER_STATUS.PENDING_VERIFICATION (when
+ * config.emailVerification.enabled) and receive a verification email.
+ * Unverified users can sign in; the requireVerifiedEmail middleware keeps
+ * them from the actions in config.emailVerification.blockedActions.
+ *
+ * Verifying sets emailVerifiedAt and moves the user to active. The status
+ * change bumps tokenVersion, so the client refreshes its access token.
+ */
+
+// ── Validation ─────────────────────────────────────────────────────────────
+const verifySchema = Joi.object({
+  token: Joi.string().length(64).hex().required(),
+});
+
+// ── Issue ──────────────────────────────────────────────────────────────────
+/**
+ * Create a verification token for the user's current email and queue the email.
+ * Earlier unused tokens of the user stop working.
+ *
+ * @param {object} user - User instance (id, email, firstName)
+ * @param {object} [meta] - { ip }
+ * @returns {void}
+ */
+const sendVerification = async (user, { ip = null } = {}) => {
+  const { EmailVerificationToken } = db;
+
+  await EmailVerificationToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, usedAt: null } }
+  );
+
+  const { rawToken, hashedToken } = EmailVerificationToken.generateToken();
+  const expiresAt = new Date(Date.now() + config.emailVerification.tokenExpiresIn);
+
+  await EmailVerificationToken.create({
+    userId: user.id,
+    email: user.email,
+    tokenHash: hashedToken,
+    expiresAt,
+    requestedFromIp: ip,
+  });
+
+  logger.info('[EmailVerification] Verification token created', { userId: user.id, ip });
+
+  // UUID jobId — see EmailDeliveryService
+  await dispatch(QUEUE_NAMES.NOTIFICATION_EMAIL, JOB_NAMES.SEND_VERIFICATION_EMAIL, {
+    userId: user.id,
+    email: user.email,
+    firstName: user.firstName,
+    rawToken, // Worker will construct the verification URL
+    expiresAt,
+  }, { jobId: uuidv4() });
+
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
+    type: ACTIVITY_TYPE.EMAIL_VERIFICATION_REQUESTED,
+    ipAddress: ip,
+  });
+};
+
+/**
+ * POST /auth/verify-email/resend — new token for the signed-in user.
+ *
+ * @param {string} userId
+ * @param {object} [meta] - { ip }
+ * @returns {void}
+ */
+const resendVerification = async (userId, { ip = null } = {}) => {
+  const { User, EmailVerificationToken } = db;
+
+  const user = await User.findByPk(userId);
+  if (!user) throw new NotFoundError('User');
+
+  if (!user.email) {
+    throw new UnprocessableError('This account has no email address to verify');
+  }
+  if (user.emailVerifiedAt && user.status !== USER_STATUS.PENDING_VERIFICATION) {
+    throw new ConflictError('Email address is already verified');
+  }
+
+  const latest = await EmailVerificationToken.findOne({
+    where: { userId },
+    order: [['createdAt', 'DESC']],
+  });
+  const cooldownMs = config.emailVerification.resendCooldownSeconds * 1000;
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < cooldownMs) {
+    throw new RateLimitError('A verification email was just sent. Please wait before requesting another.');
+  }
+
+  await sendVerification(user, { ip });
+};
+
+// ── Verify ─────────────────────────────────────────────────────────────────
+/**
+ * Consume a verification token.
+ *
+ * @param {object} input - { token: rawHexToken }
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<object>} Safe user
+ */
+const verifyEmail = async (input, { ip = null } = {}) => {
+  const data = validateOrThrow(verifySchema, input);
+
+  const { User, EmailVerificationToken } = db;
+
+  const tokenRecord = await EmailVerificationToken.findOne({
+    where: { tokenHash: EmailVerificationToken.hashToken(data.token) },
+    include: [{ model: User, as: 'user' }],
+  });
+
+  if (!tokenRecord || !tokenRecord.isValid()) {
+    throw new InvalidTokenError('Verification token is invalid or has expired');
+  }
+
+  const user = tokenRecord.user;
+
+  if (!user || !user.canSignIn()) {
+    throw new InvalidTokenError('Associated account is not active');
+  }
+  if (user.email !== tokenRecord.email) {
+    throw new InvalidTokenError('Verification token was issued for a different email address');
+  }
+
+  await tokenRecord.update({ usedAt: new Date() });
+
+  const wasPending = user.status === USER_STATUS.PENDING_VERIFICATION;
+  await user.update({
+    emailVerifiedAt: new Date(),
+    ...(wasPending && { status: USER_STATUS.ACTIVE }),
+  });
+  if (wasPending) {
+    await authSessionService.forgetUserTokenState(user.id);
+  }
+
+  logger.info('[EmailVerification] Email verified', { userId: user.id });
+
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
+    type: ACTIVITY_TYPE.EMAIL_VERIFIED,
+    metadata: { email: user.email },
+    ipAddress: ip,
+  });
+
+  return user.toSafeJSON();
+};
+
+module.exports = {
+  sendVerification,
+  resendVerification,
+  verifyEmail,
+};
@@ -0,0 +1,356 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const db = require('../../../infrastructure/database');
+const { validateOrThrow, Joi } = require('../../../shared/utils/validation');
+const { redisClient, redisKey } = require('../../../infrastructure/redis');
+const {
+  ConflictError,
+  ForbiddenError,
+  InvalidTokenError,
+  NotFoundError,
+  RateLimitError,
+  TwoFactorRequiredError,
+  UnprocessableError,
+  ValidationError,
+} = require('../../../shared/utils/AppError');
+const { ACTIVITY_TYPE } = require('../../../shared/constants');
+const { generateSecret, verifyTotp, buildOtpauthUrl } = require('../../../shared/utils/totp');
+const userActivityLogService = require('../../user/service/userActivityLog.service');
+const logger = require('../../../infrastructure/logger');
+const config = require('../../../config');
+
+/**
+ * TwoFactorService
+ *
+ * TOTP two-factor authentication:
+ *
+ *   setup   → secret stored (encrypted), not yet enforced; client shows the
+ *             otpauth URL as a QR code
+ *   enable  → first code confirms the authenticator; recovery codes issued
+ *             (returned once)
+ *   login   → AuthService returns a challenge token instead of tokens;
+ *             /auth/2fa/verify exchanges it + a code via checkSecondFactor()
+ *   disable → password + code; secret and recovery codes removed
+ *
+ * A TOTP code is accepted once: twoFactorLastStep records the last time step
+ * used and only later steps pass. Recovery codes are single-use.
+ *
+ * Login challenges are single-use and allow config.twoFactor.challengeMaxAttempts
+ * codes each; wrong codes are also counted per account (maxFailures within
+ * failureWindowSeconds), since a fresh challenge only needs the password.
+ * Counters live in Redis.
+ *
+ * With config.twoFactor.requiredForPublicAlbumOwners, albums can only be made
+ * public by owners with 2FA, and owners of public albums cannot disable it.
+ */
+
+// ── Validation ─────────────────────────────────────────────────────────────
+const enableSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^\d{6}$/).required()
+    .messages({ 'string.pattern.base': 'Code must be the 6-digit code from your authenticator app' }),
+});
+
+const disableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: Joi.string().trim().min(6).max(20).required(), // TOTP or recovery code
+});
+
+// ── Secret Encryption ──────────────────────────────────────────────────────
+// AES-256-GCM; stored as "iv.tag.ciphertext" (base64 parts)
+const encryptionKey = () => crypto.createHash('sha256').update(config.twoFactor.encryptionKey).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// ── Code Checks ────────────────────────────────────────────────────────────
+/**
+ * Accept a TOTP code once: claim its time step atomically.
+ * @returns {Promise<boolean>}
+ */
+const consumeTotp = async (user, code) => {
+  let secret;
+  try {
+    secret = decryptSecret(user.twoFactorSecret);
+  } catch (err) {
+    // Encryption key changed — only recovery codes can get this user in
+    logger.error('[TwoFactor] Cannot decrypt TOTP secret', { userId: user.id, error: err.message });
+    return false;
+  }
+
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+
+  const [count] = await db.User.update(
+    { twoFactorLastStep: step },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [{ twoFactorLastStep: null }, { twoFactorLastStep: { [Op.lt]: step } }],
+      },
+    }
+  );
+  return count > 0;
+};
+
+/**
+ * Spend a recovery code.
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (user, code) => {
+  const { TwoFactorRecoveryCode } = db;
+  const [count] = await TwoFactorRecoveryCode.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, codeHash: TwoFactorRecoveryCode.hashCode(code), usedAt: null } }
+  );
+  return count > 0;
+};
+
+/**
+ * Check a second factor for a user with 2FA enabled.
+ * 6 digits are treated as a TOTP code, anything else as a recovery code.
+ *
+ * @param {object} user - User instance loaded with twoFactorSecret
+ * @param {string} code
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<'totp'|'recovery_code'|null>} Method that matched, null if none
+ */
+const checkSecondFactor = async (user, code, { ip = null } = {}) => {
+  const value = String(code || '').trim();
+
+  if (/^\d{6}$/.test(value)) {
+    return (await consumeTotp(user, value)) ? 'totp' : null;
+  }
+
+  if (!(await consumeRecoveryCode(user, value))) return null;
+
+  const remaining = await db.TwoFactorRecoveryCode.count({ where: { userId: user.id, usedAt: null } });
+  logger.info('[TwoFactor] Recovery code used', { userId: user.id, remaining });
+
+  await userActivityLogService.recordUserActivity({
+    userId: user.id,
+    type: ACTIVITY_TYPE.RECOVERY_CODE_USED,
+    metadata: { remaining },
+    ipAddress: ip,
+  });
+
+  return 'recovery_code';
+};
+
+// ── Login Challenge Attempts ───────────────────────────────────────────────
+const challengeAttemptsKey = (jti) => redisKey('2fa', 'challenge', jti);
+const accountFailuresKey = (userId) => redisKey('2fa', 'failures', userId);
+
+/**
+ * Count an attempt at a login challenge before its code is checked.
+ * Throws once the challenge is used up or the account has too many failures.
+ *
+ * @param {object} challenge - Verified challenge payload { sub, jti, exp }
+ */
+const registerChallengeAttempt = async (challenge) => {
+  const failures = Number(await redisClient.get(accountFailuresKey(challenge.sub))) || 0;
+  if (failures >= config.twoFactor.maxFailures) {
+    throw new RateLimitError('Too many failed two-factor attempts. Please try again later.');
+  }
+
+  const key = challengeAttemptsKey(challenge.jti);
+  const attempts = await redisClient.incr(key);
+  if (attempts === 1) await redisClient.expireAt(key, challenge.exp);
+
+  if (attempts > config.twoFactor.challengeMaxAttempts) {
+    throw new InvalidTokenError('Two-factor challenge is no longer valid. Please log in again.');
+  }
+};
+
+/**
+ * A wrong code was given for a challenge.
+ * @param {object} challenge
+ */
+const recordChallengeFailure = async (challenge) => {
+  const key = accountFailuresKey(challenge.sub);
+  const failures = await redisClient.incr(key);
+  if (failures === 1) await redisClient.expire(key, config.twoFactor.failureWindowSeconds);
+
+  logger.warn('[TwoFactor] Wrong code for login challenge', { userId: challenge.sub, failures });
+};
+
+/**
+ * The challenge was answered — spend its remaining attempts and clear the
+ * account's failure count.
+ * @param {object} challenge
+ */
+const completeChallenge = async (challenge) => {
+  await redisClient.set(challengeAttemptsKey(challenge.jti), String(config.twoFactor.challengeMaxAttempts), {
+    KEEPTTL: true,
+  });
+  await redisClient.del(accountFailuresKey(challenge.sub));
+};
+
+// ── Enrolment ──────────────────────────────────────────────────────────────
+const findUser = async (userId, scopes = ['withTwoFactor']) => {
+  const user = await db.User.scope(...scopes).findByPk(userId);
+  if (!user) throw new NotFoundError('User');
+  return user;
+};
+
+/**
+ * POST /auth/2fa/setup — start (or restart) enrolment.
+ *
+ * @param {string} userId
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const setup = async (userId) => {
+  const user = await findUser(userId);
+  if (user.hasTwoFactor()) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await user.update({ twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null });
+
+  logger.info('[TwoFactor] Setup started', { userId });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl({
+      secret,
+      label: user.email || user.mobile || user.id,
+      issuer: config.twoFactor.issuer,
+    }),
+  };
+};
+
+/**
+ * POST /auth/2fa/enable — confirm the authenticator with a first code.
+ *
+ * @param {string} userId
+ * @param {object} input - { code }
+ * @param {object} [meta] - { ip }
+ * @returns {Promise<{ recoveryCodes: string[] }>} Shown to the user once
+ */
+const enable = async (userId, input, { ip = null } = {}) => {
+  const data = validateOrThrow(enableSchema, input);
+  const user = await findUser(userId);
+
+  if (user.hasTwoFactor()) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+  if (!user.twoFactorSecret) {
+    throw new UnprocessableError('Start two-factor setup first');
+  }
+  if (!(await consumeTotp(user, data.code))) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  const { TwoFactorRecoveryCode } = db;
+  const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, () =>
+    TwoFactorRecoveryCode.generateCode()
+  );
+
+  await db.sequelize.transaction(async (transaction) => {
+    await TwoFactorRecoveryCode.destroy({ where: { userId }, transaction });
+    await TwoFactorRecoveryCode.bulkCreate(
+      codes.map(({ hashedCode }) => ({ userId, codeHash: hashedCode })),
+      { transaction }
+    );
+    await user.update({ twoFactorEnabledAt: new Date() }, { transaction });
+  });
+
+  logger.info('[TwoFactor] Enabled', { userId });
+
+  await userActivityLogService.recordUserActivity({
+    userId,
+    type: ACTIVITY_TYPE.TWO_FACTOR_ENABLED,
+    ipAddress: ip,
+  });
+
+  return { recoveryCodes: codes.map(({ rawCode }) => rawCode) };
+};
+
+/**
+ * POST /auth/2fa/disable — requires the password and a code.
+ *
+ * @param {string} userId
+ * @param {object} input - { password, code }
+ * @param {object} [meta] - { ip }
+ */
+const disable = async (userId, input, { ip = null } = {}) => {
+  const data = validateOrThrow(disableSchema, input);
+  const user = await findUser(userId, ['withPassword', 'withTwoFactor']);
+
+  if (!user.hasTwoFactor()) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+  if (!(await user.comparePassword(data.password))) {
+    throw new ForbiddenError('Password is incorrect');
+  }
+  if (config.twoFactor.requiredForPublicAlbumOwners) {
+    const publicAlbums = await db.Album.count({ where: { ownerId: userId, isPublic: true } });
+    if (publicAlbums > 0) {
+      throw new TwoFactorRequiredError(
+        'Two-factor authentication is required while you own public albums'
+      );
+    }
+  }
+
+  if (!(await checkSecondFactor(user, data.code, { ip }))) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await db.TwoFactorRecoveryCode.destroy({ where: { userId }, transaction });
+    await user.update(
+      { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null },
+      { transaction }
+    );
+  });
+
+  logger.info('[TwoFactor] Disabled', { userId });
+
+  await userActivityLogService.recordUserActivity({
+    userId,
+    type: ACTIVITY_TYPE.TWO_FACTOR_DISABLED,
+    ipAddress: ip,
+  });
+};
+
+// ── Policy ─────────────────────────────────────────────────────────────────
+/**
+ * Throw unless the owner may have a public album
+ * (config.twoFactor.requiredForPublicAlbumOwners).
+ *
+ * @param {string} ownerId
+ */
+const assertCanOwnPublicAlbum = async (ownerId) => {
+  if (!config.twoFactor.requiredForPublicAlbumOwners) return;
+
+  const owner = await db.User.findByPk(ownerId, { attributes: ['id', 'twoFactorEnabledAt'] });
+  if (!owner || !owner.hasTwoFactor()) {
+    throw new TwoFactorRequiredError(
+      'The album owner must enable two-factor authentication before the album can be made public'
+    );
+  }
+};
+
+module.exports = {
+  checkSecondFactor,
+  registerChallengeAttempt,
+  recordChallengeFailure,
+  completeChallenge,
+  setup,
+  enable,
+  disable,
+  assertCanOwnPublicAlbum,
+};
@@ -1,42 +1,46 @@
 'use strict';
 
+const { pipeline } = require('stream');
 const photoService = require('../service/photo.service');
+const photoSimilarityService = require('../service/photoSimilarity.service');
 const ResponseFormatter = require('../../../shared/utils/ResponseFormatter');
 const { parsePagination, buildMeta } = require('../../../shared/utils/pagination');
-const { ValidationError } = require('../../../shared/utils/AppError');
+const { UPLOAD_REJECTION } = require('../../../shared/constants');
+const { ValidationError, ConflictError, UnprocessableError } = require('../../../shared/utils/AppError');
 
 /**
  * Photo Controller
  * HTTP layer only — extract, call service, format response.
  */
 
+// Rejections caused by the file's content (vs. duplicates / storage errors)
+const CONTENT_REJECTIONS = [
+  UPLOAD_REJECTION.UNSUPPORTED_TYPE,
+  UPLOAD_REJECTION.POLYGLOT,
+  UPLOAD_REJECTION.DIMENSIONS_EXCEEDED,
+  UPLOAD_REJECTION.CORRUPT,
+  UPLOAD_REJECTION.DURATION_EXCEEDED,
+];
+
 const upload = async (req, res, next) => {
   try {
-    // Check if files were uploaded
-    const hasFiles = req.files || req.file;
-    if (!hasFiles) {
+    // .single() → req.file, .array() → req.files[], .fields() → req.files{ field: [] }
+    const received = req.file
+      ? [req.file]
+      : Array.isArray(req.files)
+        ? req.files
+        : Object.values(req.files || {}).flat();
+
+    if (received.length === 0) {
       throw new ValidationError('No file uploaded');
     }
 
     // Convert to array format for service
-    let files;
-    if (req.files) {
-      // Bulk upload (multiple files)
-      files = req.files.map((f) => ({
-        buffer: f.buffer,
-        filename: f.originalname,
-        mimetype: f.mimetype,
-      }));
-    } else {
-      // Single upload
-      files = [
-        {
-          buffer: req.file.buffer,
-          filename: req.file.originalname,
-          mimetype: req.file.mimetype,
-        },
-      ];
-    }
+    const files = received.map((f) => ({
+      buffer: f.buffer,
+      filename: f.originalname,
+      mimetype: f.mimetype,
+    }));
 
     const result = await photoService.uploadPhoto(
       req.params.albumId,
@@ -46,11 +50,21 @@ const upload = async (req, res, next) => {
       req.body.metadata || {}
     );
 
-    // If all failed
+    // If all failed — 409 when every file was rejected as a duplicate,
+    // 422 when every file failed content validation
     if (result.uploaded.length === 0) {
+      if (result.failed.every((f) => f.status === UPLOAD_REJECTION.DUPLICATE)) {
+        throw new ConflictError('All files already exist in this album', result.failed);
+      }
+      if (result.failed.every((f) => CONTENT_REJECTIONS.includes(f.status))) {
+        throw new UnprocessableError('No valid images or videos in upload', result.failed);
+      }
       throw new ValidationError('All uploads failed', result.failed);
     }
 
+    // Only present when the album's duplicate policy kicked in
+    const duplicates = result.duplicates.length > 0 ? { duplicates: result.duplicates } : {};
+
     // If partial success
     if (result.failed.length > 0) {
       return ResponseFormatter.success(
@@ -58,6 +72,7 @@ const upload = async (req, res, next) => {
         {
           uploaded: result.uploaded,
           failed: result.failed,
+          ...duplicates,
         },
         201,
         `${result.uploaded.length} photo(s) uploaded, ${result.failed.length} failed. Processing in background.`
@@ -69,6 +84,7 @@ const upload = async (req, res, next) => {
       res,
       {
         uploaded: result.uploaded,
+        ...duplicates,
       },
       result.uploaded.length === 1
         ? 'Photo uploaded successfully. Processing in background.'
@@ -88,7 +104,7 @@ const list = async (req, res, next) => {
       req.params.albumId,
       userId,
       req.user?.role,
-      { page, limit, status: req.query.status, tags: req.query.tags }
+      { page, limit, status: req.query.status, kind: req.query.kind, tags: req.query.tags }
     );
 
     return ResponseFormatter.paginated(res, result.photos, buildMeta(result.total, page, limit));
@@ -107,6 +123,76 @@ const getOne = async (req, res, next) => {
   }
 };
 
+/**
+ * Stream a clip with HTTP Range support (seeking in <video> elements).
+ * No Range header → 200 with the whole file; one satisfiable range → 206;
+ * otherwise 416. Multi-range requests are served as the first range.
+ */
+const stream = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || null;
+    const video = await photoService.getVideoStream(req.params.photoId, userId, req.user?.role);
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': video.mimeType,
+      'Cache-Control': 'private, max-age=0',
+    });
+
+    const ranges = req.range(video.size);
+    if (ranges === -1 || ranges === -2 || (ranges && ranges.type !== 'bytes')) {
+      res.set('Content-Range', `bytes */${video.size}`);
+      return res.status(416).end();
+    }
+
+    const range = ranges ? ranges[0] : null;
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${video.size}`);
+    }
+    res.set('Content-Length', String(range ? range.end - range.start + 1 : video.size));
+
+    if (req.method === 'HEAD') return res.end();
+
+    const body = await video.open(range);
+    pipeline(body, res, () => {}); // Client aborts while seeking are routine
+  } catch (err) {
+    next(err);
+  }
+};
+
+const listDuplicates = async (req, res, next) => {
+  try {
+    const { page, limit } = parsePagination(req.query);
+    const userId = req.user?.id || null;
+
+    const result = await photoSimilarityService.findDuplicateGroups(
+      req.params.albumId,
+      userId,
+      req.user?.role,
+      { page, limit, threshold: req.query.threshold }
+    );
+
+    return ResponseFormatter.paginated(res, result.groups, buildMeta(result.total, page, limit));
+  } catch (err) {
+    next(err);
+  }
+};
+
+const listSimilar = async (req, res, next) => {
+  try {
+    const userId = req.user?.id || null;
+    const result = await photoSimilarityService.findSimilarPhotos(
+      req.params.photoId,
+      userId,
+      req.user?.role,
+      { limit: req.query.limit, threshold: req.query.threshold }
+    );
+    return ResponseFormatter.success(res, result);
+  } catch (err) {
+    next(err);
+  }
+};
+
 const updateVisibility = async (req, res, next) => {
   try {
     const photo = await photoService.updatePhotoVisibility(
@@ -140,4 +226,24 @@ const restore = async (req, res, next) => {
   }
 };
 
-module.exports = { upload, list, getOne, updateVisibility, remove, restore };
+const reprocess = async (req, res, next) => {
+  try {
+    const photo = await photoService.reprocessPhoto(req.params.photoId, req.user.id, req.user.role, req.ip);
+    return ResponseFormatter.success(res, { photo }, 202, 'Photo queued for processing');
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  upload,
+  list,
+  getOne,
+  stream,
+  listDuplicates,
+  listSimilar,
+  updateVisibility,
+  remove,
+  restore,
+  reprocess,
+};
@@ -0,0 +1,157 @@
+'use strict';
+
+const resumableUploadService = require('../service/resumableUpload.service');
+const directUploadService = require('../service/directUpload.service');
+const ResponseFormatter = require('../../../shared/utils/ResponseFormatter');
+const { ValidationError, ConflictError } = require('../../../shared/utils/AppError');
+const { UPLOAD_REJECTION } = require('../../../shared/constants');
+
+/**
+ * Upload Controller
+ * HTTP layer for init/append/complete chunked uploads and the
+ * presign/confirm direct-to-storage flow.
+ *
+ * The current byte offset is mirrored in the Upload-Offset response header
+ * so clients can resume without parsing the body.
+ */
+
+const setOffsetHeader = (res, upload) => res.set('Upload-Offset', String(upload.offset));
+
+const init = async (req, res, next) => {
+  try {
+    const upload = await resumableUploadService.initUpload(
+      req.params.albumId,
+      req.body,
+      req.user.id,
+      req.user.role
+    );
+    setOffsetHeader(res, upload);
+    return ResponseFormatter.created(res, { upload }, 'Upload started');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const getOne = async (req, res, next) => {
+  try {
+    const upload = await resumableUploadService.getUpload(
+      req.params.albumId,
+      req.params.uploadId,
+      req.user.id
+    );
+    setOffsetHeader(res, upload);
+    return ResponseFormatter.success(res, { upload });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const append = async (req, res, next) => {
+  try {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new ValidationError('Upload-Offset header must be a non-negative integer');
+    }
+
+    const upload = await resumableUploadService.appendChunk(
+      req.params.albumId,
+      req.params.uploadId,
+      offset,
+      req.body,
+      req.user.id
+    );
+    setOffsetHeader(res, upload);
+    return ResponseFormatter.success(res, { upload });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const complete = async (req, res, next) => {
+  try {
+    const result = await resumableUploadService.completeUpload(
+      req.params.albumId,
+      req.params.uploadId,
+      req.body,
+      req.user.id,
+      req.user.role
+    );
+    return ResponseFormatter.created(
+      res,
+      {
+        upload: result.upload,
+        photo: result.photo,
+        ...(result.duplicates.length > 0 && { duplicates: result.duplicates }),
+      },
+      'Upload complete. Processing in background.'
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+const abort = async (req, res, next) => {
+  try {
+    await resumableUploadService.abortUpload(req.params.albumId, req.params.uploadId, req.user.id);
+    return ResponseFormatter.noContent(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ── Direct-to-storage ──────────────────────────────────────────────────────
+const presign = async (req, res, next) => {
+  try {
+    const uploads = await directUploadService.presignUploads(
+      req.params.albumId,
+      req.body.files,
+      req.user.id,
+      req.user.role
+    );
+    return ResponseFormatter.success(res, { uploads }, 200, 'Upload URLs issued');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const confirm = async (req, res, next) => {
+  try {
+    const result = await directUploadService.confirmUploads(
+      req.params.albumId,
+      req.body.uploads.map((u) => u.uploadToken),
+      req.user.id,
+      req.user.role,
+      req.body.metadata
+    );
+
+    // 409 when every upload was rejected as a duplicate
+    if (result.uploaded.length === 0) {
+      if (result.failed.every((f) => f.status === UPLOAD_REJECTION.DUPLICATE)) {
+        throw new ConflictError('All files already exist in this album', result.failed);
+      }
+      throw new ValidationError('All confirmations failed', result.failed);
+    }
+
+    return ResponseFormatter.created(
+      res,
+      {
+        photos: result.uploaded,
+        ...(result.failed.length > 0 && { failed: result.failed }),
+        ...(result.duplicates.length > 0 && { duplicates: result.duplicates }),
+      },
+      `${result.uploaded.length} photo(s) confirmed. Processing in background.`
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  init,
+  getOne,
+  append,
+  complete,
+  abort,
+  presign,
+  confirm,
+};
@@ -2,7 +2,7 @@
 
 const { Model, DataTypes } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
-const { PHOTO_STATUS, PHOTO_VISIBILITY } = require('../../../shared/constants');
+const { PHOTO_STATUS, PHOTO_VISIBILITY, PHOTO_PRIVACY, MEDIA_KIND } = require('../../../shared/constants');
 
 /**
  * Photo Model — Aggregate Root of the Media Context
@@ -18,11 +18,22 @@ const { PHOTO_STATUS, PHOTO_VISIBILITY } = require('../../../shared/constants');
  * Processing Lifecycle:
  *  1. Upload → status=pending, filePath set, queued for processing
  *  2. Worker picks up → status=processing
- *  3. Thumbnail generated → thumbnailPath set, status=ready
+ *  3. Renditions generated → renditions map + thumbnailUrl set, status=ready
  *  4. Failures → status=failed, error logged to metadata
  *
+ * Media Kind:
+ *  - 'photo' or 'video' (short MP4/MOV clip). Clips are Photo rows in every
+ *    respect — visibility, tags, comments, trash — with a poster frame as
+ *    their renditions and the clip itself streamed via GET /photos/:id/stream
+ *
+ * Metadata Privacy (album.photoPrivacy):
+ *  - The album owner always sees the original and the full extracted EXIF
+ *  - Other viewers get fileUrl swapped for the sanitized 'full' rendition and
+ *    GPS (strip_gps) or all EXIF-derived fields (strip_all) removed
+ *
  * Soft Delete (Trash):
  *  - Paranoid model: deletedAt is set, not removed from DB
+ *  - Trashed photos are purged after config.trash.retentionDays unless trashPinnedAt is set
  *  - Trash is user-facing — "deleted" photos can be restored by owner
  *
  * Associations:
@@ -58,12 +69,116 @@ module.exports = (sequelize) => {
 
     /**
      * Safe JSON — never expose internal processing paths in API responses.
+     * Rendition storage keys are stripped; a per-format srcset string is
+     * added so clients can render responsive <img>/<picture> elements.
+     *
+     * Pass the viewer and album to apply the album's photo privacy policy.
+     * Without a viewer the payload is unredacted (uploader/owner contexts).
+     *
+     * @param {object} [viewer]
+     * @param {string|null} [viewer.userId]
+     * @param {{ ownerId: string, photoPrivacy?: string }} [viewer.album]
+     */
+    toSafeJSON({ userId, album } = {}) {
+      const { storageKey, deletedAt, trashPinnedAt, renditions, ...safe } = this.get({ plain: true });
+      if (renditions !== undefined) {
+        safe.renditions = Photo.toPublicRenditions(renditions);
+        safe.srcset = Photo.buildSrcset(renditions);
+      }
+      if (album && album.ownerId !== userId) {
+        Photo.applyPrivacy(safe, album.photoPrivacy || PHOTO_PRIVACY.STRIP_GPS, renditions);
+      }
+      return safe;
+    }
+
+    /**
+     * Redact a serialized photo for a non-owner viewer (mutates `safe`).
+     * Until the worker has produced the sanitized 'full' copy, fileUrl is null.
      */
-    toSafeJSON() {
-      const { storageKey, deletedAt, ...safe } = this.get({ plain: true });
+    static applyPrivacy(safe, privacy, renditions = {}) {
+      if (privacy === PHOTO_PRIVACY.KEEP) return safe;
+
+      const full = renditions?.full && Object.values(renditions.full.formats || {})[0];
+      safe.fileUrl = full ? full.url : null;
+
+      const exif = safe.metadata?.exif;
+      if (privacy === PHOTO_PRIVACY.STRIP_GPS) {
+        if (exif) safe.metadata = { ...safe.metadata, exif: { ...exif, gps: null } };
+      } else {
+        if (safe.metadata) safe.metadata = { ...safe.metadata, exif: null };
+        safe.takenAt = null;
+        safe.cameraMake = null;
+        safe.cameraModel = null;
+        safe.lensModel = null;
+      }
       return safe;
     }
 
+    /**
+     * Every storage object belonging to this photo: the original plus all
+     * renditions. Used to clean up storage on permanent deletion.
+     * @returns {string[]}
+     */
+    storageKeys() {
+      return [...new Set([this.storageKey, ...Photo.renditionKeys(this.renditions, this.thumbnailKey)].filter(Boolean))];
+    }
+
+    /**
+     * All storage keys referenced by a renditions map (+ legacy thumbnail key).
+     * @returns {string[]}
+     */
+    static renditionKeys(renditions = {}, thumbnailKey = null) {
+      const keys = new Set();
+      for (const rendition of Object.values(renditions || {})) {
+        for (const { key } of Object.values(rendition.formats || {})) {
+          if (key) keys.add(key);
+        }
+      }
+      if (thumbnailKey) keys.add(thumbnailKey);
+      return [...keys];
+    }
+
+    /**
+     * Strip internal storage keys from a renditions map.
+     * @param {object} renditions - { [name]: { width, height, kind?, formats: { [fmt]: { url, key, sizeBytes } } } }
+     */
+    static toPublicRenditions(renditions = {}) {
+      const result = {};
+      for (const [name, rendition] of Object.entries(renditions || {})) {
+        const formats = {};
+        for (const [format, { url, sizeBytes }] of Object.entries(rendition.formats || {})) {
+          formats[format] = { url, sizeBytes };
+        }
+        result[name] = {
+          width: rendition.width,
+          height: rendition.height,
+          ...(rendition.kind && { kind: rendition.kind }),
+          formats,
+        };
+      }
+      return result;
+    }
+
+    /**
+     * Build srcset strings per format, ordered by width.
+     * e.g. { webp: "https://…/a.webp 300w, https://…/b.webp 800w" }
+     * Clip renditions (kind 'video') are not images and are left out.
+     */
+    static buildSrcset(renditions = {}) {
+      const byFormat = {};
+      const ordered = Object.values(renditions || {})
+        .filter((rendition) => rendition.kind !== MEDIA_KIND.VIDEO)
+        .sort((a, b) => a.width - b.width);
+      for (const rendition of ordered) {
+        for (const [format, { url }] of Object.entries(rendition.formats || {})) {
+          (byFormat[format] = byFormat[format] || []).push(`${url} ${rendition.width}w`);
+        }
+      }
+      return Object.fromEntries(
+        Object.entries(byFormat).map(([format, entries]) => [format, entries.join(', ')])
+      );
+    }
+
     static associate(models) {
       Photo.belongsTo(models.Album, {
         foreignKey: 'albumId',
@@ -139,10 +254,42 @@ module.exports = (sequelize) => {
         type: DataTypes.STRING(512),
         allowNull: true,
       },
+      // Named multi-format derivatives (thumb/medium/large…) — see photoProcessor
+      renditions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
       mimeType: {
         type: DataTypes.STRING(100),
         allowNull: false,
       },
+      // Set from the sniffed upload — clips keep the photo pipeline and rules
+      kind: {
+        type: DataTypes.ENUM(...Object.values(MEDIA_KIND)),
+        allowNull: false,
+        defaultValue: MEDIA_KIND.PHOTO,
+      },
+      // ── Clip metadata (null for photos) — filled in by the worker ──
+      durationMs: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: { min: 0 },
+      },
+      videoCodec: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+      },
+      // SHA-256 (hex) of the original bytes — duplicate detection per album
+      contentHash: {
+        type: DataTypes.CHAR(64),
+        allowNull: true,
+      },
+      // 64-bit dHash (hex) — near-duplicate / similar photo search
+      perceptualHash: {
+        type: DataTypes.CHAR(16),
+        allowNull: true,
+      },
       sizeBytes: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -170,7 +317,24 @@ module.exports = (sequelize) => {
         allowNull: false,
         defaultValue: PHOTO_VISIBILITY.ALBUM_DEFAULT,
       },
-      // EXIF, GPS, camera settings, processing errors
+      // ── Capture metadata (promoted from EXIF for sorting / filtering) ──
+      takenAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      cameraMake: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      cameraModel: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      lensModel: {
+        type: DataTypes.STRING(150),
+        allowNull: true,
+      },
+      // Structured EXIF (metadata.exif), GPS, dimensions, processing errors
       metadata: {
         type: DataTypes.JSONB,
         allowNull: false,
@@ -181,6 +345,11 @@ module.exports = (sequelize) => {
         type: DataTypes.DATE,
         allowNull: true,
       },
+      // Set by the album owner to keep a trashed photo from the retention purge
+      trashPinnedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
     },
     {
       sequelize,
@@ -234,6 +403,25 @@ module.exports = (sequelize) => {
           fields: ['album_id', 'visibility_type', 'uploaded_by_id'],
           name: 'idx_photos_visibility',
         },
+        // Duplicate lookup on upload
+        {
+          fields: ['album_id', 'content_hash'],
+          name: 'idx_photos_album_content_hash',
+        },
+        // Album timeline by capture time
+        {
+          fields: ['album_id', 'taken_at'],
+          name: 'idx_photos_album_taken_at',
+        },
+        {
+          fields: ['camera_make', 'camera_model'],
+          name: 'idx_photos_camera',
+        },
+        // Album list filtered by kind (?kind=video)
+        {
+          fields: ['album_id', 'kind'],
+          name: 'idx_photos_album_kind',
+        },
       ],
     }
   );
@@ -0,0 +1,94 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+
+/**
+ * PhotoSimilarity Model
+ *
+ * A pair of photos in one album whose perceptual hashes are within
+ * MAX_STORED_DISTANCE (shared/utils/perceptualHash). Written by the photo
+ * worker through PhotoSimilarityService.indexPhoto(); read by the
+ * near-duplicate queries.
+ *
+ * Each pair is stored once, ordered: photoId < similarPhotoId.
+ * Rows go with either photo (FK cascade on hard delete).
+ *
+ * Associations:
+ *  - BelongsTo Photo (photo, similarPhoto)
+ *  - BelongsTo Album
+ */
+
+module.exports = (sequelize) => {
+  class PhotoSimilarity extends Model {
+    /**
+     * Row for a pair, in storage order.
+     */
+    static buildPair(albumId, photoIdA, photoIdB, distance) {
+      const [photoId, similarPhotoId] = photoIdA < photoIdB ? [photoIdA, photoIdB] : [photoIdB, photoIdA];
+      return { albumId, photoId, similarPhotoId, distance };
+    }
+
+    static associate(models) {
+      PhotoSimilarity.belongsTo(models.Photo, {
+        foreignKey: 'photoId',
+        as: 'photo',
+        onDelete: 'CASCADE',
+      });
+
+      PhotoSimilarity.belongsTo(models.Photo, {
+        foreignKey: 'similarPhotoId',
+        as: 'similarPhoto',
+        onDelete: 'CASCADE',
+      });
+
+      PhotoSimilarity.belongsTo(models.Album, {
+        foreignKey: 'albumId',
+        as: 'album',
+        onDelete: 'CASCADE',
+      });
+    }
+  }
+
+  PhotoSimilarity.init(
+    {
+      photoId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'photos', key: 'id' },
+      },
+      similarPhotoId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'photos', key: 'id' },
+      },
+      albumId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'albums', key: 'id' },
+      },
+      // dHash Hamming distance, 0–MAX_STORED_DISTANCE
+      distance: {
+        type: DataTypes.SMALLINT,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'PhotoSimilarity',
+      tableName: 'photo_similarities',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+      updatedAt: false,
+
+      indexes: [
+        { fields: ['album_id', 'distance'], name: 'idx_photo_similarities_album_distance' },
+        { fields: ['similar_photo_id'], name: 'idx_photo_similarities_similar_photo' },
+      ],
+    }
+  );
+
+  return PhotoSimilarity;
+};
@@ -0,0 +1,156 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { UPLOAD_SESSION_STATUS } = require('../../../shared/constants');
+
+/**
+ * UploadSession Model
+ *
+ * One resumable (chunked) upload of a single file into an album.
+ *
+ * Lifecycle:
+ *  1. init     → status=active, receivedBytes=0
+ *  2. append   → chunk staged via storageProvider, receivedBytes advances
+ *  3. complete → status=completing while chunks are assembled and verified;
+ *                then status=completed, photoId set, staged chunks deleted
+ *                (or back to active if it failed part-way)
+ *  4. abort    → status=aborted, staged chunks deleted
+ *
+ * Sessions past expiresAt reject further appends (410 Gone) and are moved to
+ * status=expired, chunks deleted, by the EXPIRE_UPLOAD_SESSIONS job.
+ *
+ * Associations:
+ *  - BelongsTo Album
+ *  - BelongsTo User
+ *  - BelongsTo Photo (result, once completed)
+ */
+
+module.exports = (sequelize) => {
+  class UploadSession extends Model {
+    isActive() {
+      return this.status === UPLOAD_SESSION_STATUS.ACTIVE;
+    }
+
+    isExpired() {
+      return this.expiresAt < new Date();
+    }
+
+    /**
+     * Safe JSON — staged chunk storage keys are internal.
+     * `offset` is the byte position the next append must start at.
+     */
+    toSafeJSON() {
+      const { chunks, receivedBytes, totalSize, ...safe } = this.get({ plain: true });
+      return {
+        ...safe,
+        size: Number(totalSize),
+        offset: Number(receivedBytes),
+        chunkCount: (chunks || []).length,
+      };
+    }
+
+    static associate(models) {
+      UploadSession.belongsTo(models.Album, {
+        foreignKey: 'albumId',
+        as: 'album',
+      });
+
+      UploadSession.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+
+      UploadSession.belongsTo(models.Photo, {
+        foreignKey: 'photoId',
+        as: 'photo',
+      });
+    }
+  }
+
+  UploadSession.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      albumId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'albums', key: 'id' },
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+      },
+      filename: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+      },
+      mimeType: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+      },
+      // BIGINT comes back from pg as a string — toSafeJSON() converts
+      totalSize: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        validate: { min: 1 },
+      },
+      receivedBytes: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Expected SHA-256 (hex) of the whole file — given at init or complete
+      checksum: {
+        type: DataTypes.CHAR(64),
+        allowNull: true,
+      },
+      // Staged chunks in order: [{ index, offset, size, key }]
+      chunks: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(UPLOAD_SESSION_STATUS)),
+        allowNull: false,
+        defaultValue: UPLOAD_SESSION_STATUS.ACTIVE,
+      },
+      // Applied to the photo created on completion
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      photoId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'photos', key: 'id' },
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UploadSession',
+      tableName: 'upload_sessions',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+
+      indexes: [
+        { fields: ['album_id', 'user_id'], name: 'idx_upload_sessions_album_user' },
+        { fields: ['status', 'expires_at'], name: 'idx_upload_sessions_expiry' },
+      ],
+    }
+  );
+
+  return UploadSession;
+};
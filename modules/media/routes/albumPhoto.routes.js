@@ -4,9 +4,15 @@ const { Router } = require('express');
 const photoController = require('../controller/photo.controller');
 const photoBulkController = require('../controller/photobulk.controller');
 
-const { authenticate, optionalAuth } = require('../../../shared/middleware/authenticate');
+const {
+  authenticate,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require('../../../shared/middleware/authenticate');
+const { VERIFIED_ACTION } = require('../../../shared/constants');
 const { validate } = require('../../../shared/middleware/validate');
 const { createUploadMiddleware } = require('../../../infrastructure/upload');
+const config = require('../../../config');
 const mediaValidator = require('../validators/media.validator');
 
 /**
@@ -19,11 +25,13 @@ const mediaValidator = require('../validators/media.validator');
 
 const router = Router();
 
-// Photo upload middleware — handles multipart/form-data
+// Photo upload middleware — handles multipart/form-data.
+// Declared types are not filtered: uploadPhoto() validates each file's bytes
+// and reports rejections per file, so one bad file never fails the batch.
 const photoUpload = createUploadMiddleware({
   fieldName: 'photo',
-  maxSize: 10 * 1024 * 1024, // 10MB
-  allowedTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  maxSize: config.upload.maxFileSize,
+  allowedTypes: null,
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -43,15 +51,33 @@ router.get(
   photoController.list
 );
 
+/**
+ * @route   GET /api/v1/albums/:albumId/photos/duplicates
+ * @desc    Groups of near-duplicate photos (perceptual hash, visibility-filtered)
+ * @access  Public (if album is public) / Authenticated (if private)
+ */
+router.get(
+  '/:albumId/photos/duplicates',
+  optionalAuth,
+  validate(mediaValidator.albumIdParam, 'params'),
+  validate(mediaValidator.listDuplicates, 'query'),
+  photoController.listDuplicates
+);
+
 /**
  * @route   POST /api/v1/albums/:albumId/photos
- * @desc    Upload a photo to an album
+ * @desc    Upload photo(s) to an album
  * @access  Authenticated — Contributor+ role
+ * @body    Single: { photo: <file> } | Bulk: { photos: [<file1>, <file2>, ...] } (max 20)
  */
 router.post(
   '/:albumId/photos',
   authenticate,
-  photoUpload.single('photo'),
+  requireVerifiedEmail(VERIFIED_ACTION.UPLOAD_PHOTOS),
+  photoUpload.fields([
+    { name: 'photo', maxCount: 1 },
+    { name: 'photos', maxCount: 20 },
+  ]),
   validate(mediaValidator.albumIdParam, 'params'),
   photoController.upload
 );
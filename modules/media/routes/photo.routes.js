@@ -33,6 +33,31 @@ router.get(
   photoController.getOne
 );
 
+/**
+ * @route   GET /api/v1/photos/:photoId/stream
+ * @desc    Stream a video clip (HTTP Range requests supported)
+ * @access  Public (if visible) / Authenticated (if restricted/hidden)
+ */
+router.get(
+  '/:photoId/stream',
+  optionalAuth,
+  validate(mediaValidator.photoIdParam, 'params'),
+  photoController.stream
+);
+
+/**
+ * @route   GET /api/v1/photos/:photoId/similar
+ * @desc    Visually similar photos in the same album, closest first
+ * @access  Public (if visible) / Authenticated (if restricted/hidden)
+ */
+router.get(
+  '/:photoId/similar',
+  optionalAuth,
+  validate(mediaValidator.photoIdParam, 'params'),
+  validate(mediaValidator.listSimilar, 'query'),
+  photoController.listSimilar
+);
+
 /**
  * @route   PATCH /api/v1/photos/:photoId/visibility
  * @desc    Change photo visibility type and allowlist
@@ -70,4 +95,16 @@ router.post(
   photoController.restore
 );
 
+/**
+ * @route   POST /api/v1/photos/:photoId/reprocess
+ * @desc    Re-run processing (failed photo, or regenerate renditions)
+ * @access  Authenticated — Uploader or Album Owner
+ */
+router.post(
+  '/:photoId/reprocess',
+  authenticate,
+  validate(mediaValidator.photoIdParam, 'params'),
+  photoController.reprocess
+);
+
 module.exports = router;
@@ -0,0 +1,128 @@
+'use strict';
+
+const express = require('express');
+const { Router } = express;
+const uploadController = require('../controller/upload.controller');
+
+const { authenticate, requireVerifiedEmail } = require('../../../shared/middleware/authenticate');
+const { VERIFIED_ACTION } = require('../../../shared/constants');
+const { validate } = require('../../../shared/middleware/validate');
+const config = require('../../../config');
+const mediaValidator = require('../validators/media.validator');
+
+/**
+ * Upload Routes
+ * Base path: /api/v1/albums
+ *
+ * Direct-to-storage uploads (S3 only — bytes never pass through the API):
+ *   POST   /:albumId/photos/presign               → pre-signed PUT URLs + upload tokens
+ *   POST   /:albumId/photos/confirm               → register uploaded objects as photos
+ *
+ * Chunked uploads for large files / flaky connections:
+ *   POST   /:albumId/uploads                      → start session
+ *   GET    /:albumId/uploads/:uploadId            → current offset (resume)
+ *   PATCH  /:albumId/uploads/:uploadId            → append chunk at Upload-Offset
+ *   POST   /:albumId/uploads/:uploadId/complete   → verify checksum, create photo
+ *   DELETE /:albumId/uploads/:uploadId            → abort
+ */
+
+const router = Router();
+
+// Raw chunk bodies — bounded by the configured chunk size, never multipart
+const chunkParser = express.raw({
+  type: ['application/offset+octet-stream', 'application/octet-stream'],
+  limit: config.upload.resumable.chunkSize,
+});
+
+/**
+ * @route   POST /api/v1/albums/:albumId/uploads
+ * @desc    Start a resumable upload
+ * @access  Authenticated — Contributor+ role
+ */
+router.post(
+  '/:albumId/uploads',
+  authenticate,
+  requireVerifiedEmail(VERIFIED_ACTION.UPLOAD_PHOTOS),
+  validate(mediaValidator.albumIdParam, 'params'),
+  validate(mediaValidator.initUpload, 'body'),
+  uploadController.init
+);
+
+/**
+ * @route   GET /api/v1/albums/:albumId/uploads/:uploadId
+ * @desc    Get upload session state (offset to resume from)
+ * @access  Authenticated — session owner
+ */
+router.get(
+  '/:albumId/uploads/:uploadId',
+  authenticate,
+  validate(mediaValidator.uploadIdParam, 'params'),
+  uploadController.getOne
+);
+
+/**
+ * @route   PATCH /api/v1/albums/:albumId/uploads/:uploadId
+ * @desc    Append a chunk (raw body, Upload-Offset header)
+ * @access  Authenticated — session owner
+ */
+router.patch(
+  '/:albumId/uploads/:uploadId',
+  authenticate,
+  validate(mediaValidator.uploadIdParam, 'params'),
+  chunkParser,
+  uploadController.append
+);
+
+/**
+ * @route   POST /api/v1/albums/:albumId/uploads/:uploadId/complete
+ * @desc    Verify checksum and hand the file to the photo pipeline
+ * @access  Authenticated — session owner
+ */
+router.post(
+  '/:albumId/uploads/:uploadId/complete',
+  authenticate,
+  validate(mediaValidator.uploadIdParam, 'params'),
+  validate(mediaValidator.completeUpload, 'body'),
+  uploadController.complete
+);
+
+/**
+ * @route   DELETE /api/v1/albums/:albumId/uploads/:uploadId
+ * @desc    Abort an upload and discard staged chunks
+ * @access  Authenticated — session owner
+ */
+router.delete(
+  '/:albumId/uploads/:uploadId',
+  authenticate,
+  validate(mediaValidator.uploadIdParam, 'params'),
+  uploadController.abort
+);
+
+/**
+ * @route   POST /api/v1/albums/:albumId/photos/presign
+ * @desc    Get pre-signed URLs to upload files straight to storage
+ * @access  Authenticated — Contributor+ role
+ */
+router.post(
+  '/:albumId/photos/presign',
+  authenticate,
+  requireVerifiedEmail(VERIFIED_ACTION.UPLOAD_PHOTOS),
+  validate(mediaValidator.albumIdParam, 'params'),
+  validate(mediaValidator.presignUploads, 'body'),
+  uploadController.presign
+);
+
+/**
+ * @route   POST /api/v1/albums/:albumId/photos/confirm
+ * @desc    Confirm direct uploads — creates photos and queues processing
+ * @access  Authenticated — Contributor+ role
+ */
+router.post(
+  '/:albumId/photos/confirm',
+  authenticate,
+  validate(mediaValidator.albumIdParam, 'params'),
+  validate(mediaValidator.confirmUploads, 'body'),
+  uploadController.confirm
+);
+
+module.exports = router;
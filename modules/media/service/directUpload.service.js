@@ -0,0 +1,243 @@
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const db = require('../../../infrastructure/database');
+const { storageProvider } = require('../../../infrastructure/upload');
+const config = require('../../../config');
+const { UPLOAD_REJECTION, DUPLICATE_POLICY } = require('../../../shared/constants');
+const albumPermissionService = require('../../album/service/albumPermission.service');
+const photoService = require('./photo.service');
+const { signUploadToken, verifyUploadToken } = require('../../../shared/utils/jwt');
+const { isAcceptableDeclaredType } = require('../../../shared/utils/imageFormat');
+const { UnprocessableError, ValidationError } = require('../../../shared/utils/AppError');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * DirectUploadService
+ *
+ * Presign/confirm protocol — file bytes go from the client straight to object
+ * storage and never pass through the API.
+ *
+ * Flow:
+ *  1. presignUploads — photo:upload permission, type/size checked, one
+ *                      pre-signed PUT URL + upload token per file
+ *  2. (client PUTs each file to its URL)
+ *  3. confirmUploads — tokens verified, objects checked with storageProvider.exists(),
+ *                      then handed to photoService.registerPhoto() (duplicatePolicy,
+ *                      Photo row created PENDING, PHOTO_PROCESSING dispatched)
+ *
+ * The upload token is a signed grant binding { user, album, key, filename,
+ * mimeType, size }, so confirm needs no server-side session state and cannot
+ * be used to claim someone else's object.
+ *
+ * Confirm is idempotent per key — retrying returns the photo already created.
+ * Unless the album allows duplicates, confirm streams each object from storage
+ * to hash it, so the album's duplicatePolicy applies as for regular uploads;
+ * the objects of rejected and linked duplicates are deleted. The declared
+ * mimeType is provisional: the worker sniffs the stored bytes, corrects
+ * Photo.mimeType and fails uploads that are neither images nor clips.
+ *
+ * Only providers with supportsDirectUpload (S3) can presign.
+ */
+
+const MAX_FILES = 20;
+
+/**
+ * SHA-256 (hex) of a stored object, read as a stream.
+ */
+const hashStoredObject = async (key) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of await storageProvider.getStream(key)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Delete the object of an upload that did not become a photo.
+ * Failures are logged — storage reconciliation reclaims leftovers.
+ */
+const discardObject = async (key) => {
+  try {
+    await storageProvider.delete(key);
+  } catch (err) {
+    logger.warn('[DirectUpload] Failed to delete discarded object', { key, error: err.message });
+  }
+};
+
+// ── Presign ────────────────────────────────────────────────────────────────
+/**
+ * Issue pre-signed upload URLs.
+ *
+ * @param {string} albumId
+ * @param {Array<{ filename: string, mimeType: string, size: number }>} files
+ * @param {string} userId
+ * @param {string} systemRole
+ * @returns {Promise<Array<{ filename, key, url, method, headers, expiresAt, uploadToken }>>}
+ */
+const presignUploads = async (albumId, files, userId, systemRole) => {
+  await albumPermissionService.assertPermission(albumId, userId, 'photo:upload', systemRole);
+
+  if (!storageProvider.supportsDirectUpload) {
+    throw new UnprocessableError('Direct uploads are not supported by the configured storage provider');
+  }
+  if (files.length > MAX_FILES) {
+    throw new ValidationError(`Cannot upload more than ${MAX_FILES} files at once`);
+  }
+
+  const { direct, allowedMimeTypes } = config.upload;
+
+  const rejected = files
+    .map((file) => {
+      if (!isAcceptableDeclaredType(file.mimeType, allowedMimeTypes)) {
+        return { filename: file.filename, error: `File type "${file.mimeType}" is not allowed.` };
+      }
+      if (file.size > direct.maxFileSize) {
+        return { filename: file.filename, error: `File exceeds the maximum size of ${direct.maxFileSize} bytes` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  if (rejected.length > 0) {
+    throw new ValidationError('One or more files cannot be uploaded', rejected);
+  }
+
+  const uploads = [];
+  for (const file of files) {
+    const target = await storageProvider.createUploadUrl('photos', file.filename, file.mimeType, {
+      size: file.size,
+      expiresInSeconds: direct.urlExpiresIn,
+    });
+
+    const uploadToken = signUploadToken(
+      userId,
+      {
+        albumId,
+        key: target.key,
+        filename: file.filename,
+        mimeType: file.mimeType,
+        size: file.size,
+      },
+      direct.urlExpiresIn
+    );
+
+    uploads.push({ filename: file.filename, ...target, uploadToken });
+  }
+
+  logger.info('[DirectUpload] Upload URLs issued', { albumId, userId, count: uploads.length });
+
+  return uploads;
+};
+
+// ── Confirm ────────────────────────────────────────────────────────────────
+/**
+ * Register uploaded objects as photos and queue them for processing.
+ *
+ * @param {string} albumId
+ * @param {string[]} uploadTokens - Tokens returned by presignUploads
+ * @param {string} userId
+ * @param {string} systemRole
+ * @param {object} [metadata={}] - Applied to every created photo
+ * @returns {Promise<{ uploaded: Photo[], failed: Array, duplicates: Array }>}
+ */
+const confirmUploads = async (albumId, uploadTokens, userId, systemRole, metadata = {}) => {
+  const { album } = await albumPermissionService.assertPermission(albumId, userId, 'photo:upload', systemRole);
+
+  const { Photo } = db;
+  const checkDuplicates = (album.duplicatePolicy || DUPLICATE_POLICY.REJECT) !== DUPLICATE_POLICY.ALLOW;
+
+  const uploaded = [];
+  const failed = [];
+  const duplicates = [];
+  const created = [];
+  const batchHashes = new Map(); // contentHash → photo created earlier in this batch
+
+  for (const uploadToken of uploadTokens) {
+    let grant;
+    try {
+      grant = verifyUploadToken(uploadToken);
+      if (grant.sub !== userId || grant.albumId !== albumId) {
+        throw new ValidationError('Upload token was not issued for this album');
+      }
+    } catch (err) {
+      failed.push({ filename: null, error: err.message, status: UPLOAD_REJECTION.INVALID_TOKEN });
+      continue;
+    }
+
+    try {
+      // Retried confirm — hand back what the first call created
+      const existing = await Photo.findOne({ where: { storageKey: grant.key }, paranoid: false });
+      if (existing) {
+        if (existing.deletedAt) {
+          failed.push({
+            filename: grant.filename,
+            error: 'Photo has been deleted',
+            status: UPLOAD_REJECTION.DELETED,
+          });
+        } else {
+          uploaded.push(existing.toSafeJSON({ userId, album }));
+        }
+        continue;
+      }
+
+      if (!(await storageProvider.exists(grant.key))) {
+        failed.push({
+          filename: grant.filename,
+          error: 'File has not been uploaded to storage',
+          status: UPLOAD_REJECTION.MISSING,
+        });
+        continue;
+      }
+
+      const result = await photoService.registerPhoto(
+        album,
+        {
+          filename: grant.filename,
+          contentHash: checkDuplicates ? await hashStoredObject(grant.key) : null,
+          // Provisional — the worker sniffs the stored bytes
+          format: { mimeType: grant.mimeType, ext: path.extname(grant.key).slice(1) },
+          // Already in storage
+          store: async () => ({
+            url: storageProvider.getPublicUrl(grant.key),
+            key: grant.key,
+            size: grant.size,
+          }),
+        },
+        userId,
+        { metadata, batchHashes }
+      );
+
+      if (result.duplicate) duplicates.push(result.duplicate);
+      if (!result.created) await discardObject(grant.key);
+      if (result.rejection) {
+        failed.push(result.rejection);
+        continue;
+      }
+      if (result.created) created.push(result.photo);
+      uploaded.push(result.photo);
+    } catch (err) {
+      logger.error('[DirectUpload] Confirm failed', {
+        albumId,
+        userId,
+        filename: grant.filename,
+        error: err.message,
+      });
+
+      failed.push({ filename: grant.filename, error: err.message, status: UPLOAD_REJECTION.ERROR });
+    }
+  }
+
+  await photoService.logUploadActivity(albumId, userId, created, {
+    direct: true,
+    ...(duplicates.length > 0 && { duplicates: duplicates.length }),
+  });
+
+  return { uploaded, failed, duplicates };
+};
+
+module.exports = {
+  presignUploads,
+  confirmUploads,
+};
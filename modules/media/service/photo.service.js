@@ -1,13 +1,32 @@
 'use strict';
 
+const crypto = require('crypto');
+const path = require('path');
 const db = require('../../../infrastructure/database');
 const { storageProvider } = require('../../../infrastructure/upload');
 const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
-const { JOB_NAMES, PHOTO_STATUS, PHOTO_VISIBILITY, ACTIVITY_TYPE } = require('../../../shared/constants');
+const config = require('../../../config');
+const {
+  JOB_NAMES,
+  PHOTO_STATUS,
+  PHOTO_VISIBILITY,
+  DUPLICATE_POLICY,
+  ACTIVITY_TYPE,
+  UPLOAD_REJECTION,
+  PHOTO_PRIVACY,
+  MEDIA_KIND,
+} = require('../../../shared/constants');
 const albumPermissionService = require('../../album/service/albumPermission.service');
 const photoVisibilityService = require('./photoVisibility.service');
 const activityLogService = require('../../album/service/albumActivityLog.service');
-const { NotFoundError, ForbiddenError, ValidationError } = require('../../../shared/utils/AppError');
+const { inspectMedia } = require('../../../shared/utils/imageValidation');
+const {
+  NotFoundError,
+  ForbiddenError,
+  ValidationError,
+  ConflictError,
+  UnprocessableError,
+} = require('../../../shared/utils/AppError');
 const logger = require('../../../infrastructure/logger');
 
 /**
@@ -18,40 +37,210 @@ const logger = require('../../../infrastructure/logger');
  *
  * Upload Flow:
  *  1. Check album permission (photo:upload)
- *  2. Save file via storageProvider (returns { url, key, size })
- *  3. Create Photo record with status=PENDING
- *  4. Dispatch to photo:processing queue
- *  5. Return immediately (async processing)
+ *  2. Validate content (imageValidation): magic bytes, polyglots, header
+ *     dimensions, clip duration — the declared mimetype is not trusted
+ *  3. Hash file (SHA-256) and apply the album's duplicatePolicy
+ *  4. Save the original untouched via storageProvider (returns { url, key, size })
+ *  5. Create Photo record with status=PENDING (kind='video' for MP4/MOV clips)
+ *  6. Dispatch to photo:processing queue
+ *  7. Return immediately (async processing)
  *
  * Worker Flow (handled in workers/photoProcessor.js):
- *  1. Extract metadata (EXIF, dimensions)
- *  2. Generate thumbnail
- *  3. Update Photo: status=READY, processedAt, thumbnailUrl, metadata
+ *  1. Extract metadata (EXIF, dimensions; poster frame + codecs for clips)
+ *  2. Generate renditions (thumb/medium/large… × avif/webp/jpeg)
+ *  3. Update Photo: status=READY, processedAt, renditions, thumbnailUrl, metadata
  *  4. Log activity
  *
  * Query Security:
  *  - buildVisibilityFilter() applied to ALL list queries
  *  - buildVisibilityInclude() added to ALL queries needing visibility check
  *  - Single photo fetch uses resolvePhotoVisibility() after album check
+ *  - Viewer-facing payloads pass { userId, album } to toSafeJSON() so the
+ *    album's photoPrivacy policy redacts originals/EXIF for non-owners
  */
 
 // ── Upload Photo(s) ────────────────────────────────────────────────────────
+/**
+ * SHA-256 (hex) of a file's bytes.
+ */
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Oldest photo in the album with the given content hash that the user can see.
+ * Hidden or restricted photos the user cannot see are ignored, so an upload
+ * cannot reveal that such a photo exists.
+ *
+ * @param {object} album - { id, ownerId }
+ * @param {string} contentHash - SHA-256 hex
+ * @param {string} userId
+ * @returns {Promise<Photo|null>}
+ */
+const findVisibleDuplicate = (album, contentHash, userId) =>
+  db.Photo.findOne({
+    where: {
+      albumId: album.id,
+      contentHash,
+      ...photoVisibilityService.buildVisibilityFilter(userId, album.ownerId),
+    },
+    include: [photoVisibilityService.buildVisibilityInclude(userId)],
+    order: [['createdAt', 'ASC']],
+    subQuery: false, // keep the allowlist JOIN beside the LIMIT
+  });
+
+/**
+ * Register one received file as a photo: the album's duplicatePolicy is
+ * applied, then the file is stored, a PENDING Photo row created and the
+ * PHOTO_PROCESSING job dispatched. Shared by uploadPhoto and the resumable /
+ * direct upload flows so every upload path treats duplicates the same way.
+ *
+ * Once the row exists the upload counts as done: a dispatch failure marks the
+ * photo FAILED (reprocessable) instead of throwing.
+ *
+ * @param {object} album - Album instance (id, ownerId, duplicatePolicy)
+ * @param {object} file
+ * @param {string} file.filename - Client filename
+ * @param {string|null} file.contentHash - SHA-256 hex; null skips duplicate detection
+ * @param {object} file.format - Sniffed format ({ mimeType, kind, ext }, see imageFormat)
+ * @param {object} [file.video] - probeVideo() result for clips
+ * @param {Function} file.store - async (storedFilename) => { url, key, size };
+ *                                not called for rejected or linked duplicates
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {object} [options.metadata={}]
+ * @param {Map} [options.batchHashes] - contentHash → photo created earlier in the same batch
+ * @returns {Promise<{ photo: object|null, created: boolean, duplicate: object|null, rejection: object|null }>}
+ *          photo is viewer-safe JSON; rejection is a `failed[]` entry
+ */
+const registerPhoto = async (album, file, userId, { metadata = {}, batchHashes = new Map() } = {}) => {
+  const duplicatePolicy = album.duplicatePolicy || DUPLICATE_POLICY.REJECT;
+  const { filename, contentHash, format, video = null } = file;
+
+  // ── Duplicate detection (photos visible to the uploader only) ──────────
+  const existing =
+    contentHash &&
+    (batchHashes.get(contentHash) || (await findVisibleDuplicate(album, contentHash, userId)));
+  const duplicate = existing ? { filename, duplicateOf: existing.id, action: duplicatePolicy } : null;
+
+  if (existing && duplicatePolicy === DUPLICATE_POLICY.REJECT) {
+    const rejection = {
+      filename,
+      error: 'An identical photo already exists in this album',
+      status: UPLOAD_REJECTION.DUPLICATE,
+      duplicateOf: existing.id,
+    };
+    return { photo: null, created: false, duplicate, rejection };
+  }
+  if (existing && duplicatePolicy === DUPLICATE_POLICY.LINK) {
+    const photo = { ...existing.toSafeJSON({ userId, album }), duplicate: true };
+    return { photo, created: false, duplicate, rejection: null };
+  }
+
+  // Save the original — extension follows the sniffed format
+  const stored = await file.store(`${path.parse(filename).name}.${format.ext}`);
+
+  const photo = await db.Photo.create({
+    albumId: album.id,
+    uploadedById: userId,
+    originalFilename: filename,
+    fileUrl: stored.url,
+    storageKey: stored.key,
+    mimeType: format.mimeType,
+    kind: format.kind,
+    durationMs: video?.durationMs ?? null,
+    videoCodec: video?.videoCodec ?? null,
+    sizeBytes: stored.size,
+    contentHash,
+    status: PHOTO_STATUS.PENDING,
+    visibilityType: PHOTO_VISIBILITY.ALBUM_DEFAULT,
+    metadata,
+  });
+
+  try {
+    await dispatch(QUEUE_NAMES.PHOTO_PROCESSING, JOB_NAMES.PHOTO_RESIZE, {
+      photoId: photo.id,
+      storageKey: stored.key,
+      mimeType: format.mimeType,
+    });
+  } catch (err) {
+    logger.error('[PhotoService] Photo could not be queued for processing', {
+      photoId: photo.id,
+      error: err.message,
+    });
+    await photo.update({
+      status: PHOTO_STATUS.FAILED,
+      metadata: { ...metadata, error: 'Could not be queued for processing', failedAt: new Date().toISOString() },
+    });
+  }
+
+  if (contentHash && !batchHashes.has(contentHash)) batchHashes.set(contentHash, photo);
+
+  logger.info('[PhotoService] Photo uploaded', {
+    photoId: photo.id,
+    albumId: album.id,
+    userId,
+    filename,
+    size: stored.size,
+  });
+
+  const safe = photo.toSafeJSON({ userId, album });
+  return { photo: existing ? { ...safe, duplicate: true } : safe, created: true, duplicate, rejection: null };
+};
+
+/**
+ * PHOTO_UPLOADED activity for the photos an upload request created
+ * (bulk if several) — linked duplicates created nothing and are not logged.
+ *
+ * @param {string} albumId
+ * @param {string} userId
+ * @param {object[]} created - Safe JSON of the created photos
+ * @param {object} [extra] - Merged into the activity metadata
+ */
+const logUploadActivity = async (albumId, userId, created, extra = {}) => {
+  if (created.length === 0) return;
+
+  await activityLogService.logActivity({
+    albumId,
+    actorId: userId,
+    type: ACTIVITY_TYPE.PHOTO_UPLOADED,
+    targetId: created.length === 1 ? created[0].id : null,
+    targetType: 'photo',
+    metadata: {
+      count: created.length,
+      totalSize: created.reduce((sum, p) => sum + p.sizeBytes, 0),
+      bulk: created.length > 1,
+      ...extra,
+    },
+  });
+};
+
 /**
  * Upload one or more photos to an album and queue for processing.
  * Supports both single and bulk uploads.
  *
+ * Every file is judged on its own: a rejected file lands in `failed` with
+ * `status` ∈ UPLOAD_REJECTION (+ `details`) and the rest of the batch carries on.
+ *
+ * Duplicates (same SHA-256 as a photo already in the album, or earlier in the
+ * same batch) are handled per album.duplicatePolicy and reported in `duplicates`:
+ *  - reject : file lands in `failed` with status='duplicate'
+ *  - link   : existing photo is returned in `uploaded` — nothing is stored
+ *  - allow  : stored as a new photo
+ * Only photos the uploader can see count as duplicates: an identical hidden or
+ * restricted photo is ignored (stored as a new upload), so re-uploading bytes
+ * cannot reveal that such a photo exists.
+ *
  * @param {string} albumId
  * @param {Array<{buffer: Buffer, filename: string, mimetype: string}>} files - Array of file objects
  * @param {string} userId
  * @param {string} systemRole
  * @param {object} [metadata={}] - Optional EXIF, GPS, camera info
- * @returns {Promise<{ uploaded: Photo[], failed: Array }>}
+ * @returns {Promise<{ uploaded: Photo[], failed: Array, duplicates: Array }>}
  */
 const uploadPhoto = async (albumId, files, userId, systemRole, metadata = {}) => {
   // ── Permission check ───────────────────────────────────────────────────
-  await albumPermissionService.assertPermission(albumId, userId, 'photo:upload', systemRole);
+  const { album } = await albumPermissionService.assertPermission(albumId, userId, 'photo:upload', systemRole);
 
-  const { Photo } = db;
+  const duplicatePolicy = album?.duplicatePolicy || DUPLICATE_POLICY.REJECT;
 
   // Support single file (convert to array for uniform processing)
   const fileArray = Array.isArray(files) ? files : [files];
@@ -66,48 +255,50 @@ const uploadPhoto = async (albumId, files, userId, systemRole, metadata = {}) =>
 
   const uploaded = [];
   const failed = [];
+  const duplicates = [];
+  const created = [];
+  const batchHashes = new Map(); // contentHash → photo created earlier in this batch
 
   // ── Process each file ──────────────────────────────────────────────────
   for (const file of fileArray) {
     try {
-      // Save file to storage
-      const uploadResult = await storageProvider.save(
-        file.buffer,
-        file.filename,
-        file.mimetype,
-        'photos'
+      // ── Content validation ─────────────────────────────────────────────
+      let format;
+      let video;
+      try {
+        ({ format, video } = await inspectMedia(file.buffer));
+      } catch (err) {
+        if (!(err instanceof UnprocessableError)) throw err;
+        const { reason, ...details } = err.details;
+        failed.push({
+          filename: file.filename,
+          error: err.message,
+          status: reason,
+          ...(Object.keys(details).length > 0 && { details }),
+        });
+        continue;
+      }
+
+      const result = await registerPhoto(
+        album,
+        {
+          filename: file.filename,
+          contentHash: hashContent(file.buffer),
+          format,
+          video,
+          store: (storedFilename) => storageProvider.save(file.buffer, storedFilename, format.mimeType, 'photos'),
+        },
+        userId,
+        { metadata, batchHashes }
       );
 
-      // Create Photo record (status=PENDING)
-      const photo = await Photo.create({
-        albumId,
-        uploadedById: userId,
-        originalFilename: file.filename,
-        fileUrl: uploadResult.url,
-        storageKey: uploadResult.key,
-        mimeType: file.mimetype,
-        sizeBytes: uploadResult.size,
-        status: PHOTO_STATUS.PENDING,
-        visibilityType: PHOTO_VISIBILITY.ALBUM_DEFAULT,
-        metadata,
-      });
-
-      // Dispatch to processing queue
-      await dispatch(QUEUE_NAMES.PHOTO_PROCESSING, JOB_NAMES.PHOTO_RESIZE, {
-        photoId: photo.id,
-        storageKey: uploadResult.key,
-        mimeType: file.mimetype,
-      });
-
-      uploaded.push(photo.toSafeJSON());
-
-      logger.info('[PhotoService] Photo uploaded', {
-        photoId: photo.id,
-        albumId,
-        userId,
-        filename: file.filename,
-        size: uploadResult.size,
-      });
+      if (result.duplicate) duplicates.push(result.duplicate);
+      if (result.rejection) {
+        failed.push(result.rejection);
+        continue;
+      }
+      if (result.created) created.push(result.photo);
+      uploaded.push(result.photo);
     } catch (err) {
       // Log error and continue with next file
       logger.error('[PhotoService] Photo upload failed', {
@@ -120,28 +311,25 @@ const uploadPhoto = async (albumId, files, userId, systemRole, metadata = {}) =>
       failed.push({
         filename: file.filename,
         error: err.message,
-        status: 'error',
+        status: UPLOAD_REJECTION.ERROR,
       });
     }
   }
 
-  // Log activity (bulk if multiple files)
-  if (uploaded.length > 0) {
-    await activityLogService.logActivity({
+  if (duplicates.length > 0) {
+    logger.info('[PhotoService] Duplicate uploads detected', {
       albumId,
-      actorId: userId,
-      type: ACTIVITY_TYPE.PHOTO_UPLOADED,
-      targetId: uploaded.length === 1 ? uploaded[0].id : null,
-      targetType: 'photo',
-      metadata: {
-        count: uploaded.length,
-        totalSize: uploaded.reduce((sum, p) => sum + p.sizeBytes, 0),
-        bulk: uploaded.length > 1,
-      },
+      userId,
+      count: duplicates.length,
+      policy: duplicatePolicy,
     });
   }
 
-  return { uploaded, failed };
+  await logUploadActivity(albumId, userId, created, {
+    ...(duplicates.length > 0 && { duplicates: duplicates.length }),
+  });
+
+  return { uploaded, failed, duplicates };
 };
 
 // ── List Photos (with visibility filtering) ───────────────────────────────
@@ -154,7 +342,7 @@ const uploadPhoto = async (albumId, files, userId, systemRole, metadata = {}) =>
  * @param {string} systemRole
  * @param {object} options - { page, limit, status, tags }
  */
-const listPhotos = async (albumId, userId, systemRole, { page = 1, limit = 20, status, tags } = {}) => {
+const listPhotos = async (albumId, userId, systemRole, { page = 1, limit = 20, status, kind, tags } = {}) => {
   // ── Album access check ─────────────────────────────────────────────────
   const { album } = await albumPermissionService.resolveAlbumAccess(albumId, userId, systemRole);
 
@@ -175,6 +363,10 @@ const listPhotos = async (albumId, userId, systemRole, { page = 1, limit = 20, s
     where.status = status;
   }
 
+  if (kind) {
+    where.kind = kind;
+  }
+
   // ── Tag filtering ──────────────────────────────────────────────────────
   const include = [
     photoVisibilityService.buildVisibilityInclude(userId),
@@ -202,7 +394,7 @@ const listPhotos = async (albumId, userId, systemRole, { page = 1, limit = 20, s
   });
 
   return {
-    photos: rows.map((p) => p.toSafeJSON()),
+    photos: rows.map((p) => p.toSafeJSON({ userId, album })),
     total: count,
     page,
     limit,
@@ -222,7 +414,7 @@ const getPhoto = async (photoId, userId, systemRole) => {
   const { Photo, Album } = db;
 
   const photo = await Photo.findByPk(photoId, {
-    include: [{ model: Album, as: 'album', attributes: ['id', 'ownerId'] }],
+    include: [{ model: Album, as: 'album', attributes: ['id', 'ownerId', 'photoPrivacy'] }],
   });
 
   if (!photo) throw new NotFoundError('Photo');
@@ -239,7 +431,57 @@ const getPhoto = async (photoId, userId, systemRole) => {
     throw new ForbiddenError(reason);
   }
 
-  return photo.toSafeJSON();
+  return photo.toSafeJSON({ userId, album: photo.album });
+};
+
+// ── Stream Video ───────────────────────────────────────────────────────────
+/**
+ * Resolve the bytes a viewer may stream for a clip — the same access checks
+ * as getPhoto(), and the same object fileUrl points at: the original for the
+ * album owner (or under 'keep'), the metadata-stripped 'full' copy otherwise.
+ *
+ * Range handling is left to the caller; open() takes an inclusive
+ * { start, end } as produced by req.range().
+ *
+ * @param {string} photoId
+ * @param {string|null} userId
+ * @param {string} [systemRole]
+ * @returns {Promise<{ size: number, mimeType: string, filename: string, open: Function }>}
+ */
+const getVideoStream = async (photoId, userId, systemRole) => {
+  const { Photo, Album } = db;
+
+  const photo = await Photo.findByPk(photoId, {
+    include: [{ model: Album, as: 'album', attributes: ['id', 'ownerId', 'photoPrivacy'] }],
+  });
+
+  if (!photo || photo.kind !== MEDIA_KIND.VIDEO) throw new NotFoundError('Video');
+
+  await albumPermissionService.assertPermission(photo.albumId, userId, 'album:view', systemRole);
+
+  const { allowed, reason } = await photoVisibilityService.resolvePhotoVisibility(
+    photoId, userId, photo.album.ownerId
+  );
+
+  if (!allowed) {
+    throw new ForbiddenError(reason);
+  }
+
+  const privacy = photo.album.photoPrivacy || PHOTO_PRIVACY.STRIP_GPS;
+  let key = photo.storageKey;
+
+  if (photo.album.ownerId !== userId && privacy !== PHOTO_PRIVACY.KEEP) {
+    const full = photo.renditions?.full && Object.values(photo.renditions.full.formats || {})[0];
+    if (!full) throw new ConflictError('Video is still being processed');
+    key = full.key;
+  }
+
+  return {
+    size: await storageProvider.getSize(key),
+    mimeType: photo.mimeType,
+    filename: photo.originalFilename,
+    open: (range) => storageProvider.getStream(key, range),
+  };
 };
 
 // ── Update Photo Visibility ────────────────────────────────────────────────
@@ -317,6 +559,7 @@ const restorePhoto = async (photoId, userId, systemRole) => {
   }
 
   await photo.restore();
+  if (photo.trashPinnedAt) await photo.update({ trashPinnedAt: null }); // pins only apply while in trash
 
   await activityLogService.logActivity({
     albumId: photo.albumId,
@@ -331,11 +574,179 @@ const restorePhoto = async (photoId, userId, systemRole) => {
   return photo.toSafeJSON();
 };
 
+// ── Reprocess ──────────────────────────────────────────────────────────────
+// What each reprocess scope covers. Queued/in-flight photos are never included,
+// except stuck ones: PROCESSING with no update for config.media.processingStaleMinutes
+const REPROCESS_SCOPES = Object.freeze({
+  failed: { statuses: [PHOTO_STATUS.FAILED], stuck: true },
+  ready: { statuses: [PHOTO_STATUS.READY], stuck: false },
+  all: { statuses: [PHOTO_STATUS.READY, PHOTO_STATUS.FAILED], stuck: true },
+});
+
+// Rows read per query while queueing a bulk reprocess
+const REPROCESS_BATCH_SIZE = 500;
+
+/**
+ * WHERE clause for photos a reprocess scope may pick up.
+ */
+const buildReprocessableWhere = (scope) => {
+  const { Op } = db.Sequelize;
+  const { statuses, stuck } = REPROCESS_SCOPES[scope];
+  const staleBefore = new Date(Date.now() - config.media.processingStaleMinutes * 60 * 1000);
+
+  return {
+    [Op.or]: [
+      { status: { [Op.in]: statuses } },
+      ...(stuck ? [{ status: PHOTO_STATUS.PROCESSING, updatedAt: { [Op.lt]: staleBefore } }] : []),
+    ],
+  };
+};
+
+/**
+ * Queue a photo for processing again. The status check and the move to
+ * PENDING are one conditional UPDATE, so of two concurrent requests only one
+ * dispatches. The previous error is cleared; renditions stay in place and
+ * keep being served until the worker replaces them.
+ *
+ * @param {Photo} photo
+ * @param {'failed'|'ready'|'all'} scope
+ * @returns {Promise<boolean>} false if the photo was no longer reprocessable
+ */
+const requeuePhoto = async (photo, scope) => {
+  const { error, rejection, failedAt, ...metadata } = photo.metadata || {};
+  const [claimed] = await db.Photo.update(
+    { status: PHOTO_STATUS.PENDING, metadata },
+    { where: { id: photo.id, ...buildReprocessableWhere(scope) } }
+  );
+  if (claimed === 0) return false;
+
+  await dispatch(QUEUE_NAMES.PHOTO_PROCESSING, JOB_NAMES.PHOTO_RESIZE, {
+    photoId: photo.id,
+    storageKey: photo.storageKey,
+    mimeType: photo.mimeType,
+  });
+  return true;
+};
+
+/**
+ * Re-run processing for one photo — e.g. after it FAILED and BullMQ gave up,
+ * or got stuck in PROCESSING. Uploader, album owner or system admin.
+ */
+const reprocessPhoto = async (photoId, userId, systemRole, ipAddress) => {
+  const { Photo, Album } = db;
+
+  const photo = await Photo.findByPk(photoId, {
+    include: [{ model: Album, as: 'album', attributes: ['id', 'ownerId'] }],
+  });
+  if (!photo) throw new NotFoundError('Photo');
+
+  const isUploader = photo.uploadedById === userId;
+  const isOwner = photo.album.ownerId === userId;
+  if (!isUploader && !isOwner && systemRole !== 'admin') {
+    throw new ForbiddenError('Only the uploader or album owner can reprocess this photo');
+  }
+
+  // Retrying cannot bring back a lost original
+  if (!(await storageProvider.exists(photo.storageKey))) {
+    throw new UnprocessableError('The original file is missing from storage');
+  }
+
+  const previousStatus = photo.status;
+  if (!(await requeuePhoto(photo, 'all'))) {
+    throw new ConflictError('Photo is already queued for processing');
+  }
+  await photo.reload();
+
+  await activityLogService.logActivity({
+    albumId: photo.albumId,
+    actorId: userId,
+    type: ACTIVITY_TYPE.PHOTO_REPROCESS_REQUESTED,
+    targetId: photoId,
+    targetType: 'photo',
+    metadata: { previousStatus },
+    ipAddress,
+  });
+
+  logger.info('[PhotoService] Photo reprocess requested', { photoId, previousStatus, userId });
+  return photo.toSafeJSON();
+};
+
+const buildReprocessWhere = ({ status, albumId }) => ({
+  ...buildReprocessableWhere(status),
+  ...(albumId && { albumId }),
+});
+
+/**
+ * Queue a bulk reprocess on MAINTENANCE — admin endpoint, and album
+ * photoPrivacy changes. The job walks the matching photos and re-dispatches
+ * each one (see requeuePhotos).
+ *
+ * @param {object} params
+ * @param {'failed'|'ready'|'all'} params.status - 'ready'/'all' regenerate renditions after settings change
+ * @param {string} [params.albumId]
+ * @returns {Promise<{ status: string, albumId: string|null, photoCount: number }>}
+ */
+const requestBulkReprocess = async ({ status = 'failed', albumId = null }, userId) => {
+  const photoCount = await db.Photo.count({ where: buildReprocessWhere({ status, albumId }) });
+
+  if (photoCount > 0) {
+    await dispatch(
+      QUEUE_NAMES.MAINTENANCE,
+      JOB_NAMES.REPROCESS_PHOTOS,
+      { status, albumId, requestedById: userId },
+      { attempts: 1 }
+    );
+  }
+
+  logger.info('[PhotoService] Bulk reprocess requested', { status, albumId, photoCount, userId });
+  return { status, albumId, photoCount };
+};
+
+/**
+ * Re-dispatch every photo in a reprocess scope. Trashed photos are skipped
+ * (default scope). Photos created after the walk passes their id are not included.
+ *
+ * @returns {Promise<number>} Number of photos queued
+ */
+const requeuePhotos = async ({ status = 'failed', albumId = null } = {}) => {
+  const { Photo } = db;
+  const { Op } = db.Sequelize;
+  let lastId = null;
+  let queued = 0;
+
+  for (;;) {
+    const photos = await Photo.findAll({
+      where: {
+        ...buildReprocessWhere({ status, albumId }),
+        ...(lastId && { id: { [Op.gt]: lastId } }),
+      },
+      attributes: ['id', 'storageKey', 'mimeType', 'status', 'metadata'],
+      order: [['id', 'ASC']],
+      limit: REPROCESS_BATCH_SIZE,
+    });
+
+    for (const photo of photos) {
+      // Skipped if picked up meanwhile (single reprocess, another bulk run)
+      if (await requeuePhoto(photo, status)) queued += 1;
+    }
+
+    if (photos.length < REPROCESS_BATCH_SIZE) return queued;
+    lastId = photos[photos.length - 1].id;
+  }
+};
+
 module.exports = {
   uploadPhoto,
+  registerPhoto,
+  logUploadActivity,
+  findVisibleDuplicate,
   listPhotos,
   getPhoto,
+  getVideoStream,
   updatePhotoVisibility,
   deletePhoto,
   restorePhoto,
+  reprocessPhoto,
+  requestBulkReprocess,
+  requeuePhotos,
 };
@@ -0,0 +1,249 @@
+'use strict';
+
+const { Op } = require('sequelize');
+const db = require('../../../infrastructure/database');
+const config = require('../../../config');
+const { PHOTO_STATUS } = require('../../../shared/constants');
+const albumPermissionService = require('../../album/service/albumPermission.service');
+const photoVisibilityService = require('./photoVisibility.service');
+const { MAX_STORED_DISTANCE, parseHash, hashDistance } = require('../../../shared/utils/perceptualHash');
+const { NotFoundError, ForbiddenError } = require('../../../shared/utils/AppError');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * PhotoSimilarityService
+ *
+ * Near-duplicate detection over the perceptual hashes (dHash) computed by the
+ * photo worker. When the worker writes a hash, indexPhoto() compares it with
+ * the album's other hashes once and stores the pairs within
+ * MAX_STORED_DISTANCE in photo_similarities. Requests only read those links,
+ * so their cost follows the number of near-duplicates, not the album size.
+ *
+ * Visibility:
+ *  - Linked photos are loaded with buildVisibilityFilter()/buildVisibilityInclude(),
+ *    so a viewer never learns about photos they cannot see
+ *  - Payloads go through toSafeJSON({ userId, album }) for photo privacy
+ *
+ * Only READY photos with a perceptual hash take part.
+ */
+
+// ── Indexing (photo worker) ────────────────────────────────────────────────
+/**
+ * Replace the stored links of a photo after its perceptual hash was written.
+ * Trashed photos are compared too, so links survive a restore.
+ *
+ * @param {object} photo - Photo instance with id, albumId and perceptualHash
+ * @returns {Promise<number>} Links stored
+ */
+const indexPhoto = async (photo) => {
+  const { Photo, PhotoSimilarity } = db;
+
+  const others = await Photo.findAll({
+    where: {
+      albumId: photo.albumId,
+      id: { [Op.ne]: photo.id },
+      perceptualHash: { [Op.ne]: null },
+    },
+    attributes: ['id', 'perceptualHash'],
+    paranoid: false,
+    raw: true,
+  });
+
+  const hash = parseHash(photo.perceptualHash);
+  const links = [];
+  for (const other of others) {
+    const distance = hashDistance(hash, parseHash(other.perceptualHash));
+    if (distance <= MAX_STORED_DISTANCE) {
+      links.push(PhotoSimilarity.buildPair(photo.albumId, photo.id, other.id, distance));
+    }
+  }
+
+  await db.sequelize.transaction(async (transaction) => {
+    await PhotoSimilarity.destroy({
+      where: { [Op.or]: [{ photoId: photo.id }, { similarPhotoId: photo.id }] },
+      transaction,
+    });
+    // A photo indexed concurrently may have stored the same pair already
+    await PhotoSimilarity.bulkCreate(links, { ignoreDuplicates: true, transaction });
+  });
+
+  logger.debug('[PhotoSimilarity] Photo indexed', {
+    photoId: photo.id,
+    compared: others.length,
+    links: links.length,
+  });
+
+  return links.length;
+};
+
+/**
+ * Load the visible READY photos among the given ids.
+ */
+const loadVisiblePhotos = async (album, userId, photoIds) => {
+  const { Photo } = db;
+  if (photoIds.length === 0) return [];
+
+  return Photo.findAll({
+    where: {
+      id: { [Op.in]: photoIds },
+      albumId: album.id,
+      status: PHOTO_STATUS.READY,
+      ...photoVisibilityService.buildVisibilityFilter(userId, album.ownerId),
+    },
+    include: [photoVisibilityService.buildVisibilityInclude(userId)],
+    order: [['createdAt', 'ASC']],
+  });
+};
+
+// ── Album Duplicate Groups ─────────────────────────────────────────────────
+/**
+ * Group an album's near-duplicate photos.
+ * Photos are linked when their distance is within the threshold; groups are
+ * the connected components (so a burst A≈B≈C forms one group even if A and C
+ * are further apart). Singletons are omitted.
+ *
+ * @param {string} albumId
+ * @param {string|null} userId
+ * @param {string} systemRole
+ * @param {object} options - { threshold, page, limit }
+ * @returns {Promise<{ groups: Array, total: number, page: number, limit: number, threshold: number }>}
+ */
+const findDuplicateGroups = async (
+  albumId,
+  userId,
+  systemRole,
+  { threshold = config.media.similarityThreshold, page = 1, limit = 20 } = {}
+) => {
+  const { album } = await albumPermissionService.resolveAlbumAccess(albumId, userId, systemRole);
+  const maxDistance = Math.min(threshold, MAX_STORED_DISTANCE);
+
+  const links = await db.PhotoSimilarity.findAll({
+    where: { albumId, distance: { [Op.lte]: maxDistance } },
+    attributes: ['photoId', 'similarPhotoId', 'distance'],
+    raw: true,
+  });
+
+  const linkedIds = [...new Set(links.flatMap((link) => [link.photoId, link.similarPhotoId]))];
+  const photos = await loadVisiblePhotos(album, userId, linkedIds);
+  const visible = new Map(photos.map((photo) => [photo.id, photo]));
+
+  // ── Union-find over the links between visible photos ───────────────────
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const groupDistance = new Map(); // root id → largest distance of any link in the group
+  for (const { photoId, similarPhotoId, distance } of links) {
+    if (!visible.has(photoId) || !visible.has(similarPhotoId)) continue;
+    if (!parent.has(photoId)) parent.set(photoId, photoId);
+    if (!parent.has(similarPhotoId)) parent.set(similarPhotoId, similarPhotoId);
+
+    const rootA = find(photoId);
+    const rootB = find(similarPhotoId);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+    groupDistance.set(rootA, Math.max(distance, groupDistance.get(rootA) || 0, groupDistance.get(rootB) || 0));
+  }
+
+  // Photos are in createdAt order, so each group lists its oldest photo first
+  const members = new Map();
+  for (const photo of photos) {
+    if (!parent.has(photo.id)) continue;
+    const root = find(photo.id);
+    if (!members.has(root)) members.set(root, []);
+    members.get(root).push(photo);
+  }
+
+  // Largest groups first; oldest photo (the likely original) leads each group
+  const groups = [...members.entries()]
+    .map(([root, groupPhotos]) => ({
+      size: groupPhotos.length,
+      maxDistance: groupDistance.get(root) || 0,
+      groupPhotos,
+    }))
+    .sort((a, b) => b.size - a.size || a.maxDistance - b.maxDistance);
+
+  const offset = (page - 1) * limit;
+
+  return {
+    groups: groups.slice(offset, offset + limit).map(({ groupPhotos, ...group }) => ({
+      ...group,
+      photos: groupPhotos.map((p) => p.toSafeJSON({ userId, album })),
+    })),
+    total: groups.length,
+    page,
+    limit,
+    threshold,
+  };
+};
+
+// ── Similar Photos ─────────────────────────────────────────────────────────
+/**
+ * Photos in the same album that look like the given one, closest first.
+ *
+ * @param {string} photoId
+ * @param {string|null} userId
+ * @param {string} systemRole
+ * @param {object} options - { threshold, limit }
+ * @returns {Promise<{ photos: Array, threshold: number }>} Each photo carries `distance`
+ */
+const findSimilarPhotos = async (
+  photoId,
+  userId,
+  systemRole,
+  { threshold = config.media.similarityThreshold, limit = 20 } = {}
+) => {
+  const { Photo, Album, PhotoSimilarity } = db;
+
+  const photo = await Photo.findByPk(photoId, {
+    include: [{ model: Album, as: 'album', attributes: ['id', 'ownerId', 'photoPrivacy'] }],
+  });
+  if (!photo) throw new NotFoundError('Photo');
+
+  // Same checks as getPhoto — the source photo must itself be visible
+  await albumPermissionService.assertPermission(photo.albumId, userId, 'album:view', systemRole);
+
+  const { allowed, reason } = await photoVisibilityService.resolvePhotoVisibility(
+    photoId, userId, photo.album.ownerId
+  );
+  if (!allowed) throw new ForbiddenError(reason);
+
+  if (!photo.perceptualHash) {
+    return { photos: [], threshold };
+  }
+
+  const links = await PhotoSimilarity.findAll({
+    where: {
+      [Op.or]: [{ photoId }, { similarPhotoId: photoId }],
+      distance: { [Op.lte]: Math.min(threshold, MAX_STORED_DISTANCE) },
+    },
+    attributes: ['photoId', 'similarPhotoId', 'distance'],
+    raw: true,
+  });
+
+  const distances = new Map(
+    links.map((link) => [link.photoId === photoId ? link.similarPhotoId : link.photoId, link.distance])
+  );
+  const candidates = await loadVisiblePhotos(photo.album, userId, [...distances.keys()]);
+
+  const photos = candidates
+    .map((candidate) => ({ candidate, distance: distances.get(candidate.id) }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ candidate, distance }) => ({
+      ...candidate.toSafeJSON({ userId, album: photo.album }),
+      distance,
+    }));
+
+  return { photos, threshold };
+};
+
+module.exports = {
+  indexPhoto,
+  findDuplicateGroups,
+  findSimilarPhotos,
+};
@@ -34,7 +34,7 @@ const buildVisibilityFilter = (userId, albumOwnerId) => {
       { visibilityType: PHOTO_VISIBILITY.ALBUM_DEFAULT },
       {
         visibilityType: PHOTO_VISIBILITY.RESTRICTED,
-        '$visibilityAllowlist.userId$': userId,
+        '$visibilityAllowlist.user_id$': userId, // column name — $nested$ keys skip field mapping
       },
     ],
   };
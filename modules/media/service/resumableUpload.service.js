@@ -0,0 +1,473 @@
+'use strict';
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Op } = require('sequelize');
+const db = require('../../../infrastructure/database');
+const { storageProvider } = require('../../../infrastructure/upload');
+const config = require('../../../config');
+const { UPLOAD_SESSION_STATUS, UPLOAD_REJECTION } = require('../../../shared/constants');
+const albumPermissionService = require('../../album/service/albumPermission.service');
+const photoService = require('./photo.service');
+const {
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  UnprocessableError,
+  ValidationError,
+} = require('../../../shared/utils/AppError');
+const { isAcceptableDeclaredType, detectMediaFormat } = require('../../../shared/utils/imageFormat');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * ResumableUploadService
+ *
+ * init/append/complete protocol for large files on unreliable connections.
+ * Each append carries the byte offset it starts at (tus-style Upload-Offset);
+ * a client that loses its connection asks for the session's current offset
+ * and carries on from there.
+ *
+ * Flow:
+ *  1. initUpload     — photo:upload permission, size/type checked, session created
+ *  2. appendChunk    — offset must equal receivedBytes; chunk staged via storageProvider
+ *  3. completeUpload — session claimed (active → completing, one request wins),
+ *                      chunks streamed into a temp file while hashing, SHA-256
+ *                      verified, format sniffed from the file head, then handed
+ *                      to photoService.registerPhoto() (duplicatePolicy, storage,
+ *                      PHOTO_PROCESSING queue). The file is never held in memory
+ *                      here, so the rest of the content validation happens in
+ *                      the photo worker, as for direct uploads.
+ *  4. abortUpload    — staged chunks deleted
+ *
+ * Sessions still active past expiresAt (or stuck completing) are expired by
+ * the EXPIRE_UPLOAD_SESSIONS maintenance job, which deletes their chunks.
+ * Finished sessions keep no chunk list — leftovers of a failed delete are
+ * orphans for storage reconciliation.
+ *
+ * Sessions belong to the user who created them; other users get 404.
+ */
+
+const STAGING_FOLDER = 'uploads/staging';
+
+// A completion still running after this long died with its process
+const STALE_COMPLETING_MS = 60 * 60 * 1000;
+
+// Sessions expired per query by expireSessions()
+const EXPIRE_BATCH_SIZE = 100;
+
+// Read from the assembled file to identify its format — covers the signature
+// and, for TIFF-based RAW, IFD0
+const SNIFF_BYTES = 1024 * 1024;
+
+/**
+ * Delete a session's staged chunks. Failures are logged, never thrown —
+ * leftovers are unreferenced and safe to reclaim later.
+ */
+const deleteStagedChunks = async (session, chunks = session.chunks) => {
+  const results = await Promise.allSettled(
+    (chunks || []).map((chunk) => storageProvider.delete(chunk.key))
+  );
+  const failures = results.filter((r) => r.status === 'rejected');
+  if (failures.length > 0) {
+    logger.warn('[ResumableUpload] Failed to delete staged chunks', {
+      uploadId: session.id,
+      failed: failures.length,
+    });
+  }
+};
+
+/**
+ * Load a session owned by userId within an album.
+ * @param {object} [options] - Extra findOne options (transaction, lock)
+ */
+const findSession = async (albumId, uploadId, userId, options = {}) => {
+  const session = await db.UploadSession.findOne({
+    where: { id: uploadId, albumId, userId },
+    ...options,
+  });
+  if (!session) throw new NotFoundError('Upload');
+  return session;
+};
+
+const assertWritable = (session) => {
+  if (!session.isActive()) {
+    throw new ConflictError(`Upload is already ${session.status}`);
+  }
+  if (session.isExpired()) {
+    throw new GoneError('Upload session has expired');
+  }
+};
+
+// ── Init ───────────────────────────────────────────────────────────────────
+/**
+ * Start a resumable upload.
+ *
+ * @param {string} albumId
+ * @param {object} data - { filename, mimeType, size, checksum?, metadata? }
+ * @param {string} userId
+ * @param {string} systemRole
+ * @returns {Promise<object>} Session JSON with chunkSize
+ */
+const initUpload = async (albumId, data, userId, systemRole) => {
+  await albumPermissionService.assertPermission(albumId, userId, 'photo:upload', systemRole);
+
+  const { resumable, allowedMimeTypes } = config.upload;
+
+  // Declared type is provisional — the photo worker sniffs the assembled bytes
+  if (!isAcceptableDeclaredType(data.mimeType, allowedMimeTypes)) {
+    throw new UnprocessableError(`File type "${data.mimeType}" is not allowed.`);
+  }
+  if (data.size > resumable.maxFileSize) {
+    throw new ValidationError(`File exceeds the maximum size of ${resumable.maxFileSize} bytes`);
+  }
+
+  const session = await db.UploadSession.create({
+    albumId,
+    userId,
+    filename: data.filename,
+    mimeType: data.mimeType,
+    totalSize: data.size,
+    checksum: data.checksum || null,
+    metadata: data.metadata || {},
+    expiresAt: new Date(Date.now() + resumable.sessionTtlHours * 60 * 60 * 1000),
+  });
+
+  logger.info('[ResumableUpload] Session started', {
+    uploadId: session.id,
+    albumId,
+    userId,
+    size: data.size,
+  });
+
+  return { ...session.toSafeJSON(), chunkSize: resumable.chunkSize };
+};
+
+// ── Status ─────────────────────────────────────────────────────────────────
+/**
+ * Current session state — clients resume from `offset`.
+ */
+const getUpload = async (albumId, uploadId, userId) => {
+  const session = await findSession(albumId, uploadId, userId);
+  return { ...session.toSafeJSON(), chunkSize: config.upload.resumable.chunkSize };
+};
+
+// ── Append ─────────────────────────────────────────────────────────────────
+/**
+ * Append a chunk at the given offset.
+ * The session row is locked for the duration so concurrent retries of the
+ * same chunk cannot both be accepted.
+ *
+ * @param {string} albumId
+ * @param {string} uploadId
+ * @param {number} offset - Byte offset this chunk starts at
+ * @param {Buffer} chunk
+ * @param {string} userId
+ */
+const appendChunk = async (albumId, uploadId, offset, chunk, userId) => {
+  if (!Buffer.isBuffer(chunk) || chunk.length === 0) {
+    throw new ValidationError('Chunk body is empty');
+  }
+  if (chunk.length > config.upload.resumable.chunkSize) {
+    throw new ValidationError(`Chunk exceeds the maximum size of ${config.upload.resumable.chunkSize} bytes`);
+  }
+
+  const t = await db.sequelize.transaction();
+  try {
+    const session = await findSession(albumId, uploadId, userId, {
+      transaction: t,
+      lock: t.LOCK.UPDATE,
+    });
+    assertWritable(session);
+
+    const receivedBytes = Number(session.receivedBytes);
+    const totalSize = Number(session.totalSize);
+
+    if (offset !== receivedBytes) {
+      throw new ConflictError(
+        `Upload offset mismatch: expected ${receivedBytes}, got ${offset}`,
+        { expectedOffset: receivedBytes }
+      );
+    }
+    if (receivedBytes + chunk.length > totalSize) {
+      throw new ValidationError('Chunk extends past the declared file size');
+    }
+
+    const index = session.chunks.length;
+    const saved = await storageProvider.save(
+      chunk,
+      `${session.id}.part${index}`,
+      'application/octet-stream',
+      STAGING_FOLDER
+    );
+
+    await session.update(
+      {
+        receivedBytes: receivedBytes + chunk.length,
+        chunks: [...session.chunks, { index, offset, size: chunk.length, key: saved.key }],
+      },
+      { transaction: t }
+    );
+
+    await t.commit();
+    return session.toSafeJSON();
+  } catch (err) {
+    await t.rollback();
+    throw err;
+  }
+};
+
+// ── Complete ───────────────────────────────────────────────────────────────
+/**
+ * Move a session out of `from` into a final status, dropping its chunk list.
+ * Staged chunks are deleted afterwards (pass them in — the row no longer has them).
+ * @returns {Promise<boolean>} false if the session was no longer in `from`
+ */
+const finishSession = async (session, from, updates) => {
+  const chunks = session.chunks;
+  const [count] = await db.UploadSession.update(
+    { ...updates, chunks: [] },
+    { where: { id: session.id, status: from } }
+  );
+  if (count === 0) return false;
+
+  session.set({ ...updates, chunks: [] });
+  await deleteStagedChunks(session, chunks);
+  return true;
+};
+
+/**
+ * Stream the chunks, in order, into a file while hashing them.
+ * @returns {Promise<{ size: number, checksum: string }>}
+ */
+const assembleChunks = async (session, filePath) => {
+  const hash = crypto.createHash('sha256');
+  const file = await fs.promises.open(filePath, 'w');
+  let size = 0;
+  try {
+    for (const chunk of [...session.chunks].sort((a, b) => a.index - b.index)) {
+      const stream = await storageProvider.getStream(chunk.key);
+      for await (const data of stream) {
+        hash.update(data);
+        await file.write(data);
+        size += data.length;
+      }
+    }
+  } finally {
+    await file.close();
+  }
+  return { size, checksum: hash.digest('hex') };
+};
+
+/**
+ * Identify the assembled file from its first SNIFF_BYTES.
+ * @returns {Promise<object|null>} detectMediaFormat() result
+ */
+const sniffFormat = async (filePath) => {
+  const file = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await file.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0);
+    return detectMediaFormat(buffer.subarray(0, bytesRead));
+  } finally {
+    await file.close();
+  }
+};
+
+/**
+ * Reassemble, verify and register the file as a photo.
+ * A checksum mismatch aborts the session — the client must start over,
+ * since there is no way to tell which chunk was corrupted.
+ *
+ * @param {string} albumId
+ * @param {string} uploadId
+ * @param {object} data - { checksum? } (required if not given at init)
+ * @param {string} userId
+ * @param {string} systemRole
+ * @returns {Promise<{ upload: object, photo: object, duplicates: Array }>}
+ */
+const completeUpload = async (albumId, uploadId, data, userId, systemRole) => {
+  const { album } = await albumPermissionService.assertPermission(albumId, userId, 'photo:upload', systemRole);
+  const { UploadSession } = db;
+
+  let session = await findSession(albumId, uploadId, userId);
+  assertWritable(session);
+
+  const expectedChecksum = (data.checksum || session.checksum || '').toLowerCase();
+  if (!expectedChecksum) {
+    throw new ValidationError('A SHA-256 checksum is required to complete the upload');
+  }
+
+  // ── Claim — concurrent completes: one wins, the rest get 409 ───────────
+  const [claimed] = await UploadSession.update(
+    { status: UPLOAD_SESSION_STATUS.COMPLETING },
+    {
+      where: {
+        id: session.id,
+        status: UPLOAD_SESSION_STATUS.ACTIVE,
+        expiresAt: { [Op.gt]: new Date() },
+      },
+    }
+  );
+  if (claimed === 0) {
+    throw new ConflictError('Upload is already being completed or is no longer active');
+  }
+  session = await session.reload(); // chunks as of the claim
+
+  const release = () =>
+    UploadSession.update(
+      { status: UPLOAD_SESSION_STATUS.ACTIVE },
+      { where: { id: session.id, status: UPLOAD_SESSION_STATUS.COMPLETING } }
+    );
+
+  if (Number(session.receivedBytes) !== Number(session.totalSize)) {
+    await release();
+    throw new ConflictError(
+      `Upload incomplete: received ${session.receivedBytes} of ${session.totalSize} bytes`,
+      { expectedOffset: Number(session.receivedBytes) }
+    );
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-'));
+  let registered = false;
+  try {
+    // ── Reassemble + verify ──────────────────────────────────────────────
+    const filePath = path.join(dir, 'file');
+    const { size, checksum } = await assembleChunks(session, filePath);
+
+    if (size !== Number(session.totalSize) || checksum !== expectedChecksum) {
+      await finishSession(session, UPLOAD_SESSION_STATUS.COMPLETING, { status: UPLOAD_SESSION_STATUS.ABORTED });
+      logger.warn('[ResumableUpload] Checksum mismatch', { uploadId, albumId, userId });
+      throw new UnprocessableError('Checksum mismatch — upload discarded, please start again');
+    }
+
+    // ── Format from the file signature; full validation is the worker's ──
+    const format = await sniffFormat(filePath);
+    if (!format || !config.upload.allowedMimeTypes.includes(format.mimeType)) {
+      await finishSession(session, UPLOAD_SESSION_STATUS.COMPLETING, { status: UPLOAD_SESSION_STATUS.ABORTED });
+      const error = format
+        ? `File type "${format.mimeType}" is not allowed.`
+        : 'File is not a recognised image or video format';
+      // Content rejections are final — the same bytes would fail again
+      throw new UnprocessableError(error, [
+        { filename: session.filename, error, status: UPLOAD_REJECTION.UNSUPPORTED_TYPE },
+      ]);
+    }
+
+    // ── Duplicate policy, storage, Photo row, processing queue ───────────
+    const result = await photoService.registerPhoto(
+      album,
+      {
+        filename: session.filename,
+        contentHash: checksum,
+        format,
+        store: (storedFilename) => storageProvider.saveFile(filePath, storedFilename, format.mimeType, 'photos'),
+      },
+      userId,
+      { metadata: session.metadata }
+    );
+    const duplicates = result.duplicate ? [result.duplicate] : [];
+
+    if (result.rejection) {
+      await finishSession(session, UPLOAD_SESSION_STATUS.COMPLETING, { status: UPLOAD_SESSION_STATUS.ABORTED });
+      throw new ConflictError(result.rejection.error, [result.rejection]);
+    }
+
+    // The photo exists from here on — the session must not go back to active
+    registered = true;
+    await finishSession(session, UPLOAD_SESSION_STATUS.COMPLETING, {
+      status: UPLOAD_SESSION_STATUS.COMPLETED,
+      checksum,
+      photoId: result.photo.id,
+    });
+
+    if (result.created) {
+      await photoService.logUploadActivity(albumId, userId, [result.photo], {
+        resumable: true,
+        ...(result.duplicate && { duplicates: 1 }),
+      });
+    }
+
+    logger.info('[ResumableUpload] Session completed', {
+      uploadId,
+      albumId,
+      userId,
+      photoId: result.photo.id,
+      size,
+    });
+
+    return { upload: session.toSafeJSON(), photo: result.photo, duplicates };
+  } catch (err) {
+    // Failed before a photo was created (storage/DB error) — back to active
+    // so complete can be retried. Left completing otherwise: the expiry job
+    // cleans up if finishing the session failed.
+    if (!registered) await release();
+    throw err;
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+// ── Abort ──────────────────────────────────────────────────────────────────
+const abortUpload = async (albumId, uploadId, userId) => {
+  const session = await findSession(albumId, uploadId, userId);
+  const aborted =
+    session.isActive() &&
+    (await finishSession(session, UPLOAD_SESSION_STATUS.ACTIVE, { status: UPLOAD_SESSION_STATUS.ABORTED }));
+  if (!aborted) {
+    throw new ConflictError(`Upload is already ${session.status === UPLOAD_SESSION_STATUS.ACTIVE ? 'completing' : session.status}`);
+  }
+
+  logger.info('[ResumableUpload] Session aborted', { uploadId, albumId, userId });
+};
+
+// ── Expiry (maintenance) ───────────────────────────────────────────────────
+/**
+ * Expire sessions past expiresAt, and completions that died mid-way, deleting
+ * their staged chunks. Run by the EXPIRE_UPLOAD_SESSIONS job.
+ *
+ * @returns {Promise<{ expired: number }>}
+ */
+const expireSessions = async () => {
+  const { UploadSession } = db;
+  const now = new Date();
+  let expired = 0;
+
+  for (;;) {
+    const sessions = await UploadSession.findAll({
+      where: {
+        [Op.or]: [
+          { status: UPLOAD_SESSION_STATUS.ACTIVE, expiresAt: { [Op.lte]: now } },
+          {
+            status: UPLOAD_SESSION_STATUS.COMPLETING,
+            updatedAt: { [Op.lt]: new Date(now.getTime() - STALE_COMPLETING_MS) },
+          },
+        ],
+      },
+      order: [['expiresAt', 'ASC']],
+      limit: EXPIRE_BATCH_SIZE,
+    });
+
+    for (const session of sessions) {
+      // Conditional on the status read — a session completed meanwhile is left alone
+      if (await finishSession(session, session.status, { status: UPLOAD_SESSION_STATUS.EXPIRED })) {
+        expired++;
+      }
+    }
+    if (sessions.length < EXPIRE_BATCH_SIZE) break;
+  }
+
+  if (expired > 0) {
+    logger.info('[ResumableUpload] Expired sessions cleaned up', { expired });
+  }
+  return { expired };
+};
+
+module.exports = {
+  initUpload,
+  getUpload,
+  appendChunk,
+  completeUpload,
+  abortUpload,
+  expireSessions,
+};
@@ -230,7 +230,7 @@ const searchPhotosByTag = async (tagSlug, userId, systemRole, { page = 1, limit
     {
       model: Album,
       as: 'album',
-      attributes: ['id', 'name', 'isPublic', 'ownerId'],
+      attributes: ['id', 'name', 'isPublic', 'ownerId', 'photoPrivacy'],
     },
     {
       model: User,
@@ -253,7 +253,7 @@ const searchPhotosByTag = async (tagSlug, userId, systemRole, { page = 1, limit
   });
 
   return {
-    photos: rows.map((p) => p.toSafeJSON()),
+    photos: rows.map((p) => p.toSafeJSON({ userId, album: p.album })),
     tag,
     total: count,
     page,
@@ -1,7 +1,8 @@
 'use strict';
 
 const Joi = require('joi');
-const { PHOTO_VISIBILITY, PHOTO_STATUS } = require('../../../shared/constants');
+const { PHOTO_VISIBILITY, PHOTO_STATUS, MEDIA_KIND } = require('../../../shared/constants');
+const { MAX_STORED_DISTANCE } = require('../../../shared/utils/perceptualHash');
 
 /**
  * Media Validators
@@ -13,6 +14,7 @@ const listPhotos = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
   status: Joi.string().valid(...Object.values(PHOTO_STATUS)).optional(),
+  kind: Joi.string().valid(...Object.values(MEDIA_KIND)).optional(),
   tags: Joi.alternatives()
     .try(
       Joi.array().items(Joi.string().trim().min(1).max(100)),
@@ -41,6 +43,20 @@ const updatePhotoVisibility = Joi.object({
     }),
 });
 
+// Hamming distance over a 64-bit dHash — links are stored up to MAX_STORED_DISTANCE
+const similarityThreshold = Joi.number().integer().min(0).max(MAX_STORED_DISTANCE).optional();
+
+const listDuplicates = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  threshold: similarityThreshold,
+});
+
+const listSimilar = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  threshold: similarityThreshold,
+});
+
 const photoIdParam = Joi.object({
   photoId: Joi.string().uuid().required(),
 });
@@ -49,6 +65,52 @@ const albumIdParam = Joi.object({
   albumId: Joi.string().uuid().required(),
 });
 
+// ── Resumable Upload ───────────────────────────────────────────────────────
+const sha256Hex = Joi.string().trim().lowercase().length(64).hex()
+  .messages({ 'string.length': 'checksum must be a SHA-256 hex digest' });
+
+const initUpload = Joi.object({
+  filename: Joi.string().trim().min(1).max(255).required(),
+  mimeType: Joi.string().trim().lowercase().max(100).required(),
+  size: Joi.number().integer().min(1).required()
+    .messages({ 'number.min': 'size must be at least 1 byte' }),
+  checksum: sha256Hex.optional(),
+  metadata: Joi.object().max(20).default({}),
+});
+
+const completeUpload = Joi.object({
+  checksum: sha256Hex.optional(),
+});
+
+const uploadIdParam = Joi.object({
+  albumId: Joi.string().uuid().required(),
+  uploadId: Joi.string().uuid().required(),
+});
+
+// ── Direct Upload ──────────────────────────────────────────────────────────
+const presignUploads = Joi.object({
+  files: Joi.array()
+    .items(
+      Joi.object({
+        filename: Joi.string().trim().min(1).max(255).required(),
+        mimeType: Joi.string().trim().lowercase().max(100).required(),
+        size: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .max(20)
+    .required(),
+});
+
+const confirmUploads = Joi.object({
+  uploads: Joi.array()
+    .items(Joi.object({ uploadToken: Joi.string().required() }))
+    .min(1)
+    .max(20)
+    .required(),
+  metadata: Joi.object().max(20).default({}),
+});
+
 // ── Tag ────────────────────────────────────────────────────────────────────
 const tagPhoto = Joi.object({
   tags: Joi.array()
@@ -155,8 +217,15 @@ const bulkChangeVisibility = Joi.object({
 module.exports = {
   listPhotos,
   updatePhotoVisibility,
+  listDuplicates,
+  listSimilar,
   photoIdParam,
   albumIdParam,
+  initUpload,
+  completeUpload,
+  uploadIdParam,
+  presignUploads,
+  confirmUploads,
   tagPhoto,
   untagPhoto,
   tagAutocomplete,
@@ -1,10 +1,20 @@
 'use strict';
 
-const sharp = require('sharp');
+const crypto = require('crypto');
+const { UnrecoverableError } = require('bullmq');
 const { storageProvider } = require('../../../infrastructure/upload');
 const db = require('../../../infrastructure/database');
-const { PHOTO_STATUS, ACTIVITY_TYPE } = require('../../../shared/constants');
+const config = require('../../../config');
+const { PHOTO_STATUS, PHOTO_PRIVACY, MEDIA_KIND, ACTIVITY_TYPE } = require('../../../shared/constants');
+const { parseExif } = require('../../../shared/utils/exif');
+const { inspectMedia } = require('../../../shared/utils/imageValidation');
+const { decodeImage } = require('../../../shared/utils/imageDecoder');
+const { IMAGE_FORMATS } = require('../../../shared/utils/imageFormat');
+const { extractPosterFrame, remuxClip } = require('../../../shared/utils/ffmpeg');
+const { computeDHash } = require('../../../shared/utils/perceptualHash');
 const activityLogService = require('../../album/service/albumActivityLog.service');
+const photoSimilarityService = require('../service/photoSimilarity.service');
+const { UnprocessableError } = require('../../../shared/utils/AppError');
 const logger = require('../../../infrastructure/logger');
 
 /**
@@ -15,38 +25,183 @@ const logger = require('../../../infrastructure/logger');
  *
  * Processing Steps:
  *  1. Set status = PROCESSING
- *  2. Load original image from storage
- *  3. Extract metadata (dimensions, EXIF)
- *  4. Generate thumbnail (max 300x300, WebP for compression)
- *  5. Save thumbnail to storage
- *  6. Update Photo record: status=READY, thumbnailUrl, metadata, processedAt
- *  7. Log activity
+ *  2. Load original image from storage, validate it (magic bytes, polyglots,
+ *     header dimensions — see imageValidation) and decode (HEIC/HEIF via
+ *     libheif, RAW via its embedded preview — see imageDecoder). Video clips
+ *     are represented by a poster frame grabbed with ffmpeg.
+ *  3. Extract metadata (dimensions, structured EXIF: capture time, camera, GPS…
+ *     or, for clips, duration/codecs from the moov atom) and the perceptual
+ *     hash used for near-duplicate search
+ *  4. Generate renditions (config.media.renditions × config.media.renditionFormats),
+ *     auto-oriented, with EXIF embedded per the album's photoPrivacy policy.
+ *     Unless the policy is 'keep', a sanitized full-size 'full' rendition is also
+ *     produced — non-owners are served it instead of the original. Originals
+ *     browsers cannot display (HEIC, AVIF, TIFF, RAW) always get a 'full'
+ *     rendition; the original itself is kept untouched for download.
+ *     For clips, renditions are stills of the poster frame and 'full' is the
+ *     clip remuxed without metadata (stream copy, no re-encode).
+ *  5. Save renditions to storage
+ *  6. Update Photo record: status=READY, renditions, thumbnailUrl, takenAt/camera
+ *     columns, metadata, processedAt; store near-duplicate links
+ *     (PhotoSimilarityService.indexPhoto)
+ *  7. Log activity, then remove renditions left over from a previous run
  *
  * Error Handling:
  *  - On failure: set status=FAILED, log error to metadata.error
- *  - Retry strategy: BullMQ default (3 attempts with exponential backoff)
+ *  - Retry strategy: BullMQ default (3 attempts with exponential backoff);
+ *    files failing validation are not retried and record metadata.rejection
  *
  * This worker is registered in server.js via registerWorker().
  */
 
-const THUMBNAIL_SIZE = 300;
-const THUMBNAIL_FORMAT = 'webp';
-const THUMBNAIL_QUALITY = 80;
+// Supported rendition encoders: sharp format → file extension + MIME type
+const RENDITION_FORMATS = Object.freeze({
+  avif: { ext: 'avif', mimeType: 'image/avif' },
+  webp: { ext: 'webp', mimeType: 'image/webp' },
+  jpeg: { ext: 'jpg', mimeType: 'image/jpeg' },
+  png: { ext: 'png', mimeType: 'image/png' },
+});
+
+const unsupportedFormats = config.media.renditionFormats.filter((f) => !RENDITION_FORMATS[f]);
+if (unsupportedFormats.length > 0) {
+  throw new Error(
+    `[PhotoWorker] Unsupported PHOTO_RENDITION_FORMATS: ${unsupportedFormats.join(', ')}`
+  );
+}
+
+// Reserved rendition name for the sanitized full-resolution display copy
+const FULL_RENDITION = 'full';
+
+if (config.media.renditions.some((r) => r.name === FULL_RENDITION)) {
+  throw new Error(`[PhotoWorker] Rendition name "${FULL_RENDITION}" is reserved`);
+}
+
+// Poster frame position — far enough in to skip black lead-in frames
+const POSTER_FRAME_SECONDS = 1;
+
+/**
+ * Format an ISO timestamp as an EXIF datetime ("YYYY:MM:DD HH:MM:SS", UTC).
+ */
+const toExifDate = (iso) => iso.slice(0, 19).replace('T', ' ').replace(/-/g, ':');
+
+/**
+ * Embed EXIF in an output pipeline according to the album's privacy policy.
+ *  - keep      : copy the original EXIF (orientation is reset after rotate())
+ *  - strip_gps : rewrite a minimal EXIF block from the parsed fields — no GPS IFD
+ *  - strip_all : sharp's default, no metadata at all
+ */
+const applyPhotoPrivacy = (pipeline, privacy, exif) => {
+  if (privacy === PHOTO_PRIVACY.KEEP) return pipeline.withMetadata();
+  if (privacy !== PHOTO_PRIVACY.STRIP_GPS || !exif) return pipeline;
+
+  const ifd0 = {};
+  const ifd2 = {};
+  if (exif.cameraMake) ifd0.Make = exif.cameraMake;
+  if (exif.cameraModel) ifd0.Model = exif.cameraModel;
+  if (exif.takenAt) {
+    ifd2.DateTimeOriginal = toExifDate(exif.takenAt);
+    ifd2.OffsetTimeOriginal = '+00:00';
+  }
+  if (exif.lensModel) ifd2.LensModel = exif.lensModel;
+
+  return pipeline.withExif({ IFD0: ifd0, IFD2: ifd2 });
+};
 
 /**
- * Process a photo: extract metadata, generate thumbnail.
+ * Pick which configured renditions to build for an image.
+ * Sizes at or above the original's longest edge are skipped (no upscaling),
+ * but the smallest rendition is always produced so every photo has a thumbnail.
+ */
+const selectRenditions = (longestEdge) => {
+  const { renditions } = config.media;
+  const selected = renditions.filter((r) => !longestEdge || r.size < longestEdge);
+  return selected.length > 0 ? selected : renditions.slice(0, 1);
+};
+
+/**
+ * Encode and store every format of one rendition.
+ * A null size keeps the original resolution.
+ *
+ * @param {Function} withPrivacy - Applies the album's EXIF policy to a pipeline
+ * @returns {Promise<{ width, height, formats: object }>}
+ */
+const buildRendition = async (
+  storage,
+  sharpInstance,
+  photoId,
+  { name, size, formats: outputFormats = config.media.renditionFormats },
+  withPrivacy
+) => {
+  const formats = {};
+  let width;
+  let height;
+
+  for (const format of outputFormats) {
+    const { ext, mimeType } = RENDITION_FORMATS[format];
+    let pipeline = sharpInstance.clone();
+    if (size) pipeline = pipeline.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+
+    const { data, info } = await withPrivacy(pipeline)
+      .toFormat(format, { quality: config.media.renditionQuality })
+      .toBuffer({ resolveWithObject: true });
+
+    const saved = await storage.save(data, `${name}_${photoId}.${ext}`, mimeType, 'renditions');
+    formats[format] = { url: saved.url, key: saved.key, sizeBytes: saved.size };
+    width = info.width;
+    height = info.height;
+  }
+
+  return { width, height, formats };
+};
+
+/**
+ * Poster frame of a clip, decoded like any uploaded PNG.
+ * ffmpeg applies the display rotation, so width/height are as shown.
+ */
+const decodePosterFrame = async (buffer, format, video) => {
+  const poster = await extractPosterFrame(buffer, {
+    ext: format.ext,
+    atSeconds: Math.min(POSTER_FRAME_SECONDS, video.durationMs / 2000),
+  });
+  return decodeImage(poster, { name: 'png', ...IMAGE_FORMATS.png }, { maxPixels: config.media.maxInputPixels });
+};
+
+/**
+ * Store a clip's metadata-free copy as the 'full' rendition.
+ * Under strip_gps the capture time survives, as it does in photo EXIF.
+ * `kind: 'video'` keeps it out of image srcsets.
+ */
+const buildClipRendition = async (storage, buffer, photoId, format, { width, height }, privacy, video) => {
+  const data = await remuxClip(buffer, {
+    ext: format.ext,
+    creationTime: privacy === PHOTO_PRIVACY.STRIP_GPS ? video.createdAt : null,
+  });
+  const saved = await storage.save(data, `${FULL_RENDITION}_${photoId}.${format.ext}`, format.mimeType, 'renditions');
+
+  return {
+    width,
+    height,
+    kind: MEDIA_KIND.VIDEO,
+    formats: { [format.name]: { url: saved.url, key: saved.key, sizeBytes: saved.size } },
+  };
+};
+
+/**
+ * Process a photo: extract metadata, generate renditions.
  *
  * @param {object} job - BullMQ job
  * @param {string} job.data.photoId
  * @param {string} job.data.storageKey
  * @param {string} job.data.mimeType
+ * @param {object} [options]
+ * @param {StorageProvider} [options.storage] - Override the configured provider (tests)
  */
-const processPhoto = async (job) => {
-  const { photoId, storageKey, mimeType } = job.data;
+const processPhoto = async (job, { storage = storageProvider } = {}) => {
+  const { photoId, storageKey } = job.data;
 
   logger.info('[PhotoWorker] Processing started', { photoId, jobId: job.id });
 
-  const { Photo } = db;
+  const { Photo, Album } = db;
 
   try {
     // ── Step 1: Update status ──────────────────────────────────────────
@@ -58,60 +213,117 @@ const processPhoto = async (job) => {
 
     await photo.update({ status: PHOTO_STATUS.PROCESSING });
 
+    const album = await Album.findByPk(photo.albumId, { attributes: ['id', 'photoPrivacy'] });
+    const privacy = album?.photoPrivacy || PHOTO_PRIVACY.STRIP_GPS;
+
     // ── Step 2: Load original image from storage ───────────────────────
-    // For local storage, storageKey is a relative path
-    // For S3, use storageProvider to download the buffer
-    const fs = require('fs-extra');
-    const path = require('path');
-    const config = require('../../../config');
-
-    let imageBuffer;
-    if (config.upload.provider === 'local') {
-      const fullPath = path.join(config.upload.local.basePath, storageKey);
-      imageBuffer = await fs.readFile(fullPath);
-    } else {
-      // S3: download buffer (future implementation)
-      throw new Error('S3 download not yet implemented');
+    // Provider-agnostic: works identically for local, S3 and in-memory storage
+    const imageBuffer = await storage.getBuffer(storageKey);
+
+    // The stored bytes are the source of truth — direct uploads in particular
+    // reach storage without passing through uploadPhoto()'s checks
+    let sourceFormat;
+    let video;
+    try {
+      ({ format: sourceFormat, video } = await inspectMedia(imageBuffer));
+    } catch (err) {
+      if (!(err instanceof UnprocessableError)) throw err;
+      // Same bytes, same verdict — retrying cannot help
+      throw Object.assign(new UnrecoverableError(err.message), { rejection: err.details });
     }
 
     // ── Step 3: Extract metadata ───────────────────────────────────────
-    const sharpInstance = sharp(imageBuffer);
-    const metadata = await sharpInstance.metadata();
+    const isVideo = sourceFormat.kind === MEDIA_KIND.VIDEO;
+
+    // Auto-oriented pipeline; width/height are the displayed (post-rotation) size
+    const { image: sharpInstance, metadata, width, height } = isVideo
+      ? await decodePosterFrame(imageBuffer, sourceFormat, video)
+      : await decodeImage(imageBuffer, sourceFormat, { maxPixels: config.media.maxInputPixels });
+    // Parsed from the original bytes — sharp only exposes EXIF as a raw Buffer
+    const exif = isVideo ? null : await parseExif(imageBuffer);
+
+    // Computed on the auto-oriented image so rotated copies still match
+    const perceptualHash = await computeDHash(sharpInstance);
 
     const extractedMetadata = {
-      width: metadata.width,
-      height: metadata.height,
-      format: metadata.format,
+      width,
+      height,
+      format: sourceFormat.name,
       space: metadata.space,
       channels: metadata.channels,
       hasAlpha: metadata.hasAlpha,
-      exif: metadata.exif || null,
+      exif,
+      ...(isVideo && {
+        video: {
+          durationMs: video.durationMs,
+          videoCodec: video.videoCodec,
+          audioCodec: video.audioCodec,
+          rotation: video.rotation,
+        },
+      }),
     };
 
-    // ── Step 4: Generate thumbnail ─────────────────────────────────────
-    const thumbnailBuffer = await sharpInstance
-      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
-        fit: 'inside',
-        withoutEnlargement: true,
-      })
-      .toFormat(THUMBNAIL_FORMAT, { quality: THUMBNAIL_QUALITY })
-      .toBuffer();
-
-    // ── Step 5: Save thumbnail to storage ──────────────────────────────
-    const thumbnailFilename = `thumb_${photoId}.${THUMBNAIL_FORMAT}`;
-    const thumbnailResult = await storageProvider.save(
-      thumbnailBuffer,
-      thumbnailFilename,
-      `image/${THUMBNAIL_FORMAT}`,
-      'thumbnails'
-    );
+    // ── Step 4 + 5: Generate and store renditions ──────────────────────
+    const previousKeys = Photo.renditionKeys(photo.renditions, photo.thumbnailKey);
+    const longestEdge = Math.max(width || 0, height || 0);
+    const withPrivacy = (pipeline) => applyPhotoPrivacy(pipeline, privacy, exif);
+    const renditions = {};
+
+    for (const spec of selectRenditions(longestEdge)) {
+      renditions[spec.name] = await buildRendition(storage, sharpInstance, photoId, spec, withPrivacy);
+    }
+
+    // The original keeps its full EXIF (GPS included) and is owner-only under
+    // stripping policies — everyone else gets this sanitized copy instead.
+    // Originals browsers cannot display need it regardless of policy.
+    if (isVideo) {
+      if (privacy !== PHOTO_PRIVACY.KEEP) {
+        renditions[FULL_RENDITION] = await buildClipRendition(
+          storage,
+          imageBuffer,
+          photoId,
+          sourceFormat,
+          { width, height },
+          privacy,
+          video
+        );
+      }
+    } else if (privacy !== PHOTO_PRIVACY.KEEP || !sourceFormat.webSafe) {
+      const fullFormat = sourceFormat.webSafe && RENDITION_FORMATS[sourceFormat.name] ? sourceFormat.name : 'jpeg';
+      renditions[FULL_RENDITION] = await buildRendition(
+        storage,
+        sharpInstance,
+        photoId,
+        { name: FULL_RENDITION, size: null, formats: [fullFormat] },
+        withPrivacy
+      );
+    }
+
+    // thumbnailUrl keeps pointing at the smallest rendition (for clips, of the poster) — WebP when available,
+    // since legacy clients read this field directly without format negotiation
+    const smallest = renditions[config.media.renditions[0].name] || Object.values(renditions)[0];
+    const thumbnail = smallest.formats.webp || smallest.formats[config.media.renditionFormats[0]];
 
     // ── Step 6: Update Photo record ────────────────────────────────────
     await photo.update({
-      width: metadata.width,
-      height: metadata.height,
-      thumbnailUrl: thumbnailResult.url,
-      thumbnailKey: thumbnailResult.key,
+      width,
+      height,
+      mimeType: sourceFormat.mimeType,
+      kind: sourceFormat.kind,
+      durationMs: video?.durationMs ?? null,
+      videoCodec: video?.videoCodec ?? null,
+      renditions,
+      thumbnailUrl: thumbnail.url,
+      thumbnailKey: thumbnail.key,
+      takenAt: exif?.takenAt || video?.createdAt || null,
+      cameraMake: exif?.cameraMake || null,
+      cameraModel: exif?.cameraModel || null,
+      lensModel: exif?.lensModel || null,
+      perceptualHash,
+      // Backfill for photos uploaded before content hashing existed
+      ...(!photo.contentHash && {
+        contentHash: crypto.createHash('sha256').update(imageBuffer).digest('hex'),
+      }),
       status: PHOTO_STATUS.READY,
       processedAt: new Date(),
       metadata: {
@@ -120,6 +332,11 @@ const processPhoto = async (job) => {
       },
     });
 
+    // Near-duplicate links — the photo is served without them, so not fatal
+    await photoSimilarityService.indexPhoto(photo).catch((err) =>
+      logger.error('[PhotoWorker] Similarity indexing failed', { photoId, error: err.message })
+    );
+
     // ── Step 7: Log activity ───────────────────────────────────────────
     await activityLogService.logActivity({
       albumId: photo.albumId,
@@ -128,18 +345,26 @@ const processPhoto = async (job) => {
       targetId: photoId,
       targetType: 'photo',
       metadata: {
-        width: metadata.width,
-        height: metadata.height,
-        thumbnailSize: thumbnailResult.size,
+        width,
+        height,
+        kind: sourceFormat.kind,
+        renditions: Object.keys(renditions),
+        privacy,
       },
     });
 
+    // Previous run's derivatives (retry / reprocess) are now unreferenced
+    const currentKeys = new Set(Photo.renditionKeys(renditions, thumbnail.key));
+    const staleKeys = previousKeys.filter((key) => !currentKeys.has(key));
+    await Promise.allSettled(staleKeys.map((key) => storage.delete(key)));
+
     logger.info('[PhotoWorker] Processing completed', {
       photoId,
       jobId: job.id,
-      width: metadata.width,
-      height: metadata.height,
-      thumbnailUrl: thumbnailResult.url,
+      width,
+      height,
+      privacy,
+      renditions: Object.keys(renditions),
     });
 
     return { success: true, photoId };
@@ -161,6 +386,7 @@ const processPhoto = async (job) => {
         metadata: {
           ...photo.metadata,
           error: error.message,
+          ...(error.rejection && { rejection: error.rejection }),
           failedAt: new Date().toISOString(),
         },
       });
@@ -0,0 +1,30 @@
+'use strict';
+
+const photoService = require('../service/photo.service');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * Photo Reprocess Worker
+ *
+ * Consumes JOB_NAMES.REPROCESS_PHOTOS on QUEUE_NAMES.MAINTENANCE, queued by
+ * POST /admin/photos/reprocess and by an album's photoPrivacy change.
+ * Job data: { status: 'failed' | 'ready' | 'all', albumId?, requestedById }
+ *
+ * Walks the matching photos and re-dispatches each to PHOTO_PROCESSING —
+ * the heavy lifting happens there, one photo per job.
+ */
+
+/**
+ * @param {object} job - BullMQ job
+ * @returns {Promise<{ success: boolean, queued: number }>}
+ */
+const processPhotoReprocess = async (job) => {
+  const { status, albumId = null, requestedById } = job.data;
+
+  const queued = await photoService.requeuePhotos({ status, albumId });
+
+  logger.info('[PhotoReprocessWorker] Photos queued for reprocessing', { status, albumId, requestedById, queued });
+  return { success: true, queued };
+};
+
+module.exports = { processPhotoReprocess };
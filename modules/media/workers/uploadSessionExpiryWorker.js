@@ -0,0 +1,21 @@
+'use strict';
+
+const resumableUploadService = require('../service/resumableUpload.service');
+
+/**
+ * Upload Session Expiry Worker
+ *
+ * Consumes the repeatable JOB_NAMES.EXPIRE_UPLOAD_SESSIONS job on
+ * QUEUE_NAMES.MAINTENANCE, scheduled from server.js on
+ * config.upload.resumable.expireCron.
+ *
+ * Marks resumable upload sessions past expiresAt (and completions that never
+ * finished) as expired and deletes their staged chunks.
+ */
+
+/**
+ * @returns {Promise<{ expired: number }>}
+ */
+const processUploadSessionExpiry = async () => resumableUploadService.expireSessions();
+
+module.exports = { processUploadSessionExpiry };
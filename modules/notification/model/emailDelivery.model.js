@@ -0,0 +1,118 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { EMAIL_DELIVERY_STATUS } = require('../../../shared/constants');
+
+/**
+ * EmailDelivery Model
+ *
+ * Delivery record for one NOTIFICATION_EMAIL job (see emailWorker).
+ *
+ * Lifecycle:
+ *  1. First attempt creates the row (status=pending, attempts=1)
+ *  2. Each retry increments attempts and records lastError on failure
+ *  3. status=sent once the transport accepts the message — messageId set;
+ *     a job redelivered after that (stalled worker) is not sent twice
+ *  4. status=failed when attempts run out or the job cannot succeed
+ *
+ * Associations:
+ *  - BelongsTo User (recipient, when the email is addressed to an account)
+ */
+
+module.exports = (sequelize) => {
+  class EmailDelivery extends Model {
+    isSent() {
+      return this.status === EMAIL_DELIVERY_STATUS.SENT;
+    }
+
+    static associate(models) {
+      EmailDelivery.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+    }
+  }
+
+  EmailDelivery.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      // BullMQ job id — one delivery record per job
+      jobId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      jobName: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'JOB_NAMES constant — e.g. email:password_reset',
+      },
+      template: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+      },
+      // Locale the message was rendered in (after fallback)
+      locale: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+      },
+      recipient: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(EMAIL_DELIVERY_STATUS)),
+        allowNull: false,
+        defaultValue: EMAIL_DELIVERY_STATUS.PENDING,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Transport that handled the last attempt: smtp | file | console
+      transport: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+      },
+      messageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'EmailDelivery',
+      tableName: 'email_deliveries',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+
+      indexes: [
+        { fields: ['status', 'created_at'], name: 'idx_email_deliveries_status' },
+        { fields: ['user_id'], name: 'idx_email_deliveries_user' },
+      ],
+    }
+  );
+
+  return EmailDelivery;
+};
@@ -0,0 +1,102 @@
+'use strict';
+
+const db = require('../../../infrastructure/database');
+const { EMAIL_DELIVERY_STATUS } = require('../../../shared/constants');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * EmailDeliveryService
+ *
+ * Records the outcome of every NOTIFICATION_EMAIL job attempt in
+ * email_deliveries (one row per job id). Used by the email worker only.
+ *
+ * Email jobs must be dispatched with a UUID jobId. BullMQ's default ids are a
+ * per-queue counter that restarts after a Redis flush, and a reused id would
+ * match an old sent row and the new email would be skipped.
+ */
+
+const MAX_ERROR_LENGTH = 2000;
+
+/**
+ * Register an attempt for a job — creates the row on the first attempt.
+ *
+ * @param {object} params
+ * @param {string} params.jobId
+ * @param {string} params.jobName
+ * @returns {Promise<EmailDelivery>} Already-sent deliveries are returned untouched
+ */
+const beginAttempt = async ({ jobId, jobName }) => {
+  const { EmailDelivery } = db;
+
+  const [delivery] = await EmailDelivery.findOrCreate({
+    where: { jobId: String(jobId) },
+    defaults: { jobName },
+  });
+
+  if (delivery.isSent()) return delivery;
+
+  await delivery.increment('attempts');
+  return delivery.reload();
+};
+
+/**
+ * Store what is being sent (known once the message has been rendered).
+ *
+ * @param {EmailDelivery} delivery
+ * @param {{ template: string, locale: string, recipient: string, userId?: string|null }} details
+ */
+const recordMessage = (delivery, { template, locale, recipient, userId = null }) =>
+  delivery.update({ template, locale, recipient, userId });
+
+/**
+ * @param {EmailDelivery} delivery
+ * @param {{ transport: string, messageId: string }} result
+ */
+const recordSent = async (delivery, { transport, messageId }) => {
+  await delivery.update({
+    status: EMAIL_DELIVERY_STATUS.SENT,
+    transport,
+    messageId,
+    lastError: null,
+    sentAt: new Date(),
+  });
+
+  logger.info('[EmailDelivery] Email sent', {
+    jobId: delivery.jobId,
+    template: delivery.template,
+    locale: delivery.locale,
+    transport,
+    messageId,
+    attempts: delivery.attempts,
+  });
+};
+
+/**
+ * @param {EmailDelivery} delivery
+ * @param {Error} error
+ * @param {object} options
+ * @param {boolean} options.final - No retry will follow — mark the delivery failed
+ * @param {string} [options.transport]
+ */
+const recordFailure = async (delivery, error, { final, transport = null }) => {
+  await delivery.update({
+    status: final ? EMAIL_DELIVERY_STATUS.FAILED : EMAIL_DELIVERY_STATUS.PENDING,
+    lastError: String(error.message).slice(0, MAX_ERROR_LENGTH),
+    ...(transport && { transport }),
+  });
+
+  logger[final ? 'error' : 'warn']('[EmailDelivery] Email attempt failed', {
+    jobId: delivery.jobId,
+    template: delivery.template,
+    attempts: delivery.attempts,
+    final,
+    error: error.message,
+  });
+};
+
+module.exports = {
+  beginAttempt,
+  recordMessage,
+  recordSent,
+  recordFailure,
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+const config = require('../../../config');
+const templates = require('../templates');
+const { wrapHtml, button } = require('../templates/layout');
+
+/**
+ * EmailTemplateService
+ *
+ * Renders a named template into { subject, text, html } for a locale.
+ *
+ * Placeholders:
+ *  - {{name}}                  — variable; HTML-escaped in the html part
+ *  - {{button name "Label"}}   — html only: call-to-action link to variable `name`
+ * A placeholder without a value is an error, never an empty string.
+ *
+ * Locale resolution: exact match ('pt-BR') → language ('pt') → config.mail.defaultLocale.
+ */
+
+const PLACEHOLDER = /\{\{\s*(?:button\s+(\w+)\s+"([^"]*)"|(\w+))\s*\}\}/g;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+
+for (const [name, locales] of Object.entries(templates)) {
+  if (!locales[config.mail.defaultLocale]) {
+    throw new Error(`[Mail] Template "${name}" has no "${config.mail.defaultLocale}" (MAIL_DEFAULT_LOCALE) version`);
+  }
+}
+
+/**
+ * Pick the best available locale for a template.
+ * @param {string} template
+ * @param {string|null} requested - BCP 47 tag, e.g. 'es' or 'es-MX'
+ * @returns {string}
+ */
+const resolveLocale = (template, requested) => {
+  const available = templates[template];
+  if (requested) {
+    if (available[requested]) return requested;
+    const language = requested.split('-')[0].toLowerCase();
+    if (available[language]) return language;
+  }
+  return config.mail.defaultLocale;
+};
+
+const interpolate = (source, vars, { html }) =>
+  source.replace(PLACEHOLDER, (match, buttonVar, label, name) => {
+    const key = buttonVar || name;
+    if (vars[key] === undefined || vars[key] === null) {
+      throw new Error(`Missing template variable "${key}"`);
+    }
+    if (buttonVar) {
+      return html ? button(escapeHtml(vars[key]), escapeHtml(label)) : String(vars[key]);
+    }
+    return html ? escapeHtml(vars[key]) : String(vars[key]);
+  });
+
+/**
+ * Render a template.
+ *
+ * @param {string} template - Key in modules/notification/templates
+ * @param {string|null} locale - Requested locale (falls back, see above)
+ * @param {object} vars - Placeholder values
+ * @returns {{ subject: string, text: string, html: string, locale: string }}
+ * @throws {Error} Unknown template or missing variable
+ */
+const renderTemplate = (template, locale, vars) => {
+  if (!templates[template]) throw new Error(`Unknown email template "${template}"`);
+
+  const resolved = resolveLocale(template, locale);
+  const source = templates[template][resolved];
+
+  const subject = interpolate(source.subject, vars, { html: false });
+
+  return {
+    subject,
+    text: interpolate(source.text, vars, { html: false }),
+    html: wrapHtml({
+      lang: resolved,
+      subject: escapeHtml(subject),
+      body: interpolate(source.html, vars, { html: true }),
+    }),
+    locale: resolved,
+  };
+};
+
+module.exports = { renderTemplate, resolveLocale };
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Email verification — JOB_NAMES.SEND_VERIFICATION_EMAIL
+ *
+ * Variables: firstName, verifyUrl, expiresAt (formatted for the locale)
+ */
+
+module.exports = {
+  en: {
+    subject: 'Confirm your email address',
+    text: `Hi {{firstName}},
+
+Thanks for signing up. Please confirm your email address by opening the link below:
+
+{{verifyUrl}}
+
+The link expires on {{expiresAt}}. If you did not create an account, you can ignore this email.`,
+    html: `<p>Hi {{firstName}},</p>
+<p>Thanks for signing up. Please confirm your email address using the button below.</p>
+{{button verifyUrl "Confirm email address"}}
+<p>The link expires on {{expiresAt}}. If you did not create an account, you can ignore this email.</p>`,
+  },
+
+  es: {
+    subject: 'Confirma tu dirección de correo',
+    text: `Hola {{firstName}}:
+
+Gracias por registrarte. Confirma tu dirección de correo abriendo el siguiente enlace:
+
+{{verifyUrl}}
+
+El enlace caduca el {{expiresAt}}. Si no has creado una cuenta, ignora este correo.`,
+    html: `<p>Hola {{firstName}}:</p>
+<p>Gracias por registrarte. Confirma tu dirección de correo con el botón.</p>
+{{button verifyUrl "Confirmar correo"}}
+<p>El enlace caduca el {{expiresAt}}. Si no has creado una cuenta, ignora este correo.</p>`,
+  },
+};
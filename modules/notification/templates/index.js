@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Email template registry: template name → { [locale]: { subject, text, html } }.
+ * Every template must provide config.mail.defaultLocale (checked at load).
+ */
+
+const templates = {
+  passwordReset: require('./passwordReset'),
+  invitation: require('./invitation'),
+  emailVerification: require('./emailVerification'),
+};
+
+module.exports = templates;
@@ -0,0 +1,37 @@
+'use strict';
+
+/**
+ * Album invitation — JOB_NAMES.SEND_INVITATION_EMAIL
+ *
+ * Variables: inviterName, albumName, role, inviteUrl, expiresAt (formatted for the locale)
+ */
+
+module.exports = {
+  en: {
+    subject: '{{inviterName}} invited you to "{{albumName}}"',
+    text: `{{inviterName}} invited you to join the album "{{albumName}}" as a {{role}}.
+
+Accept the invitation:
+
+{{inviteUrl}}
+
+This invitation expires on {{expiresAt}}.`,
+    html: `<p><strong>{{inviterName}}</strong> invited you to join the album <strong>{{albumName}}</strong> as a {{role}}.</p>
+{{button inviteUrl "View invitation"}}
+<p>This invitation expires on {{expiresAt}}.</p>`,
+  },
+
+  es: {
+    subject: '{{inviterName}} te ha invitado a «{{albumName}}»',
+    text: `{{inviterName}} te ha invitado a unirte al álbum «{{albumName}}» con el rol {{role}}.
+
+Acepta la invitación:
+
+{{inviteUrl}}
+
+La invitación caduca el {{expiresAt}}.`,
+    html: `<p><strong>{{inviterName}}</strong> te ha invitado a unirte al álbum <strong>{{albumName}}</strong> con el rol {{role}}.</p>
+{{button inviteUrl "Ver invitación"}}
+<p>La invitación caduca el {{expiresAt}}.</p>`,
+  },
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Shared HTML shell for every email. Body HTML is inserted as-is; everything
+ * else here is static. Inline styles only — most mail clients drop <style>.
+ */
+
+const wrapHtml = ({ lang, subject, body }) => `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${subject}</title>
+</head>
+<body style="margin:0;padding:24px;background:#f4f4f5;font-family:Helvetica,Arial,sans-serif;color:#18181b;">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;">
+<tr><td style="padding:32px;font-size:15px;line-height:1.6;">
+${body}
+</td></tr>
+</table>
+</body>
+</html>
+`;
+
+// Call-to-action button; href and label are escaped by the caller
+const button = (href, label) =>
+  `<p style="margin:24px 0;"><a href="${href}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${label}</a></p>`;
+
+module.exports = { wrapHtml, button };
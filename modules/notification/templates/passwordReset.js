@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Password reset — JOB_NAMES.SEND_PASSWORD_RESET_EMAIL
+ *
+ * Variables: firstName, resetUrl, expiresAt (formatted for the locale)
+ */
+
+module.exports = {
+  en: {
+    subject: 'Reset your password',
+    text: `Hi {{firstName}},
+
+We received a request to reset your password. Open the link below to choose a new one:
+
+{{resetUrl}}
+
+The link expires on {{expiresAt}}. If you did not ask for this, you can ignore this email — your password stays the same.`,
+    html: `<p>Hi {{firstName}},</p>
+<p>We received a request to reset your password. Use the button below to choose a new one.</p>
+{{button resetUrl "Reset password"}}
+<p>The link expires on {{expiresAt}}. If you did not ask for this, you can ignore this email — your password stays the same.</p>`,
+  },
+
+  es: {
+    subject: 'Restablece tu contraseña',
+    text: `Hola {{firstName}}:
+
+Hemos recibido una solicitud para restablecer tu contraseña. Abre el siguiente enlace para elegir una nueva:
+
+{{resetUrl}}
+
+El enlace caduca el {{expiresAt}}. Si no lo has solicitado, ignora este correo; tu contraseña no cambiará.`,
+    html: `<p>Hola {{firstName}}:</p>
+<p>Hemos recibido una solicitud para restablecer tu contraseña. Usa el botón para elegir una nueva.</p>
+{{button resetUrl "Restablecer contraseña"}}
+<p>El enlace caduca el {{expiresAt}}. Si no lo has solicitado, ignora este correo; tu contraseña no cambiará.</p>`,
+  },
+};
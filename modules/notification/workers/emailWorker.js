@@ -0,0 +1,194 @@
+'use strict';
+
+const { UnrecoverableError } = require('bullmq');
+const db = require('../../../infrastructure/database');
+const { mailTransport } = require('../../../infrastructure/mail');
+const config = require('../../../config');
+const { JOB_NAMES } = require('../../../shared/constants');
+const { renderTemplate, resolveLocale } = require('../service/emailTemplate.service');
+const emailDeliveryService = require('../service/emailDelivery.service');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * Email Worker
+ *
+ * Consumes jobs from QUEUE_NAMES.NOTIFICATION_EMAIL.
+ *
+ * Processing Steps:
+ *  1. Register the attempt (email_deliveries row per job id); stop if this job
+ *     was already sent — a stalled job redelivered must not email twice
+ *  2. Build the message from job data: recipient, template, locale, variables
+ *     (links point at config.app.webUrl)
+ *  3. Render the template in the recipient's locale:
+ *     job.data.locale → user.preferences.locale → config.mail.defaultLocale
+ *  4. Send via the configured transport (smtp / file / console)
+ *  5. Record status=sent + messageId
+ *
+ * Error Handling:
+ *  - Unknown job names, missing data and template errors fail immediately
+ *    (UnrecoverableError) and mark the delivery failed
+ *  - Transport errors are re-thrown for BullMQ's retries; the delivery stays
+ *    pending until the last attempt fails
+ *
+ * This worker is registered in server.js via registerWorker().
+ */
+
+/**
+ * Locale-aware "October 19, 2026 at 03:30 PM UTC".
+ */
+const formatDateTime = (value, locale) =>
+  new Intl.DateTimeFormat(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'UTC',
+    timeZoneName: 'short',
+  }).format(new Date(value));
+
+const webLink = (pathname) => new URL(pathname, config.app.webUrl).toString();
+
+const preferredLocale = (user) => user?.preferences?.locale || null;
+
+// ── Job → message builders ─────────────────────────────────────────────────
+// Each returns { to, userId, template, locale, vars } — locale already resolved
+const MESSAGE_BUILDERS = {
+  [JOB_NAMES.SEND_PASSWORD_RESET_EMAIL]: async (data) => {
+    const { User } = db;
+    if (!data.email || !data.rawToken) throw new UnrecoverableError('Password reset job is missing email or token');
+
+    const user = data.userId ? await User.findByPk(data.userId, { attributes: ['id', 'preferences'] }) : null;
+    const locale = resolveLocale('passwordReset', data.locale || preferredLocale(user));
+
+    return {
+      to: data.email,
+      userId: data.userId || null,
+      template: 'passwordReset',
+      locale,
+      vars: {
+        firstName: data.firstName || data.email,
+        resetUrl: webLink(`/reset-password?token=${encodeURIComponent(data.rawToken)}`),
+        expiresAt: formatDateTime(data.expiresAt, locale),
+      },
+    };
+  },
+
+  [JOB_NAMES.SEND_VERIFICATION_EMAIL]: async (data) => {
+    const { User } = db;
+    if (!data.email || !data.rawToken) throw new UnrecoverableError('Verification job is missing email or token');
+
+    const user = data.userId ? await User.findByPk(data.userId, { attributes: ['id', 'preferences'] }) : null;
+    const locale = resolveLocale('emailVerification', data.locale || preferredLocale(user));
+
+    return {
+      to: data.email,
+      userId: data.userId || null,
+      template: 'emailVerification',
+      locale,
+      vars: {
+        firstName: data.firstName || data.email,
+        verifyUrl: webLink(`/verify-email?token=${encodeURIComponent(data.rawToken)}`),
+        expiresAt: formatDateTime(data.expiresAt, locale),
+      },
+    };
+  },
+
+  [JOB_NAMES.SEND_INVITATION_EMAIL]: async (data) => {
+    const { User } = db;
+    if (!data.invitedEmail || !data.rawToken) {
+      throw new UnrecoverableError('Invitation job is missing invitedEmail or token');
+    }
+
+    const [invitee, inviter] = await Promise.all([
+      User.findOne({ where: { email: data.invitedEmail }, attributes: ['id', 'preferences'] }),
+      data.invitedById ? User.findByPk(data.invitedById, { attributes: ['id', 'firstName', 'lastName'] }) : null,
+    ]);
+    const locale = resolveLocale('invitation', data.locale || preferredLocale(invitee));
+
+    return {
+      to: data.invitedEmail,
+      userId: invitee?.id || null,
+      template: 'invitation',
+      locale,
+      vars: {
+        inviterName: inviter ? [inviter.firstName, inviter.lastName].filter(Boolean).join(' ') : 'Someone',
+        albumName: data.albumName,
+        role: data.invitedRole,
+        inviteUrl: webLink(`/invitations/${encodeURIComponent(data.rawToken)}`),
+        expiresAt: formatDateTime(data.expiresAt, locale),
+      },
+    };
+  },
+};
+
+/**
+ * Send one transactional email.
+ *
+ * @param {object} job - BullMQ job
+ * @returns {Promise<{ success: boolean, messageId: string, skipped?: boolean }>}
+ */
+const processEmail = async (job) => {
+  const buildMessage = MESSAGE_BUILDERS[job.name];
+  if (!buildMessage) {
+    throw new UnrecoverableError(`No email defined for job "${job.name}"`);
+  }
+
+  // ── Step 1: Register attempt ─────────────────────────────────────────
+  const delivery = await emailDeliveryService.beginAttempt({ jobId: job.id, jobName: job.name });
+  if (delivery.isSent()) {
+    logger.info('[EmailWorker] Already sent, skipping', { jobId: job.id, messageId: delivery.messageId });
+    return { success: true, messageId: delivery.messageId, skipped: true };
+  }
+
+  // ── Step 2 + 3: Build and render ─────────────────────────────────────
+  let message;
+  let rendered;
+  try {
+    message = await buildMessage(job.data);
+    rendered = renderTemplate(message.template, message.locale, message.vars);
+  } catch (err) {
+    const permanent = err instanceof UnrecoverableError || !err.name?.startsWith('Sequelize');
+    await emailDeliveryService.recordFailure(delivery, err, { final: permanent || isLastAttempt(job) });
+    throw permanent && !(err instanceof UnrecoverableError) ? new UnrecoverableError(err.message) : err;
+  }
+
+  await emailDeliveryService.recordMessage(delivery, {
+    template: message.template,
+    locale: rendered.locale,
+    recipient: message.to,
+    userId: message.userId,
+  });
+
+  // ── Step 4 + 5: Send and record ──────────────────────────────────────
+  try {
+    const result = await mailTransport.send({
+      to: message.to,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      headers: { 'X-Email-Template': message.template },
+    });
+
+    await emailDeliveryService.recordSent(delivery, {
+      transport: mailTransport.name,
+      messageId: result.messageId,
+    });
+
+    return { success: true, messageId: result.messageId };
+  } catch (err) {
+    await emailDeliveryService.recordFailure(delivery, err, {
+      final: isLastAttempt(job),
+      transport: mailTransport.name,
+    });
+    // Re-throw so BullMQ retries
+    throw err;
+  }
+};
+
+/**
+ * Whether BullMQ will give up if this attempt fails.
+ */
+const isLastAttempt = (job) => job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+
+module.exports = { processEmail };
@@ -207,7 +207,7 @@ const searchPhotosInAlbum = async (
   });
 
   return {
-    results: rows.map((p) => p.toSafeJSON()),
+    results: rows.map((p) => p.toSafeJSON({ userId, album })),
     total: count,
     page,
     limit,
@@ -321,7 +321,7 @@ const searchPhotosGlobal = async (
       {
         model: Album,
         as: 'album',
-        attributes: ['id', 'name', 'isPublic', 'ownerId'],
+        attributes: ['id', 'name', 'isPublic', 'ownerId', 'photoPrivacy'],
       },
       {
         model: User,
@@ -342,7 +342,7 @@ const searchPhotosGlobal = async (
   });
 
   return {
-    results: rows.map((p) => p.toSafeJSON()),
+    results: rows.map((p) => p.toSafeJSON({ userId, album: p.album })),
     total: count,
     page,
     limit,
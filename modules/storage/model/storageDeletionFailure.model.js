@@ -0,0 +1,79 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * StorageDeletionFailure Model
+ *
+ * A storage object that should have been deleted but was not — written by
+ * the STORAGE_CLEANUP worker after its last retry, or when the cleanup job
+ * could not be queued at all. resolvedAt is set once the object is gone.
+ *
+ * resourceType / resourceId identify what was being deleted
+ * ('photo' | 'album'); the row itself no longer exists.
+ */
+
+module.exports = (sequelize) => {
+  class StorageDeletionFailure extends Model {
+    isResolved() {
+      return this.resolvedAt !== null;
+    }
+  }
+
+  StorageDeletionFailure.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      storageKey: {
+        type: DataTypes.STRING(512),
+        allowNull: false,
+      },
+      resourceType: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+      },
+      resourceId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+      },
+      // STORAGE_CLEANUP job that gave up (null if it was never queued)
+      jobId: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      resolvedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'StorageDeletionFailure',
+      tableName: 'storage_deletion_failures',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+
+      indexes: [
+        { fields: ['resolved_at', 'created_at'], name: 'idx_storage_deletion_failures_open' },
+        { fields: ['storage_key'], name: 'idx_storage_deletion_failures_key' },
+      ],
+    }
+  );
+
+  return StorageDeletionFailure;
+};
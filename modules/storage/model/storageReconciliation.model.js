@@ -0,0 +1,136 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { RECONCILIATION_STATUS } = require('../../../shared/constants');
+
+/**
+ * StorageReconciliation Model
+ *
+ * One run of the storage reconciliation job — scheduled on
+ * config.reconcile.cron, or requested by an admin. Compares the objects in
+ * storage with every key column in the database:
+ *
+ *  - orphans:  objects no row points at (older than the grace period)
+ *  - dangling: rows pointing at objects that do not exist
+ *
+ * deleteOrphans / repairDangling record what the run was allowed to fix.
+ * report holds the (capped) lists of what was found and done.
+ *
+ * Associations:
+ *  - BelongsTo User (requestedBy) — null for scheduled runs
+ */
+
+module.exports = (sequelize) => {
+  class StorageReconciliation extends Model {
+    /**
+     * Still queued or running.
+     */
+    isInProgress() {
+      return this.status === RECONCILIATION_STATUS.PENDING || this.status === RECONCILIATION_STATUS.RUNNING;
+    }
+
+    toSafeJSON() {
+      const { orphanBytes, ...safe } = this.get({ plain: true });
+      return {
+        ...safe,
+        orphanBytes: orphanBytes === null ? null : Number(orphanBytes),
+      };
+    }
+
+    static associate(models) {
+      StorageReconciliation.belongsTo(models.User, {
+        foreignKey: 'requestedById',
+        as: 'requestedBy',
+      });
+    }
+  }
+
+  StorageReconciliation.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      requestedById: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+      },
+      status: {
+        type: DataTypes.ENUM(...Object.values(RECONCILIATION_STATUS)),
+        allowNull: false,
+        defaultValue: RECONCILIATION_STATUS.PENDING,
+      },
+      deleteOrphans: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      repairDangling: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Objects seen in storage
+      scannedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      orphanCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      orphanBytes: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+      },
+      danglingCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      deletedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      repairedCount: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // { orphans: [], dangling: [], repaired: [], truncated, resolvedFailures }
+      report: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'StorageReconciliation',
+      tableName: 'storage_reconciliations',
+      paranoid: false,
+      underscored: true,
+      timestamps: true,
+
+      indexes: [
+        { fields: ['status', 'created_at'], name: 'idx_storage_reconciliations_status' },
+      ],
+    }
+  );
+
+  return StorageReconciliation;
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const db = require('../../../infrastructure/database');
+const { storageProvider } = require('../../../infrastructure/upload');
+const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
+const { JOB_NAMES } = require('../../../shared/constants');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * StorageCleanupService
+ *
+ * Removes the blobs behind permanently deleted rows. Callers collect the keys
+ * BEFORE deleting the row (afterwards there is nothing left to read them
+ * from), delete the row, then enqueue the keys:
+ *
+ *   const keys = await storageCleanupService.collectAlbumKeys(album);
+ *   await album.destroy({ force: true });
+ *   await storageCleanupService.enqueueCleanup({ keys, resourceType: 'album', resourceId: album.id });
+ *
+ * The STORAGE_CLEANUP worker deletes them with retries; keys it gives up on
+ * are recorded in storage_deletion_failures. Storage deletes are idempotent,
+ * so a key deleted twice is harmless.
+ */
+
+const CLEANUP_JOB_OPTIONS = Object.freeze({
+  attempts: 5,
+  backoff: { type: 'exponential', delay: 5000 }, // 5s, 10s, 20s, 40s
+});
+
+// Keys deleted concurrently by one job
+const DELETE_BATCH_SIZE = 10;
+
+const MAX_ERROR_LENGTH = 2000;
+
+// ── Key collection ─────────────────────────────────────────────────────────
+/**
+ * Original + every rendition of each photo.
+ * @param {Photo[]} photos - Must include storageKey, thumbnailKey, renditions
+ * @returns {string[]}
+ */
+const collectPhotoKeys = (photos) => [...new Set(photos.flatMap((photo) => photo.storageKeys()))];
+
+/**
+ * Everything stored for an album: master image, every photo (trashed ones
+ * included — they go with the album via ON DELETE CASCADE), export ZIPs and
+ * staged chunks of unfinished resumable uploads.
+ *
+ * @param {Album} album
+ * @returns {Promise<string[]>}
+ */
+const collectAlbumKeys = async (album) => {
+  const { Photo, AlbumExport, UploadSession } = db;
+
+  const [photos, exports, sessions] = await Promise.all([
+    Photo.scope('withDeleted').findAll({
+      where: { albumId: album.id },
+      attributes: ['id', 'storageKey', 'thumbnailKey', 'renditions'],
+    }),
+    AlbumExport.findAll({ where: { albumId: album.id }, attributes: ['storageKey'] }),
+    UploadSession.findAll({ where: { albumId: album.id }, attributes: ['chunks'] }),
+  ]);
+
+  return [
+    ...new Set([
+      album.masterImageKey,
+      ...collectPhotoKeys(photos),
+      ...exports.map((e) => e.storageKey),
+      ...sessions.flatMap((s) => (s.chunks || []).map((chunk) => chunk.key)),
+    ].filter(Boolean)),
+  ];
+};
+
+// ── Failure records ────────────────────────────────────────────────────────
+/**
+ * @param {object} params
+ * @param {{ key: string, error: string }[]} params.failed
+ * @param {string} params.resourceType
+ * @param {string|null} params.resourceId
+ * @param {string|null} [params.jobId]
+ * @param {number} [params.attempts]
+ */
+const recordFailures = async ({ failed, resourceType, resourceId, jobId = null, attempts = 0 }) => {
+  if (failed.length === 0) return;
+
+  await db.StorageDeletionFailure.bulkCreate(
+    failed.map(({ key, error }) => ({
+      storageKey: key,
+      resourceType,
+      resourceId,
+      jobId: jobId === null ? null : String(jobId),
+      attempts,
+      error: String(error).slice(0, MAX_ERROR_LENGTH),
+    }))
+  );
+
+  logger.error('[StorageCleanup] Storage objects left behind', {
+    resourceType,
+    resourceId,
+    jobId,
+    count: failed.length,
+    keys: failed.slice(0, 20).map((f) => f.key),
+  });
+};
+
+// ── Enqueue ────────────────────────────────────────────────────────────────
+/**
+ * Queue deletion of storage objects. Never throws: if the job cannot be
+ * queued the keys are recorded as failures instead — the database delete
+ * has already happened and must not be reported as failed.
+ *
+ * @param {object} params
+ * @param {string[]} params.keys
+ * @param {string} params.resourceType - 'photo' | 'album'
+ * @param {string|null} params.resourceId
+ * @returns {Promise<number>} Number of keys queued
+ */
+const enqueueCleanup = async ({ keys, resourceType, resourceId = null }) => {
+  const unique = [...new Set(keys.filter(Boolean))];
+  if (unique.length === 0) return 0;
+
+  try {
+    await dispatch(
+      QUEUE_NAMES.STORAGE_CLEANUP,
+      JOB_NAMES.DELETE_STORAGE_OBJECTS,
+      { keys: unique, resourceType, resourceId },
+      CLEANUP_JOB_OPTIONS
+    );
+    return unique.length;
+  } catch (err) {
+    logger.error('[StorageCleanup] Failed to queue cleanup', { resourceType, resourceId, error: err.message });
+    await recordFailures({
+      failed: unique.map((key) => ({ key, error: `Not queued: ${err.message}` })),
+      resourceType,
+      resourceId,
+    }).catch((recordErr) => {
+      logger.error('[StorageCleanup] Failed to record cleanup failures', {
+        resourceType,
+        resourceId,
+        keys: unique,
+        error: recordErr.message,
+      });
+    });
+    return 0;
+  }
+};
+
+// ── Delete ─────────────────────────────────────────────────────────────────
+/**
+ * Delete storage objects, a batch at a time.
+ * @param {string[]} keys
+ * @returns {Promise<{ deleted: string[], failed: { key: string, error: string }[] }>}
+ */
+const deleteObjects = async (keys) => {
+  const deleted = [];
+  const failed = [];
+
+  for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+    const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
+    const results = await Promise.allSettled(batch.map((key) => storageProvider.delete(key)));
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') deleted.push(batch[index]);
+      else failed.push({ key: batch[index], error: result.reason?.message || String(result.reason) });
+    });
+  }
+
+  return { deleted, failed };
+};
+
+module.exports = {
+  collectPhotoKeys,
+  collectAlbumKeys,
+  enqueueCleanup,
+  deleteObjects,
+  recordFailures,
+};
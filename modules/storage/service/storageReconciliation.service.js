@@ -0,0 +1,470 @@
+'use strict';
+
+const db = require('../../../infrastructure/database');
+const config = require('../../../config');
+const { storageProvider } = require('../../../infrastructure/upload');
+const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
+const {
+  JOB_NAMES,
+  PHOTO_STATUS,
+  EXPORT_STATUS,
+  RECONCILIATION_STATUS,
+  UPLOAD_SESSION_STATUS,
+} = require('../../../shared/constants');
+const { NotFoundError, ConflictError } = require('../../../shared/utils/AppError');
+const storageCleanupService = require('./storageCleanup.service');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * StorageReconciliationService
+ *
+ * Uploads write to storage before their row exists, and the photo worker
+ * writes renditions before updating the Photo — a crash in between leaves
+ * objects nothing points at (orphans), while lost objects leave rows pointing
+ * at keys that no longer exist (dangling references).
+ *
+ * A run:
+ *  1. Snapshots every key column: photos (original + renditions, trashed
+ *     included), albums.master_image_key, users.avatar_key,
+ *     album_exports.storage_key and the chunks of active, unexpired
+ *     upload_sessions (chunks of finished or expired sessions are leftovers)
+ *  2. Walks the storage prefixes the application writes to. Objects not in
+ *     the snapshot and older than config.reconcile.graceMinutes are orphans
+ *     (deleted when deleteOrphans is set)
+ *  3. Snapshot keys never seen are re-checked with exists(); those still
+ *     missing are dangling (repaired when repairDangling is set):
+ *       photo rendition missing → photo re-queued on PHOTO_PROCESSING
+ *       photo original missing  → photo marked failed
+ *       album master image      → masterImageKey/Url cleared
+ *       user avatar             → avatarKey/Url cleared
+ *       export ZIP              → export marked failed
+ *       upload session chunk    → reported only
+ *  4. Open storage_deletion_failures whose object is gone are resolved
+ *
+ * Runs are queued on MAINTENANCE (JOB_NAMES.RECONCILE_STORAGE): weekly from
+ * server.js, or by an admin via POST /admin/storage/reconcile.
+ */
+
+// Folders passed to storageProvider.save()/saveFile() across the application
+const STORAGE_PREFIXES = ['photos/', 'renditions/', 'avatars/', 'exports/', 'uploads/'];
+
+// Rows read per query while snapshotting key columns
+const REFERENCE_BATCH_SIZE = 1000;
+
+// Orphans deleted / dangling keys re-checked per batch
+const STORAGE_BATCH_SIZE = 10;
+
+// A run still pending/running after this long died with its worker
+const STALE_RUN_MS = 6 * 60 * 60 * 1000;
+
+// A failed run is reported, not retried
+const RECONCILE_JOB_OPTIONS = Object.freeze({ attempts: 1 });
+
+const MAX_ERROR_LENGTH = 2000;
+
+// ── References ─────────────────────────────────────────────────────────────
+/**
+ * Every key the database points at, with the rows pointing at it.
+ * @returns {Promise<Map<string, { resourceType: string, resourceId: string, field: string }[]>>}
+ */
+const collectReferences = async () => {
+  const { Photo, Album, User, AlbumExport, UploadSession } = db;
+  const { Op } = db.Sequelize;
+  const references = new Map();
+
+  const add = (key, resourceType, resourceId, field) => {
+    if (!key) return;
+    const reference = { resourceType, resourceId, field };
+    const existing = references.get(key);
+    if (existing) existing.push(reference);
+    else references.set(key, [reference]);
+  };
+
+  // Keyset pagination — offsets drift while rows are inserted/deleted
+  const eachRow = async (model, { where = {}, ...options }, fn) => {
+    let lastId = null;
+    for (;;) {
+      const rows = await model.findAll({
+        ...options,
+        where: { ...where, ...(lastId && { id: { [Op.gt]: lastId } }) },
+        order: [['id', 'ASC']],
+        limit: REFERENCE_BATCH_SIZE,
+      });
+      rows.forEach(fn);
+      if (rows.length < REFERENCE_BATCH_SIZE) return;
+      lastId = rows[rows.length - 1].id;
+    }
+  };
+
+  await eachRow(
+    Photo.scope('withDeleted'),
+    { attributes: ['id', 'storageKey', 'thumbnailKey', 'renditions'] },
+    (photo) => {
+      add(photo.storageKey, 'photo', photo.id, 'storageKey');
+      Photo.renditionKeys(photo.renditions, photo.thumbnailKey).forEach((key) =>
+        add(key, 'photo', photo.id, 'renditions')
+      );
+    }
+  );
+  await eachRow(
+    Album,
+    { paranoid: false, attributes: ['id', 'masterImageKey'], where: { masterImageKey: { [Op.ne]: null } } },
+    (album) => add(album.masterImageKey, 'album', album.id, 'masterImageKey')
+  );
+  await eachRow(
+    User,
+    { paranoid: false, attributes: ['id', 'avatarKey'], where: { avatarKey: { [Op.ne]: null } } },
+    (user) => add(user.avatarKey, 'user', user.id, 'avatarKey')
+  );
+  await eachRow(
+    AlbumExport,
+    { attributes: ['id', 'storageKey'], where: { storageKey: { [Op.ne]: null } } },
+    (albumExport) => add(albumExport.storageKey, 'export', albumExport.id, 'storageKey')
+  );
+  await eachRow(
+    UploadSession,
+    {
+      attributes: ['id', 'chunks'],
+      where: {
+        [Op.or]: [
+          { status: UPLOAD_SESSION_STATUS.ACTIVE, expiresAt: { [Op.gt]: new Date() } },
+          { status: UPLOAD_SESSION_STATUS.COMPLETING }, // being assembled right now
+        ],
+      },
+    },
+    (session) =>
+      (session.chunks || []).forEach((chunk) => add(chunk.key, 'upload_session', session.id, 'chunks'))
+  );
+
+  return references;
+};
+
+// ── Repairs ────────────────────────────────────────────────────────────────
+/**
+ * Fix the rows behind dangling keys.
+ * @param {{ key: string, resourceType: string, resourceId: string, field: string }[]} dangling
+ * @returns {Promise<{ resourceType: string, resourceId: string, action: string }[]>}
+ */
+const repairDangling = async (dangling) => {
+  const { Photo, Album, User, AlbumExport } = db;
+  const repaired = [];
+
+  // Several keys of one photo may be missing — one repair per row
+  const byRow = new Map();
+  for (const entry of dangling) {
+    const rowKey = `${entry.resourceType}:${entry.resourceId}`;
+    const row = byRow.get(rowKey) || { resourceType: entry.resourceType, resourceId: entry.resourceId, fields: new Set() };
+    row.fields.add(entry.field);
+    byRow.set(rowKey, row);
+  }
+
+  for (const { resourceType, resourceId, fields } of byRow.values()) {
+    try {
+      let action = null;
+
+      if (resourceType === 'photo') {
+        const photo = await Photo.scope('withDeleted').findByPk(resourceId);
+        if (!photo) continue;
+
+        if (fields.has('storageKey')) {
+          // Nothing left to regenerate from
+          if (photo.status !== PHOTO_STATUS.FAILED) {
+            await photo.update({
+              status: PHOTO_STATUS.FAILED,
+              metadata: {
+                ...photo.metadata,
+                error: 'Original missing from storage',
+                failedAt: new Date().toISOString(),
+              },
+            });
+            action = 'marked_failed';
+          }
+        } else if (
+          !photo.deletedAt &&
+          (photo.status === PHOTO_STATUS.READY || photo.status === PHOTO_STATUS.FAILED)
+        ) {
+          // Pending/processing photos are already on their way through the worker
+          await dispatch(QUEUE_NAMES.PHOTO_PROCESSING, JOB_NAMES.PHOTO_RESIZE, {
+            photoId: photo.id,
+            storageKey: photo.storageKey,
+            mimeType: photo.mimeType,
+          });
+          action = 'requeued';
+        }
+      } else if (resourceType === 'album') {
+        const [count] = await Album.update(
+          { masterImageKey: null, masterImageUrl: null },
+          { where: { id: resourceId }, paranoid: false }
+        );
+        if (count > 0) action = 'cleared';
+      } else if (resourceType === 'user') {
+        const [count] = await User.update(
+          { avatarKey: null, avatarUrl: null },
+          { where: { id: resourceId }, paranoid: false }
+        );
+        if (count > 0) action = 'cleared';
+      } else if (resourceType === 'export') {
+        const [count] = await AlbumExport.update(
+          { status: EXPORT_STATUS.FAILED, storageKey: null, error: 'ZIP missing from storage' },
+          { where: { id: resourceId } }
+        );
+        if (count > 0) action = 'marked_failed';
+      }
+
+      if (action) repaired.push({ resourceType, resourceId, action });
+    } catch (err) {
+      logger.error('[StorageReconciliation] Repair failed', { resourceType, resourceId, error: err.message });
+    }
+  }
+
+  return repaired;
+};
+
+// ── Run ────────────────────────────────────────────────────────────────────
+/**
+ * Execute a reconciliation run and write its report.
+ * @param {StorageReconciliation} run
+ * @param {object} [options]
+ * @param {StorageProvider} [options.storage] - Override the configured provider (tests)
+ * @returns {Promise<StorageReconciliation>}
+ */
+const runReconciliation = async (run, { storage = storageProvider } = {}) => {
+  const { graceMinutes, reportLimit } = config.reconcile;
+  const startedAt = new Date();
+  const orphanCutoff = new Date(startedAt.getTime() - graceMinutes * 60 * 1000);
+
+  await run.update({ status: RECONCILIATION_STATUS.RUNNING, startedAt, error: null });
+  logger.info('[StorageReconciliation] Run started', {
+    reconciliationId: run.id,
+    deleteOrphans: run.deleteOrphans,
+    repairDangling: run.repairDangling,
+  });
+
+  try {
+    const { StorageDeletionFailure } = db;
+    const { Op } = db.Sequelize;
+
+    const references = await collectReferences();
+    const openFailures = await StorageDeletionFailure.findAll({
+      where: { resolvedAt: null },
+      attributes: ['id', 'storageKey'],
+    });
+    const failureKeys = new Set(openFailures.map((f) => f.storageKey));
+
+    // ── Walk storage ──
+    const report = { orphans: [], dangling: [], repaired: [], truncated: false, resolvedFailures: 0 };
+    const seenReferenced = new Set();
+    const seenFailureKeys = new Set();
+    const deletedKeys = new Set();
+    let pendingDeletes = [];
+    let scannedCount = 0;
+    let orphanCount = 0;
+    let orphanBytes = 0;
+
+    const track = (list, entry) => {
+      if (list.length < reportLimit) list.push(entry);
+      else report.truncated = true;
+    };
+
+    const flushDeletes = async () => {
+      const { deleted } = await storageCleanupService.deleteObjects(pendingDeletes);
+      deleted.forEach((key) => deletedKeys.add(key));
+      pendingDeletes = [];
+    };
+
+    for (const prefix of STORAGE_PREFIXES) {
+      for await (const object of storage.list(prefix)) {
+        scannedCount += 1;
+        if (failureKeys.has(object.key)) seenFailureKeys.add(object.key);
+
+        if (references.has(object.key)) {
+          seenReferenced.add(object.key);
+          continue;
+        }
+        if (object.lastModified && object.lastModified > orphanCutoff) continue;
+
+        orphanCount += 1;
+        orphanBytes += object.size || 0;
+        track(report.orphans, { key: object.key, size: object.size, lastModified: object.lastModified });
+
+        if (run.deleteOrphans) {
+          pendingDeletes.push(object.key);
+          if (pendingDeletes.length >= STORAGE_BATCH_SIZE) await flushDeletes();
+        }
+      }
+    }
+    if (pendingDeletes.length > 0) await flushDeletes();
+
+    // ── Dangling references ──
+    // Not seen during the walk: outside the walked prefixes, or written/deleted
+    // while it ran — exists() settles it
+    const candidates = [...references.keys()].filter((key) => !seenReferenced.has(key));
+    const dangling = [];
+    for (let i = 0; i < candidates.length; i += STORAGE_BATCH_SIZE) {
+      const batch = candidates.slice(i, i + STORAGE_BATCH_SIZE);
+      const present = await Promise.all(batch.map((key) => storage.exists(key)));
+      batch.forEach((key, index) => {
+        if (present[index]) return;
+        references.get(key).forEach((reference) => dangling.push({ key, ...reference }));
+      });
+    }
+    dangling.forEach((entry) => track(report.dangling, entry));
+
+    if (run.repairDangling && dangling.length > 0) {
+      report.repaired = (await repairDangling(dangling)).slice(0, reportLimit);
+    }
+
+    // ── Deletion failures ──
+    // Resolved if deleted now, or gone from a walked prefix
+    const walked = (key) => STORAGE_PREFIXES.some((prefix) => key.startsWith(prefix));
+    const resolvedIds = openFailures
+      .filter((f) => deletedKeys.has(f.storageKey) || (walked(f.storageKey) && !seenFailureKeys.has(f.storageKey)))
+      .map((f) => f.id);
+    if (resolvedIds.length > 0) {
+      await StorageDeletionFailure.update(
+        { resolvedAt: new Date() },
+        { where: { id: { [Op.in]: resolvedIds } } }
+      );
+    }
+    report.resolvedFailures = resolvedIds.length;
+
+    await run.update({
+      status: RECONCILIATION_STATUS.COMPLETED,
+      scannedCount,
+      orphanCount,
+      orphanBytes,
+      danglingCount: dangling.length,
+      deletedCount: deletedKeys.size,
+      repairedCount: report.repaired.length,
+      report,
+      completedAt: new Date(),
+    });
+
+    logger.info('[StorageReconciliation] Run completed', {
+      reconciliationId: run.id,
+      scannedCount,
+      orphanCount,
+      danglingCount: dangling.length,
+      deletedCount: deletedKeys.size,
+      repairedCount: report.repaired.length,
+      resolvedFailures: resolvedIds.length,
+    });
+    return run;
+  } catch (err) {
+    await run.update({
+      status: RECONCILIATION_STATUS.FAILED,
+      error: String(err.message).slice(0, MAX_ERROR_LENGTH),
+      completedAt: new Date(),
+    });
+    throw err;
+  }
+};
+
+// ── Request / Status ───────────────────────────────────────────────────────
+/**
+ * Fail runs whose worker died, so they stop blocking new runs.
+ */
+const failStaleRuns = async () => {
+  const { StorageReconciliation } = db;
+  const { Op } = db.Sequelize;
+
+  await StorageReconciliation.update(
+    { status: RECONCILIATION_STATUS.FAILED, error: 'Run did not finish', completedAt: new Date() },
+    {
+      where: {
+        status: { [Op.in]: [RECONCILIATION_STATUS.PENDING, RECONCILIATION_STATUS.RUNNING] },
+        createdAt: { [Op.lt]: new Date(Date.now() - STALE_RUN_MS) },
+      },
+    }
+  );
+};
+
+/**
+ * Create a run and queue it. One run at a time.
+ *
+ * @param {object} params
+ * @param {string|null} params.requestedById - null for scheduled runs
+ * @param {boolean} params.deleteOrphans
+ * @param {boolean} params.repairDangling
+ * @returns {Promise<StorageReconciliation>}
+ */
+const createRun = async ({ requestedById, deleteOrphans, repairDangling }) => {
+  const { StorageReconciliation } = db;
+  const { Op } = db.Sequelize;
+
+  await failStaleRuns();
+
+  const inProgress = await StorageReconciliation.findOne({
+    where: { status: { [Op.in]: [RECONCILIATION_STATUS.PENDING, RECONCILIATION_STATUS.RUNNING] } },
+  });
+  if (inProgress) {
+    throw new ConflictError('A storage reconciliation is already in progress', {
+      reconciliationId: inProgress.id,
+    });
+  }
+
+  return StorageReconciliation.create({ requestedById, deleteOrphans, repairDangling });
+};
+
+/**
+ * Admin: queue a reconciliation run.
+ * @returns {Promise<object>} Run JSON (status=pending)
+ */
+const requestReconciliation = async (userId, { deleteOrphans = false, repairDangling = false } = {}) => {
+  const run = await createRun({ requestedById: userId, deleteOrphans, repairDangling });
+
+  try {
+    await dispatch(
+      QUEUE_NAMES.MAINTENANCE,
+      JOB_NAMES.RECONCILE_STORAGE,
+      { reconciliationId: run.id },
+      { ...RECONCILE_JOB_OPTIONS, jobId: run.id }
+    );
+  } catch (err) {
+    await run.update({ status: RECONCILIATION_STATUS.FAILED, error: 'Could not be queued' });
+    throw err;
+  }
+
+  logger.info('[StorageReconciliation] Run requested', {
+    reconciliationId: run.id,
+    userId,
+    deleteOrphans,
+    repairDangling,
+  });
+  return run.toSafeJSON();
+};
+
+const getReconciliation = async (reconciliationId) => {
+  const run = await db.StorageReconciliation.findByPk(reconciliationId);
+  if (!run) throw new NotFoundError('Reconciliation');
+  return run.toSafeJSON();
+};
+
+/**
+ * Runs, newest first. The report is omitted — fetch a single run for it.
+ */
+const listReconciliations = async ({ page = 1, limit = 20 } = {}) => {
+  const { rows, count } = await db.StorageReconciliation.findAndCountAll({
+    attributes: { exclude: ['report'] },
+    order: [['createdAt', 'DESC']],
+    limit,
+    offset: (page - 1) * limit,
+  });
+
+  return {
+    reconciliations: rows.map((run) => run.toSafeJSON()),
+    total: count,
+    page,
+    limit,
+  };
+};
+
+module.exports = {
+  RECONCILE_JOB_OPTIONS,
+  collectReferences,
+  runReconciliation,
+  createRun,
+  requestReconciliation,
+  getReconciliation,
+  listReconciliations,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const { UnrecoverableError } = require('bullmq');
+const storageCleanupService = require('../service/storageCleanup.service');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * Storage Cleanup Worker
+ *
+ * Consumes jobs from QUEUE_NAMES.STORAGE_CLEANUP (JOB_NAMES.DELETE_STORAGE_OBJECTS).
+ * Job data: { keys: string[], resourceType: 'photo' | 'album', resourceId }
+ *
+ * Processing Steps:
+ *  1. Delete every key via the StorageProvider (missing keys count as deleted)
+ *  2. Keys that failed are written back into the job data, so a retry only
+ *     touches what is left
+ *  3. On the last attempt, remaining keys are recorded in
+ *     storage_deletion_failures before the job fails
+ *
+ * This worker is registered in server.js via registerWorker().
+ */
+
+const isLastAttempt = (job) => job.attemptsMade + 1 >= (job.opts?.attempts || 1);
+
+/**
+ * @param {object} job - BullMQ job
+ * @returns {Promise<{ success: boolean, deleted: number }>}
+ */
+const processStorageCleanup = async (job) => {
+  const { keys, resourceType, resourceId = null } = job.data;
+  if (!Array.isArray(keys) || !resourceType) {
+    throw new UnrecoverableError('Storage cleanup job requires keys[] and resourceType');
+  }
+
+  const { deleted, failed } = await storageCleanupService.deleteObjects(keys);
+
+  if (failed.length === 0) {
+    logger.info('[StorageCleanupWorker] Storage objects deleted', {
+      resourceType,
+      resourceId,
+      deleted: deleted.length,
+    });
+    return { success: true, deleted: deleted.length };
+  }
+
+  if (isLastAttempt(job)) {
+    await storageCleanupService.recordFailures({
+      failed,
+      resourceType,
+      resourceId,
+      jobId: job.id,
+      attempts: job.attemptsMade + 1,
+    });
+  } else {
+    await job.updateData({ ...job.data, keys: failed.map((f) => f.key) });
+  }
+
+  // Re-throw so BullMQ retries
+  throw new Error(`${failed.length} of ${keys.length} storage objects could not be deleted: ${failed[0].error}`);
+};
+
+module.exports = { processStorageCleanup };
@@ -0,0 +1,55 @@
+'use strict';
+
+const { UnrecoverableError } = require('bullmq');
+const db = require('../../../infrastructure/database');
+const config = require('../../../config');
+const storageReconciliationService = require('../service/storageReconciliation.service');
+const { ConflictError } = require('../../../shared/utils/AppError');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * Storage Reconcile Worker
+ *
+ * Consumes JOB_NAMES.RECONCILE_STORAGE on QUEUE_NAMES.MAINTENANCE.
+ * Job data:
+ *  - { reconciliationId } — run requested by an admin (row already exists)
+ *  - {}                   — scheduled run (config.reconcile.cron); the row is
+ *                           created here with the configured fix options
+ *
+ * A scheduled run is skipped while another run is in progress.
+ * See StorageReconciliationService for what a run does.
+ */
+
+/**
+ * @param {object} job - BullMQ job
+ * @returns {Promise<{ success: boolean, reconciliationId?: string, skipped?: boolean }>}
+ */
+const processStorageReconcile = async (job) => {
+  const { reconciliationId } = job.data;
+  let run;
+
+  if (reconciliationId) {
+    run = await db.StorageReconciliation.findByPk(reconciliationId);
+    if (!run) throw new UnrecoverableError(`Reconciliation ${reconciliationId} not found`);
+    if (!run.isInProgress()) return { success: true, reconciliationId, skipped: true };
+  } else {
+    try {
+      run = await storageReconciliationService.createRun({
+        requestedById: null,
+        deleteOrphans: config.reconcile.deleteOrphans,
+        repairDangling: config.reconcile.repairDangling,
+      });
+    } catch (err) {
+      if (!(err instanceof ConflictError)) throw err;
+      logger.info('[StorageReconcileWorker] Scheduled run skipped — another run in progress', {
+        reconciliationId: err.details?.reconciliationId,
+      });
+      return { success: true, skipped: true };
+    }
+  }
+
+  await storageReconciliationService.runReconciliation(run);
+  return { success: true, reconciliationId: run.id };
+};
+
+module.exports = { processStorageReconcile };
@@ -66,10 +66,50 @@ const permanentlyDeletePhoto = async (req, res, next) => {
   }
 };
 
+const pinAlbum = async (req, res, next) => {
+  try {
+    const album = await trashService.setAlbumPinned(req.user.id, req.params.albumId, true);
+    return ResponseFormatter.success(res, { album }, 200, 'Album pinned in trash');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const unpinAlbum = async (req, res, next) => {
+  try {
+    const album = await trashService.setAlbumPinned(req.user.id, req.params.albumId, false);
+    return ResponseFormatter.success(res, { album }, 200, 'Album unpinned');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const pinPhoto = async (req, res, next) => {
+  try {
+    const photo = await trashService.setPhotoPinned(req.user.id, req.params.photoId, true);
+    return ResponseFormatter.success(res, { photo }, 200, 'Photo pinned in trash');
+  } catch (err) {
+    next(err);
+  }
+};
+
+const unpinPhoto = async (req, res, next) => {
+  try {
+    const photo = await trashService.setPhotoPinned(req.user.id, req.params.photoId, false);
+    return ResponseFormatter.success(res, { photo }, 200, 'Photo unpinned');
+  } catch (err) {
+    next(err);
+  }
+};
+
 module.exports = {
   listTrashedAlbums,
   listTrashedPhotos,
   permanentlyDeleteAlbum,
   permanentlyDeletePhoto,
   emptyTrash,
+  pinAlbum,
+  unpinAlbum,
+  pinPhoto,
+  unpinPhoto,
 };
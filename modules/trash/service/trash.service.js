@@ -1,23 +1,52 @@
 'use strict';
 
 const db = require('../../../infrastructure/database');
-const { NotFoundError, ConflictError } = require('../../../shared/utils/AppError');
+const config = require('../../../config');
+const logger = require('../../../infrastructure/logger');
+const { NotFoundError, ConflictError, ForbiddenError } = require('../../../shared/utils/AppError');
+const storageCleanupService = require('../../storage/service/storageCleanup.service');
 
 /**
  * TrashService
  *
  * Manages soft-deleted (trashed) albums and photos.
  * Users can only view/manage their own trashed items.
+ *
+ * Permanent deletion removes the rows, then queues their storage objects
+ * (originals, renditions, album master image, export ZIPs) for deletion on
+ * STORAGE_CLEANUP — see StorageCleanupService.
+ *
+ * Retention: items older than config.trash.retentionDays are purged by the
+ * scheduled PURGE_TRASH job (purgeExpiredTrash). Album owners can pin a
+ * trashed album, or a trashed photo of their album, to exempt it. Pins are
+ * cleared on restore.
  */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When a trashed item will be purged — null if pinned or retention is disabled.
+ */
+const computePurgesAt = (item) => {
+  const { retentionDays } = config.trash;
+  if (!item.deletedAt || item.trashPinnedAt || retentionDays <= 0) return null;
+  return new Date(new Date(item.deletedAt).getTime() + retentionDays * DAY_MS);
+};
+
+const toTrashedJSON = (item) => ({
+  deletedAt: item.deletedAt,
+  pinned: Boolean(item.trashPinnedAt),
+  purgesAt: computePurgesAt(item),
+});
+
 const toTrashedAlbumJSON = (album) => {
   const data = album.toSafeJSON();
-  return { ...data, deletedAt: album.deletedAt };
+  return { ...data, ...toTrashedJSON(album) };
 };
 
 const toTrashedPhotoJSON = (photo) => {
   const data = photo.toSafeJSON();
-  return { ...data, deletedAt: photo.deletedAt };
+  return { ...data, ...toTrashedJSON(photo) };
 };
 
 const getOwnedAlbumIds = async (userId) => {
@@ -34,6 +63,29 @@ const canManagePhotoTrash = (photo, userId, ownedAlbumIdsSet) => {
   return photo.uploadedById === userId || ownedAlbumIdsSet.has(photo.albumId);
 };
 
+/**
+ * Hard-delete an album (photos, exports, uploads cascade) and queue its storage cleanup.
+ */
+const destroyAlbum = async (album) => {
+  const keys = await storageCleanupService.collectAlbumKeys(album);
+  await album.destroy({ force: true });
+  await storageCleanupService.enqueueCleanup({ keys, resourceType: 'album', resourceId: album.id });
+};
+
+/**
+ * Hard-delete photos and queue their storage cleanup (one job per photo).
+ */
+const destroyPhotos = async (photos) => {
+  for (const photo of photos) {
+    await photo.destroy({ force: true });
+    await storageCleanupService.enqueueCleanup({
+      keys: photo.storageKeys(),
+      resourceType: 'photo',
+      resourceId: photo.id,
+    });
+  }
+};
+
 /**
  * Get all soft-deleted albums owned by the user.
  */
@@ -129,7 +181,7 @@ const permanentlyDeleteAlbum = async (userId, albumId) => {
   if (!album) throw new NotFoundError('Album');
   if (!album.deletedAt) throw new ConflictError('Album is not in trash');
 
-  await album.destroy({ force: true });
+  await destroyAlbum(album);
 };
 
 /**
@@ -158,8 +210,131 @@ const permanentlyDeletePhoto = async (userId, photoId) => {
   if (!canManagePhotoTrash(photo, userId, ownedAlbumIdsSet)) throw new NotFoundError('Photo');
   if (!photo.deletedAt) throw new ConflictError('Photo is not in trash');
 
-  // TODO: Also delete file from storage (storageKey)
-  await photo.destroy({ force: true });
+  await destroyPhotos([photo]);
+};
+
+/**
+ * Pin or unpin a trashed album. Owner only.
+ */
+const setAlbumPinned = async (userId, albumId, pinned) => {
+  const { Album } = db;
+
+  const album = await Album.findOne({
+    paranoid: false,
+    where: {
+      id: albumId,
+      ownerId: userId,
+    },
+  });
+
+  if (!album) throw new NotFoundError('Album');
+  if (!album.deletedAt) throw new ConflictError('Album is not in trash');
+
+  if (Boolean(album.trashPinnedAt) !== pinned) {
+    await album.update({ trashPinnedAt: pinned ? new Date() : null });
+  }
+
+  return toTrashedAlbumJSON(album);
+};
+
+/**
+ * Pin or unpin a trashed photo. Owner of the photo's album only — uploaders
+ * can see the photo in their trash but not exempt it from the purge.
+ */
+const setPhotoPinned = async (userId, photoId, pinned) => {
+  const { Photo, Album } = db;
+  const ownedAlbumIdsSet = new Set(await getOwnedAlbumIds(userId));
+
+  const photo = await Photo.scope('withDeleted').findOne({
+    where: {
+      id: photoId,
+    },
+    include: [
+      {
+        model: Album,
+        as: 'album',
+        attributes: ['id', 'name', 'isPublic', 'ownerId'],
+        paranoid: false,
+      },
+    ],
+  });
+
+  if (!photo) throw new NotFoundError('Photo');
+  if (!canManagePhotoTrash(photo, userId, ownedAlbumIdsSet)) throw new NotFoundError('Photo');
+  if (!ownedAlbumIdsSet.has(photo.albumId)) {
+    throw new ForbiddenError('Only the album owner can pin trashed photos');
+  }
+  if (!photo.deletedAt) throw new ConflictError('Photo is not in trash');
+
+  if (Boolean(photo.trashPinnedAt) !== pinned) {
+    await photo.update({ trashPinnedAt: pinned ? new Date() : null });
+  }
+
+  return toTrashedPhotoJSON(photo);
+};
+
+/**
+ * Permanently delete every unpinned trashed album and photo whose retention
+ * window has passed. Albums go first — their trashed photos cascade with them.
+ * A row that fails to delete is logged and skipped; the next run retries it.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ albums: number, photos: number, failed: number }>}
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const { retentionDays, purgeBatchSize } = config.trash;
+  if (retentionDays <= 0) return { albums: 0, photos: 0, failed: 0 };
+
+  const { Album, Photo } = db;
+  const { Op } = db.Sequelize;
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+
+  // Re-query until a batch comes back short; failed ids are excluded so they
+  // cannot be fetched again
+  const purge = async (findBatch, destroy, resourceType) => {
+    const failedIds = [];
+    let purged = 0;
+
+    for (;;) {
+      const where = {
+        deletedAt: { [Op.lt]: cutoff },
+        trashPinnedAt: null,
+        ...(failedIds.length > 0 ? { id: { [Op.notIn]: failedIds } } : {}),
+      };
+      const rows = await findBatch({ where, order: [['deletedAt', 'ASC']], limit: purgeBatchSize });
+
+      for (const row of rows) {
+        try {
+          await destroy(row);
+          purged += 1;
+        } catch (err) {
+          failedIds.push(row.id);
+          logger.error('[TrashService] Failed to purge trashed item', {
+            resourceType,
+            resourceId: row.id,
+            error: err.message,
+          });
+        }
+      }
+
+      if (rows.length < purgeBatchSize) return { purged, failed: failedIds.length };
+    }
+  };
+
+  const albums = await purge(
+    (options) => Album.findAll({ ...options, paranoid: false }),
+    destroyAlbum,
+    'album'
+  );
+  const photos = await purge(
+    (options) => Photo.scope('withDeleted').findAll(options),
+    (photo) => destroyPhotos([photo]),
+    'photo'
+  );
+
+  const result = { albums: albums.purged, photos: photos.purged, failed: albums.failed + photos.failed };
+  logger.info('[TrashService] Expired trash purged', { ...result, cutoff });
+  return result;
 };
 
 /**
@@ -177,7 +352,7 @@ const emptyTrash = async (userId, resourceType) => {
     });
 
     for (const album of albums) {
-      await album.destroy({ force: true });
+      await destroyAlbum(album);
     }
 
     return { deletedCount: albums.length };
@@ -197,10 +372,7 @@ const emptyTrash = async (userId, resourceType) => {
       },
     });
 
-    for (const photo of photos) {
-      // TODO: Also delete file from storage (storageKey)
-      await photo.destroy({ force: true });
-    }
+    await destroyPhotos(photos);
 
     return { deletedCount: photos.length };
   }
@@ -214,4 +386,7 @@ module.exports = {
   permanentlyDeleteAlbum,
   permanentlyDeletePhoto,
   emptyTrash,
+  setAlbumPinned,
+  setPhotoPinned,
+  purgeExpiredTrash,
 };
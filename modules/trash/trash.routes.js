@@ -12,6 +12,7 @@ const Joi = require('joi');
  *
  * All trash operations require authentication.
  * Users can only view/manage their own trashed items.
+ * Trashed items are purged after the retention window unless pinned.
  */
 
 const router = Router();
@@ -83,4 +84,52 @@ router.delete(
   trashController.permanentlyDeletePhoto
 );
 
+/**
+ * @route   PUT /api/v1/trash/albums/:albumId/pin
+ * @desc    Pin a trashed album so the retention purge skips it
+ * @access  Album owner
+ */
+router.put(
+  '/albums/:albumId/pin',
+  authenticate,
+  validate(albumParam, 'params'),
+  trashController.pinAlbum
+);
+
+/**
+ * @route   DELETE /api/v1/trash/albums/:albumId/pin
+ * @desc    Unpin a trashed album
+ * @access  Album owner
+ */
+router.delete(
+  '/albums/:albumId/pin',
+  authenticate,
+  validate(albumParam, 'params'),
+  trashController.unpinAlbum
+);
+
+/**
+ * @route   PUT /api/v1/trash/photos/:photoId/pin
+ * @desc    Pin a trashed photo so the retention purge skips it
+ * @access  Owner of the photo's album
+ */
+router.put(
+  '/photos/:photoId/pin',
+  authenticate,
+  validate(photoParam, 'params'),
+  trashController.pinPhoto
+);
+
+/**
+ * @route   DELETE /api/v1/trash/photos/:photoId/pin
+ * @desc    Unpin a trashed photo
+ * @access  Owner of the photo's album
+ */
+router.delete(
+  '/photos/:photoId/pin',
+  authenticate,
+  validate(photoParam, 'params'),
+  trashController.unpinPhoto
+);
+
 module.exports = router;
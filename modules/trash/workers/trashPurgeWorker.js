@@ -0,0 +1,21 @@
+'use strict';
+
+const trashService = require('../service/trash.service');
+
+/**
+ * Trash Purge Worker
+ *
+ * Consumes the repeatable JOB_NAMES.PURGE_TRASH job on QUEUE_NAMES.MAINTENANCE,
+ * scheduled from server.js on config.trash.purgeCron.
+ *
+ * Permanently deletes trashed albums and photos older than
+ * config.trash.retentionDays that are not pinned. Storage objects are
+ * queued on STORAGE_CLEANUP as with a manual "empty trash".
+ */
+
+/**
+ * @returns {Promise<{ albums: number, photos: number, failed: number }>}
+ */
+const processTrashPurge = async () => trashService.purgeExpiredTrash();
+
+module.exports = { processTrashPurge };
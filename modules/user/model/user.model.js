@@ -3,7 +3,7 @@
 const { Model, DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
-const { USER_STATUS, USER_ROLE } = require('../../../shared/constants');
+const { USER_STATUS, USER_ROLE, USER_SIGN_IN_STATUSES } = require('../../../shared/constants');
 
 /**
  * User Model
@@ -21,6 +21,9 @@ const { USER_STATUS, USER_ROLE } = require('../../../shared/constants');
  *  - Passwords are hashed via beforeCreate/beforeUpdate hooks
  *  - passwordHash is excluded from all default queries (defaultScope)
  *  - comparePassword() is the ONLY way to check passwords
+ *  - tokenVersion is bumped on password / status / role change, which
+ *    invalidates every access token issued before (see authenticate)
+ *  - twoFactorSecret is excluded like passwordHash (scope 'withTwoFactor')
  *
  * Soft delete:
  *  - paranoid: true (inherited from global Sequelize config)
@@ -44,7 +47,14 @@ module.exports = (sequelize) => {
      * Never exposes passwordHash, resetTokens, or soft delete fields.
      */
     toSafeJSON() {
-      const { passwordHash, deletedAt, ...safe } = this.get({ plain: true });
+      const {
+        passwordHash,
+        tokenVersion,
+        twoFactorSecret,
+        twoFactorLastStep,
+        deletedAt,
+        ...safe
+      } = this.get({ plain: true });
       return safe;
     }
 
@@ -55,6 +65,20 @@ module.exports = (sequelize) => {
       return this.status === USER_STATUS.ACTIVE;
     }
 
+    /**
+     * Active, or registered but not yet email-verified.
+     */
+    canSignIn() {
+      return USER_SIGN_IN_STATUSES.includes(this.status);
+    }
+
+    /**
+     * Two-factor authentication is enrolled and confirmed.
+     */
+    hasTwoFactor() {
+      return !!this.twoFactorEnabledAt;
+    }
+
     static associate(models) {
       // Auth context
       User.hasMany(models.PasswordResetToken, {
@@ -63,6 +87,13 @@ module.exports = (sequelize) => {
         onDelete: 'CASCADE',
       });
 
+      // Account-level audit trail (written by the activity:log worker)
+      User.hasMany(models.UserActivityLog, {
+        foreignKey: 'userId',
+        as: 'activityLogs',
+        onDelete: 'CASCADE',
+      });
+
       // Album context (will be wired when AlbumMember model is added in Phase 2)
       // User.hasMany(models.AlbumMember, { foreignKey: 'userId', as: 'albumMemberships' });
 
@@ -161,6 +192,27 @@ module.exports = (sequelize) => {
         defaultValue: {},
         comment: 'User-specific settings: notifications, theme, etc.',
       },
+      // ── Two-factor authentication (see TwoFactorService) ──
+      // Encrypted TOTP secret
+      twoFactorSecret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+      },
+      twoFactorEnabledAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+      },
+      // Time step of the last accepted code (replay protection)
+      twoFactorLastStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+      },
+      // Matched against the ver claim of access tokens
+      tokenVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
     },
     {
       sequelize,
@@ -168,10 +220,10 @@ module.exports = (sequelize) => {
       tableName: 'users',
       paranoid: true, // Soft delete via deletedAt
 
-      // Exclude passwordHash from all default queries
+      // Exclude credentials from all default queries
       defaultScope: {
         attributes: {
-          exclude: ['passwordHash'],
+          exclude: ['passwordHash', 'twoFactorSecret'],
         },
       },
 
@@ -180,6 +232,10 @@ module.exports = (sequelize) => {
         withPassword: {
           attributes: { include: ['passwordHash'] },
         },
+        // TwoFactorService only
+        withTwoFactor: {
+          attributes: { include: ['twoFactorSecret'] },
+        },
         active: {
           where: { status: USER_STATUS.ACTIVE },
         },
@@ -210,11 +266,15 @@ module.exports = (sequelize) => {
 
         /**
          * Re-hash password only when it has been explicitly changed.
+         * Password, status and role changes invalidate issued access tokens.
          */
         beforeUpdate: async (user) => {
           if (user.changed('passwordHash') && user.passwordHash && !user.passwordHash.startsWith('$2')) {
             user.passwordHash = await bcrypt.hash(user.passwordHash, 12);
           }
+          if (user.changed('passwordHash') || user.changed('status') || user.changed('role')) {
+            user.tokenVersion = (user.tokenVersion || 0) + 1;
+          }
         },
       },
     }
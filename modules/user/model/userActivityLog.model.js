@@ -0,0 +1,105 @@
+'use strict';
+
+const { Model, DataTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * UserActivityLog Model
+ *
+ * Immutable audit trail for account-level events that belong to no album:
+ * registration, login, password reset. Album events live in AlbumActivityLog.
+ *
+ * Written by:
+ *  - The activity:log queue worker (modules/album/workers/activityLogWorker.js)
+ *
+ * Structure:
+ *  - eventId     : unique per event, assigned at dispatch — makes retried
+ *                  jobs idempotent (a second write is a no-op)
+ *  - userId      : the account the event belongs to
+ *  - type        : the ACTIVITY_TYPE constant (auth.*)
+ *  - occurredAt  : when the event happened (dispatch time), not when the
+ *                  worker got round to writing it
+ *
+ * Associations:
+ *  - BelongsTo User
+ */
+
+module.exports = (sequelize) => {
+  class UserActivityLog extends Model {
+    static associate(models) {
+      UserActivityLog.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+      });
+    }
+  }
+
+  UserActivityLog.init(
+    {
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: () => uuidv4(),
+        primaryKey: true,
+        allowNull: false,
+      },
+      // Idempotency key — see model doc
+      eventId: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+      },
+      type: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'ACTIVITY_TYPE constant — e.g. auth.login',
+      },
+      // Event-specific payload
+      metadata: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+      },
+      // IP of the user at time of event
+      ipAddress: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+      },
+      occurredAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+    },
+    {
+      sequelize,
+      modelName: 'UserActivityLog',
+      tableName: 'user_activity_logs',
+      paranoid: false,    // Logs are never deleted
+      underscored: true,
+      timestamps: true,
+      updatedAt: false,   // Logs are immutable — no updates ever
+
+      indexes: [
+        { fields: ['type'], name: 'idx_user_activity_logs_type' },
+        // Per-user activity feed
+        {
+          fields: ['user_id', 'occurred_at'],
+          name: 'idx_user_activity_logs_user_feed',
+        },
+      ],
+
+      hooks: {
+        // Enforce immutability: prevent any update to a log record
+        beforeUpdate: () => {
+          throw new Error('UserActivityLog records are immutable and cannot be updated');
+        },
+      },
+    }
+  );
+
+  return UserActivityLog;
+};
@@ -3,7 +3,14 @@
 const db = require('../../../infrastructure/database');
 const { validateOrThrow, Joi } = require('../../../shared/utils/validation');
 const { NotFoundError, ForbiddenError } = require('../../../shared/utils/AppError');
-const { USER_STATUS } = require('../../../shared/constants');
+const {
+  USER_STATUS,
+  USER_ROLE,
+  ACTIVITY_TYPE,
+  SESSION_REVOKE_REASON,
+} = require('../../../shared/constants');
+const authSessionService = require('../../auth/service/authSession.service');
+const userActivityLogService = require('./userActivityLog.service');
 const logger = require('../../../infrastructure/logger');
 
 /**
@@ -15,6 +22,10 @@ const logger = require('../../../infrastructure/logger');
  * Permission rule:
  *  - Users can only update their own profile
  *  - System admins can view/manage any profile
+ *
+ * Password, status and role changes bump the user's tokenVersion (model
+ * hook); the methods here also clear the cached token state so existing
+ * access tokens stop working on the next request.
  */
 
 // ── Validation ─────────────────────────────────────────────────────────────
@@ -42,6 +53,11 @@ const changePasswordSchema = Joi.object({
     }),
 });
 
+const updateAccessSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(USER_STATUS)),
+  role: Joi.string().valid(...Object.values(USER_ROLE)),
+}).min(1);
+
 
 // ── Service Methods ────────────────────────────────────────────────────────
 
@@ -55,8 +71,8 @@ const getProfile = async (requestedId, requester) => {
   const user = await User.findByPk(requestedId);
   if (!user) throw new NotFoundError('User');
 
-  // Non-admins can only view active users
-  if (requester.role !== 'admin' && user.status !== USER_STATUS.ACTIVE) {
+  // Non-admins can only view active users (and themselves)
+  if (requester.role !== 'admin' && requester.id !== user.id && user.status !== USER_STATUS.ACTIVE) {
     throw new NotFoundError('User');
   }
 
@@ -89,9 +105,14 @@ const updateProfile = async (userId, input, requester) => {
 
 /**
  * Change own password.
- * Verifies current password before allowing change.
+ * Verifies current password before allowing change. Signs out every other
+ * session; the caller's access token must be refreshed (tokenVersion bump).
+ *
+ * @param {string} userId
+ * @param {object} input - { currentPassword, newPassword }
+ * @param {string} [currentSessionId] - Session to keep signed in
  */
-const changePassword = async (userId, input) => {
+const changePassword = async (userId, input, currentSessionId = null) => {
   const data = validateOrThrow(changePasswordSchema, input);
 
   const { User } = db;
@@ -106,9 +127,75 @@ const changePassword = async (userId, input) => {
   // The beforeUpdate hook handles bcrypt hashing
   await user.update({ passwordHash: data.newPassword });
 
+  await authSessionService.revokeAllSessions(userId, SESSION_REVOKE_REASON.PASSWORD_CHANGE, {
+    exceptSessionId: currentSessionId,
+  });
+  await authSessionService.forgetUserTokenState(userId);
+
   logger.info('[UserService] Password changed', { userId });
 };
 
+/**
+ * Admin: change a user's status (e.g. suspend) and/or system role.
+ * Takes effect immediately: the user's access tokens are invalidated, and
+ * a status that cannot sign in (suspended / inactive) also revokes every session.
+ *
+ * @param {string} userId
+ * @param {object} input - { status?, role? }
+ * @param {object} requester - { id, role }
+ * @param {string} [ipAddress]
+ * @returns {Promise<object>} Safe user
+ */
+const updateUserAccess = async (userId, input, requester, ipAddress = null) => {
+  const data = validateOrThrow(updateAccessSchema, input);
+
+  if (userId === requester.id) {
+    throw new ForbiddenError('You cannot change your own status or role');
+  }
+
+  const { User } = db;
+  const user = await User.findByPk(userId);
+  if (!user) throw new NotFoundError('User');
+
+  const previous = { status: user.status, role: user.role };
+  await user.update(data);
+
+  const statusChanged = user.status !== previous.status;
+  const roleChanged = user.role !== previous.role;
+  if (!statusChanged && !roleChanged) return user.toSafeJSON();
+
+  if (statusChanged && !user.canSignIn()) {
+    await authSessionService.revokeAllSessions(userId, SESSION_REVOKE_REASON.ACCOUNT_DISABLED);
+  }
+  await authSessionService.forgetUserTokenState(userId);
+
+  logger.info('[UserService] User access changed', {
+    userId,
+    changedBy: requester.id,
+    status: user.status,
+    role: user.role,
+  });
+
+  if (statusChanged) {
+    await userActivityLogService.recordUserActivity({
+      userId,
+      type: ACTIVITY_TYPE.USER_STATUS_CHANGED,
+      metadata: { from: previous.status, to: user.status, changedBy: requester.id },
+      ipAddress,
+    });
+  }
+  if (roleChanged) {
+    await userActivityLogService.recordUserActivity({
+      userId,
+      type: ACTIVITY_TYPE.USER_ROLE_CHANGED,
+      metadata: { from: previous.role, to: user.role, changedBy: requester.id },
+      ipAddress,
+    });
+  }
+
+  return user.toSafeJSON();
+};
+
 /**
  * Update user avatar after upload.
  * Called from the upload controller after storage provider confirms write.
@@ -160,6 +247,7 @@ module.exports = {
   getProfile,
   updateProfile,
   changePassword,
+  updateUserAccess,
   updateAvatar,
   listUsers,
 };
@@ -0,0 +1,81 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../../infrastructure/database');
+const { dispatch, QUEUE_NAMES } = require('../../../infrastructure/queue');
+const { JOB_NAMES } = require('../../../shared/constants');
+const logger = require('../../../infrastructure/logger');
+
+/**
+ * UserActivityLogService
+ *
+ * Account-level (non-album) audit events: registration, login, password reset.
+ *
+ * Write path:
+ *  1. recordUserActivity() — called from AuthService; assigns an eventId and
+ *     dispatches to the activity:log queue with jobId = eventId
+ *  2. The worker calls writeUserActivity(), which inserts at most one row per
+ *     eventId — retries and duplicate deliveries are no-ops
+ *
+ * Records are immutable once written (enforced by model hook).
+ */
+
+/**
+ * Queue an account-level event. Fire-and-forget: a queue outage is logged,
+ * never surfaced to the request that triggered the event.
+ *
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.type           - ACTIVITY_TYPE constant
+ * @param {object} [params.metadata]
+ * @param {string|null} [params.ipAddress]
+ * @returns {Promise<string|null>} eventId, or null if dispatch failed
+ */
+const recordUserActivity = async ({ userId, type, metadata = {}, ipAddress = null }) => {
+  const eventId = uuidv4();
+  try {
+    await dispatch(
+      QUEUE_NAMES.ACTIVITY_LOG,
+      JOB_NAMES.LOG_ACTIVITY,
+      {
+        eventId,
+        type,
+        actorId: userId,
+        metadata,
+        ipAddress,
+        occurredAt: new Date().toISOString(),
+      },
+      // Same id for the job means a duplicate dispatch is dropped by BullMQ too
+      { jobId: eventId }
+    );
+    return eventId;
+  } catch (err) {
+    logger.error('[UserActivityLog] Failed to dispatch event', { userId, type, error: err.message });
+    return null;
+  }
+};
+
+/**
+ * Persist an event exactly once.
+ *
+ * @param {object} params
+ * @param {string} params.eventId
+ * @param {string} params.userId
+ * @param {string} params.type
+ * @param {object} [params.metadata]
+ * @param {string|null} [params.ipAddress]
+ * @param {Date|string} params.occurredAt
+ * @returns {Promise<{ entry: UserActivityLog, created: boolean }>} created=false when already recorded
+ */
+const writeUserActivity = async ({ eventId, userId, type, metadata = {}, ipAddress = null, occurredAt }) => {
+  const { UserActivityLog } = db;
+
+  const [entry, created] = await UserActivityLog.findOrCreate({
+    where: { eventId },
+    defaults: { userId, type, metadata, ipAddress, occurredAt },
+  });
+
+  return { entry, created };
+};
+
+module.exports = { recordUserActivity, writeUserActivity };
@@ -2,8 +2,11 @@
 
 const { Router } = require('express');
 const userService = require('./service/user.service');
+const authSessionService = require('../auth/service/authSession.service');
 const ResponseFormatter = require('../../shared/utils/ResponseFormatter');
 const { authenticate, requireRole } = require('../../shared/middleware/authenticate');
+const { validate } = require('../../shared/middleware/validate');
+const Joi = require('joi');
 const { parsePagination, buildMeta } = require('../../shared/utils/pagination');
 const { createUploadMiddleware } = require('../../infrastructure/upload');
 const { storageProvider } = require('../../infrastructure/upload');
@@ -47,7 +50,7 @@ const updateProfile = async (req, res, next) => {
 
 const changePassword = async (req, res, next) => {
   try {
-    await userService.changePassword(req.user.id, req.body);
+    await userService.changePassword(req.user.id, req.body, req.user.sessionId);
     return ResponseFormatter.success(res, null, 200, 'Password changed successfully');
   } catch (err) {
     next(err);
@@ -81,6 +84,24 @@ const uploadAvatar = async (req, res, next) => {
   }
 };
 
+const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await authSessionService.listSessions(req.user.id, req.user.sessionId);
+    return ResponseFormatter.success(res, { sessions });
+  } catch (err) {
+    next(err);
+  }
+};
+
+const revokeSession = async (req, res, next) => {
+  try {
+    await authSessionService.revokeUserSession(req.user.id, req.params.sessionId, { ip: req.ip });
+    return ResponseFormatter.noContent(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
 const listUsers = async (req, res, next) => {
   try {
     const { page, limit, offset } = parsePagination(req.query);
@@ -102,6 +123,9 @@ const listUsers = async (req, res, next) => {
 
 const router = Router();
 const avatarUpload = createUploadMiddleware({ fieldName: 'avatar' });
+const sessionParam = Joi.object({
+  sessionId: Joi.string().uuid().required(),
+});
 
 /**
  * @route   GET /api/v1/users/me
@@ -139,6 +163,23 @@ router.post('/me/password', authenticate, changePassword);
  */
 router.post('/me/avatar', authenticate, avatarUpload.single('avatar'), uploadAvatar);
 
+/**
+ * @route   GET /api/v1/users/me/sessions
+ * @desc    List own active sessions (devices), most recently used first
+ */
+router.get('/me/sessions', authenticate, listSessions);
+
+/**
+ * @route   DELETE /api/v1/users/me/sessions/:sessionId
+ * @desc    Sign a device out — revokes its refresh token and access tokens
+ */
+router.delete(
+  '/me/sessions/:sessionId',
+  authenticate,
+  validate(sessionParam, 'params'),
+  revokeSession
+);
+
 /**
  * @route   GET /api/v1/users
  * @desc    List all users (admin only)
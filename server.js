@@ -10,7 +10,8 @@
  *  4. Connect to Redis
  *  5. Initialize queues
  *  6. Register queue workers
- *  7. Start HTTP server
+ *  7. Schedule repeatable jobs
+ *  8. Start HTTP server
  *
  * Shutdown sequence (SIGTERM / SIGINT):
  *  1. Stop accepting new HTTP connections
@@ -86,9 +87,8 @@ const bootstrap = async () => {
   queueSystem.registerWorker(
     QUEUE_NAMES.NOTIFICATION_EMAIL,
     async (job) => {
-      logger.debug('[Worker:Email] Processing job', { jobName: job.name });
-      // Full email implementation added in Phase 2
-      // Placeholder: job.data contains { userId, email, firstName, rawToken }
+      const { processEmail } = require('./modules/notification/workers/emailWorker');
+      return processEmail(job);
     },
     { concurrency: 3 }
   );
@@ -102,7 +102,79 @@ const bootstrap = async () => {
     { concurrency: 2 } // Lower concurrency — CPU-intensive image ops
   );
 
-  // ── 5. HTTP Server ────────────────────────────────────────────────────
+  queueSystem.registerWorker(
+    QUEUE_NAMES.ZIP_EXPORT,
+    async (job) => {
+      const { processZipExport } = require('./modules/album/workers/zipExportWorker');
+      return processZipExport(job);
+    },
+    { concurrency: 1 } // Long-running, disk + network bound
+  );
+
+  queueSystem.registerWorker(
+    QUEUE_NAMES.STORAGE_CLEANUP,
+    async (job) => {
+      const { processStorageCleanup } = require('./modules/storage/workers/storageCleanupWorker');
+      return processStorageCleanup(job);
+    },
+    { concurrency: 2 }
+  );
+
+  const { JOB_NAMES } = require('./shared/constants');
+
+  // Housekeeping jobs share one queue — dispatch on the job name
+  queueSystem.registerWorker(
+    QUEUE_NAMES.MAINTENANCE,
+    async (job) => {
+      switch (job.name) {
+        case JOB_NAMES.PURGE_TRASH: {
+          const { processTrashPurge } = require('./modules/trash/workers/trashPurgeWorker');
+          return processTrashPurge(job);
+        }
+        case JOB_NAMES.RECONCILE_STORAGE: {
+          const { processStorageReconcile } = require('./modules/storage/workers/storageReconcileWorker');
+          return processStorageReconcile(job);
+        }
+        case JOB_NAMES.REPROCESS_PHOTOS: {
+          const { processPhotoReprocess } = require('./modules/media/workers/photoReprocessWorker');
+          return processPhotoReprocess(job);
+        }
+        case JOB_NAMES.EXPIRE_UPLOAD_SESSIONS: {
+          const { processUploadSessionExpiry } = require('./modules/media/workers/uploadSessionExpiryWorker');
+          return processUploadSessionExpiry(job);
+        }
+        case JOB_NAMES.EXPIRE_EXPORTS: {
+          const { processExportExpiry } = require('./modules/album/workers/exportExpiryWorker');
+          return processExportExpiry(job);
+        }
+        default: {
+          const { UnrecoverableError } = require('bullmq');
+          throw new UnrecoverableError(`Unknown maintenance job "${job.name}"`);
+        }
+      }
+    },
+    { concurrency: 1 }
+  );
+
+  // ── 5. Scheduled Jobs ─────────────────────────────────────────────────
+  const { RECONCILE_JOB_OPTIONS } = require('./modules/storage/service/storageReconciliation.service');
+  await queueSystem.schedule(QUEUE_NAMES.MAINTENANCE, JOB_NAMES.PURGE_TRASH, {}, config.trash.purgeCron);
+  await queueSystem.schedule(
+    QUEUE_NAMES.MAINTENANCE,
+    JOB_NAMES.RECONCILE_STORAGE,
+    {},
+    config.reconcile.cron,
+    RECONCILE_JOB_OPTIONS
+  );
+  await queueSystem.schedule(
+    QUEUE_NAMES.MAINTENANCE,
+    JOB_NAMES.EXPIRE_UPLOAD_SESSIONS,
+    {},
+    config.upload.resumable.expireCron
+  );
+  await queueSystem.schedule(QUEUE_NAMES.MAINTENANCE, JOB_NAMES.EXPIRE_EXPORTS, {}, config.export.expireCron);
+
+  // ── 6. HTTP Server ────────────────────────────────────────────────────
   const app = require('./app');
   const http = require('http');
   const server = http.createServer(app);
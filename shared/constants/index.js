@@ -15,6 +15,18 @@ const USER_STATUS = Object.freeze({
   PENDING_VERIFICATION: 'pending_verification',
 });
 
+// Statuses that may log in and use tokens. Unverified users are limited by
+// config.emailVerification.blockedActions (see requireVerifiedEmail)
+const USER_SIGN_IN_STATUSES = Object.freeze([USER_STATUS.ACTIVE, USER_STATUS.PENDING_VERIFICATION]);
+
+// Actions config.emailVerification.blockedActions can withhold from unverified users
+const VERIFIED_ACTION = Object.freeze({
+  CREATE_ALBUMS: 'create_albums',
+  UPLOAD_PHOTOS: 'upload_photos',
+  SEND_INVITATIONS: 'send_invitations',
+  ACCEPT_INVITATIONS: 'accept_invitations',
+});
+
 const USER_ROLE = Object.freeze({
   USER: 'user',
   ADMIN: 'admin',
@@ -65,6 +77,95 @@ const PHOTO_VISIBILITY = Object.freeze({
   HIDDEN: 'hidden',               // Hidden from all non-owners
 });
 
+// Album-level privacy for metadata embedded in served images (renditions,
+// full-size display copy). The untouched original is only ever exposed to the owner.
+const PHOTO_PRIVACY = Object.freeze({
+  KEEP: 'keep',           // Serve EXIF as captured (including GPS)
+  STRIP_GPS: 'strip_gps', // Camera/capture info only, no location
+  STRIP_ALL: 'strip_all', // No EXIF at all
+});
+
+// What a Photo row holds — clips share the photo pipeline, permissions and tags
+const MEDIA_KIND = Object.freeze({
+  PHOTO: 'photo',
+  VIDEO: 'video', // Short MP4/MOV clip — poster frame drives the renditions
+});
+
+// What happens when an upload's content hash already exists in the album
+const DUPLICATE_POLICY = Object.freeze({
+  REJECT: 'reject', // File fails with a DUPLICATE reason (409 if every file is a duplicate)
+  LINK: 'link',     // No new photo — the existing one is returned
+  ALLOW: 'allow',   // Stored again, flagged as a duplicate in the response
+});
+
+// Resumable (chunked) upload session lifecycle
+const UPLOAD_SESSION_STATUS = Object.freeze({
+  ACTIVE: 'active',         // Accepting chunks
+  COMPLETING: 'completing', // Claimed by a complete request — being assembled
+  COMPLETED: 'completed',   // Assembled and registered as a photo
+  ABORTED: 'aborted',       // Cancelled by the client, failed checksum or rejected duplicate
+  EXPIRED: 'expired',       // Past expiresAt — staged chunks removed by EXPIRE_UPLOAD_SESSIONS
+});
+
+// Per-file rejection reasons reported in upload responses (`failed[].status`)
+const UPLOAD_REJECTION = Object.freeze({
+  UNSUPPORTED_TYPE: 'unsupported_type',       // Not a recognised / allowed image or video format
+  POLYGLOT: 'polyglot',                       // Valid image that is also another file type
+  DIMENSIONS_EXCEEDED: 'dimensions_exceeded', // Over the pixel/edge limits — never decoded
+  DURATION_EXCEEDED: 'duration_exceeded',     // Clip longer than config.media.video.maxDurationSeconds
+  CORRUPT: 'corrupt',                         // Recognised signature, unreadable header
+  DUPLICATE: 'duplicate',                     // Rejected by the album's duplicatePolicy
+  INVALID_TOKEN: 'invalid_token',             // Direct upload: token bad, expired or for another album
+  MISSING: 'missing',                         // Direct upload: object was never PUT to storage
+  DELETED: 'deleted',                         // Direct upload: confirmed before, photo since deleted
+  ERROR: 'error',                             // Storage / unexpected failure
+});
+
+// ── Album Export ───────────────────────────────────────────────────────────
+// ZIP export lifecycle (album_exports.status)
+const EXPORT_STATUS = Object.freeze({
+  PENDING: 'pending',       // Queued on ZIP_EXPORT
+  PROCESSING: 'processing', // Worker is packaging
+  READY: 'ready',           // ZIP stored — download links can be issued
+  FAILED: 'failed',         // Packaging failed; see error
+  EXPIRED: 'expired',       // Retention passed, ZIP removed from storage
+});
+
+// Which file of each photo goes into the ZIP
+const EXPORT_VARIANT = Object.freeze({
+  ORIGINAL: 'original', // As uploaded — the sanitized 'full' copy for non-owners unless privacy is 'keep'
+  LARGE: 'large',       // config.export.rendition (JPEG preferred); clips as with 'original'
+});
+
+// ── Storage Reconciliation ─────────────────────────────────────────────────
+// Lifecycle of one reconciliation run (storage_reconciliations.status)
+const RECONCILIATION_STATUS = Object.freeze({
+  PENDING: 'pending',     // Queued on MAINTENANCE
+  RUNNING: 'running',     // Walking storage
+  COMPLETED: 'completed', // Report written
+  FAILED: 'failed',       // Aborted; see error
+});
+
+// ── Email ──────────────────────────────────────────────────────────────────
+// Delivery state of one NOTIFICATION_EMAIL job (email_deliveries.status)
+const EMAIL_DELIVERY_STATUS = Object.freeze({
+  PENDING: 'pending', // Not yet accepted — attempt in progress or retry scheduled
+  SENT: 'sent',       // Accepted by the transport
+  FAILED: 'failed',   // Out of attempts, or not retryable (bad template / recipient)
+});
+
+// ── Auth Sessions ──────────────────────────────────────────────────────────
+// Why a session (refresh-token family) was revoked (auth_sessions.revoked_reason)
+const SESSION_REVOKE_REASON = Object.freeze({
+  LOGOUT: 'logout',                 // POST /auth/logout
+  LOGOUT_ALL: 'logout_all',         // POST /auth/logout-all
+  TOKEN_REUSE: 'token_reuse',       // A rotated-out refresh token was presented again
+  PASSWORD_RESET: 'password_reset', // Password reset confirmed
+  USER_REVOKED: 'user_revoked',     // DELETE /users/me/sessions/:sessionId
+  PASSWORD_CHANGE: 'password_change', // Other sessions, on POST /users/me/password
+  ACCOUNT_DISABLED: 'account_disabled', // Admin suspended / deactivated the user
+});
+
 // ── Invitation ─────────────────────────────────────────────────────────────
 const INVITATION_STATUS = Object.freeze({
   PENDING: 'pending',
@@ -82,6 +183,7 @@ const ACTIVITY_TYPE = Object.freeze({
   ALBUM_DELETED: 'album.deleted',
   ALBUM_RESTORED: 'album.restored',
   ALBUM_VISIBILITY_CHANGED: 'album.visibility_changed',
+  ALBUM_EXPORT_REQUESTED: 'album.export_requested',
 
   // Album Member
   MEMBER_ADDED: 'member.added',
@@ -94,16 +196,30 @@ const ACTIVITY_TYPE = Object.freeze({
   PHOTO_DELETED: 'photo.deleted',
   PHOTO_RESTORED: 'photo.restored',
   PHOTO_VISIBILITY_CHANGED: 'photo.visibility_changed',
+  PHOTO_REPROCESS_REQUESTED: 'photo.reprocess_requested',
 
   // Comment
   COMMENT_ADDED: 'comment.added',
   COMMENT_DELETED: 'comment.deleted',
 
+  // User
+  USER_STATUS_CHANGED: 'user.status_changed',
+  USER_ROLE_CHANGED: 'user.role_changed',
+
   // Auth
   USER_REGISTERED: 'auth.user_registered',
   USER_LOGIN: 'auth.login',
   PASSWORD_RESET_REQUESTED: 'auth.password_reset_requested',
   PASSWORD_RESET_COMPLETED: 'auth.password_reset_completed',
+  EMAIL_VERIFICATION_REQUESTED: 'auth.email_verification_requested',
+  EMAIL_VERIFIED: 'auth.email_verified',
+  TWO_FACTOR_ENABLED: 'auth.2fa_enabled',
+  TWO_FACTOR_DISABLED: 'auth.2fa_disabled',
+  RECOVERY_CODE_USED: 'auth.2fa_recovery_code_used',
+  USER_LOGOUT: 'auth.logout',
+  USER_LOGOUT_ALL: 'auth.logout_all',
+  REFRESH_TOKEN_REUSED: 'auth.refresh_token_reused',
+  SESSION_REVOKED: 'auth.session_revoked',
 });
 
 // ── HTTP ───────────────────────────────────────────────────────────────────
@@ -128,12 +244,21 @@ const JOB_NAMES = Object.freeze({
   PHOTO_THUMBNAIL: 'photo:thumbnail',
   SEND_PASSWORD_RESET_EMAIL: 'email:password_reset',
   SEND_INVITATION_EMAIL: 'email:invitation',
+  SEND_VERIFICATION_EMAIL: 'email:verification',
   LOG_ACTIVITY: 'activity:log',
   PACKAGE_ZIP: 'zip:package',
+  DELETE_STORAGE_OBJECTS: 'storage:delete_objects',
+  PURGE_TRASH: 'trash:purge',
+  RECONCILE_STORAGE: 'storage:reconcile',
+  REPROCESS_PHOTOS: 'photo:reprocess_bulk',
+  EXPIRE_UPLOAD_SESSIONS: 'upload:expire_sessions',
+  EXPIRE_EXPORTS: 'export:expire',
 });
 
 module.exports = {
   USER_STATUS,
+  USER_SIGN_IN_STATUSES,
+  VERIFIED_ACTION,
   USER_ROLE,
   ALBUM_VISIBILITY,
   ALBUM_ROLE,
@@ -141,6 +266,16 @@ module.exports = {
   hasMinimumRole,
   PHOTO_STATUS,
   PHOTO_VISIBILITY,
+  PHOTO_PRIVACY,
+  MEDIA_KIND,
+  DUPLICATE_POLICY,
+  UPLOAD_SESSION_STATUS,
+  UPLOAD_REJECTION,
+  EXPORT_STATUS,
+  EXPORT_VARIANT,
+  RECONCILIATION_STATUS,
+  SESSION_REVOKE_REASON,
+  EMAIL_DELIVERY_STATUS,
   INVITATION_STATUS,
   ACTIVITY_TYPE,
   HTTP_STATUS,
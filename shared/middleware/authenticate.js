@@ -1,7 +1,16 @@
 'use strict';
 
 const { verifyAccessToken, extractBearerToken } = require('../utils/jwt');
-const { AuthenticationError, ForbiddenError } = require('../utils/AppError');
+const {
+  AuthenticationError,
+  ForbiddenError,
+  EmailNotVerifiedError,
+  InvalidTokenError,
+  TokenExpiredError,
+} = require('../utils/AppError');
+const { USER_STATUS, USER_SIGN_IN_STATUSES, VERIFIED_ACTION } = require('../constants');
+const config = require('../../config');
+const authSessionService = require('../../modules/auth/service/authSession.service');
 const logger = require('../../infrastructure/logger');
 
 /**
@@ -10,9 +19,17 @@ const logger = require('../../infrastructure/logger');
  * authenticate    → Required auth. Blocks unauthenticated requests.
  * optionalAuth    → Attaches user if token present, proceeds regardless.
  * requireRole     → Gate by system-level user role ('admin', 'user').
+ * requireVerifiedEmail → Gate an action unverified users may be denied.
  *
  * On success, attaches to req:
- *   req.user = { id: uuid, role: string }
+ *   req.user = { id: uuid, role: string, sessionId: uuid | null, status: string }
+ *
+ * Tokens of a revoked session (logout, device sign-out, refresh token reuse)
+ * are rejected, and so are tokens of users who may no longer sign in or whose
+ * tokenVersion moved on (password, status or role changed — TOKEN_EXPIRED,
+ * so clients refresh and pick up the new role). Both checks are cached in
+ * Redis, see AuthSessionService. Access tokens issued before sessions
+ * existed carry no sid and skip the session check.
  *
  * Full user data is NOT fetched here on purpose.
  * Services that need full user data call the DB themselves.
@@ -22,10 +39,38 @@ const logger = require('../../infrastructure/logger');
  *   router.get('/admin/...', authenticate, requireRole('admin'), controller.handler);
  */
 
+/**
+ * Verify an access token and resolve it to the request identity.
+ * @param {string} token
+ * @returns {Promise<{ id: string, role: string, sessionId: string|null }>}
+ */
+const resolveUser = async (token) => {
+  const payload = verifyAccessToken(token);
+
+  if (payload.sid && !(await authSessionService.isSessionActive(payload.sid, payload.sub))) {
+    throw new InvalidTokenError('Session has been revoked. Please log in again.');
+  }
+
+  const state = await authSessionService.getUserTokenState(payload.sub);
+  if (!state || !USER_SIGN_IN_STATUSES.includes(state.status)) {
+    throw new InvalidTokenError('User no longer exists or is inactive');
+  }
+  if ((payload.ver || 0) !== state.tokenVersion) {
+    throw new TokenExpiredError('Access token has been invalidated. Please refresh.');
+  }
+
+  return {
+    id: payload.sub,
+    role: payload.role,
+    sessionId: payload.sid || null,
+    status: state.status,
+  };
+};
+
 /**
  * Require a valid access token. Blocks if missing or invalid.
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
   try {
     const token = extractBearerToken(req.headers.authorization);
 
@@ -33,13 +78,8 @@ const authenticate = (req, res, next) => {
       throw new AuthenticationError('Authentication token is required');
     }
 
-    const payload = verifyAccessToken(token);
-
     // Attach minimal identity to request — services fetch full data if needed
-    req.user = {
-      id: payload.sub,
-      role: payload.role,
-    };
+    req.user = await resolveUser(token);
 
     logger.debug('[Auth] Request authenticated', {
       userId: req.user.id,
@@ -57,16 +97,12 @@ const authenticate = (req, res, next) => {
  * Attach user if token is present, but don't block if missing.
  * Used for endpoints accessible to both guests and authenticated users.
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const token = extractBearerToken(req.headers.authorization);
 
     if (token) {
-      const payload = verifyAccessToken(token);
-      req.user = {
-        id: payload.sub,
-        role: payload.role,
-      };
+      req.user = await resolveUser(token);
     } else {
       req.user = null;
     }
@@ -107,4 +143,33 @@ const requireRole = (...roles) => {
   };
 };
 
-module.exports = { authenticate, optionalAuth, requireRole };
\ No newline at end of file
+for (const action of config.emailVerification.blockedActions) {
+  if (!Object.values(VERIFIED_ACTION).includes(action)) {
+    throw new Error(`[CONFIG] EMAIL_VERIFICATION_BLOCKED_ACTIONS has unknown action "${action}"`);
+  }
+}
+
+/**
+ * Deny an action to users who have not verified their email yet, if
+ * config.emailVerification.blockedActions lists it. Must be used AFTER authenticate.
+ * @param {string} action - VERIFIED_ACTION
+ */
+const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError('Authentication required'));
+    }
+
+    if (
+      req.user.status === USER_STATUS.PENDING_VERIFICATION &&
+      config.emailVerification.blockedActions.includes(action)
+    ) {
+      logger.debug('[Auth] Unverified user blocked', { userId: req.user.id, action });
+      return next(new EmailNotVerifiedError());
+    }
+
+    next();
+  };
+};
+
+module.exports = { authenticate, optionalAuth, requireRole, requireVerifiedEmail };
\ No newline at end of file
@@ -123,6 +123,12 @@ const normalizeError = (err) => {
     return new VE(err.message);
   }
 
+  // ── Storage Errors ────────────────────────────────────────────────────
+  if (err.code === 'STORAGE_NOT_FOUND') {
+    const { NotFoundError } = require('../utils/AppError');
+    return new NotFoundError('File');
+  }
+
   // ── Express body-parser Errors ────────────────────────────────────────
   if (err.type === 'entity.parse.failed') {
     const { ValidationError: VE } = require('../utils/AppError');
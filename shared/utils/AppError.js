@@ -63,6 +63,20 @@ class ForbiddenError extends AppError {
   }
 }
 
+// Unverified users trying an action config.emailVerification.blockedActions withholds
+class EmailNotVerifiedError extends AppError {
+  constructor(message = 'Please verify your email address to perform this action') {
+    super(message, 403, 'EMAIL_NOT_VERIFIED');
+  }
+}
+
+// Action requires the user to have two-factor authentication enabled
+class TwoFactorRequiredError extends AppError {
+  constructor(message = 'Two-factor authentication must be enabled to perform this action') {
+    super(message, 403, 'TWO_FACTOR_REQUIRED');
+  }
+}
+
 // ── 404 Not Found ─────────────────────────────────────────────────────────
 class NotFoundError extends AppError {
   constructor(resource = 'Resource') {
@@ -73,8 +87,9 @@ class NotFoundError extends AppError {
 
 // ── 409 Conflict ──────────────────────────────────────────────────────────
 class ConflictError extends AppError {
-  constructor(message) {
+  constructor(message, details = null) {
     super(message, 409, 'CONFLICT');
+    this.details = details;
   }
 }
 
@@ -87,8 +102,9 @@ class GoneError extends AppError {
 
 // ── 422 Unprocessable Entity ──────────────────────────────────────────────
 class UnprocessableError extends AppError {
-  constructor(message) {
+  constructor(message, details = null) {
     super(message, 422, 'UNPROCESSABLE');
+    this.details = details;
   }
 }
 
@@ -121,6 +137,8 @@ module.exports = {
   TokenExpiredError,
   InvalidTokenError,
   ForbiddenError,
+  EmailNotVerifiedError,
+  TwoFactorRequiredError,
   NotFoundError,
   ConflictError,
   GoneError,
@@ -0,0 +1,110 @@
+'use strict';
+
+const exifr = require('exifr');
+
+/**
+ * EXIF Utility
+ *
+ * Turns the raw EXIF/TIFF/GPS blocks embedded in an image into a small,
+ * JSON-friendly object. Raw binary tags (maker notes, thumbnails, version
+ * bytes) are deliberately dropped — they bloat JSONB and are useless to clients.
+ *
+ * Output shape (every field nullable):
+ *   {
+ *     takenAt: '2023-07-14T16:22:05.000Z',
+ *     cameraMake: 'Canon', cameraModel: 'EOS R5', lensModel: 'RF50mm F1.8 STM',
+ *     focalLength: 50, focalLength35mm: 50,
+ *     exposureTime: 0.004, fNumber: 2.8, iso: 400,
+ *     orientation: 6,
+ *     gps: { latitude: 48.8566, longitude: 2.35, altitude: 35 } | null
+ *   }
+ */
+
+const PARSE_OPTIONS = Object.freeze({
+  tiff: true,
+  exif: true,
+  gps: true,
+  ifd1: false,          // Embedded thumbnail IFD — not needed
+  interop: false,
+  ihdr: false,          // PNG header chunk — dimensions come from sharp
+  jfif: false,
+  makerNote: false,
+  userComment: false,
+  translateValues: false, // Keep Orientation etc. numeric
+  reviveValues: false,    // Parse dates ourselves (exifr assumes server TZ)
+  mergeOutput: true,
+});
+
+const _string = (value, maxLength = 150) => {
+  if (typeof value !== 'string') return null;
+  // Some cameras pad with NULs / spaces
+  const trimmed = value.replace(/\0/g, '').trim();
+  return trimmed ? trimmed.slice(0, maxLength) : null;
+};
+
+const _number = (value) => {
+  const num = Array.isArray(value) ? value[0] : value;
+  return typeof num === 'number' && Number.isFinite(num) ? num : null;
+};
+
+/**
+ * Parse an EXIF datetime ("YYYY:MM:DD HH:MM:SS") into an ISO string.
+ * EXIF datetimes carry no timezone; OffsetTimeOriginal is applied when
+ * present, otherwise the wall-clock time is stored as UTC.
+ */
+const parseExifDate = (value, offset) => {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  if (year === '0000' || month === '00' || day === '00') return null;
+
+  const tz = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : 'Z';
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${tz}`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Extract structured EXIF fields from an image buffer.
+ * Never throws — images without (or with corrupt) EXIF return null.
+ *
+ * @param {Buffer} buffer - Original image bytes (JPEG, TIFF, HEIC, PNG, WebP…)
+ * @returns {Promise<object|null>}
+ */
+const parseExif = async (buffer) => {
+  let raw;
+  try {
+    raw = await exifr.parse(buffer, PARSE_OPTIONS);
+  } catch {
+    return null;
+  }
+  if (!raw || Object.keys(raw).length === 0) return null;
+
+  const latitude = _number(raw.latitude);
+  const longitude = _number(raw.longitude);
+  let altitude = _number(raw.GPSAltitude);
+  if (altitude !== null && raw.GPSAltitudeRef === 1) altitude = -altitude; // Below sea level
+
+  return {
+    takenAt: parseExifDate(
+      raw.DateTimeOriginal || raw.CreateDate || raw.DateTime,
+      raw.OffsetTimeOriginal || raw.OffsetTime
+    ),
+    cameraMake: _string(raw.Make, 100),
+    cameraModel: _string(raw.Model, 100),
+    lensModel: _string(raw.LensModel),
+    focalLength: _number(raw.FocalLength),
+    focalLength35mm: _number(raw.FocalLengthIn35mmFormat),
+    exposureTime: _number(raw.ExposureTime),
+    fNumber: _number(raw.FNumber),
+    iso: _number(raw.ISO),
+    orientation: _number(raw.Orientation),
+    gps:
+      latitude !== null && longitude !== null
+        ? { latitude, longitude, altitude }
+        : null,
+  };
+};
+
+module.exports = { parseExif, parseExifDate };
@@ -0,0 +1,119 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const config = require('../../config');
+
+/**
+ * ffmpeg Wrapper
+ *
+ * The two operations the photo worker needs on a clip. Inputs and outputs go
+ * through a private temp directory (MP4/MOV demuxing needs a seekable input),
+ * which is removed whatever the outcome.
+ *
+ *   extractPosterFrame — one frame as PNG, rotated per the display matrix
+ *   remuxClip          — stream copy of the first video + audio tracks with all
+ *                        container/stream metadata dropped (GPS, device,
+ *                        software tags) and data tracks left out; never re-encodes
+ *
+ * Every run is bounded by config.media.video.ffmpegTimeoutMs.
+ */
+
+const STDERR_TAIL = 500;
+
+/**
+ * Run ffmpeg with the given arguments.
+ * @returns {Promise<void>}
+ */
+const runFfmpeg = (args) => {
+  const { ffmpegPath, ffmpegTimeoutMs } = config.media.video;
+
+  return new Promise((resolve, reject) => {
+    execFile(
+      ffmpegPath,
+      ['-hide_banner', '-loglevel', 'error', '-nostdin', '-y', ...args],
+      { timeout: ffmpegTimeoutMs, killSignal: 'SIGKILL', maxBuffer: 1024 * 1024 },
+      (err, stdout, stderr) => {
+        if (!err) return resolve();
+        if (err.code === 'ENOENT') {
+          return reject(new Error(`ffmpeg not found at "${ffmpegPath}" (FFMPEG_PATH)`));
+        }
+        const reason = err.killed ? `timed out after ${ffmpegTimeoutMs}ms` : String(stderr).trim().slice(-STDERR_TAIL);
+        reject(new Error(`ffmpeg failed: ${reason || err.message}`));
+      }
+    );
+  });
+};
+
+/**
+ * Write `buffer` to a temp file, run `fn(inputPath, dir)`, clean up.
+ */
+const withTempInput = async (buffer, ext, fn) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+  try {
+    const input = path.join(dir, `input.${ext}`);
+    await fs.writeFile(input, buffer);
+    return await fn(input, dir);
+  } finally {
+    await fs.remove(dir);
+  }
+};
+
+/**
+ * Grab a single frame as a PNG.
+ *
+ * @param {Buffer} buffer - Clip bytes
+ * @param {object} options
+ * @param {string} options.ext - Container extension ('mp4' | 'mov')
+ * @param {number} [options.atSeconds=0] - Falls back to the first frame if the seek lands past the end
+ * @returns {Promise<Buffer>}
+ */
+const extractPosterFrame = (buffer, { ext, atSeconds = 0 }) =>
+  withTempInput(buffer, ext, async (input, dir) => {
+    const output = path.join(dir, 'poster.png');
+    const grab = (seconds) =>
+      runFfmpeg(['-ss', String(seconds), '-i', input, '-map', '0:v:0', '-frames:v', '1', '-f', 'image2', '-c:v', 'png', output]);
+
+    await grab(atSeconds);
+    if (atSeconds > 0 && !(await fs.pathExists(output))) await grab(0);
+    if (!(await fs.pathExists(output))) throw new Error('ffmpeg produced no poster frame');
+
+    return fs.readFile(output);
+  });
+
+/**
+ * Copy a clip's streams into a fresh container without any metadata.
+ * `+faststart` moves the moov atom to the front so playback can start
+ * before the whole file has downloaded.
+ *
+ * @param {Buffer} buffer - Clip bytes
+ * @param {object} options
+ * @param {string} options.ext - Container extension ('mp4' | 'mov'), kept for the output
+ * @param {string|null} [options.creationTime] - ISO timestamp to write back (strip_gps keeps capture time)
+ * @returns {Promise<Buffer>}
+ */
+const remuxClip = (buffer, { ext, creationTime = null }) =>
+  withTempInput(buffer, ext, async (input, dir) => {
+    const output = path.join(dir, `output.${ext}`);
+    await runFfmpeg([
+      '-i', input,
+      '-map', '0:v:0', '-map', '0:a?',
+      '-c', 'copy',
+      '-map_metadata', '-1',
+      '-map_metadata:s:v', '-1',
+      '-map_metadata:s:a', '-1',
+      '-map_chapters', '-1',
+      ...(creationTime ? ['-metadata', `creation_time=${creationTime}`] : []),
+      '-fflags', '+bitexact',
+      '-movflags', '+faststart',
+      output,
+    ]);
+    return fs.readFile(output);
+  });
+
+module.exports = {
+  extractPosterFrame,
+  remuxClip,
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+const sharp = require('sharp');
+const { TIFF_TAGS, readTiffIfds } = require('./imageFormat');
+
+/**
+ * Image Decoder
+ *
+ * Turns an uploaded original into an auto-oriented sharp pipeline, whatever
+ * the source format:
+ *
+ *   jpeg/png/gif/webp/avif/tiff — decoded by sharp; EXIF Orientation applied
+ *   heic/heif                   — sharp when libvips has an HEVC decoder,
+ *                                 otherwise heic-decode (libheif, WASM);
+ *                                 libheif applies the container rotation itself
+ *   dng/cr2/nef/arw (RAW)       — the largest embedded JPEG preview (full-size
+ *                                 on every current camera), oriented from IFD0.
+ *                                 Sensor data is never demosaiced.
+ *
+ * The original bytes are never modified — this only feeds the rendition pipeline.
+ * Callers validate dimensions first (imageValidation); maxPixels is handed to
+ * libvips as limitInputPixels as a second line of defence.
+ */
+
+// Prebuilt sharp binaries ship libheif without HEVC (AVIF only)
+const SHARP_DECODES_HEIC = (sharp.format.heif?.input?.fileSuffix || []).includes('.heic');
+
+// TIFF Compression values that hold a JPEG stream
+const JPEG_COMPRESSION = new Set([6, 7]);
+
+/**
+ * Apply an EXIF orientation (1–8) to a pipeline that carries no EXIF itself.
+ * sharp mirrors (flip/flop) before rotating, which the pairs below account for.
+ */
+const ORIENTATION_TRANSFORMS = Object.freeze({
+  2: (p) => p.flop(),
+  3: (p) => p.rotate(180),
+  4: (p) => p.flip(),
+  5: (p) => p.flip().rotate(90),
+  6: (p) => p.rotate(90),
+  7: (p) => p.flop().rotate(90),
+  8: (p) => p.rotate(270),
+});
+
+const applyOrientation = (pipeline, orientation) =>
+  (ORIENTATION_TRANSFORMS[orientation] || ((p) => p))(pipeline);
+
+/**
+ * Locate the largest embedded JPEG in a TIFF-based RAW file.
+ * Previews are referenced either by JPEGInterchangeFormat/Length or as a
+ * single JPEG-compressed strip (DNG preview IFDs).
+ *
+ * @returns {{ previews: Buffer[], orientation: number }} Previews largest first
+ */
+const extractRawPreview = (buffer) => {
+  const tiff = readTiffIfds(buffer);
+  if (!tiff) return { previews: [], orientation: 1 };
+
+  const candidates = [];
+  for (const ifd of tiff.ifds) {
+    const jpegOffset = ifd.get(TIFF_TAGS.JPEG_OFFSET)?.values?.[0];
+    const jpegLength = ifd.get(TIFF_TAGS.JPEG_LENGTH)?.values?.[0];
+    if (jpegOffset && jpegLength) candidates.push([jpegOffset, jpegLength]);
+
+    const compression = ifd.get(TIFF_TAGS.COMPRESSION)?.values?.[0];
+    const stripOffsets = ifd.get(TIFF_TAGS.STRIP_OFFSETS)?.values || [];
+    const stripLengths = ifd.get(TIFF_TAGS.STRIP_BYTE_COUNTS)?.values || [];
+    if (JPEG_COMPRESSION.has(compression) && stripOffsets.length === 1 && stripLengths.length === 1) {
+      candidates.push([stripOffsets[0], stripLengths[0]]);
+    }
+  }
+
+  // Lossless-JPEG sensor data also starts with SOI — decodeRaw() skips
+  // anything sharp cannot read
+  const previews = candidates
+    .filter(([offset, length]) => offset + length <= buffer.length && buffer[offset] === 0xff && buffer[offset + 1] === 0xd8)
+    .sort((a, b) => b[1] - a[1]);
+
+  const orientation = tiff.ifds[0].get(TIFF_TAGS.ORIENTATION)?.values?.[0] || 1;
+
+  return {
+    previews: previews.map(([offset, length]) => buffer.subarray(offset, offset + length)),
+    orientation,
+  };
+};
+
+/**
+ * Pixel dimensions after orientation (orientations 5–8 swap axes).
+ */
+const orientedSize = ({ width, height }, orientation = 1) =>
+  orientation >= 5 ? { width: height, height: width } : { width, height };
+
+// ── Decoders ───────────────────────────────────────────────────────────────
+const decodeWithSharp = async (buffer, sharpOptions) => {
+  const metadata = await sharp(buffer, sharpOptions).metadata();
+  return {
+    // rotate() with no angle auto-orients from the EXIF Orientation tag
+    image: sharp(buffer, sharpOptions).rotate(),
+    metadata,
+    ...orientedSize(metadata, metadata.orientation),
+  };
+};
+
+const decodeHeic = async (buffer, sharpOptions) => {
+  if (SHARP_DECODES_HEIC) return decodeWithSharp(buffer, sharpOptions);
+
+  const heicDecode = require('heic-decode');
+  let decoded;
+  try {
+    decoded = await heicDecode({ buffer });
+  } catch {
+    // Generic 'mif1' files may hold AV1 rather than HEVC, which sharp can read
+    return decodeWithSharp(buffer, sharpOptions);
+  }
+
+  const { width, height, data } = decoded;
+  const pixels = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+  const image = sharp(pixels, { ...sharpOptions, raw: { width, height, channels: 4 } });
+
+  return { image, metadata: await image.metadata(), width, height };
+};
+
+const decodeRaw = async (buffer, sharpOptions) => {
+  const { previews, orientation } = extractRawPreview(buffer);
+
+  for (const preview of previews) {
+    try {
+      const metadata = await sharp(preview, sharpOptions).metadata();
+      if (metadata.format !== 'jpeg') continue;
+      return {
+        image: applyOrientation(sharp(preview, sharpOptions), orientation),
+        metadata,
+        ...orientedSize(metadata, orientation),
+      };
+    } catch {
+      // Not a decodable baseline JPEG (e.g. lossless sensor tile) — try the next one
+    }
+  }
+
+  throw new Error('RAW file has no decodable embedded preview');
+};
+
+/**
+ * Decode an original into an auto-oriented sharp pipeline.
+ *
+ * @param {Buffer} buffer - Original file bytes
+ * @param {{ name: string, raw: boolean }} format - From detectImageFormat()
+ * @param {object} [options]
+ * @param {number} [options.maxPixels] - libvips limitInputPixels (sharp's default when omitted)
+ * @returns {Promise<{ image: import('sharp').Sharp, metadata: object, width: number, height: number }>}
+ *          `image` is cloned by callers, never consumed; width/height are post-orientation
+ */
+const decodeImage = async (buffer, format, { maxPixels } = {}) => {
+  const sharpOptions = maxPixels ? { limitInputPixels: maxPixels } : {};
+  if (format.raw) return decodeRaw(buffer, sharpOptions);
+  if (format.name === 'heic' || format.name === 'heif') return decodeHeic(buffer, sharpOptions);
+  return decodeWithSharp(buffer, sharpOptions);
+};
+
+module.exports = {
+  decodeImage,
+  extractRawPreview,
+  applyOrientation,
+};
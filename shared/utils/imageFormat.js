@@ -0,0 +1,287 @@
+'use strict';
+
+const { MEDIA_KIND } = require('../constants');
+
+/**
+ * Image Format Utility
+ *
+ * Identifies an image or clip from its leading bytes ("magic numbers") instead of the
+ * client-supplied Content-Type / multer `mimetype`, which browsers routinely
+ * get wrong (HEIC as application/octet-stream, DNG as image/tiff…).
+ *
+ * Recognised:
+ *   jpeg, png, gif, webp          — web-safe, served as-is
+ *   avif, heic, heif              — ISO-BMFF containers, identified by ftyp brand
+ *   tiff                          — plain TIFF
+ *   dng, cr2, nef, arw            — TIFF-based camera RAW
+ *   mp4, mov (video)              — ISO-BMFF / QuickTime, identified by ftyp brand
+ *                                   (or a bare top-level atom for legacy QuickTime)
+ *
+ * Non-web-safe formats are always kept as the original and get a web-safe
+ * full-size rendition from the photo worker.
+ */
+
+const IMAGE_FORMATS = Object.freeze({
+  jpeg: { mimeType: 'image/jpeg', ext: 'jpg', webSafe: true, raw: false },
+  png: { mimeType: 'image/png', ext: 'png', webSafe: true, raw: false },
+  gif: { mimeType: 'image/gif', ext: 'gif', webSafe: true, raw: false },
+  webp: { mimeType: 'image/webp', ext: 'webp', webSafe: true, raw: false },
+  avif: { mimeType: 'image/avif', ext: 'avif', webSafe: false, raw: false },
+  heic: { mimeType: 'image/heic', ext: 'heic', webSafe: false, raw: false },
+  heif: { mimeType: 'image/heif', ext: 'heif', webSafe: false, raw: false },
+  tiff: { mimeType: 'image/tiff', ext: 'tif', webSafe: false, raw: false },
+  dng: { mimeType: 'image/x-adobe-dng', ext: 'dng', webSafe: false, raw: true },
+  cr2: { mimeType: 'image/x-canon-cr2', ext: 'cr2', webSafe: false, raw: true },
+  nef: { mimeType: 'image/x-nikon-nef', ext: 'nef', webSafe: false, raw: true },
+  arw: { mimeType: 'image/x-sony-arw', ext: 'arw', webSafe: false, raw: true },
+});
+
+// Containers only — codecs are read by videoProbe and not restricted here
+const VIDEO_FORMATS = Object.freeze({
+  mp4: { mimeType: 'video/mp4', ext: 'mp4', webSafe: true, raw: false },
+  mov: { mimeType: 'video/quicktime', ext: 'mov', webSafe: true, raw: false },
+});
+
+/**
+ * Declared types that say nothing about the content. Uploads declaring one of
+ * these are let through the multipart filter and decided by sniffing.
+ */
+const GENERIC_MIME_TYPES = Object.freeze(['application/octet-stream', 'binary/octet-stream']);
+
+// ISO-BMFF major/compatible brands → format
+const HEIF_BRANDS = Object.freeze({
+  avif: 'avif',
+  avis: 'avif',
+  heic: 'heic',
+  heix: 'heic',
+  heim: 'heic',
+  heis: 'heic',
+  hevc: 'heic',
+  hevx: 'heic',
+  hevm: 'heic',
+  hevs: 'heic',
+  mif1: 'heif',
+  msf1: 'heif',
+});
+
+// ISO-BMFF / QuickTime brands → video container
+const VIDEO_BRANDS = Object.freeze({
+  isom: 'mp4',
+  iso2: 'mp4',
+  iso4: 'mp4',
+  iso5: 'mp4',
+  iso6: 'mp4',
+  mp41: 'mp4',
+  mp42: 'mp4',
+  avc1: 'mp4',
+  mmp4: 'mp4',
+  'M4V ': 'mp4',
+  'qt  ': 'mov',
+});
+
+// Top-level atoms a QuickTime file written without an ftyp box may start with
+const QUICKTIME_LEADING_ATOMS = Object.freeze(['moov', 'mdat', 'wide']);
+
+// ── TIFF structure ─────────────────────────────────────────────────────────
+const TIFF_TAGS = Object.freeze({
+  NEW_SUBFILE_TYPE: 254,
+  COMPRESSION: 259,
+  MAKE: 271,
+  STRIP_OFFSETS: 273,
+  ORIENTATION: 274,
+  STRIP_BYTE_COUNTS: 279,
+  SUB_IFDS: 330,
+  JPEG_OFFSET: 513,
+  JPEG_LENGTH: 514,
+  DNG_VERSION: 50706,
+});
+
+// TIFF field type → byte size of one value
+const TIFF_TYPE_SIZES = Object.freeze({ 1: 1, 2: 1, 3: 2, 4: 4, 7: 1, 13: 4 });
+
+const MAX_IFDS = 32; // Guards against IFD cycles in malformed files
+
+/**
+ * Read a TIFF file's IFD tree (IFD0 chain + SubIFDs).
+ * Only the value types needed here are decoded: BYTE/ASCII/SHORT/LONG/IFD.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ littleEndian: boolean, ifds: Array<Map<number, { type: number, values: number[]|string }>> }|null}
+ */
+const readTiffIfds = (buffer) => {
+  if (buffer.length < 8) return null;
+
+  const order = buffer.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const littleEndian = order === 'II';
+
+  const u16 = (offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = (offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+
+  if (u16(2) !== 42) return null;
+
+  const ifds = [];
+  const pending = [u32(4)];
+  const seen = new Set();
+
+  while (pending.length > 0 && ifds.length < MAX_IFDS) {
+    const ifdOffset = pending.shift();
+    if (!ifdOffset || seen.has(ifdOffset) || ifdOffset + 2 > buffer.length) continue;
+    seen.add(ifdOffset);
+
+    const count = u16(ifdOffset);
+    const end = ifdOffset + 2 + count * 12;
+    if (end + 4 > buffer.length) continue;
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const valueCount = u32(entry + 4);
+      const size = TIFF_TYPE_SIZES[type];
+      if (!size) continue;
+
+      const byteLength = size * valueCount;
+      const dataOffset = byteLength <= 4 ? entry + 8 : u32(entry + 8);
+      if (dataOffset + byteLength > buffer.length) continue;
+
+      if (type === 2) {
+        entries.set(tag, { type, values: buffer.toString('latin1', dataOffset, dataOffset + byteLength) });
+        continue;
+      }
+
+      const values = [];
+      for (let v = 0; v < Math.min(valueCount, 64); v++) {
+        const at = dataOffset + v * size;
+        values.push(size === 1 ? buffer[at] : size === 2 ? u16(at) : u32(at));
+      }
+      entries.set(tag, { type, values });
+    }
+
+    ifds.push(entries);
+    (entries.get(TIFF_TAGS.SUB_IFDS)?.values || []).forEach((offset) => pending.push(offset));
+    pending.push(u32(end));
+  }
+
+  return { littleEndian, ifds };
+};
+
+/**
+ * Classify a TIFF container: DNG, Canon CR2, Nikon NEF, Sony ARW or plain TIFF.
+ */
+const detectTiffFormat = (buffer) => {
+  const tiff = readTiffIfds(buffer);
+  if (!tiff || tiff.ifds.length === 0) return null;
+
+  const [ifd0] = tiff.ifds;
+  if (ifd0.has(TIFF_TAGS.DNG_VERSION)) return 'dng';
+  if (buffer.toString('latin1', 8, 10) === 'CR') return 'cr2';
+
+  const make = String(ifd0.get(TIFF_TAGS.MAKE)?.values || '').toUpperCase();
+  if (make.startsWith('NIKON')) return 'nef';
+  if (make.startsWith('SONY')) return 'arw';
+
+  return 'tiff';
+};
+
+/**
+ * The major brand followed by the compatible brands of an ftyp box.
+ */
+const readFtypBrands = (buffer) => {
+  if (buffer.length < 16 || buffer.toString('latin1', 4, 8) !== 'ftyp') return [];
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  return brands;
+};
+
+/**
+ * Classify an ISO-BMFF (HEIF family) file by its ftyp box brands.
+ * The major brand wins; compatible brands are checked in order otherwise.
+ */
+const detectHeifFormat = (buffer) => {
+  const match = readFtypBrands(buffer).find((brand) => HEIF_BRANDS[brand]);
+  return match ? HEIF_BRANDS[match] : null;
+};
+
+/**
+ * Classify an MP4 / QuickTime file. HEIF brands take precedence, so image
+ * sequences (avis, msf1) that also list 'isom' stay images.
+ */
+const detectVideoFormat = (buffer) => {
+  if (buffer.length < 12) return null;
+  if (QUICKTIME_LEADING_ATOMS.includes(buffer.toString('latin1', 4, 8))) return 'mov';
+
+  const brands = readFtypBrands(buffer);
+  if (brands.some((brand) => HEIF_BRANDS[brand])) return null;
+  const match = brands.find((brand) => VIDEO_BRANDS[brand]);
+  return match ? VIDEO_BRANDS[match] : null;
+};
+
+// ── Detection ──────────────────────────────────────────────────────────────
+/**
+ * Identify an image from its bytes.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ name: string, kind: string, mimeType: string, ext: string, webSafe: boolean, raw: boolean }|null}
+ *          null when the bytes are not a recognised image
+ */
+const detectImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+  let name = null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    name = 'jpeg';
+  } else if (buffer.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') {
+    name = 'png';
+  } else if (/^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) {
+    name = 'gif';
+  } else if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    name = 'webp';
+  } else if (buffer.toString('latin1', 4, 8) === 'ftyp') {
+    name = detectHeifFormat(buffer);
+  } else if (['II', 'MM'].includes(buffer.toString('latin1', 0, 2))) {
+    name = detectTiffFormat(buffer);
+  }
+
+  return name ? { name, kind: MEDIA_KIND.PHOTO, ...IMAGE_FORMATS[name] } : null;
+};
+
+/**
+ * Identify an image or video clip from its bytes.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ name: string, kind: string, mimeType: string, ext: string, webSafe: boolean, raw: boolean }|null}
+ *          kind ∈ MEDIA_KIND; null when the bytes are neither
+ */
+const detectMediaFormat = (buffer) => {
+  const image = detectImageFormat(buffer);
+  if (image || !Buffer.isBuffer(buffer)) return image;
+
+  const name = detectVideoFormat(buffer);
+  return name ? { name, kind: MEDIA_KIND.VIDEO, ...VIDEO_FORMATS[name] } : null;
+};
+
+/**
+ * Whether a declared (client-supplied) MIME type may be accepted pending sniffing.
+ * @param {string} mimeType
+ * @param {string[]} allowedMimeTypes
+ */
+const isAcceptableDeclaredType = (mimeType, allowedMimeTypes) =>
+  allowedMimeTypes.includes(mimeType) || GENERIC_MIME_TYPES.includes(mimeType);
+
+module.exports = {
+  IMAGE_FORMATS,
+  VIDEO_FORMATS,
+  GENERIC_MIME_TYPES,
+  TIFF_TAGS,
+  readTiffIfds,
+  detectImageFormat,
+  detectMediaFormat,
+  isAcceptableDeclaredType,
+};
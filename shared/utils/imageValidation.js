@@ -0,0 +1,350 @@
+'use strict';
+
+const sharp = require('sharp');
+const config = require('../../config');
+const { detectMediaFormat } = require('./imageFormat');
+const { extractRawPreview } = require('./imageDecoder');
+const { probeVideo } = require('./videoProbe');
+const { UPLOAD_REJECTION, MEDIA_KIND } = require('../constants');
+const { UnprocessableError } = require('./AppError');
+
+/**
+ * Media Validation (images and clips)
+ *
+ * Content checks run on every uploaded original before it is stored or
+ * decoded. The client-supplied mimetype plays no part.
+ *
+ *  1. Signature  — magic bytes must identify an allowed image or video format
+ *  2. Polyglot   — the file must not also be another kind of file:
+ *                   - archives / executables / PDFs appended after the image's
+ *                     logical end (GIFAR-style)
+ *                   - markup or script anywhere (browser content sniffing)
+ *                   - a PDF header in the first KB or a ZIP directory at the end
+ *                  Benign trailers (e.g. the MP4 of a phone "motion photo") pass.
+ *  3. Dimensions — width/height come from the header only; oversized images
+ *                  are rejected before sharp/libheif ever allocate pixels
+ *  4. Duration   — clips only: read from the moov atom (videoProbe), must be
+ *                  known and within config.media.video.maxDurationSeconds
+ *
+ * Failures throw UnprocessableError with details.reason ∈ UPLOAD_REJECTION,
+ * so callers can report a per-file reason instead of failing a whole batch.
+ */
+
+// Signatures that must never directly follow an image's end marker
+const TRAILER_SIGNATURES = Object.freeze([
+  { name: 'zip', bytes: Buffer.from('PK\x03\x04', 'latin1') },
+  { name: 'pdf', bytes: Buffer.from('%PDF-', 'latin1') },
+  { name: 'rar', bytes: Buffer.from('Rar!\x1a\x07', 'latin1') },
+  { name: '7z', bytes: Buffer.from('7z\xbc\xaf\x27\x1c', 'latin1') },
+  { name: 'elf', bytes: Buffer.from('\x7fELF', 'latin1') },
+]);
+
+// Markup a browser or interpreter would act on. Each pattern is long enough
+// that a chance match inside compressed pixel data is negligible.
+const ACTIVE_CONTENT = /<\?php\s|<script[\s>]|<html[\s>]|<!doctype\s+html|<iframe[\s>]|javascript:/i;
+
+const TRAILER_PADDING = new Set([0x00, 0x09, 0x0a, 0x0d, 0x20]);
+
+const SCAN_WINDOW = 1024 * 1024;
+const SCAN_OVERLAP = 32;
+
+const ZIP_END_OF_DIRECTORY = Buffer.from('PK\x05\x06', 'latin1');
+const ZIP_END_SEARCH = 65557; // EOCD record (22) + max comment (65535)
+
+// Header reads only — the pixel limit is ours to enforce, with a useful reason
+const HEADER_ONLY = Object.freeze({ limitInputPixels: false });
+
+const reject = (reason, message, extra = {}) =>
+  new UnprocessableError(message, { reason, ...extra });
+
+// ── Logical end of file ────────────────────────────────────────────────────
+/**
+ * Byte offset just past a JPEG's EOI marker, walking segments and skipping
+ * entropy-coded scan data. Null if the structure is broken.
+ */
+const jpegEnd = (buffer) => {
+  let i = 2;
+  while (i + 4 <= buffer.length) {
+    if (buffer[i] !== 0xff) return null;
+    const marker = buffer[i + 1];
+
+    if (marker === 0xff) { i += 1; continue; }          // Fill byte
+    if (marker === 0xd9) return i + 2;                 // EOI
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) { i += 2; continue; }
+
+    i += 2 + buffer.readUInt16BE(i + 2);
+
+    if (marker === 0xda) {
+      // Scan data ends at the first marker that is not stuffing (FF00) or RSTn
+      for (;;) {
+        i = buffer.indexOf(0xff, i);
+        if (i === -1 || i + 1 >= buffer.length) return null;
+        const next = buffer[i + 1];
+        if (next === 0x00 || (next >= 0xd0 && next <= 0xd7)) { i += 2; continue; }
+        if (next === 0xff) { i += 1; continue; }
+        break;
+      }
+    }
+  }
+  return null;
+};
+
+const pngEnd = (buffer) => {
+  let i = 8;
+  while (i + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(i);
+    const type = buffer.toString('latin1', i + 4, i + 8);
+    i += 12 + length;
+    if (type === 'IEND') return i;
+  }
+  return null;
+};
+
+const gifEnd = (buffer) => {
+  const skipSubBlocks = (i) => {
+    while (i < buffer.length && buffer[i] !== 0) i += buffer[i] + 1;
+    return i + 1;
+  };
+
+  const screenFlags = buffer[10];
+  let i = 13 + (screenFlags & 0x80 ? 3 * 2 ** ((screenFlags & 0x07) + 1) : 0);
+
+  while (i < buffer.length) {
+    const block = buffer[i];
+    if (block === 0x3b) return i + 1;                  // Trailer
+    if (block === 0x21) {                              // Extension
+      i = skipSubBlocks(i + 2);
+    } else if (block === 0x2c) {                       // Image descriptor
+      const flags = buffer[i + 9];
+      i += 10 + (flags & 0x80 ? 3 * 2 ** ((flags & 0x07) + 1) : 0);
+      i = skipSubBlocks(i + 1);                        // LZW min code size, then data
+    } else {
+      return null;
+    }
+  }
+  return null;
+};
+
+const riffEnd = (buffer) => {
+  const size = buffer.readUInt32LE(4);
+  return 8 + size + (size % 2);
+};
+
+/**
+ * Walk top-level ISO-BMFF boxes; the first box that does not fit marks the end.
+ */
+const isoBmffEnd = (buffer) => {
+  let i = 0;
+  while (i + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(i);
+    if (size === 0) return buffer.length;              // Box runs to end of file
+    if (size === 1) {
+      if (i + 16 > buffer.length) break;
+      size = Number(buffer.readBigUInt64BE(i + 8));
+    }
+    if (size < 8 || i + size > buffer.length) break;
+    i += size;
+  }
+  return i;
+};
+
+/**
+ * Where the image data ends, or null when the format has no defined end (TIFF/RAW).
+ */
+const findLogicalEnd = (buffer, format) => {
+  switch (format.name) {
+    case 'jpeg': return jpegEnd(buffer);
+    case 'png': return pngEnd(buffer);
+    case 'gif': return gifEnd(buffer);
+    case 'webp': return riffEnd(buffer);
+    case 'avif':
+    case 'heic':
+    case 'heif':
+    case 'mp4':
+    case 'mov': return isoBmffEnd(buffer);
+    default: return null;
+  }
+};
+
+// ── Polyglot detection ─────────────────────────────────────────────────────
+/**
+ * @returns {{ signature: string, location: string }|null}
+ */
+const findPolyglot = (buffer, format) => {
+  if (buffer.subarray(0, 1024).includes('%PDF-', 0, 'latin1')) {
+    return { signature: 'pdf', location: 'header' };
+  }
+
+  const zipSearchStart = Math.max(0, buffer.length - ZIP_END_SEARCH);
+  if (buffer.includes(ZIP_END_OF_DIRECTORY, zipSearchStart)) {
+    return { signature: 'zip', location: 'end' };
+  }
+
+  let end = findLogicalEnd(buffer, format);
+  if (end !== null) {
+    // Encoders sometimes pad past the end marker
+    while (end < buffer.length && TRAILER_PADDING.has(buffer[end])) end += 1;
+    const trailer = buffer.subarray(end);
+    if (trailer.toString('latin1', 0, 2) === 'MZ') {
+      return { signature: 'pe', location: 'trailer' };
+    }
+    const match = TRAILER_SIGNATURES.find(({ bytes }) => trailer.subarray(0, bytes.length).equals(bytes));
+    if (match) return { signature: match.name, location: 'trailer' };
+  }
+
+  for (let offset = 0; offset < buffer.length; offset += SCAN_WINDOW) {
+    const window = buffer.toString('latin1', Math.max(0, offset - SCAN_OVERLAP), offset + SCAN_WINDOW);
+    const match = window.match(ACTIVE_CONTENT);
+    if (match) return { signature: match[0].trim().toLowerCase(), location: 'content' };
+  }
+
+  return null;
+};
+
+// ── Header dimensions ──────────────────────────────────────────────────────
+/**
+ * Largest 'ispe' (image spatial extent) property inside the 'meta' box.
+ * Read directly so HEIC limits hold even where sharp cannot parse HEVC files.
+ */
+const heifDimensions = (buffer) => {
+  let i = 0;
+  while (i + 8 <= buffer.length) {
+    const size = buffer.readUInt32BE(i);
+    const type = buffer.toString('latin1', i + 4, i + 8);
+    if (type === 'meta') {
+      const meta = buffer.subarray(i, size >= 8 ? i + size : buffer.length);
+      let best = null;
+      for (let at = meta.indexOf('ispe', 0, 'latin1'); at !== -1; at = meta.indexOf('ispe', at + 4, 'latin1')) {
+        if (at + 16 > meta.length) break;
+        const width = meta.readUInt32BE(at + 8);
+        const height = meta.readUInt32BE(at + 12);
+        if (!best || width * height > best.width * best.height) best = { width, height };
+      }
+      return best;
+    }
+    if (size < 8) break;
+    i += size;
+  }
+  return null;
+};
+
+/**
+ * Image dimensions from headers only — nothing is decoded.
+ * RAW files are measured by the embedded preview the decoder will use.
+ */
+const readDimensions = async (buffer, format) => {
+  if (format.raw) {
+    const { previews } = extractRawPreview(buffer);
+    let best = null;
+    for (const preview of previews) {
+      try {
+        const { width, height } = await sharp(preview, HEADER_ONLY).metadata();
+        if (!best || width * height > best.width * best.height) best = { width, height };
+      } catch {
+        // Not a readable JPEG — the decoder skips it too
+      }
+    }
+    return best;
+  }
+
+  if (format.name === 'heic' || format.name === 'heif') {
+    const dimensions = heifDimensions(buffer);
+    if (dimensions) return dimensions;
+  }
+
+  const { width, height } = await sharp(buffer, HEADER_ONLY).metadata();
+  return width && height ? { width, height } : null;
+};
+
+/**
+ * Clip metadata from the atom tree; rejects files with no playable video track.
+ */
+const readVideo = (buffer, format) => {
+  const video = probeVideo(buffer);
+  if (!video || !video.width || !video.height) {
+    throw reject(UPLOAD_REJECTION.CORRUPT, 'Video header could not be read', { mimeType: format.mimeType });
+  }
+  if (!video.hasVideo) {
+    throw reject(UPLOAD_REJECTION.UNSUPPORTED_TYPE, 'File has no video track', { mimeType: format.mimeType });
+  }
+  if (!video.durationMs) {
+    throw reject(UPLOAD_REJECTION.CORRUPT, 'Video duration could not be read', { mimeType: format.mimeType });
+  }
+  return video;
+};
+
+// ── Inspect ────────────────────────────────────────────────────────────────
+/**
+ * Validate an uploaded original.
+ *
+ * @param {Buffer} buffer
+ * @param {object} [limits] - Defaults from config.upload / config.media
+ * @param {string[]} [limits.allowedMimeTypes]
+ * @param {number} [limits.maxPixels] - width × height
+ * @param {number} [limits.maxDimension] - Longest edge
+ * @param {number} [limits.maxDurationSeconds] - Clips only
+ * @returns {Promise<{ format: object, width: number, height: number, video: object|null }>}
+ *          format.kind ∈ MEDIA_KIND; video is the probeVideo() result for clips
+ * @throws {UnprocessableError} details: { reason, ... }
+ */
+const inspectMedia = async (
+  buffer,
+  {
+    allowedMimeTypes = config.upload.allowedMimeTypes,
+    maxPixels = config.media.maxInputPixels,
+    maxDimension = config.media.maxInputDimension,
+    maxDurationSeconds = config.media.video.maxDurationSeconds,
+  } = {}
+) => {
+  const format = detectMediaFormat(buffer);
+  if (!format) {
+    throw reject(UPLOAD_REJECTION.UNSUPPORTED_TYPE, 'File is not a recognised image or video format');
+  }
+  if (!allowedMimeTypes.includes(format.mimeType)) {
+    throw reject(UPLOAD_REJECTION.UNSUPPORTED_TYPE, `File type "${format.mimeType}" is not allowed.`, {
+      mimeType: format.mimeType,
+    });
+  }
+
+  const polyglot = findPolyglot(buffer, format);
+  if (polyglot) {
+    throw reject(UPLOAD_REJECTION.POLYGLOT, 'File contains non-media content', polyglot);
+  }
+
+  const video = format.kind === MEDIA_KIND.VIDEO ? readVideo(buffer, format) : null;
+  if (video && video.durationMs > maxDurationSeconds * 1000) {
+    throw reject(UPLOAD_REJECTION.DURATION_EXCEEDED, 'Video is longer than the allowed duration', {
+      durationMs: video.durationMs,
+      maxDurationSeconds,
+    });
+  }
+
+  let dimensions = video;
+  if (!video) {
+    try {
+      dimensions = await readDimensions(buffer, format);
+    } catch {
+      dimensions = null;
+    }
+  }
+  if (!dimensions) {
+    throw reject(UPLOAD_REJECTION.CORRUPT, 'Image header could not be read', { mimeType: format.mimeType });
+  }
+
+  const { width, height } = dimensions;
+  if (width * height > maxPixels || Math.max(width, height) > maxDimension) {
+    throw reject(UPLOAD_REJECTION.DIMENSIONS_EXCEEDED, 'Dimensions exceed the allowed limit', {
+      width,
+      height,
+      maxPixels,
+      maxDimension,
+    });
+  }
+
+  return { format, width, height, video };
+};
+
+module.exports = {
+  inspectMedia,
+  findPolyglot,
+};
@@ -1,6 +1,7 @@
 'use strict';
 
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../../config');
 const {
   TokenExpiredError,
@@ -20,22 +21,54 @@ const {
  *
  * Token payload shape:
  *   { sub: userId, role: 'user', type: 'access' | 'refresh' }
+ *
+ * Access tokens also carry ver — the user's tokenVersion at issue time.
+ * Changing password, status or role bumps it, invalidating older tokens.
+ *
+ * Both tokens also carry sid (the AuthSession they belong to); refresh tokens
+ * add a jti. Refresh tokens are single-use: AuthSessionService rotates the
+ * jti on every refresh and revokes the session when an old one is replayed.
+ * The authenticate middleware rejects access tokens of revoked sessions.
+ *
+ * Upload tokens (type 'upload') are a separate, short-lived grant issued with
+ * a pre-signed storage URL; they bind the storage key to a user + album so
+ * the confirm step cannot claim objects it was not issued.
+ *
+ * Download tokens (type 'download') make an album export's download link
+ * usable without an Authorization header (browser downloads) for a short time.
+ *
+ * Two-factor challenge tokens (type 'two_factor') are what login returns
+ * instead of a token pair when the user has 2FA enabled: proof that the
+ * password step passed, exchanged with a TOTP / recovery code at
+ * /auth/2fa/verify.
  */
 
 const TokenType = Object.freeze({
   ACCESS: 'access',
   REFRESH: 'refresh',
+  UPLOAD: 'upload',
+  DOWNLOAD: 'download',
+  TWO_FACTOR: 'two_factor',
 });
 
 /**
  * Sign an access token.
  * @param {string} userId - UUID
  * @param {string} role - User role (e.g. 'user', 'admin')
+ * @param {object} [claims]
+ * @param {string} [claims.sessionId] - AuthSession the token was issued for
+ * @param {number} [claims.tokenVersion] - User's current tokenVersion
  * @returns {string} Signed JWT
  */
-const signAccessToken = (userId, role = 'user') => {
+const signAccessToken = (userId, role = 'user', { sessionId = null, tokenVersion = 0 } = {}) => {
   return jwt.sign(
-    { sub: userId, role, type: TokenType.ACCESS },
+    {
+      sub: userId,
+      role,
+      ...(sessionId && { sid: sessionId }),
+      ver: tokenVersion,
+      type: TokenType.ACCESS,
+    },
     config.jwt.secret,
     {
       expiresIn: config.jwt.expiresIn,
@@ -48,16 +81,20 @@ const signAccessToken = (userId, role = 'user') => {
 /**
  * Sign a refresh token.
  * @param {string} userId
+ * @param {object} session
+ * @param {string} session.sessionId - AuthSession id (token family)
+ * @param {string} session.jti - Unique id of this token
  * @returns {string} Signed JWT
  */
-const signRefreshToken = (userId) => {
+const signRefreshToken = (userId, { sessionId, jti }) => {
   return jwt.sign(
-    { sub: userId, type: TokenType.REFRESH },
+    { sub: userId, sid: sessionId, type: TokenType.REFRESH },
     config.jwt.refreshSecret,
     {
       expiresIn: config.jwt.refreshExpiresIn,
       issuer: 'album-platform',
       audience: 'album-platform-client',
+      jwtid: jti,
     }
   );
 };
@@ -66,7 +103,7 @@ const signRefreshToken = (userId) => {
  * Verify an access token.
  * Throws TokenExpiredError or InvalidTokenError (never raw jwt errors).
  * @param {string} token
- * @returns {{ sub: string, role: string, type: string, iat: number, exp: number }}
+ * @returns {{ sub: string, role: string, sid?: string, ver?: number, type: string, iat: number, exp: number }}
  */
 const verifyAccessToken = (token) => {
   try {
@@ -92,7 +129,7 @@ const verifyAccessToken = (token) => {
 /**
  * Verify a refresh token.
  * @param {string} token
- * @returns {{ sub: string, type: string, iat: number, exp: number }}
+ * @returns {{ sub: string, sid: string, jti: string, type: string, iat: number, exp: number }}
  */
 const verifyRefreshToken = (token) => {
   try {
@@ -115,19 +152,163 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+/**
+ * Sign a direct-upload grant.
+ * @param {string} userId
+ * @param {object} claims - { albumId, key, filename, mimeType, size }
+ * @param {number} expiresInSeconds
+ * @returns {string} Signed JWT
+ */
+const signUploadToken = (userId, claims, expiresInSeconds) => {
+  return jwt.sign(
+    { ...claims, sub: userId, type: TokenType.UPLOAD },
+    config.jwt.secret,
+    {
+      expiresIn: expiresInSeconds,
+      issuer: 'album-platform',
+      audience: 'album-platform-upload',
+    }
+  );
+};
+
+/**
+ * Verify a direct-upload grant.
+ * @param {string} token
+ * @returns {{ sub: string, albumId: string, key: string, filename: string, mimeType: string, size: number }}
+ */
+const verifyUploadToken = (token) => {
+  try {
+    const payload = jwt.verify(token, config.jwt.secret, {
+      issuer: 'album-platform',
+      audience: 'album-platform-upload',
+    });
+
+    if (payload.type !== TokenType.UPLOAD) {
+      throw new InvalidTokenError('Token type mismatch. Upload token required.');
+    }
+
+    return payload;
+  } catch (err) {
+    if (err instanceof InvalidTokenError) throw err;
+    if (err.name === 'TokenExpiredError') {
+      throw new TokenExpiredError('Upload token has expired. Please request a new upload URL.');
+    }
+    throw new InvalidTokenError(`Invalid upload token: ${err.message}`);
+  }
+};
+
+/**
+ * Sign an export download link grant.
+ * @param {string} userId - User the export belongs to
+ * @param {object} claims - { albumId, exportId }
+ * @param {number} expiresInSeconds
+ * @returns {string} Signed JWT
+ */
+const signDownloadToken = (userId, claims, expiresInSeconds) => {
+  return jwt.sign(
+    { ...claims, sub: userId, type: TokenType.DOWNLOAD },
+    config.jwt.secret,
+    {
+      expiresIn: expiresInSeconds,
+      issuer: 'album-platform',
+      audience: 'album-platform-download',
+    }
+  );
+};
+
+/**
+ * Verify an export download link grant.
+ * @param {string} token
+ * @returns {{ sub: string, albumId: string, exportId: string }}
+ */
+const verifyDownloadToken = (token) => {
+  try {
+    const payload = jwt.verify(token, config.jwt.secret, {
+      issuer: 'album-platform',
+      audience: 'album-platform-download',
+    });
+
+    if (payload.type !== TokenType.DOWNLOAD) {
+      throw new InvalidTokenError('Token type mismatch. Download token required.');
+    }
+
+    return payload;
+  } catch (err) {
+    if (err instanceof InvalidTokenError) throw err;
+    if (err.name === 'TokenExpiredError') {
+      throw new TokenExpiredError('Download link has expired. Request a new one.');
+    }
+    throw new InvalidTokenError(`Invalid download token: ${err.message}`);
+  }
+};
+
+/**
+ * Sign a two-factor login challenge.
+ * The jti identifies the challenge for attempt counting (TwoFactorService).
+ * @param {string} userId
+ * @returns {string} Signed JWT (expires after config.twoFactor.challengeExpiresIn)
+ */
+const signTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { sub: userId, type: TokenType.TWO_FACTOR },
+    config.jwt.secret,
+    {
+      expiresIn: config.twoFactor.challengeExpiresIn,
+      issuer: 'album-platform',
+      audience: 'album-platform-2fa',
+      jwtid: uuidv4(),
+    }
+  );
+};
+
+/**
+ * Verify a two-factor login challenge.
+ * @param {string} token
+ * @returns {{ sub: string, type: string, jti: string, iat: number, exp: number }}
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const payload = jwt.verify(token, config.jwt.secret, {
+      issuer: 'album-platform',
+      audience: 'album-platform-2fa',
+    });
+
+    if (payload.type !== TokenType.TWO_FACTOR || !payload.jti) {
+      throw new InvalidTokenError('Token type mismatch. Two-factor challenge required.');
+    }
+
+    return payload;
+  } catch (err) {
+    if (err instanceof InvalidTokenError) throw err;
+    if (err.name === 'TokenExpiredError') {
+      throw new TokenExpiredError('Two-factor challenge has expired. Please log in again.');
+    }
+    throw new InvalidTokenError(`Invalid two-factor challenge: ${err.message}`);
+  }
+};
+
 /**
  * Issue a fresh access + refresh token pair.
  * @param {string} userId
  * @param {string} role
+ * @param {{ sessionId: string, jti: string }} session - Refresh token family + id
+ * @param {number} [tokenVersion] - User's current tokenVersion
  * @returns {{ accessToken: string, refreshToken: string }}
  */
-const issueTokenPair = (userId, role = 'user') => {
+const issueTokenPair = (userId, role = 'user', session, tokenVersion = 0) => {
   return {
-    accessToken: signAccessToken(userId, role),
-    refreshToken: signRefreshToken(userId),
+    accessToken: signAccessToken(userId, role, { sessionId: session.sessionId, tokenVersion }),
+    refreshToken: signRefreshToken(userId, session),
   };
 };
 
+/**
+ * Expiry of a token this service signed (no verification).
+ * @param {string} token
+ * @returns {Date}
+ */
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
 /**
  * Extract token from Authorization header.
  * Supports: "Bearer <token>"
@@ -146,6 +327,13 @@ module.exports = {
   signRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  signUploadToken,
+  verifyUploadToken,
+  signDownloadToken,
+  verifyDownloadToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   issueTokenPair,
+  getTokenExpiry,
   extractBearerToken,
 };
\ No newline at end of file
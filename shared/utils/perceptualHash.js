@@ -0,0 +1,85 @@
+'use strict';
+
+const sharp = require('sharp');
+
+/**
+ * Perceptual Hash Utility
+ *
+ * dHash ("difference hash"): the image is reduced to a 9×8 greyscale grid and
+ * each bit records whether a pixel is brighter than its right-hand neighbour.
+ * The resulting 64-bit fingerprint survives resizing, re-encoding and small
+ * edits, so near-duplicates (burst shots, edited copies) sit a small Hamming
+ * distance apart:
+ *
+ *   0       identical content
+ *   1–10    near-duplicates
+ *   > 20    unrelated images
+ *
+ * Hashes are stored as 16-char lowercase hex strings. For bulk comparison
+ * parse each hash once with parseHash() and compare with hashDistance().
+ */
+
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+
+// Largest distance recorded in photo_similarities — queries cannot ask for more
+const MAX_STORED_DISTANCE = 16;
+
+/**
+ * Compute the dHash of an image.
+ *
+ * @param {Buffer|import('sharp').Sharp} input - Image bytes or a sharp pipeline (cloned, not consumed)
+ * @returns {Promise<string>} 16-char hex hash
+ */
+const computeDHash = async (input) => {
+  const pipeline = Buffer.isBuffer(input) ? sharp(input).rotate() : input.clone();
+
+  const pixels = await pipeline
+    .greyscale()
+    .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH; x++) {
+      const offset = y * (HASH_WIDTH + 1) + x;
+      hash = (hash << 1n) | (pixels[offset] > pixels[offset + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Split a hex hash into its high and low 32-bit words.
+ * @param {string} hex - 16-char hash
+ * @returns {[number, number]}
+ */
+const parseHash = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8, 16), 16)];
+
+const popcount32 = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+/**
+ * Number of differing bits between two parsed hashes (see parseHash).
+ * @returns {number} 0–64
+ */
+const hashDistance = (a, b) => popcount32((a[0] ^ b[0]) >>> 0) + popcount32((a[1] ^ b[1]) >>> 0);
+
+/**
+ * Number of differing bits between two hex hashes.
+ * @returns {number} 0–64
+ */
+const hammingDistance = (a, b) => hashDistance(parseHash(a), parseHash(b));
+
+module.exports = {
+  MAX_STORED_DISTANCE,
+  computeDHash,
+  parseHash,
+  hashDistance,
+  hammingDistance,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * TOTP Utility (RFC 6238 / RFC 4226)
+ *
+ * Time-based one-time passwords as used by authenticator apps:
+ * HMAC-SHA1 over the 30-second time step, dynamically truncated to 6 digits.
+ *
+ * Secrets are exchanged as base32 (RFC 4648, no padding) — the form
+ * authenticator apps accept in otpauth:// URIs and manual entry.
+ *
+ * verifyTotp() returns the matched time step so callers can refuse a code
+ * that was already used (replay within its validity window).
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ── Base32 ─────────────────────────────────────────────────────────────────
+/**
+ * @param {Buffer} buffer
+ * @returns {string} Base32 without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * @param {string} input - Base32, case-insensitive; spaces and padding ignored
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// ── TOTP ───────────────────────────────────────────────────────────────────
+/**
+ * Generate a new shared secret (160 bits, as RFC 4226 recommends).
+ * @returns {string} Base32 secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value for a counter.
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Current time step.
+ * @param {number} [now] - ms since epoch
+ * @returns {number}
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against the secret, allowing `window` steps of clock drift
+ * either way.
+ *
+ * @param {string} secret - Base32
+ * @param {string} code - 6 digits
+ * @param {object} [options] - { window = 1, now }
+ * @returns {number|null} Matched time step, or null
+ */
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  if (!/^\d{6}$/.test(code)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep(now);
+  const expected = Buffer.from(code);
+
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(hotp(key, step + drift));
+    if (crypto.timingSafeEqual(candidate, expected)) {
+      return step + drift;
+    }
+  }
+  return null;
+};
+
+/**
+ * Key URI for QR codes / authenticator apps.
+ * @param {object} params - { secret, label, issuer }
+ * @returns {string} otpauth://totp/...
+ */
+const buildOtpauthUrl = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  currentStep,
+  verifyTotp,
+  buildOtpauthUrl,
+};
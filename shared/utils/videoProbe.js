@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Video Probe
+ *
+ * Reads what the upload checks and the worker need from an MP4 / QuickTime
+ * file's atom tree — duration, display size, codecs, creation time — without
+ * decoding a frame or spawning ffmpeg:
+ *
+ *   moov/mvhd                  — timescale, duration, creation time
+ *   moov/mvex/mehd             — duration of fragmented files (mvhd holds 0)
+ *   moov/trak/tkhd             — track size + transformation matrix (rotation)
+ *   moov/trak/mdia/hdlr        — track type ('vide' / 'soun')
+ *   moov/trak/mdia/minf/stbl/stsd — sample entry fourcc → codec
+ *
+ * The moov atom may sit after mdat (files not written "fast start"), so the
+ * whole buffer is walked; mdat itself is skipped by size, never read.
+ */
+
+// Seconds between the QuickTime epoch (1904-01-01) and the Unix epoch
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// Sample entry fourcc → codec name (ffmpeg's naming)
+const CODECS = Object.freeze({
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  mp4v: 'mpeg4',
+  apch: 'prores',
+  apcn: 'prores',
+  apcs: 'prores',
+  apco: 'prores',
+  ap4h: 'prores',
+  mp4a: 'aac',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+  Opus: 'opus',
+  alac: 'alac',
+  lpcm: 'pcm',
+  sowt: 'pcm',
+  twos: 'pcm',
+});
+
+const MAX_DEPTH = 8; // Guards against pathological nesting in malformed files
+
+/**
+ * Child boxes within [start, end).
+ * @returns {Array<{ type: string, start: number, end: number }>} start = payload offset
+ */
+const readBoxes = (buffer, start = 0, end = buffer.length) => {
+  const boxes = [];
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buffer.readUInt32BE(i);
+    const type = buffer.toString('latin1', i + 4, i + 8);
+    let header = 8;
+    if (size === 1) {
+      if (i + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(i + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - i; // Runs to the end of the enclosing box
+    }
+    if (size < header || i + size > end) break;
+    boxes.push({ type, start: i + header, end: i + size });
+    i += size;
+  }
+  return boxes;
+};
+
+const findBox = (buffer, parent, path, depth = 0) => {
+  if (depth > MAX_DEPTH) return null;
+  const [type, ...rest] = path;
+  const box = readBoxes(buffer, parent.start, parent.end).find((b) => b.type === type);
+  if (!box || rest.length === 0) return box || null;
+  return findBox(buffer, box, rest, depth + 1);
+};
+
+// ── Atom payloads ──────────────────────────────────────────────────────────
+const readMvhd = (buffer, { start, end }) => {
+  const version = buffer[start];
+  const need = version === 1 ? 32 : 20;
+  if (start + need > end) return null;
+
+  if (version === 1) {
+    return {
+      createdAt: Number(buffer.readBigUInt64BE(start + 4)),
+      timescale: buffer.readUInt32BE(start + 20),
+      duration: Number(buffer.readBigUInt64BE(start + 24)),
+    };
+  }
+  return {
+    createdAt: buffer.readUInt32BE(start + 4),
+    timescale: buffer.readUInt32BE(start + 12),
+    duration: buffer.readUInt32BE(start + 16),
+  };
+};
+
+const readMehd = (buffer, { start, end }) => {
+  const version = buffer[start];
+  if (start + (version === 1 ? 12 : 8) > end) return 0;
+  return version === 1 ? Number(buffer.readBigUInt64BE(start + 4)) : buffer.readUInt32BE(start + 4);
+};
+
+/**
+ * Track size (16.16 fixed point) and rotation from the tkhd matrix.
+ */
+const readTkhd = (buffer, { start, end }) => {
+  const matrix = start + (buffer[start] === 1 ? 52 : 40);
+  if (matrix + 44 > end) return null;
+
+  const a = buffer.readInt32BE(matrix);
+  const b = buffer.readInt32BE(matrix + 4);
+  const rotation = (Math.round((Math.atan2(b, a) * 180) / Math.PI) + 360) % 360;
+
+  return {
+    width: Math.round(buffer.readUInt32BE(matrix + 36) / 65536),
+    height: Math.round(buffer.readUInt32BE(matrix + 40) / 65536),
+    rotation,
+  };
+};
+
+const readHandler = (buffer, { start, end }) =>
+  start + 12 <= end ? buffer.toString('latin1', start + 8, start + 12) : null;
+
+const readSampleEntry = (buffer, { start, end }) =>
+  start + 16 <= end ? buffer.toString('latin1', start + 12, start + 16) : null;
+
+// ── Probe ──────────────────────────────────────────────────────────────────
+/**
+ * Read clip metadata from the atom tree.
+ *
+ * @param {Buffer} buffer
+ * @returns {{
+ *   durationMs: number|null, width: number|null, height: number|null, rotation: number,
+ *   videoCodec: string|null, audioCodec: string|null, createdAt: string|null, hasVideo: boolean
+ * }|null} null when there is no readable moov atom. width/height are the
+ *          displayed size (rotation applied).
+ */
+const probeVideo = (buffer) => {
+  const root = { start: 0, end: buffer.length };
+  const moov = findBox(buffer, root, ['moov']);
+  if (!moov) return null;
+
+  const mvhdBox = findBox(buffer, moov, ['mvhd']);
+  const mvhd = mvhdBox && readMvhd(buffer, mvhdBox);
+  if (!mvhd || !mvhd.timescale) return null;
+
+  let { duration } = mvhd;
+  if (!duration) {
+    const mehd = findBox(buffer, moov, ['mvex', 'mehd']);
+    if (mehd) duration = readMehd(buffer, mehd);
+  }
+
+  const info = {
+    durationMs: duration ? Math.round((duration / mvhd.timescale) * 1000) : null,
+    width: null,
+    height: null,
+    rotation: 0,
+    videoCodec: null,
+    audioCodec: null,
+    createdAt: mvhd.createdAt > QUICKTIME_EPOCH_OFFSET
+      ? new Date((mvhd.createdAt - QUICKTIME_EPOCH_OFFSET) * 1000).toISOString()
+      : null,
+    hasVideo: false,
+  };
+
+  for (const trak of readBoxes(buffer, moov.start, moov.end).filter((b) => b.type === 'trak')) {
+    const hdlr = findBox(buffer, trak, ['mdia', 'hdlr']);
+    const handler = hdlr && readHandler(buffer, hdlr);
+    const stsd = findBox(buffer, trak, ['mdia', 'minf', 'stbl', 'stsd']);
+    const fourcc = stsd && readSampleEntry(buffer, stsd);
+    const codec = fourcc ? CODECS[fourcc] || fourcc.trim() : null;
+
+    if (handler === 'vide' && !info.hasVideo) {
+      const tkhdBox = findBox(buffer, trak, ['tkhd']);
+      const tkhd = tkhdBox && readTkhd(buffer, tkhdBox);
+      if (tkhd) {
+        const swap = tkhd.rotation === 90 || tkhd.rotation === 270;
+        info.width = swap ? tkhd.height : tkhd.width;
+        info.height = swap ? tkhd.width : tkhd.height;
+        info.rotation = tkhd.rotation;
+      }
+      info.videoCodec = codec;
+      info.hasVideo = true;
+    } else if (handler === 'soun' && !info.audioCodec) {
+      info.audioCodec = codec;
+    }
+  }
+
+  return info;
+};
+
+module.exports = {
+  probeVideo,
+};
@@ -0,0 +1,62 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+
+const directUploadService = require('../../modules/media/service/directUpload.service');
+const uploadController = require('../../modules/media/controller/upload.controller');
+
+/**
+ * Upload controller — HTTP responses of the direct-to-storage flow.
+ * The service is stubbed; the controller runs behind a real Express app so
+ * ResponseFormatter's status code goes through res.status().
+ */
+
+const ALBUM_ID = '00000000-0000-4000-8000-000000000001';
+const USER = { id: '00000000-0000-4000-8000-000000000002', role: 'user' };
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = USER;
+  next();
+});
+app.post('/albums/:albumId/photos/presign', uploadController.presign);
+
+const server = app.listen(0);
+after(() => server.close());
+
+const post = (path, body) =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        port: server.address().port,
+        path,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      },
+      (res) => {
+        let raw = '';
+        res.on('data', (chunk) => (raw += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(raw) }));
+      }
+    );
+    req.on('error', reject);
+    req.end(JSON.stringify(body));
+  });
+
+test('POST /albums/:albumId/photos/presign returns 200 with the upload URLs', async (t) => {
+  const uploads = [{ filename: 'a.jpg', key: 'photos/a.jpg', url: 'https://s3/a', uploadToken: 'token' }];
+  const presign = t.mock.method(directUploadService, 'presignUploads', async () => uploads);
+
+  const files = [{ filename: 'a.jpg', mimeType: 'image/jpeg', size: 1024 }];
+  const res = await post(`/albums/${ALBUM_ID}/photos/presign`, { files });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.message, 'Upload URLs issued');
+  assert.deepEqual(res.body.data, { uploads });
+  assert.deepEqual(presign.mock.calls[0].arguments, [ALBUM_ID, files, USER.id, USER.role]);
+});